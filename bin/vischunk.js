@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+import { main } from '../src/js/cli/batch.js';
+
+process.exitCode = main(process.argv.slice(2));
@@ -15,6 +15,9 @@ export default [
         localStorage: 'readonly',
         setTimeout: 'readonly',
         requestAnimationFrame: 'readonly',
+        Worker: 'readonly',
+        URL: 'readonly',
+        self: 'readonly',
 
         // Node.js globals (for tests)
         process: 'readonly',
@@ -0,0 +1,296 @@
+// Headless entry point: the simulation core without the page, for use from Node or any
+// other ES module host. `analyzeLayout` gives the ranges and metrics the app shows for a
+// layout and query; the classes behind it are exported for finer-grained use. An array
+// this large is worked out analytically rather than cell by cell:
+//
+//     import { analyzeLayout } from 'vischunk';
+//     const { metrics } = analyzeLayout(
+//         { size: [1000, 1000, 365], chunk: [100, 100, 1], dtype: 'float32' },
+//         [[0, 999], [0, 999], [0, 0]]
+//     );
+//     console.log(metrics.readAmplification, metrics.readTime);
+
+import { SimulationModel } from './models/simulation.js';
+import { clampSettings, isSameValue } from './models/settings.js';
+import { DEFAULT_USER_SETTINGS } from './core/constants.js';
+import { countSkippedChunks, getStep, makeQueryRange } from './core/stride.js';
+import {
+    STORAGE_PROFILES,
+    DEFAULT_STORAGE,
+    clampStorageProfile,
+    getReadMetrics,
+} from './core/storage.js';
+
+export { SimulationModel } from './models/simulation.js';
+export { clampSettings } from './models/settings.js';
+export { GridCoordinate, CellCoordinate } from './core/coordinates.js';
+export { analyzeQuery } from './core/analytical.js';
+export { LINEARIZATION_ALGORITHMS } from './core/constants.js';
+export { DTYPES } from './core/dtypes.js';
+export { COMPRESSION_MODELS } from './core/compression.js';
+export { SHARD_INDEX_LOCATIONS } from './core/sharding.js';
+export { STORAGE_PROFILES, estimateReadTime, getReadMetrics } from './core/storage.js';
+
+// Shared so that repeated analyses of one layout reuse its cached orders
+const simulationModel = new SimulationModel();
+
+// Whether `layout` keeps every axis of `size`, adding only axes of length 1
+function keepsSize(layout, size) {
+    return (
+        size.length <= layout.size.length &&
+        layout.size.every((length, axis) => length === (size[axis] ?? 1))
+    );
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isNumberList = value => Array.isArray(value) && value.every(isNumber);
+
+// What the settings given as lists must hold, by setting
+const LIST_TYPES = {
+    chunk: ['a list of numbers', isNumberList],
+    shard: ['a list of numbers', isNumberList],
+    dimensionNames: [
+        'a list of names',
+        value => Array.isArray(value) && value.every(name => typeof name === 'string'),
+    ],
+    query: [
+        'a list of [start, end] or [start, end, step] ranges',
+        value =>
+            Array.isArray(value) &&
+            value.every(range => isNumberList(range) && range.length >= 2 && range.length <= 3),
+    ],
+};
+
+// Settings of the wrong type are refused rather than clamped to something else: lists
+// must hold numbers or names, and the rest must be of their default's type
+function checkSettingTypes(settings) {
+    Object.entries(settings).forEach(([setting, value]) => {
+        const fallback = DEFAULT_USER_SETTINGS[setting];
+        if (value === undefined || fallback === undefined || setting === 'size') {
+            return;
+        }
+        const [expected, isValid] = LIST_TYPES[setting] || [
+            `a ${typeof fallback}`,
+            typeof fallback === 'number' ? isNumber : other => typeof other === typeof fallback,
+        ];
+        if (!isValid(value)) {
+            const name = setting === 'query' ? 'query' : `config.${setting}`;
+            throw new TypeError(`${name} must be ${expected}, got ${JSON.stringify(value)}`);
+        }
+    });
+}
+
+// The layout settings `config` asks for, clamped as the app clamps them. Only the array
+// size is required: chunks default to the whole array, the query to every cell, and the
+// rest to the app's defaults. Arrays too large to simulate cell by cell are worked out
+// analytically unless `config.analytical` is false, and an array that still doesn't fit
+// is refused rather than analyzed smaller than asked, as is a query of no cells.
+function resolveLayout(config, query) {
+    const size = config?.size;
+    if (!Array.isArray(size) || size.length === 0) {
+        throw new TypeError('config.size must be a non-empty array of axis lengths');
+    }
+    if (!size.every(length => Number.isInteger(length) && length > 0)) {
+        throw new TypeError(
+            `config.size must hold whole axis lengths, got ${JSON.stringify(size)}`
+        );
+    }
+    checkSettingTypes({ ...config, query: query || config.query });
+    const settings = {
+        ...DEFAULT_USER_SETTINGS,
+        chunk: size,
+        shard: size.map(() => 1),
+        dimensionNames: [],
+        ...config,
+        query: query || config.query || size.map(length => [0, length - 1]),
+    };
+    let layout = clampSettings(settings);
+    if (!keepsSize(layout, size) && config.analytical === undefined) {
+        layout = clampSettings({ ...settings, analytical: true });
+    }
+    if (!keepsSize(layout, size)) {
+        throw new RangeError(
+            `config.size ${JSON.stringify(size)} is larger than ` +
+                (layout.analytical
+                    ? 'analytical metrics can work out'
+                    : 'the app simulates cell by cell; analytical: true lifts the limits')
+        );
+    }
+    if (layout.query.some(([start, end]) => start > end)) {
+        throw new RangeError(`query ${JSON.stringify(layout.query)} selects no cells`);
+    }
+    return layout;
+}
+
+// Query ranges as the layout writes them, without a step of 1
+function normalizeQuery(query) {
+    return Array.isArray(query)
+        ? query.map(range =>
+              Array.isArray(range) ? makeQueryRange(range[0], range[1], getStep(range)) : range
+          )
+        : query;
+}
+
+// Settings given per axis, which the app pads to its minimum number of axes
+const AXIS_SETTINGS = ['size', 'chunk', 'shard', 'dimensionNames'];
+
+// Whether `analyzed` reads what `query` asks for. Axes the query leaves out are read in
+// full, and past the array's axes it may only ask for the one cell they have.
+function readsQuery(query, analyzed) {
+    return normalizeQuery(query).every((range, axis) =>
+        isSameValue(range, analyzed[axis] || [0, 0])
+    );
+}
+
+// The settings `requested` that the app's limits changed, e.g. a query reaching past the
+// array, as { setting, value } with the value analyzed. The axes added past those of
+// `requested.size` have length 1, so they change nothing.
+function getAdjustments(requested, layout) {
+    const axisCount = requested.size.length;
+    const isKept = setting => {
+        if (setting === 'query') {
+            return readsQuery(requested.query, layout.query);
+        }
+        const analyzed = AXIS_SETTINGS.includes(setting)
+            ? layout[setting].slice(0, axisCount)
+            : layout[setting];
+        return isSameValue(requested[setting], analyzed);
+    };
+    return Object.keys(requested)
+        .filter(setting => setting in layout && !isKept(setting))
+        .map(setting => ({ setting, value: layout[setting] }));
+}
+
+// The figures of a storage profile of its own
+const PROFILE_FIGURES = ['latency', 'throughput', 'concurrency'];
+
+// A built-in profile by key, or a profile of its own as
+// { latency (ms), throughput (MB/s per request), concurrency }
+function resolveStorageProfile(profile = DEFAULT_STORAGE.storageProfile) {
+    if (typeof profile === 'object' && profile !== null) {
+        PROFILE_FIGURES.forEach(figure => {
+            if (profile[figure] !== undefined && !isNumber(profile[figure])) {
+                throw new TypeError(
+                    `config.storageProfile.${figure} must be a number, got ${JSON.stringify(profile[figure])}`
+                );
+            }
+        });
+        return clampStorageProfile(profile);
+    }
+    if (typeof profile !== 'string') {
+        throw new TypeError(
+            'config.storageProfile must be a profile key or { latency, throughput, concurrency }'
+        );
+    }
+    if (!STORAGE_PROFILES[profile]) {
+        throw new RangeError(
+            `Unknown storage profile '${profile}', expected one of: ` +
+                Object.keys(STORAGE_PROFILES).join(', ')
+        );
+    }
+    return STORAGE_PROFILES[profile];
+}
+
+// The storage profile `requested`, reported like the settings if its figures were clamped
+function getProfileAdjustments(requested, storage) {
+    const clamped =
+        typeof requested === 'object' &&
+        PROFILE_FIGURES.some(
+            figure => requested[figure] !== undefined && requested[figure] !== storage[figure]
+        );
+    return clamped ? [{ setting: 'storageProfile', value: storage }] : [];
+}
+
+// Sizes of the range requests as [bytes, count], largest first
+function groupRequestSizes(byteRanges) {
+    const counts = new Map();
+    byteRanges.forEach(([start, end]) => {
+        const bytes = end - start + 1;
+        counts.set(bytes, (counts.get(bytes) || 0) + 1);
+    });
+    return [...counts].sort((a, b) => b[0] - a[0]);
+}
+
+// Analytical metrics don't list individual ranges, so those are null there
+function getRanges(data) {
+    const listed = ranges => (data.analytical ? null : ranges);
+    return {
+        requestedCells: listed(data.unchunkedRanges),
+        storedCells: listed(data.chunkedRanges),
+        chunkBytes: listed(data.chunkedByteRanges),
+        requests: listed(data.coalescedByteRanges),
+        shardIndexes: listed(data.indexByteRanges),
+        shardRequests: listed(data.shardRequests),
+        requestSizes: data.requestSizes || groupRequestSizes(data.coalescedByteRanges),
+    };
+}
+
+function getMetrics(data, layout, profile) {
+    const { amplification, rangeCount, coalescingFactor, estimate, usefulThroughput } =
+        getReadMetrics(data, profile);
+    return {
+        requestedCells: data.requestedCellCount,
+        actualCells: data.actualCellCount,
+        chunksTouched: data.touchedChunkCount,
+        chunksSkipped: countSkippedChunks(
+            simulationModel.getQueryRanges(layout),
+            simulationModel.getChunkShape(layout)
+        ),
+        rangeReads: rangeCount,
+        requestedBytes: data.requestedBytes,
+        actualBytes: data.actualBytes,
+        gapBytes: data.gapBytes,
+        indexBytes: data.indexBytes,
+        storedBytes: data.storedBytes,
+        totalBytes: data.totalBytes,
+        readAmplification: amplification,
+        efficiency: 1 / amplification,
+        coalescingFactor,
+        readTime: estimate.time,
+        indexTime: estimate.indexTime,
+        dataTime: estimate.dataTime,
+        usefulThroughput,
+        storageAlignment: estimate.alignment,
+        sampledChunks: data.sampledChunks || 0,
+    };
+}
+
+// Simulates reading `query`, a [start, end] cell range per axis or [start, end, step] for
+// every step-th cell of it, from an array stored as `config` describes, and returns plain
+// JSON:
+//   layout      the settings analyzed, after defaults and clamping
+//   adjustments the settings of `config` or `query` clamped to the app's limits, and a
+//               storage profile of its own clamped, as { setting, value } with the
+//               value analyzed
+//   storage     the storage profile the read time is estimated for
+//   analytical  whether the metrics were worked out analytically, as `config.analytical`
+//               asks or because the array is too large to simulate cell by cell
+//   ranges      inclusive ranges of the read: requested cell positions and the positions
+//               of the chunks holding them, chunk and request byte ranges, shard index
+//               reads and the requests to each shard, and the request sizes as
+//               [bytes, count]; all but the sizes are null with analytical metrics
+//   metrics     the app's metrics panel, in cells, bytes, ms and bytes per second, and
+//               the chunks among those the query spans that its steps skip
+// `config` takes any layout setting the app has (size, chunk, shard, cellAlgorithm,
+// chunkAlgorithm, innerChunkAlgorithm, dtype, customItemSize, compression,
+// compressionRatio, compressionSeed, sharding, coalesceGap, maxRequestSize, analytical)
+// and `storageProfile`, a built-in profile key or a profile of its own. A setting of the
+// wrong type is a TypeError, and an array larger than analytical metrics allow or a
+// query of no cells is a RangeError.
+export function analyzeLayout(config, query) {
+    const layout = resolveLayout(config, query);
+    const storage = resolveStorageProfile(config.storageProfile);
+    const data = simulationModel.calculateData(layout);
+    const requested = query ? { ...config, query } : config;
+    return {
+        layout,
+        adjustments: [
+            ...getAdjustments(requested, layout),
+            ...getProfileAdjustments(config.storageProfile, storage),
+        ],
+        storage,
+        analytical: data.analytical === true,
+        ranges: getRanges(data),
+        metrics: getMetrics(data, layout, storage),
+    };
+}
@@ -0,0 +1,278 @@
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { parse as parseYaml } from 'yaml';
+import { analyzeLayout } from '../api.js';
+import { formatBytes } from '../core/dtypes.js';
+import { formatDuration } from '../core/storage.js';
+
+// Batch analysis for the command line: every layout of a JSON or YAML file is read with
+// every query in it, and the metrics are printed as a table, CSV or JSON. Limits on the
+// metrics turn it into a check, e.g. for a data pipeline's CI, that fails once a layout
+// change makes reads worse than budgeted.
+
+export const USAGE = `Usage: vischunk <layouts.yaml|layouts.json> [options]
+
+Options:
+  --format <table|csv|json>  Output format (default: table)
+  --max <metric=value>       Fail if a metric is above value, e.g. readAmplification=4
+  --min <metric=value>       Fail if a metric is below value, e.g. storageAlignment=0.5
+  --help                     Show this message
+
+Exits with 1 if any limit is exceeded, and 2 if the input is invalid, such as a query
+reaching past its array.`;
+
+// Columns of the table and CSV: heading, metric, and how the table shows it
+const COLUMNS = [
+    ['Requested', 'requestedBytes', formatBytes],
+    ['Read', 'actualBytes', formatBytes],
+    ['Amplification', 'readAmplification', value => `${value.toFixed(2)}x`],
+    ['Chunks', 'chunksTouched', String],
+    ['Ranges', 'rangeReads', String],
+    ['Alignment', 'storageAlignment', value => value.toFixed(2)],
+    ['Est. Read Time', 'readTime', formatDuration],
+];
+
+const FORMATS = {
+    table: formatTable,
+    csv: formatCsv,
+    json: formatJson,
+};
+
+// The file's `layouts`, each with a `name` and the settings analyzeLayout takes, and
+// optionally `queries`, each a `name` and a `query`, or just the query. Without queries
+// each layout is read with its own `query`, or in full.
+export function parseSpec(text, path = '') {
+    let spec;
+    try {
+        spec = /\.json$/i.test(path) ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+        throw new Error(`Could not parse ${path || 'input'}: ${error.message}`);
+    }
+    if (!Array.isArray(spec?.layouts) || spec.layouts.length === 0) {
+        throw new Error('Expected a non-empty list of layouts under `layouts`');
+    }
+    if (spec.queries !== undefined && !Array.isArray(spec.queries)) {
+        throw new Error('Expected `queries` to be a list');
+    }
+    return spec;
+}
+
+// Limits given as 'metric=value' strings, e.g. from --max
+export function parseLimits(values = []) {
+    return Object.fromEntries(
+        values.map(value => {
+            const [metric, limit] = value.split('=');
+            if (!metric || limit === undefined || !Number.isFinite(Number(limit))) {
+                throw new Error(`Expected a limit as metric=number, got '${value}'`);
+            }
+            return [metric.trim(), Number(limit)];
+        })
+    );
+}
+
+function getQueryEntry(query, index) {
+    if (Array.isArray(query)) {
+        return { name: `query ${index + 1}`, query };
+    }
+    return { name: query.name || `query ${index + 1}`, query: query.query };
+}
+
+// The limits `metrics` goes past, as { metric, value, bound, limit }
+export function checkLimits(metrics, { max = {}, min = {} } = {}) {
+    const check = (limits, bound, isOver) =>
+        Object.entries(limits).flatMap(([metric, limit]) => {
+            if (!(metric in metrics)) {
+                throw new Error(`Unknown metric '${metric}' in ${bound} limits`);
+            }
+            const value = metrics[metric];
+            return isOver(value, limit) ? [{ metric, value, bound, limit }] : [];
+        });
+    return [
+        ...check(max, 'max', (value, limit) => value > limit),
+        ...check(min, 'min', (value, limit) => value < limit),
+    ];
+}
+
+// The file's `limits`, overridden metric by metric by `limits`
+function mergeLimits(spec, limits = {}) {
+    return {
+        max: { ...spec.limits?.max, ...limits.max },
+        min: { ...spec.limits?.min, ...limits.min },
+    };
+}
+
+function hasLimits({ max, min }) {
+    return Object.keys(max).length + Object.keys(min).length > 0;
+}
+
+// Analyzes every layout with every query, checking each read against the limits
+export function runBatch(spec, limits = {}) {
+    const merged = mergeLimits(spec, limits);
+    const queries = spec.queries?.length ? spec.queries.map(getQueryEntry) : [null];
+    return spec.layouts.flatMap(({ name, ...config }, layoutIndex) =>
+        queries.map(entry => {
+            let result;
+            try {
+                result = analyzeLayout(
+                    { storageProfile: spec.storageProfile, ...config },
+                    entry?.query
+                );
+            } catch (error) {
+                throw new Error(`Layout ${name || layoutIndex + 1}: ${error.message}`);
+            }
+            return {
+                layout: name || `layout ${layoutIndex + 1}`,
+                query: entry ? entry.name : '',
+                result,
+                adjustments: result.adjustments,
+                violations: checkLimits(result.metrics, merged),
+            };
+        })
+    );
+}
+
+function describeRow({ layout, query }) {
+    return query ? `${layout} / ${query}` : layout;
+}
+
+export function formatAdjustment(row, { setting, value }) {
+    return `${describeRow(row)}: ${setting} was clamped to ${JSON.stringify(value)}`;
+}
+
+// Checking a smaller query than the one asked for would pass or fail the wrong read, so a
+// query past its array is invalid input, like an array too large to analyze
+function checkQueries(rows) {
+    const clamped = rows.flatMap(row =>
+        row.adjustments
+            .filter(({ setting }) => setting === 'query')
+            .map(
+                ({ value }) =>
+                    `${describeRow(row)}: query reaches past the array, which would read ${JSON.stringify(value)}`
+            )
+    );
+    if (clamped.length) {
+        throw new Error(clamped.join('\n'));
+    }
+}
+
+export function formatViolation(row, { metric, value, bound, limit }) {
+    const where = describeRow(row);
+    const relation = bound === 'max' ? 'above' : 'below';
+    return `${where}: ${metric} ${Number(value.toPrecision(4))} is ${relation} the ${bound} of ${limit}`;
+}
+
+function formatTable(rows, checked) {
+    const headings = ['Layout', 'Query', ...COLUMNS.map(([heading]) => heading)];
+    const lines = rows.map(({ layout, query, result, violations }) => [
+        layout,
+        query || '-',
+        ...COLUMNS.map(([, metric, format]) => format(result.metrics[metric])),
+        ...(checked ? [violations.length ? 'FAIL' : 'ok'] : []),
+    ]);
+    if (checked) {
+        headings.push('Limits');
+    }
+    const widths = headings.map((heading, column) =>
+        Math.max(heading.length, ...lines.map(line => line[column].length))
+    );
+    // Names to the left, numbers to the right
+    const pad = (text, column) =>
+        column < 2 ? text.padEnd(widths[column]) : text.padStart(widths[column]);
+    return [headings, widths.map(width => '-'.repeat(width)), ...lines]
+        .map(line => line.map(pad).join('  ').trimEnd())
+        .join('\n');
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows, checked) {
+    const headings = ['layout', 'query', ...COLUMNS.map(([, metric]) => metric)];
+    const lines = rows.map(({ layout, query, result, violations }) => [
+        layout,
+        query,
+        ...COLUMNS.map(([, metric]) => result.metrics[metric]),
+        ...(checked ? [violations.length === 0] : []),
+    ]);
+    if (checked) {
+        headings.push('passed');
+    }
+    return [headings, ...lines].map(line => line.map(csvField).join(',')).join('\n');
+}
+
+function formatJson(rows) {
+    return JSON.stringify(
+        rows.map(({ layout, query, result, adjustments, violations }) => ({
+            layout,
+            query,
+            settings: result.layout,
+            storage: result.storage,
+            analytical: result.analytical,
+            metrics: result.metrics,
+            adjustments,
+            violations,
+        })),
+        null,
+        2
+    );
+}
+
+export function formatRows(rows, format = 'table', checked = false) {
+    if (!FORMATS[format]) {
+        throw new Error(
+            `Unknown format '${format}', expected one of: ${Object.keys(FORMATS).join(', ')}`
+        );
+    }
+    return FORMATS[format](rows, checked);
+}
+
+const DEFAULT_IO = {
+    readFile: path => readFileSync(path, 'utf8'),
+    stdout: text => process.stdout.write(text),
+    stderr: text => process.stderr.write(text),
+};
+
+// Runs the command with `args`, the arguments after the script, and returns the exit code
+export function main(args, io = DEFAULT_IO) {
+    try {
+        const { values, positionals } = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', default: 'table' },
+                max: { type: 'string', multiple: true },
+                min: { type: 'string', multiple: true },
+                help: { type: 'boolean' },
+            },
+        });
+        if (values.help) {
+            io.stdout(USAGE + '\n');
+            return 0;
+        }
+        if (positionals.length !== 1) {
+            throw new Error(`Expected one layouts file\n\n${USAGE}`);
+        }
+        const [path] = positionals;
+        const spec = parseSpec(io.readFile(path), path);
+        const limits = { max: parseLimits(values.max), min: parseLimits(values.min) };
+        const rows = runBatch(spec, limits);
+        checkQueries(rows);
+        const checked = hasLimits(mergeLimits(spec, limits));
+        io.stdout(formatRows(rows, values.format, checked) + '\n');
+        rows.forEach(row =>
+            row.adjustments.forEach(adjustment =>
+                io.stderr(`warning: ${formatAdjustment(row, adjustment)}\n`)
+            )
+        );
+        const violations = rows.flatMap(row =>
+            row.violations.map(violation => formatViolation(row, violation))
+        );
+        violations.forEach(message => io.stderr(message + '\n'));
+        return violations.length ? 1 : 0;
+    } catch (error) {
+        io.stderr(`vischunk: ${error.message}\n`);
+        return 2;
+    }
+}
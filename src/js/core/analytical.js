@@ -0,0 +1,628 @@
+import { GridCoordinate } from './coordinates.js';
+import {
+    padShape,
+    padCoords,
+    product,
+    getChunkCounts,
+    getQueryRanges,
+    forEachCoordinate,
+} from './dimensions.js';
+import { getItemSize } from './dtypes.js';
+import { MAX_COMPRESSION_RATIO, seededRandom } from './compression.js';
+import { countSelected, describeAxisStride, getLastSelected } from './stride.js';
+
+// Analytical mode works a query's reads out from the query box and the chunk grid
+// instead of visiting every cell, for arrays far too large to enumerate. Cells, chunks
+// and bytes are counted exactly. Range reads are exact for row-major, column-major and
+// Z-order chunk orders, and estimated from a sample of the touched chunks for Hilbert
+// order, which has no closed form, and for strided queries that skip chunks, whose
+// touched chunks no longer form a box. Under a request size limit, reads are only merged
+// while they fit in one request. Exact orders merge whole stretches of reads at a time, so
+// they can pack a request less tightly than a reader going chunk by chunk, and read a few
+// more gap bytes. Randomly sampled reads are split as if their chunks and the gaps between
+// them were all of their mean size. Shards aren't modelled, and the per-chunk compression
+// models are taken at their nominal ratio.
+
+export const DEFAULT_ANALYSIS = {
+    analytical: false, // Work out the metrics rather than simulating every cell
+};
+
+// Touched chunks sampled to estimate range reads where they are estimated
+export const ORDER_SAMPLE_COUNT = 2000;
+
+// Curve positions searched back from a sampled chunk for the chunk stored before it
+const MAX_PREDECESSOR_STEPS = 4096;
+
+// Axes from the fastest varying, for the orders that nest one axis in the next
+function getAxisOrder(algorithm, axisCount) {
+    const order = Array.from({ length: axisCount }, (_, axis) => axis);
+    if (algorithm === 'col-major') {
+        [order[0], order[1]] = [1, 0];
+    }
+    return order;
+}
+
+// Stored bytes of a chunk by its number of cells. The random and data-driven models
+// depend on each chunk, so every chunk is taken to compress by the nominal ratio.
+function getChunkSizer(params) {
+    const itemSize = getItemSize(params.dtype, params.customItemSize);
+    const { compression = 'none', compressionRatio = 1 } = params;
+    if (compression === 'none') {
+        return cells => cells * itemSize;
+    }
+    const ratio = Math.min(Math.max(1, compressionRatio), MAX_COMPRESSION_RATIO);
+    return cells => Math.max(1, Math.round((cells * itemSize) / ratio));
+}
+
+// One axis of the chunk grid: its chunk count, and the cells of a chunk along it and
+// how many of them the query selects, by chunk index. A strided range touches the
+// chunks it selects cells in, which skips some when its step is longer than a chunk.
+function describeAxis(size, chunkSize, range) {
+    const chunkCount = Math.ceil(size / chunkSize);
+    const stride = describeAxisStride(chunkSize, range);
+    const empty = stride.cells === 0;
+    const first = empty ? 0 : Math.floor(range[0] / chunkSize);
+    const last = empty ? -1 : Math.floor(getLastSelected(range) / chunkSize);
+    const skips = stride.touchedChunks < stride.spannedChunks;
+    const extentAt = index => Math.min((index + 1) * chunkSize, size) - index * chunkSize;
+    const overlapAt = index =>
+        countSelected(range, index * chunkSize, index * chunkSize + extentAt(index));
+    // Indexes where chunks stop looking alike: the query's first and last chunks, and a
+    // partial chunk at the end
+    const breaks = new Set([0, chunkCount]);
+    if (!empty) {
+        breaks.add(first).add(last + 1);
+    }
+    if (size % chunkSize !== 0) {
+        breaks.add(chunkCount - 1);
+    }
+    return {
+        chunkCount,
+        chunkSize,
+        range,
+        skips,
+        breaks: [...breaks].sort((a, b) => a - b),
+        extentAt,
+        inQuery: index => index >= first && index <= last && (!skips || overlapAt(index) > 0),
+        overlapAt,
+        box: empty ? null : [first, last],
+        touchedCount: stride.touchedChunks,
+        touchedAt: stride.touchedAt,
+    };
+}
+
+// The chunks along an axis grouped by their cells and the query's share of them, as
+// [{ count, extent, overlap }]
+function getAxisClasses(axis) {
+    const { chunkCount, chunkSize, box, extentAt, overlapAt } = axis;
+    const classes = new Map();
+    const add = (count, extent, overlap) => {
+        const key = `${extent},${overlap}`;
+        const previous = classes.get(key)?.count || 0;
+        classes.set(key, { count: previous + count, extent, overlap });
+    };
+    const special = [...new Set([...(box || []), chunkCount - 1])];
+    special.forEach(index => add(1, extentAt(index), overlapAt(index)));
+    // Every other chunk is whole, and wholly inside or outside the query
+    const inside = box
+        ? box[1] - box[0] + 1 - special.filter(index => index >= box[0] && index <= box[1]).length
+        : 0;
+    // A whole chunk inside a strided range holds either of the two cell counts the step
+    // can fit in it, and how many hold the larger follows from the cells they hold in all
+    const fewer = Math.floor(chunkSize / axis.range[2]);
+    const selected =
+        inside > 0 ? countSelected(axis.range, (box[0] + 1) * chunkSize, box[1] * chunkSize) : 0;
+    const more = selected - fewer * inside;
+    add(inside - more, chunkSize, fewer);
+    add(more, chunkSize, fewer + 1);
+    add(chunkCount - special.length - inside, chunkSize, 0);
+    return [...classes.values()].filter(({ count }) => count > 0);
+}
+
+// Sums `value(count, extents, overlaps)` over every combination of the axes' classes
+function sumOverChunkClasses(axisClasses, value) {
+    let total = 0;
+    const visit = (axis, count, extents, overlaps) => {
+        if (axis === axisClasses.length) {
+            total += value(count, extents, overlaps);
+            return;
+        }
+        axisClasses[axis].forEach(axisClass => {
+            visit(
+                axis + 1,
+                count * axisClass.count,
+                [...extents, axisClass.extent],
+                [...overlaps, axisClass.overlap]
+            );
+        });
+    };
+    visit(0, 1, [], []);
+    return total;
+}
+
+// Storage order is summarized a stretch of chunks at a time. A stretch the query doesn't
+// touch is { runs: 0, gap } bytes long. Otherwise the reads in it, merged across gaps of
+// up to `limits.gap` bytes while they fit in `limits.size`, form groups, and the stretch
+// is { runs, lead, first, groups, last, trail, single }: its runs of touched chunks,
+// the bytes before its first group, the first group's bytes, a count of the groups
+// between the first and last by their bytes, the last group's bytes, the bytes after
+// it, and whether first and last are the one group. Stretches join end to end, so the whole order is built from a few.
+function chunkStretch(bytes, touched) {
+    return touched
+        ? { runs: 1, lead: 0, first: bytes, groups: new Map(), last: bytes, trail: 0, single: true }
+        : { runs: 0, gap: bytes };
+}
+
+function addGroup(groups, bytes, count = 1) {
+    groups.set(bytes, (groups.get(bytes) || 0) + count);
+    return groups;
+}
+
+function mergeGroups(a, b) {
+    const groups = new Map(a);
+    b.forEach((count, bytes) => addGroup(groups, bytes, count));
+    return groups;
+}
+
+function joinStretches(a, b, limits) {
+    if (!a || !b) {
+        return a || b;
+    }
+    if (a.runs === 0 && b.runs === 0) {
+        return { runs: 0, gap: a.gap + b.gap };
+    }
+    if (a.runs === 0) {
+        return { ...b, lead: a.gap + b.lead };
+    }
+    if (b.runs === 0) {
+        return { ...a, trail: a.trail + b.gap };
+    }
+    return joinTouchedStretches(a, b, limits);
+}
+
+// Two stretches that both hold reads: the last group of one and the first of the
+// other become one if the bytes between them are few enough and the group fits in a
+// request. Like the reader, this merges whole groups or none of them.
+function joinTouchedStretches(a, b, limits) {
+    const between = a.trail + b.lead;
+    const groups = mergeGroups(a.groups, b.groups);
+    const joined = {
+        runs: a.runs + b.runs - (between === 0 ? 1 : 0),
+        lead: a.lead,
+        trail: b.trail,
+    };
+    const merged = a.last + between + b.first;
+    if (between <= limits.gap && (!limits.size || merged <= limits.size)) {
+        if (!a.single && !b.single) {
+            addGroup(groups, merged);
+        }
+        return {
+            ...joined,
+            first: a.single ? merged : a.first,
+            last: b.single ? merged : b.last,
+            groups,
+            single: a.single && b.single,
+        };
+    }
+    if (!a.single) {
+        addGroup(groups, a.last);
+    }
+    if (!b.single) {
+        addGroup(groups, b.first);
+    }
+    return { ...joined, first: a.first, last: b.last, groups, single: false };
+}
+
+// `times` copies of a stretch end to end, built by doubling
+function repeatStretch(stretch, times, limits) {
+    let result = null;
+    let power = stretch;
+    for (let remaining = times; remaining > 0; remaining = Math.floor(remaining / 2)) {
+        if (remaining % 2 === 1) {
+            result = joinStretches(result, power, limits);
+        }
+        if (remaining > 1) {
+            power = joinStretches(power, power, limits);
+        }
+    }
+    return result;
+}
+
+// Row-major and column-major orders visit the chunk grid one axis inside the next. Along
+// each axis the chunks fall into a few stretches that look alike, so each level is a
+// handful of repeated stretches of the level below.
+function summarizeNestedOrder(axes, algorithm, sizeOf, limits) {
+    const order = getAxisOrder(algorithm, axes.length);
+    const segments = axes.map(axis =>
+        axis.breaks.slice(0, -1).map((index, i) => ({
+            count: axis.breaks[i + 1] - index,
+            extent: axis.extentAt(index),
+            inQuery: axis.inQuery(index),
+        }))
+    );
+    const memo = new Map();
+    const visit = (level, cells, inQuery) => {
+        if (level < 0) {
+            return chunkStretch(sizeOf(cells), inQuery);
+        }
+        const key = `${level},${cells},${inQuery}`;
+        if (!memo.has(key)) {
+            const stretch = segments[order[level]].reduce(
+                (result, segment) =>
+                    joinStretches(
+                        result,
+                        repeatStretch(
+                            visit(level - 1, cells * segment.extent, inQuery && segment.inQuery),
+                            segment.count,
+                            limits
+                        ),
+                        limits
+                    ),
+                null
+            );
+            memo.set(key, stretch);
+        }
+        return memo.get(key);
+    };
+    return visit(order.length - 1, 1, true);
+}
+
+// Z-order visits aligned blocks of 2^level chunks per axis one after another, their
+// sub-blocks in bit order. Blocks the query's edges or the grid's end don't cut through
+// look alike, so only the few that are cut are summarized on their own.
+function summarizeMortonOrder(axes, curveAxes, sizeOf, limits) {
+    const outer = axes.slice(curveAxes);
+    const outerCells = product(outer.map(axis => axis.extentAt(0)));
+    const outerInQuery = outer.every(axis => axis.inQuery(0));
+    const curve = axes.slice(0, curveAxes);
+    const levels = Math.ceil(Math.log2(Math.max(...curve.map(axis => axis.chunkCount))));
+    const memo = new Map();
+
+    const classify = (axis, origin, length) => {
+        if (origin >= axis.chunkCount) {
+            return null;
+        }
+        if (axis.breaks.some(index => index > origin && index < origin + length)) {
+            return `@${origin}`;
+        }
+        return `${axis.extentAt(origin)}${axis.inQuery(origin) ? 'q' : ''}`;
+    };
+    const visit = (level, origins) => {
+        const length = 2 ** level;
+        const classes = curve.map((axis, i) => classify(axis, origins[i], length));
+        // Blocks past the end of the grid hold no chunks
+        if (classes.includes(null)) {
+            return null;
+        }
+        const key = `${level}|${classes.join('|')}`;
+        if (!memo.has(key)) {
+            let stretch = null;
+            if (level === 0) {
+                const cells =
+                    outerCells * product(curve.map((axis, i) => axis.extentAt(origins[i])));
+                const inQuery = outerInQuery && curve.every((axis, i) => axis.inQuery(origins[i]));
+                stretch = chunkStretch(sizeOf(cells), inQuery);
+            } else {
+                const half = length / 2;
+                for (let child = 0; child < 2 ** curveAxes; child++) {
+                    const childOrigins = origins.map(
+                        (origin, i) => origin + ((child >> i) & 1) * half
+                    );
+                    stretch = joinStretches(stretch, visit(level - 1, childOrigins), limits);
+                }
+            }
+            memo.set(key, stretch);
+        }
+        return memo.get(key);
+    };
+    return visit(levels, new Array(curveAxes).fill(0));
+}
+
+// Inverse of GridCoordinate.mortonEncodeND
+function mortonDecode(index, axisCount) {
+    const coords = new Array(axisCount).fill(0);
+    let remaining = index;
+    for (let bit = 1; remaining > 0; bit *= 2) {
+        for (let axis = 0; axis < axisCount; axis++) {
+            coords[axis] += (remaining % 2) * bit;
+            remaining = Math.floor(remaining / 2);
+        }
+    }
+    return coords;
+}
+
+// A chunk's position in storage order and the chunk at a position, for following a
+// chunk back to the one stored before it. The curves number a power-of-two grid, so
+// some of their positions fall off the chunk grid.
+function getOrderWalk(grid, counts, curveAxes, algorithm) {
+    if (algorithm === 'hilbert') {
+        const side = grid.nextPowerOfTwo(Math.max(...counts.slice(0, curveAxes)));
+        return {
+            position: coords => grid.linearPositionInShape(coords, counts),
+            decode: index =>
+                curveAxes === 2
+                    ? grid.hilbertDecode2D(index, side)
+                    : grid.hilbertDecodeND(index, curveAxes, side),
+        };
+    }
+    if (algorithm === 'z-order') {
+        return {
+            position: coords => grid.mortonEncodeND(coords.slice(0, curveAxes)),
+            decode: index => mortonDecode(index, curveAxes),
+        };
+    }
+    const order = getAxisOrder(algorithm, counts.length);
+    return {
+        position: coords => getOrderRank(coords, counts, algorithm),
+        decode: index => {
+            const coords = new Array(counts.length);
+            let remaining = index;
+            order.forEach(axis => {
+                coords[axis] = remaining % counts[axis];
+                remaining = Math.floor(remaining / counts[axis]);
+            });
+            return coords;
+        },
+    };
+}
+
+// Range reads are estimated from touched chunks, all of them when there are few. Each
+// is followed back along the storage order to the chunk stored before it: if that
+// chunk is also touched they are one run, and if a touched chunk is reached within
+// `coalesceGap` bytes they are one request. When every touched chunk is visited their
+// reads are packed under the request size limit in storage order, as a reader would.
+function sampleOrder(axes, grid, curveAxes, algorithm, sizeOf, limits, touchedCount) {
+    const counts = axes.map(axis => axis.chunkCount);
+    const { position: positionOf, decode } = getOrderWalk(grid, counts, curveAxes, algorithm);
+    const bytesAt = coords => sizeOf(product(axes.map((axis, i) => axis.extentAt(coords[i]))));
+    const isTouched = coords => axes.every((axis, i) => axis.inQuery(coords[i]));
+
+    // Samples are picked by their place among each axis' touched chunks
+    const samples = [];
+    const touchedCounts = axes.map(axis => axis.touchedCount);
+    const toChunk = places => places.map((place, axis) => axes[axis].touchedAt(place));
+    if (touchedCount <= ORDER_SAMPLE_COUNT) {
+        forEachCoordinate(new Array(axes.length).fill(0), touchedCounts, places =>
+            samples.push(toChunk(places))
+        );
+    } else {
+        const random = seededRandom(1);
+        for (let i = 0; i < ORDER_SAMPLE_COUNT; i++) {
+            samples.push(toChunk(touchedCounts.map(count => Math.floor(random() * count))));
+        }
+    }
+
+    const reads = samples.map(coords => {
+        const position = positionOf(coords);
+        let predecessorTouched = null;
+        let gap = 0;
+        let merged = false;
+        for (let step = 1; step <= MAX_PREDECESSOR_STEPS && position - step >= 0; step++) {
+            const previous = padCoords(decode(position - step), axes.length);
+            if (previous.some((value, i) => value >= counts[i])) {
+                continue;
+            }
+            const touched = isTouched(previous);
+            if (predecessorTouched === null) {
+                predecessorTouched = touched;
+            }
+            if (touched) {
+                merged = true;
+                break;
+            }
+            gap += bytesAt(previous);
+            if (gap > limits.gap) {
+                break;
+            }
+        }
+        return { position, bytes: bytesAt(coords), gap, merged, follows: predecessorTouched };
+    });
+    if (touchedCount <= ORDER_SAMPLE_COUNT) {
+        reads.sort((a, b) => a.position - b.position);
+    }
+
+    let runStarts = 0;
+    let groupStarts = 0;
+    let gapBytes = 0;
+    let open = 0;
+    reads.forEach(({ bytes, gap, merged, follows }) => {
+        // Random samples aren't next to each other, so only their gaps are known
+        const fits =
+            !limits.size || touchedCount > ORDER_SAMPLE_COUNT || open + gap + bytes <= limits.size;
+        runStarts += follows ? 0 : 1;
+        if (merged && fits) {
+            gapBytes += gap;
+            open += gap + bytes;
+        } else {
+            groupStarts++;
+            open = bytes;
+        }
+    });
+    const scale = touchedCount / samples.length;
+    return {
+        runs: Math.round(runStarts * scale),
+        groups: Math.max(1, Math.round(groupStarts * scale)),
+        gapBytes: Math.round(gapBytes * scale),
+        sampled: touchedCount > ORDER_SAMPLE_COUNT ? samples.length : 0,
+    };
+}
+
+// Sampled groups are only known on average, as { bytes, chunks, data }: their bytes from
+// end to end, and the chunks in them and those chunks' bytes. A reader packs them into
+// requests of at most `maxSize` bytes chunk after chunk, with the gaps between them,
+// until the next chunk doesn't fit, and a single chunk is never split. Taking chunks and
+// gaps at their mean size, this gives the requests a group needs and the bytes they read,
+// leaving out the gaps where it is cut.
+function splitGroup({ bytes, chunks, data }, maxSize) {
+    if (!maxSize || bytes <= maxSize) {
+        return { requests: 1, bytes };
+    }
+    const chunk = data / chunks;
+    const gap = chunks > 1 ? (bytes - data) / (chunks - 1) : 0;
+    // The small margin keeps rounding in the means from losing a chunk that just fits
+    const perRequest = Math.max(1, Math.floor((maxSize + gap) / (chunk + gap) + 1e-9));
+    const requests = Math.ceil(chunks / perRequest);
+    return { requests, bytes: data + gap * (chunks - requests) };
+}
+
+// The simulation's metrics for `params`, in the same form as SimulationModel.calculateData
+// but without the per-cell sets and ranges. Reads are given as `requestSizes`, a list of
+// [bytes, count], rather than one range each.
+export function analyzeQuery(params) {
+    const shape = padShape(params.size);
+    const chunkShape = padShape(params.chunk, shape.length);
+    const ranges = getQueryRanges(params.query, shape);
+    const axes = shape.map((size, axis) => describeAxis(size, chunkShape[axis], ranges[axis]));
+    const itemSize = getItemSize(params.dtype, params.customItemSize);
+    const sizeOf = getChunkSizer(params);
+    const totalCells = product(shape);
+    const maxSize = params.maxRequestSize || 0;
+    const limits = { gap: params.coalesceGap || 0, size: maxSize };
+
+    const classes = axes.map(getAxisClasses);
+    const storedBytes = sumOverChunkClasses(
+        classes,
+        (count, extents) => count * sizeOf(product(extents))
+    );
+    // Sums `value(cells, requestedCells)` over the chunks the query touches
+    const sumTouched = value =>
+        sumOverChunkClasses(classes, (count, extents, overlaps) =>
+            overlaps.every(overlap => overlap > 0)
+                ? count * value(product(extents), product(overlaps))
+                : 0
+        );
+    const touchedChunkCount = sumTouched(() => 1);
+    const actualCellCount = sumTouched(cells => cells);
+    const chunkBytes = sumTouched(cells => sizeOf(cells));
+    // The query's share of each chunk's stored bytes, as calculateData counts it
+    const requestedBytes = sumTouched((cells, overlap) => (sizeOf(cells) * overlap) / cells);
+    const requestedCellCount = touchedChunkCount > 0 ? sumTouched((_, overlap) => overlap) : 0;
+
+    // Touched chunks only have a summary of their storage order while they form a box
+    const sampled = params.chunkAlgorithm === 'hilbert' || axes.some(axis => axis.skips);
+    let rangeCount = 0;
+    let groups = [];
+    let sampledChunks = 0;
+    if (touchedChunkCount > 0) {
+        const grid = GridCoordinate.fromShape(
+            getChunkCounts(shape, chunkShape),
+            params.chunkAlgorithm
+        );
+        const curveAxes = grid.getCurveDimensions(grid.shape);
+        if (sampled) {
+            const estimate = sampleOrder(
+                axes,
+                grid,
+                curveAxes,
+                params.chunkAlgorithm,
+                sizeOf,
+                limits,
+                touchedChunkCount
+            );
+            rangeCount = estimate.runs;
+            const count = estimate.groups;
+            const { requests, bytes } = splitGroup(
+                {
+                    bytes: (chunkBytes + estimate.gapBytes) / count,
+                    chunks: touchedChunkCount / count,
+                    data: chunkBytes / count,
+                },
+                maxSize
+            );
+            groups = [[bytes / requests, count * requests]];
+            sampledChunks = estimate.sampled;
+        } else {
+            const summary =
+                params.chunkAlgorithm === 'z-order'
+                    ? summarizeMortonOrder(axes, curveAxes, sizeOf, limits)
+                    : summarizeNestedOrder(axes, params.chunkAlgorithm, sizeOf, limits);
+            rangeCount = summary.runs;
+            const ends = summary.single ? [summary.first] : [summary.first, summary.last];
+            const groupCounts = new Map(summary.groups);
+            ends.forEach(bytes => addGroup(groupCounts, bytes));
+            groups = [...groupCounts];
+        }
+    }
+    // Groups fit in a request each, so they are the requests
+    const requestSizes = groups;
+    const readBytes = groups.reduce((total, [bytes, count]) => total + bytes * count, 0);
+    const gapBytes = Math.max(0, readBytes - chunkBytes);
+
+    return {
+        analytical: true,
+        sampledChunks,
+        requestedCellCount,
+        actualCellCount,
+        touchedChunkCount,
+        rangeCount,
+        requestCount: requestSizes.reduce((total, [, count]) => total + count, 0),
+        requestSizes,
+        touchedChunkBox: axes.map(axis => axis.box),
+        totalCells,
+        itemSize,
+        compressed: (params.compression || 'none') !== 'none',
+        sharded: false,
+        indexByteRanges: [],
+        coalescedByteRanges: [],
+        requestedBytes,
+        actualBytes: chunkBytes + gapBytes,
+        indexBytes: 0,
+        gapBytes,
+        totalBytes: totalCells * itemSize,
+        storedBytes,
+    };
+}
+
+// Place of `coords` in the order `algorithm` visits a grid of `counts`, from 0. Exact
+// for row-major, column-major and Z-order. Hilbert order is estimated from how far along
+// the whole curve the coordinates are, which counts the curve outside the grid too.
+export function getOrderRank(coords, counts, algorithm) {
+    switch (algorithm) {
+        case 'z-order':
+            return getMortonRank(coords, counts);
+        case 'hilbert': {
+            const grid = GridCoordinate.fromShape(counts, algorithm);
+            const curveAxes = grid.getCurveDimensions(grid.shape);
+            const side = grid.nextPowerOfTwo(Math.max(...grid.shape.slice(0, curveAxes)));
+            const fraction = grid.linearPositionInShape(coords, grid.shape) / side ** curveAxes;
+            return Math.min(Math.floor(fraction * product(counts)), product(counts) - 1);
+        }
+        default: {
+            let rank = 0;
+            let stride = 1;
+            getAxisOrder(algorithm, counts.length).forEach(axis => {
+                rank += (coords[axis] || 0) * stride;
+                stride *= counts[axis];
+            });
+            return rank;
+        }
+    }
+}
+
+// Chunks in the blocks visited before the one holding `coords`, level by level
+function getMortonRank(coords, counts) {
+    const grid = GridCoordinate.fromShape(counts, 'z-order');
+    const curveAxes = grid.getCurveDimensions(grid.shape);
+    const curveCounts = grid.shape.slice(0, curveAxes);
+    const origins = new Array(curveAxes).fill(0);
+    let rank = 0;
+    for (let level = Math.ceil(Math.log2(Math.max(...curveCounts))); level > 0; level--) {
+        const half = 2 ** (level - 1);
+        let own = 0;
+        curveCounts.forEach((_, axis) => {
+            own += (coords[axis] - origins[axis] >= half ? 1 : 0) << axis;
+        });
+        for (let child = 0; child < own; child++) {
+            rank += product(
+                curveCounts.map((count, axis) => {
+                    const start = origins[axis] + ((child >> axis) & 1) * half;
+                    return Math.min(Math.max(0, count - start), half);
+                })
+            );
+        }
+        curveCounts.forEach((_, axis) => {
+            origins[axis] += ((own >> axis) & 1) * half;
+        });
+    }
+    return rank;
+}
@@ -0,0 +1,73 @@
+// A set of integers from 0 up to a fixed capacity, such as cell or chunk ids, kept as
+// one bit each. It has the parts of the Set interface the simulation's results are
+// read with: size, has, add, forEach and iteration, all in ascending order.
+export class BitSet {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.words = new Uint32Array(Math.ceil(capacity / 32));
+        this.size = 0;
+    }
+
+    // Bit sets posted from the worker arrive as plain objects, with their words intact
+    static from({ capacity, words, size }) {
+        const set = Object.create(BitSet.prototype);
+        return Object.assign(set, { capacity, words, size });
+    }
+
+    has(value) {
+        return (
+            value >= 0 &&
+            value < this.capacity &&
+            (this.words[value >>> 5] & (1 << (value & 31))) !== 0
+        );
+    }
+
+    add(value) {
+        const word = value >>> 5;
+        const bit = 1 << (value & 31);
+        if ((this.words[word] & bit) === 0) {
+            this.words[word] |= bit;
+            this.size++;
+        }
+        return this;
+    }
+
+    forEach(callback) {
+        const { words } = this;
+        for (let word = 0; word < words.length; word++) {
+            let bits = words[word];
+            while (bits !== 0) {
+                const lowest = bits & -bits;
+                callback(word * 32 + 31 - Math.clz32(lowest));
+                bits ^= lowest;
+            }
+        }
+    }
+
+    *[Symbol.iterator]() {
+        const { words } = this;
+        for (let word = 0; word < words.length; word++) {
+            let bits = words[word];
+            while (bits !== 0) {
+                const lowest = bits & -bits;
+                yield word * 32 + 31 - Math.clz32(lowest);
+                bits ^= lowest;
+            }
+        }
+    }
+
+    // Runs of consecutive members, as inclusive [start, end] ranges
+    getRanges() {
+        const ranges = [];
+        let last = null;
+        this.forEach(value => {
+            if (last && value === last[1] + 1) {
+                last[1] = value;
+            } else {
+                last = [value, value];
+                ranges.push(last);
+            }
+        });
+        return ranges;
+    }
+}
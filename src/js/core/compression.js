@@ -0,0 +1,75 @@
+import { forEachCoordinate } from './dimensions.js';
+
+// Chunk compression models. Compressed chunks have different stored sizes, so
+// each chunk's byte offset depends on the sizes of all the chunks stored before it.
+
+export const COMPRESSION_MODELS = {
+    none: 'None',
+    fixed: 'Fixed ratio',
+    random: 'Random per chunk',
+    data: 'Data-driven',
+};
+
+export const MAX_COMPRESSION_RATIO = 20;
+
+export const DEFAULT_COMPRESSION = {
+    compression: 'none',
+    compressionRatio: 3,
+    compressionSeed: 1,
+};
+
+// Seeded PRNG (mulberry32), so random ratios stay stable between renders
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Synthetic values for the data-driven model: a smooth feature in the middle of
+// the array that fades to a flat background, in the range 0 - 1
+export function syntheticValue(coords, shape) {
+    const distance = coords.reduce((sum, value, axis) => {
+        if (shape[axis] <= 1) {
+            return sum;
+        }
+        const offset = (value + 0.5 - shape[axis] / 2) / (shape[axis] / 4);
+        return sum + offset * offset;
+    }, 0);
+    return Math.exp(-distance);
+}
+
+// Compression ratio of every chunk, given in storage order as { start, end } cell
+// bounds. Ratios range from 1 (incompressible) to 2 * ratio - 1, averaging about `ratio`
+// for the random model.
+export function getCompressionRatios(settings, chunks, shape) {
+    const { compression = 'none', compressionRatio = 1, compressionSeed = 1 } = settings;
+    const ratio = Math.min(Math.max(1, compressionRatio), MAX_COMPRESSION_RATIO);
+
+    switch (compression) {
+        case 'fixed':
+            return chunks.map(() => ratio);
+        case 'random': {
+            const random = seededRandom(compressionSeed);
+            return chunks.map(() => 1 + (2 * ratio - 2) * random());
+        }
+        case 'data':
+            // Chunks whose values barely vary compress best
+            return chunks.map(({ start, end }) => {
+                let min = Infinity;
+                let max = -Infinity;
+                forEachCoordinate(start, end, coords => {
+                    const value = syntheticValue(coords, shape);
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                });
+                return 1 + (2 * ratio - 2) * (1 - (max - min));
+            });
+        default:
+            return chunks.map(() => 1);
+    }
+}
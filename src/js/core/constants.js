@@ -1,137 +1,244 @@
+import { DEFAULT_ELEMENT_TYPE } from './dtypes.js';
+import { DEFAULT_COMPRESSION } from './compression.js';
+import { DEFAULT_SHARDING } from './sharding.js';
+import { DEFAULT_COALESCING } from './ranges.js';
+import { DEFAULT_STORAGE } from './storage.js';
+import { DEFAULT_ANALYSIS } from './analytical.js';
+
 // Configuration constants
 export const CONFIG = {
     MAX_CANVAS_SIZE: 400, // Maximum canvas size in pixels
     MIN_CELL_SIZE: 2, // Minimum cell size for drawing details
-    VIEWPORT_CELL_SIZE: 8, // Cell size threshold for viewport rendering
     LRU_CONFIG_CACHE_SIZE: 50, // Max number of recent configurations to cache (for chunk/cell mappings)
     LRU_DETAIL_CACHE_SIZE: 20000, // Max number of recent detail items to cache (colors, coordinates)
     RESIZE_DEBOUNCE_MS: 150, // Debounce timeout for resize events
+    SIMULATION_PENDING_MS: 150, // Delay before views are dimmed while the simulation runs
+    SIMULATION_BATCH_CHUNKS: 1024, // Chunks simulated between chances to stop a replaced run
+    MIN_DIMENSIONS: 2, // The spatial views always show the first two axes
+    MAX_DIMENSIONS: 6, // Max number of array axes
+    MAX_SPATIAL_SIZE: 1024, // Max extent of the X and Y axes
+    MAX_SPATIAL_ZOOM: 64, // Max zoom of the spatial views, relative to fitting the array
+    MIN_LINEAR_WINDOW_CELLS: 16, // Fewest cells the linear views can be zoomed in to
+    MAX_OUTER_SIZE: 16, // Max extent of every axis beyond X and Y
+    MAX_TOTAL_CELLS: 1048576, // Max total cells, to prevent browser lockup
+    MAX_SHARD_REPORT_ROWS: 12, // Shards listed individually in the shard request report
+    MIN_PATH_STEP_SIZE: 4, // Min pixels between cell or chunk centers to draw a traversal path
+    MAX_ANALYTICAL_SIZE: 1e9, // Max extent of every axis with analytical metrics
+    MAX_ANALYTICAL_CELLS: 1e15, // Max total cells with analytical metrics
+    ANALYTICAL_OVERVIEW_BLOCKS: 96, // Blocks across each spatial view with analytical metrics
+    MIN_CHUNK_GRID_SPACING: 6, // Min pixels between chunk boundaries to outline chunks there
+    MAX_OPTIMIZER_SHAPES: 400, // Most chunk shapes the optimizer tries in each chunk order
+    MAX_OPTIMIZER_RESULTS: 15, // Layouts of the optimizer's Pareto frontier listed
+};
+
+// Linearization orders for cells, chunks and the chunks within a shard
+export const LINEARIZATION_ALGORITHMS = {
+    'row-major': 'Row-Major',
+    'col-major': 'Column-Major',
+    'z-order': 'Z-Order (Morton)',
+    hilbert: 'Hilbert Curve',
 };
 
+// Settings for how the array is stored and read, as opposed to the array and the query.
+// In comparison mode the second layout has its own copy of these.
+export const LAYOUT_SETTINGS = [
+    'cellAlgorithm',
+    'chunkAlgorithm',
+    'dtype',
+    'customItemSize',
+    'compression',
+    'compressionRatio',
+    'compressionSeed',
+    'sharding',
+    'innerChunkAlgorithm',
+    'coalesceGap',
+    'maxRequestSize',
+    'chunk',
+    'shard',
+];
+
 export const PRESET_CONFIGS = {
     'small-tiles': {
         name: 'Small Tiles vs Large Query',
         cellAlgorithm: 'row-major',
         chunkAlgorithm: 'row-major',
-        sizeX: 32,
-        sizeY: 32,
-        sizeZ: 1,
-        chunkX: 2,
-        chunkY: 2,
-        chunkZ: 1,
-        queryX1: 8,
-        queryX2: 24,
-        queryY1: 8,
-        queryY2: 24,
-        queryZ1: 0,
-        queryZ2: 0,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y'],
+        size: [32, 32],
+        chunk: [2, 2],
+        shard: [2, 2],
+        query: [
+            [8, 24],
+            [8, 24],
+        ],
     },
     'large-tiles': {
         name: 'Large Tiles vs Small Query',
         cellAlgorithm: 'row-major',
         chunkAlgorithm: 'row-major',
-        sizeX: 32,
-        sizeY: 32,
-        sizeZ: 1,
-        chunkX: 16,
-        chunkY: 16,
-        chunkZ: 1,
-        queryX1: 10,
-        queryX2: 14,
-        queryY1: 10,
-        queryY2: 14,
-        queryZ1: 0,
-        queryZ2: 0,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y'],
+        size: [32, 32],
+        chunk: [16, 16],
+        shard: [2, 2],
+        query: [
+            [10, 14],
+            [10, 14],
+        ],
     },
     'row-vs-col': {
         name: 'Row-Major vs Column-Major',
         cellAlgorithm: 'col-major',
         chunkAlgorithm: 'row-major',
-        sizeX: 16,
-        sizeY: 16,
-        sizeZ: 1,
-        chunkX: 4,
-        chunkY: 8,
-        chunkZ: 1,
-        queryX1: 2,
-        queryX2: 6,
-        queryY1: 4,
-        queryY2: 12,
-        queryZ1: 0,
-        queryZ2: 0,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y'],
+        size: [16, 16],
+        chunk: [4, 8],
+        shard: [2, 2],
+        query: [
+            [2, 6],
+            [4, 12],
+        ],
     },
     'spatial-locality': {
         name: 'Spatial Locality Comparison',
         cellAlgorithm: 'hilbert',
         chunkAlgorithm: 'hilbert',
-        sizeX: 16,
-        sizeY: 16,
-        sizeZ: 1,
-        chunkX: 4,
-        chunkY: 4,
-        chunkZ: 1,
-        queryX1: 6,
-        queryX2: 9,
-        queryY1: 6,
-        queryY2: 9,
-        queryZ1: 0,
-        queryZ2: 0,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y'],
+        size: [16, 16],
+        chunk: [4, 4],
+        shard: [2, 2],
+        query: [
+            [6, 9],
+            [6, 9],
+        ],
     },
     fragmentation: {
         name: 'High Fragmentation Scenario',
         cellAlgorithm: 'z-order',
         chunkAlgorithm: 'col-major',
-        sizeX: 20,
-        sizeY: 20,
-        sizeZ: 1,
-        chunkX: 3,
-        chunkY: 3,
-        chunkZ: 1,
-        queryX1: 1,
-        queryX2: 18,
-        queryY1: 5,
-        queryY2: 7,
-        queryZ1: 0,
-        queryZ2: 0,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y'],
+        size: [20, 20],
+        chunk: [3, 3],
+        shard: [2, 2],
+        query: [
+            [1, 18],
+            [5, 7],
+        ],
     },
     'perfect-alignment': {
         name: 'Perfect Chunk Alignment',
         cellAlgorithm: 'row-major',
         chunkAlgorithm: 'row-major',
-        sizeX: 16,
-        sizeY: 16,
-        sizeZ: 1,
-        chunkX: 4,
-        chunkY: 4,
-        chunkZ: 1,
-        queryX1: 4,
-        queryX2: 7,
-        queryY1: 4,
-        queryY2: 7,
-        queryZ1: 0,
-        queryZ2: 0,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y'],
+        size: [16, 16],
+        chunk: [4, 4],
+        shard: [2, 2],
+        query: [
+            [4, 7],
+            [4, 7],
+        ],
+    },
+    'time-series': {
+        name: 'Time Series at a Point (4D)',
+        cellAlgorithm: 'row-major',
+        chunkAlgorithm: 'row-major',
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: ['x', 'y', 'level', 'time'],
+        size: [16, 16, 4, 12],
+        chunk: [8, 8, 1, 4],
+        shard: [2, 2, 1, 1],
+        query: [
+            [5, 5],
+            [9, 9],
+            [0, 0],
+            [0, 11],
+        ],
     },
 };
 
 export const DEFAULT_USER_SETTINGS = {
     cellAlgorithm: 'row-major',
     chunkAlgorithm: 'row-major',
-    sizeX: 16,
-    sizeY: 16,
-    sizeZ: 1,
-    chunkX: 4,
-    chunkY: 4,
-    chunkZ: 1,
-    queryX1: 3,
-    queryX2: 10,
-    queryY1: 3,
-    queryY2: 10,
-    queryZ1: 0,
-    queryZ2: 0,
+    ...DEFAULT_ELEMENT_TYPE,
+    ...DEFAULT_COMPRESSION,
+    ...DEFAULT_SHARDING,
+    ...DEFAULT_COALESCING,
+    ...DEFAULT_ANALYSIS,
+    dimensionNames: ['x', 'y'],
+    size: [16, 16],
+    chunk: [4, 4],
+    shard: [2, 2],
+    query: [
+        [3, 10],
+        [3, 10],
+    ],
+};
+
+// Comparison mode: `layout` holds the second layout's LAYOUT_SETTINGS, and `editing`
+// which of the two layouts the controls change
+export const DEFAULT_COMPARISON = {
+    enabled: false,
+    editing: 'a',
+    layout: null,
+};
+
+// A named mix of queries, as { name, query, weight }, each weighted by how often it is
+// made; the metrics panel and the layout optimizer both read it
+export const DEFAULT_WORKLOAD = {
+    name: 'Workload',
+    queries: [],
+};
+
+// Layout optimizer: `objective` is what the layouts found are ranked by
+export const DEFAULT_OPTIMIZER = {
+    objective: 'readTime',
+};
+
+// Display toggles that don't change the simulation, shared by both layouts
+export const DEFAULT_VIEW_OPTIONS = {
+    showCellPath: false,
+    showChunkPath: false,
 };
 
 export const DEFAULT_APP_STATE = {
     currentPreset: 'user',
+    ...DEFAULT_STORAGE,
+    comparison: DEFAULT_COMPARISON,
+    workload: DEFAULT_WORKLOAD,
+    optimizer: DEFAULT_OPTIMIZER,
+    viewOptions: DEFAULT_VIEW_OPTIONS,
     presets: {
         user: DEFAULT_USER_SETTINGS,
         // Other preset states get copied here as user modifies them
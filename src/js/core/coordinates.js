@@ -1,55 +1,113 @@
+import {
+    padShape,
+    padCoords,
+    product,
+    forEachCoordinate,
+    forEachRow,
+    getChunkCounts,
+    rowMajorIndex,
+} from './dimensions.js';
+
 export class GridCoordinate {
     constructor(sizeX, sizeY, sizeZ, algorithm, cache) {
         this.sizeX = sizeX;
         this.sizeY = sizeY;
         this.sizeZ = Math.max(1, sizeZ || 1);
+        this.shape = [this.sizeX, this.sizeY, this.sizeZ];
         this.algorithm = algorithm || 'row-major';
         this.cache = cache;
     }
 
-    linearize(x, y, z = 0) {
-        const cacheKey = JSON.stringify([
-            x,
-            y,
-            z,
-            this.sizeX,
-            this.sizeY,
-            this.sizeZ,
-            this.algorithm,
-        ]);
+    // Create a grid with any number of axes; axes beyond Z are ordered outward from Z
+    static fromShape(shape, algorithm, cache) {
+        const padded = padShape(shape);
+        const grid = new GridCoordinate(padded[0], padded[1], padded[2], algorithm, cache);
+        grid.shape = padded;
+        return grid;
+    }
+
+    linearize(x, y, z = 0, ...higher) {
+        return this.linearizeCoords([x, y, z, ...higher]);
+    }
+
+    linearizeCoords(coords) {
+        const cacheKey = JSON.stringify([coords, this.shape, this.algorithm]);
         if (this.cache && this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        const result = this.calculateLinearPosition(x, y, z);
+        const result = this.linearPositionInShape(padCoords(coords, this.shape.length), this.shape);
         if (this.cache) {
             this.cache.set(cacheKey, result);
         }
         return result;
     }
 
-    calculateLinearPosition(x, y, z) {
+    calculateLinearPosition(x, y, z = 0, ...higher) {
+        return this.linearPositionInShape(
+            padCoords([x, y, z, ...higher], this.shape.length),
+            this.shape
+        );
+    }
+
+    linearPositionInShape(coords, shape) {
         switch (this.algorithm) {
+            case 'col-major': {
+                // Y varies fastest, then X; any further axes follow outward as in row-major
+                let position = coords[1] + coords[0] * shape[1];
+                let stride = shape[0] * shape[1];
+                for (let axis = 2; axis < shape.length; axis++) {
+                    position += coords[axis] * stride;
+                    stride *= shape[axis];
+                }
+                return position;
+            }
+            case 'z-order': {
+                const n = this.getCurveDimensions(shape);
+                if (n === 2) {
+                    return this.mortonEncode2D(coords[0], coords[1]);
+                }
+                if (n === 3) {
+                    return this.mortonEncode3D(coords[0], coords[1], coords[2]);
+                }
+                return this.mortonEncodeND(coords.slice(0, n));
+            }
+            case 'hilbert': {
+                const n = this.getCurveDimensions(shape);
+                if (n === 2) {
+                    return this.hilbertEncode2D(coords[0], coords[1], Math.max(shape[0], shape[1]));
+                }
+                return this.hilbertEncodeND(coords.slice(0, n), Math.max(...shape.slice(0, n)));
+            }
             case 'row-major':
-                return x + y * this.sizeX + z * this.sizeX * this.sizeY;
-            case 'col-major':
-                return y + x * this.sizeY + z * this.sizeX * this.sizeY;
-            case 'z-order':
-                return this.sizeZ > 1 ? this.mortonEncode3D(x, y, z) : this.mortonEncode2D(x, y);
-            case 'hilbert':
-                if (this.sizeZ > 1) {
-                    return (
-                        z * this.sizeX * this.sizeY +
-                        this.hilbertEncode2D(x, y, Math.max(this.sizeX, this.sizeY))
-                    );
-                } else {
-                    return this.hilbertEncode2D(x, y, Math.max(this.sizeX, this.sizeY));
+            default: {
+                let position = 0;
+                let stride = 1;
+                for (let axis = 0; axis < shape.length; axis++) {
+                    position += coords[axis] * stride;
+                    stride *= shape[axis];
                 }
-            default:
-                return x + y * this.sizeX + z * this.sizeX * this.sizeY;
+                return position;
+            }
         }
     }
 
+    // Curves leave gaps in the positions of non-power-of-two grids, so their positions
+    // are renumbered into a dense order before use
+    needsNormalization() {
+        return this.algorithm === 'z-order' || this.algorithm === 'hilbert';
+    }
+
+    // Space-filling curves only interleave the axes up to the last one with extent,
+    // so a 16x16x1 grid gets a 2D curve rather than a 3D curve with an empty axis
+    getCurveDimensions(shape) {
+        let n = shape.length;
+        while (n > 2 && shape[n - 1] <= 1) {
+            n--;
+        }
+        return n;
+    }
+
     getBounds(gridX, gridY, gridZ = 0, nominalSizeX, nominalSizeY, nominalSizeZ = 1) {
         const startX = gridX * nominalSizeX;
         const startY = gridY * nominalSizeY;
@@ -77,7 +135,7 @@ export class GridCoordinate {
     }
 
     getTotalCells() {
-        return this.sizeX * this.sizeY * this.sizeZ;
+        return product(this.shape);
     }
 
     mortonEncode2D(x, y) {
@@ -99,6 +157,22 @@ export class GridCoordinate {
         return result;
     }
 
+    mortonEncodeND(coords) {
+        // Arithmetic rather than bitwise so indices beyond 32 bits stay exact
+        const maxCoord = Math.max(...coords);
+        let result = 0;
+        let place = 1;
+        for (let bit = 1; bit <= maxCoord; bit *= 2) {
+            for (const value of coords) {
+                if (value & bit) {
+                    result += place;
+                }
+                place *= 2;
+            }
+        }
+        return result;
+    }
+
     nextPowerOfTwo(n) {
         if (n <= 1) {
             return 1;
@@ -119,6 +193,24 @@ export class GridCoordinate {
         return d;
     }
 
+    // Inverse of hilbertEncode2D, arithmetic so indices beyond 32 bits stay exact
+    hilbertDecode2D(index, maxDim) {
+        const n = this.nextPowerOfTwo(maxDim);
+
+        let x = 0;
+        let y = 0;
+        let remaining = index;
+        for (let s = 1; s < n; s *= 2) {
+            const rx = Math.floor(remaining / 2) % 2;
+            const ry = remaining % 2 ^ rx;
+            [x, y] = this.hilbertRotate(s, x, y, rx, ry);
+            x += s * rx;
+            y += s * ry;
+            remaining = Math.floor(remaining / 4);
+        }
+        return [x, y];
+    }
+
     hilbertRotate(n, x, y, rx, ry) {
         if (ry === 0) {
             if (rx === 1) {
@@ -129,6 +221,148 @@ export class GridCoordinate {
         }
         return [x, y];
     }
+
+    hilbertEncode3D(x, y, z, maxDim) {
+        return this.hilbertEncodeND([x, y, z], maxDim);
+    }
+
+    hilbertDecode3D(index, maxDim) {
+        return this.hilbertDecodeND(index, 3, maxDim);
+    }
+
+    // Skilling's transpose algorithm ("Programming the Hilbert curve", AIP 2004).
+    // Works for any number of dimensions; the index is assembled arithmetically
+    // rather than with bit shifts so it doesn't overflow 32 bits.
+    hilbertEncodeND(coords, maxDim) {
+        const bits = Math.log2(this.nextPowerOfTwo(maxDim));
+        const axes = [...coords];
+        const n = axes.length;
+
+        // Inverse undo excess work
+        for (let q = 1 << (bits - 1); q > 1; q >>= 1) {
+            const p = q - 1;
+            for (let i = 0; i < n; i++) {
+                if (axes[i] & q) {
+                    axes[0] ^= p;
+                } else {
+                    const t = (axes[0] ^ axes[i]) & p;
+                    axes[0] ^= t;
+                    axes[i] ^= t;
+                }
+            }
+        }
+
+        // Gray encode
+        for (let i = 1; i < n; i++) {
+            axes[i] ^= axes[i - 1];
+        }
+        let t = 0;
+        for (let q = 1 << (bits - 1); q > 1; q >>= 1) {
+            if (axes[n - 1] & q) {
+                t ^= q - 1;
+            }
+        }
+        for (let i = 0; i < n; i++) {
+            axes[i] ^= t;
+        }
+
+        // Interleave the transposed axes into a single index, most significant bit first
+        let index = 0;
+        for (let b = bits - 1; b >= 0; b--) {
+            for (let i = 0; i < n; i++) {
+                index = index * 2 + ((axes[i] >> b) & 1);
+            }
+        }
+        return index;
+    }
+
+    hilbertDecodeND(index, n, maxDim) {
+        const bits = Math.log2(this.nextPowerOfTwo(maxDim));
+        const axes = new Array(n).fill(0);
+
+        // Split the index back into transposed axes, least significant bit first
+        let remaining = index;
+        for (let b = 0; b < bits; b++) {
+            for (let i = n - 1; i >= 0; i--) {
+                axes[i] |= remaining % 2 << b;
+                remaining = Math.floor(remaining / 2);
+            }
+        }
+
+        // Gray decode
+        const t = axes[n - 1] >> 1;
+        for (let i = n - 1; i > 0; i--) {
+            axes[i] ^= axes[i - 1];
+        }
+        axes[0] ^= t;
+
+        // Undo excess work
+        for (let q = 2; q < 1 << bits; q <<= 1) {
+            const p = q - 1;
+            for (let i = n - 1; i >= 0; i--) {
+                if (axes[i] & q) {
+                    axes[0] ^= p;
+                } else {
+                    const swap = (axes[0] ^ axes[i]) & p;
+                    axes[0] ^= swap;
+                    axes[i] ^= swap;
+                }
+            }
+        }
+        return axes;
+    }
+}
+
+// Chunk grid of a sharded array. Chunks are grouped into shards of shardShape chunks;
+// shards are ordered by the outer algorithm, and chunks within a shard by the inner one.
+export class ShardedGridCoordinate extends GridCoordinate {
+    static fromShape(chunkCounts, shardShape, shardAlgorithm, innerAlgorithm, cache) {
+        const padded = padShape(chunkCounts);
+        const paddedShard = padShape(shardShape, padded.length).map((value, axis) =>
+            Math.min(Math.max(1, value), padded[axis])
+        );
+        const grid = new ShardedGridCoordinate(padded[0], padded[1], padded[2], 'sharded');
+        grid.shape = padded;
+        grid.shardShape = paddedShard;
+        grid.shardGrid = GridCoordinate.fromShape(
+            getChunkCounts(padded, paddedShard),
+            shardAlgorithm,
+            cache
+        );
+        grid.innerGrid = GridCoordinate.fromShape(paddedShard, innerAlgorithm, cache);
+
+        // Inner positions are spaced by the largest one, so every chunk of a shard sorts
+        // before every chunk of the next
+        let innerCapacity = 0;
+        forEachCoordinate(
+            paddedShard.map(() => 0),
+            paddedShard,
+            local => {
+                innerCapacity = Math.max(innerCapacity, grid.innerGrid.linearizeCoords(local) + 1);
+            }
+        );
+        grid.innerCapacity = innerCapacity;
+        return grid;
+    }
+
+    needsNormalization() {
+        return true;
+    }
+
+    getShardCoords(chunkCoords) {
+        return this.shardShape.map((shardSize, axis) =>
+            Math.floor((chunkCoords[axis] || 0) / shardSize)
+        );
+    }
+
+    linearPositionInShape(coords) {
+        const shard = this.getShardCoords(coords);
+        const local = coords.map((value, axis) => value - shard[axis] * this.shardShape[axis]);
+        return (
+            this.shardGrid.linearizeCoords(shard) * this.innerCapacity +
+            this.innerGrid.linearizeCoords(local)
+        );
+    }
 }
 
 export class CellCoordinate extends GridCoordinate {
@@ -148,24 +382,53 @@ export class CellCoordinate extends GridCoordinate {
         this.chunkSizeX = chunkSizeX;
         this.chunkSizeY = chunkSizeY;
         this.chunkSizeZ = chunkSizeZ;
+        this.chunkShape = [chunkSizeX, chunkSizeY, Math.max(1, chunkSizeZ || 1)];
     }
 
-    getParentChunk(cellX, cellY, cellZ = 0) {
-        return {
-            x: Math.floor(cellX / this.chunkSizeX),
-            y: Math.floor(cellY / this.chunkSizeY),
-            z: Math.floor(cellZ / this.chunkSizeZ),
-        };
+    // Create a cell coordinate system with any number of axes
+    static fromShape(shape, cellAlgorithm, chunkGrid, chunkShape, cache) {
+        const padded = padShape(shape);
+        const paddedChunk = padShape(chunkShape, padded.length);
+        const cellCoord = new CellCoordinate(
+            padded[0],
+            padded[1],
+            padded[2],
+            cellAlgorithm,
+            chunkGrid,
+            paddedChunk[0],
+            paddedChunk[1],
+            paddedChunk[2],
+            cache
+        );
+        cellCoord.shape = padded;
+        cellCoord.chunkShape = paddedChunk;
+        return cellCoord;
     }
 
-    getGlobalIndex(cellX, cellY, cellZ = 0) {
-        const chunk = this.getParentChunk(cellX, cellY, cellZ);
+    getParentChunk(cellX, cellY, cellZ = 0, ...higher) {
+        const [x, y, z] = this.getParentChunkCoords([cellX, cellY, cellZ, ...higher]);
+        return { x, y, z };
+    }
+
+    getParentChunkCoords(cellCoords) {
+        return this.chunkShape.map((chunkSize, axis) =>
+            Math.floor((cellCoords[axis] || 0) / chunkSize)
+        );
+    }
+
+    getGlobalIndex(cellX, cellY, cellZ = 0, ...higher) {
+        return this.getGlobalIndexForCoords([cellX, cellY, cellZ, ...higher]);
+    }
+
+    getGlobalIndexForCoords(coords) {
+        const cellCoords = padCoords(coords, this.shape.length);
+        const chunk = this.getParentChunkCoords(cellCoords);
 
         // Get the linearized chunk position from the chunk grid
-        let chunkIndex = this.chunkGrid.linearize(chunk.x, chunk.y, chunk.z);
+        let chunkIndex = this.chunkGrid.linearizeCoords(chunk);
 
-        // For space-filling curves, we need to normalize the chunk index like the original code
-        if (this.chunkGrid.algorithm === 'z-order' || this.chunkGrid.algorithm === 'hilbert') {
+        // For space-filling curves and shards, we need to normalize the chunk index
+        if (this.chunkGrid.needsNormalization()) {
             chunkIndex = this.getNormalizedChunkIndex(chunkIndex, chunk);
         }
 
@@ -173,85 +436,67 @@ export class CellCoordinate extends GridCoordinate {
         const cellsBeforeThisChunk = this.calculateCellsBeforeChunk(chunkIndex);
 
         // Get local cell position within this chunk
-        const localCellIndex = this.getLocalCellIndex(cellX, cellY, cellZ, chunk);
+        const localCellIndex = this.getLocalCellIndex(cellCoords, chunk);
 
         return cellsBeforeThisChunk + localCellIndex;
     }
 
-    getLocalCellIndex(cellX, cellY, cellZ, chunk) {
-        // Calculate the bounds of this chunk in cell coordinates
-        const chunkStartX = chunk.x * this.chunkSizeX;
-        const chunkStartY = chunk.y * this.chunkSizeY;
-        const chunkStartZ = chunk.z * this.chunkSizeZ;
-        const chunkEndX = Math.min(chunkStartX + this.chunkSizeX, this.sizeX);
-        const chunkEndY = Math.min(chunkStartY + this.chunkSizeY, this.sizeY);
-        const chunkEndZ = Math.min(chunkStartZ + this.chunkSizeZ, this.sizeZ);
-
-        // Calculate local coordinates within this specific chunk
-        const localX = cellX - chunkStartX;
-        const localY = cellY - chunkStartY;
-        const localZ = cellZ - chunkStartZ;
-
-        // Calculate actual chunk dimensions (handles partial chunks) - THE KEY FIX
-        const actualChunkX = chunkEndX - chunkStartX;
-        const actualChunkY = chunkEndY - chunkStartY;
-        const actualChunkZ = chunkEndZ - chunkStartZ;
-
-        // Get raw linearization position using actual dimensions
-        const rawPos = this.calculateLinearPosition(
-            localX,
-            localY,
-            localZ,
-            actualChunkX,
-            actualChunkY,
-            actualChunkZ
+    // Start and end (exclusive) of a chunk in cell coordinates, clipped to the array
+    getChunkCellBounds(chunkCoords) {
+        const start = this.chunkShape.map(
+            (chunkSize, axis) => (chunkCoords[axis] || 0) * chunkSize
+        );
+        const end = start.map((value, axis) =>
+            Math.min(value + this.chunkShape[axis], this.shape[axis])
         );
+        return { start, end };
+    }
 
-        // For space-filling curves, we need normalization like the original code
-        if (this.algorithm === 'z-order' || this.algorithm === 'hilbert') {
-            return this.getNormalizedLocalPosition(
-                rawPos,
-                chunk,
-                actualChunkX,
-                actualChunkY,
-                actualChunkZ
-            );
-        }
+    getLocalCellIndex(cellCoords, chunkCoords) {
+        const { start, end } = this.getChunkCellBounds(chunkCoords);
 
-        return rawPos;
+        // Calculate local coordinates and actual chunk dimensions (handles partial chunks)
+        const localCoords = cellCoords.map((value, axis) => value - start[axis]);
+        const actualChunkShape = end.map((value, axis) => value - start[axis]);
+        return this.getLocalPositions(actualChunkShape)[
+            rowMajorIndex(localCoords, actualChunkShape)
+        ];
     }
 
-    calculateLinearPosition(x, y, z, sizeX, sizeY, sizeZ) {
-        // This replicates the original calculateLinearPosition logic exactly
-        switch (this.algorithm) {
-            case 'row-major':
-                return x + y * sizeX + z * sizeX * sizeY;
-            case 'col-major':
-                return y + x * sizeY + z * sizeX * sizeY;
-            case 'z-order':
-                return sizeZ > 1 ? this.mortonEncode3D(x, y, z) : this.mortonEncode2D(x, y);
-            case 'hilbert':
-                if (sizeZ > 1) {
-                    return z * sizeX * sizeY + this.hilbertEncode2D(x, y, Math.max(sizeX, sizeY));
-                } else {
-                    return this.hilbertEncode2D(x, y, Math.max(sizeX, sizeY));
+    // Position within a chunk of each of its cells, by the cells' row-major index in the
+    // chunk. Chunks at the array's edges can be cut short, so there's a table per extent.
+    getLocalPositions(chunkExtent) {
+        const cacheKey = chunkExtent.join(',');
+        if (!this.localPositionsCache) {
+            this.localPositionsCache = new Map();
+        }
+        let positions = this.localPositionsCache.get(cacheKey);
+        if (!positions) {
+            const normalized = this.algorithm === 'z-order' || this.algorithm === 'hilbert';
+            positions = new Uint32Array(product(chunkExtent));
+            let index = 0;
+            forEachCoordinate(
+                chunkExtent.map(() => 0),
+                chunkExtent,
+                localCoords => {
+                    const rawPos = this.linearPositionInShape(localCoords, chunkExtent);
+                    positions[index++] = normalized
+                        ? this.getNormalizedLocalPosition(rawPos, chunkExtent)
+                        : rawPos;
                 }
-            default:
-                return x + y * sizeX + z * sizeX * sizeY;
+            );
+            this.localPositionsCache.set(cacheKey, positions);
         }
+        return positions;
+    }
+
+    calculateLinearPosition(x, y, z, sizeX, sizeY, sizeZ) {
+        return this.linearPositionInShape([x, y, z], [sizeX, sizeY, sizeZ]);
     }
 
-    getNormalizedLocalPosition(rawPos, _chunk, actualChunkX, actualChunkY, actualChunkZ) {
-        // Build the position mapping for this specific chunk (like original getNormalizedCellPosition)
-        const cacheKey = JSON.stringify([
-            _chunk.x,
-            _chunk.y,
-            _chunk.z,
-            actualChunkX,
-            actualChunkY,
-            actualChunkZ,
-            this.algorithm,
-        ]);
+    getNormalizedLocalPosition(rawPos, actualChunkShape) {
+        // The position mapping depends only on the actual (possibly partial) chunk shape
+        const cacheKey = JSON.stringify([actualChunkShape, this.algorithm]);
 
         if (!this.localPositionCache) {
             this.localPositionCache = new Map();
@@ -260,21 +505,13 @@ export class CellCoordinate extends GridCoordinate {
         if (!this.localPositionCache.has(cacheKey)) {
             // Build all positions for this chunk and sort them
             const positions = [];
-            for (let lz = 0; lz < actualChunkZ; lz++) {
-                for (let ly = 0; ly < actualChunkY; ly++) {
-                    for (let lx = 0; lx < actualChunkX; lx++) {
-                        const pos = this.calculateLinearPosition(
-                            lx,
-                            ly,
-                            lz,
-                            actualChunkX,
-                            actualChunkY,
-                            actualChunkZ
-                        );
-                        positions.push(pos);
-                    }
+            forEachCoordinate(
+                actualChunkShape.map(() => 0),
+                actualChunkShape,
+                localCoords => {
+                    positions.push(this.linearPositionInShape(localCoords, actualChunkShape));
                 }
-            }
+            );
             positions.sort((a, b) => a - b);
 
             const positionMap = new Map();
@@ -293,11 +530,30 @@ export class CellCoordinate extends GridCoordinate {
     }
 
     getNormalizedChunkIndex(rawChunkIndex, _chunk) {
+        const { normalizationMap } = this.getChunkNormalizationMaps();
+        const result = normalizationMap.get(rawChunkIndex);
+        if (result === undefined) {
+            throw new Error(
+                `Invalid rawChunkIndex ${rawChunkIndex} not found in normalization map`
+            );
+        }
+        return result;
+    }
+
+    getChunkNormalizationKey() {
+        if (!this.chunkNormalizationKey) {
+            this.chunkNormalizationKey = JSON.stringify([
+                this.chunkGrid.shape,
+                this.chunkGrid.algorithm,
+            ]);
+        }
+        return this.chunkNormalizationKey;
+    }
+
+    getChunkNormalizationMaps() {
         // Build the normalization map for the chunk grid (like original code)
-        const chunksX = this.chunkGrid.sizeX;
-        const chunksY = this.chunkGrid.sizeY;
-        const chunksZ = this.chunkGrid.sizeZ;
-        const cacheKey = JSON.stringify([chunksX, chunksY, chunksZ, this.chunkGrid.algorithm]);
+        const chunkCounts = this.chunkGrid.shape;
+        const cacheKey = this.getChunkNormalizationKey();
 
         if (!this.chunkNormalizationCache) {
             this.chunkNormalizationCache = new Map();
@@ -306,112 +562,136 @@ export class CellCoordinate extends GridCoordinate {
         if (!this.chunkNormalizationCache.has(cacheKey)) {
             // Build all chunk positions and sort them like the original code
             const positions = [];
-            for (let cz = 0; cz < chunksZ; cz++) {
-                for (let cy = 0; cy < chunksY; cy++) {
-                    for (let cx = 0; cx < chunksX; cx++) {
-                        const rawPos = this.chunkGrid.calculateLinearPosition(cx, cy, cz);
-                        positions.push({ rawPos, cx, cy, cz });
-                    }
+            forEachCoordinate(
+                chunkCounts.map(() => 0),
+                chunkCounts,
+                chunkCoords => {
+                    const rawPos = this.chunkGrid.linearPositionInShape(chunkCoords, chunkCounts);
+                    positions.push({ rawPos, chunkCoords: [...chunkCoords] });
                 }
-            }
+            );
             positions.sort((a, b) => a.rawPos - b.rawPos);
 
             const normalizationMap = new Map();
             const reverseMap = new Map();
             positions.forEach((item, seqIndex) => {
                 normalizationMap.set(item.rawPos, seqIndex);
-                reverseMap.set(seqIndex, { x: item.cx, y: item.cy, z: item.cz });
+                reverseMap.set(seqIndex, item.chunkCoords);
             });
             this.chunkNormalizationCache.set(cacheKey, normalizationMap);
             this.chunkNormalizationCache.set(cacheKey + '-reverse', reverseMap);
         }
 
-        const normalizationMap = this.chunkNormalizationCache.get(cacheKey);
-        const result = normalizationMap.get(rawChunkIndex);
-        if (result === undefined) {
-            throw new Error(
-                `Invalid rawChunkIndex ${rawChunkIndex} not found in normalization map`
-            );
-        }
-        return result;
+        return {
+            normalizationMap: this.chunkNormalizationCache.get(cacheKey),
+            reverseMap: this.chunkNormalizationCache.get(cacheKey + '-reverse'),
+        };
     }
 
     calculateCellsBeforeChunk(chunkIndex) {
-        let cellsBeforeThisChunk = 0;
-
-        // Iterate through all chunks before this one in linearization order
-        for (let i = 0; i < chunkIndex; i++) {
-            // Get chunk coordinates from sequential index
-            const chunkCoords = this.delinearizeChunkIndex(i);
-
-            // Calculate actual cells in that chunk using direct bounds calculation
-            const chunkStartX = chunkCoords.x * this.chunkSizeX;
-            const chunkStartY = chunkCoords.y * this.chunkSizeY;
-            const chunkStartZ = chunkCoords.z * this.chunkSizeZ;
-            const chunkEndX = Math.min(chunkStartX + this.chunkSizeX, this.sizeX);
-            const chunkEndY = Math.min(chunkStartY + this.chunkSizeY, this.sizeY);
-            const chunkEndZ = Math.min(chunkStartZ + this.chunkSizeZ, this.sizeZ);
+        return this.getChunkOffsets()[chunkIndex];
+    }
 
-            const actualCellsInChunk =
-                (chunkEndX - chunkStartX) * (chunkEndY - chunkStartY) * (chunkEndZ - chunkStartZ);
-            cellsBeforeThisChunk += actualCellsInChunk;
+    // Cells before each chunk in linearization order, as a running total: the chunk at
+    // index i holds positions offsets[i] up to (not including) offsets[i + 1]
+    getChunkOffsets() {
+        if (!this.chunkOffsets) {
+            const chunkCount = product(this.chunkGrid.shape);
+            const offsets = new Float64Array(chunkCount + 1);
+            for (let i = 0; i < chunkCount; i++) {
+                const { start, end } = this.getChunkCellBounds(this.delinearizeChunkCoords(i));
+                offsets[i + 1] =
+                    offsets[i] + product(end.map((value, axis) => value - start[axis]));
+            }
+            this.chunkOffsets = offsets;
         }
+        return this.chunkOffsets;
+    }
 
-        return cellsBeforeThisChunk;
+    // The global position of every cell, by its row-major cell id, and the inverse: the
+    // cell id at every global position. Filled in a chunk at a time from its offset.
+    getCellPermutation() {
+        if (!this.cellPermutation) {
+            const cellCount = product(this.shape);
+            const positions = new Uint32Array(cellCount);
+            const cellIds = new Uint32Array(cellCount);
+            const offsets = this.getChunkOffsets();
+            for (let i = 0; i < offsets.length - 1; i++) {
+                const { start, end } = this.getChunkCellBounds(this.delinearizeChunkCoords(i));
+                const localPositions = this.getLocalPositions(
+                    end.map((value, axis) => value - start[axis])
+                );
+                let local = 0;
+                forEachRow(start, end, (coords, length) => {
+                    const id = rowMajorIndex(coords, this.shape);
+                    for (let j = 0; j < length; j++) {
+                        const position = offsets[i] + localPositions[local++];
+                        positions[id + j] = position;
+                        cellIds[position] = id + j;
+                    }
+                });
+            }
+            this.cellPermutation = { positions, cellIds };
+        }
+        return this.cellPermutation;
     }
 
     delinearizeChunkIndex(chunkIndex) {
+        const [x, y, z] = this.delinearizeChunkCoords(chunkIndex);
+        return { x, y, z };
+    }
+
+    delinearizeChunkCoords(chunkIndex) {
         // Use the chunk grid dimensions, not the cell grid dimensions
-        const chunksX = this.chunkGrid.sizeX;
-        const chunksY = this.chunkGrid.sizeY;
-        const chunksZ = this.chunkGrid.sizeZ;
+        const chunkCounts = this.chunkGrid.shape;
 
-        // For space-filling curves, use the reverse map from normalization
-        if (this.chunkGrid.algorithm === 'z-order' || this.chunkGrid.algorithm === 'hilbert') {
-            const cacheKey = JSON.stringify([chunksX, chunksY, chunksZ, this.chunkGrid.algorithm]);
+        if (this.chunkGrid.needsNormalization()) {
+            // Prefer the reverse map from normalization once it has been built
+            const cacheKey = this.getChunkNormalizationKey();
             if (
-                this.chunkNormalizationCache &&
-                this.chunkNormalizationCache.has(cacheKey + '-reverse')
+                !this.chunkNormalizationCache ||
+                !this.chunkNormalizationCache.has(cacheKey + '-reverse')
             ) {
-                const reverseMap = this.chunkNormalizationCache.get(cacheKey + '-reverse');
-                const result = reverseMap.get(chunkIndex);
-                if (result === undefined) {
-                    throw new Error(`Invalid chunkIndex ${chunkIndex} not found in reverse map`);
+                const decoded = this.decodeHilbertChunkIndex(chunkIndex, chunkCounts);
+                if (decoded) {
+                    return decoded;
                 }
-                return result;
             }
-        }
 
-        // For row-major and col-major, use direct calculation
-        switch (this.chunkGrid.algorithm) {
-            case 'row-major': {
-                const z_rm = Math.floor(chunkIndex / (chunksX * chunksY));
-                const xyIndex_rm = chunkIndex % (chunksX * chunksY);
-                return {
-                    x: xyIndex_rm % chunksX,
-                    y: Math.floor(xyIndex_rm / chunksX),
-                    z: z_rm,
-                };
-            }
-            case 'col-major': {
-                const z_cm = Math.floor(chunkIndex / (chunksX * chunksY));
-                const xyIndex_cm = chunkIndex % (chunksX * chunksY);
-                return {
-                    x: Math.floor(xyIndex_cm / chunksY),
-                    y: xyIndex_cm % chunksY,
-                    z: z_cm,
-                };
-            }
-            default: {
-                // Fallback to row-major
-                const z_default = Math.floor(chunkIndex / (chunksX * chunksY));
-                const xyIndex_default = chunkIndex % (chunksX * chunksY);
-                return {
-                    x: xyIndex_default % chunksX,
-                    y: Math.floor(xyIndex_default / chunksX),
-                    z: z_default,
-                };
+            const { reverseMap } = this.getChunkNormalizationMaps();
+            const result = reverseMap.get(chunkIndex);
+            if (result === undefined) {
+                throw new Error(`Invalid chunkIndex ${chunkIndex} not found in reverse map`);
             }
+            return result;
+        }
+
+        // For row-major and col-major, peel off one axis at a time from the fastest
+        const axisOrder = chunkCounts.map((_, axis) => axis);
+        if (this.chunkGrid.algorithm === 'col-major') {
+            [axisOrder[0], axisOrder[1]] = [1, 0];
+        }
+        const coords = new Array(chunkCounts.length).fill(0);
+        let remaining = chunkIndex;
+        axisOrder.forEach(axis => {
+            coords[axis] = remaining % chunkCounts[axis];
+            remaining = Math.floor(remaining / chunkCounts[axis]);
+        });
+        return coords;
+    }
+
+    decodeHilbertChunkIndex(chunkIndex, chunkCounts) {
+        // A Hilbert curve of 3+ dimensions over a power-of-two cube fills every index,
+        // so the normalized index is the raw curve index and can be decoded directly
+        const n = this.chunkGrid.getCurveDimensions(chunkCounts);
+        const side = this.chunkGrid.nextPowerOfTwo(Math.max(...chunkCounts.slice(0, n)));
+        if (
+            this.chunkGrid.algorithm !== 'hilbert' ||
+            n < 3 ||
+            chunkCounts.slice(0, n).some(count => count !== side)
+        ) {
+            return null;
         }
+        return padCoords(this.chunkGrid.hilbertDecodeND(chunkIndex, n, side), chunkCounts.length);
     }
 }
@@ -0,0 +1,116 @@
+import { getStep } from './stride.js';
+
+// Helpers for working with shapes and coordinates of any dimensionality.
+// Axis 0 is X (fastest varying in row-major order), axis 1 is Y, axis 2 is Z,
+// and any further axes are ordered outward from there.
+
+export const DEFAULT_DIMENSION_NAMES = ['x', 'y', 'z', 'w', 'v', 'u'];
+
+export function getDefaultDimensionName(axis) {
+    return DEFAULT_DIMENSION_NAMES[axis] || `d${axis}`;
+}
+
+// Pad a shape with size-1 axes so it has at least `minLength` entries
+export function padShape(shape, minLength = 3) {
+    const padded = (shape || []).map(size => Math.max(1, size || 1));
+    while (padded.length < minLength) {
+        padded.push(1);
+    }
+    return padded;
+}
+
+export function padCoords(coords, length) {
+    const padded = coords.slice(0, length).map(value => value || 0);
+    while (padded.length < length) {
+        padded.push(0);
+    }
+    return padded;
+}
+
+export function product(values) {
+    return values.reduce((total, value) => total * value, 1);
+}
+
+export function getChunkCounts(shape, chunkShape) {
+    return shape.map((size, axis) => Math.ceil(size / Math.max(1, chunkShape[axis] || 1)));
+}
+
+// Normalize params.query into one inclusive [start, end, step] range per axis. Accepts
+// either the legacy { x, y, z } object or an array of ranges. Axes without a
+// range select their full extent, and ranges without a step every cell.
+export function getQueryRanges(query, shape) {
+    const ranges = Array.isArray(query) ? query : [query.x, query.y, query.z];
+    return shape.map((size, axis) => {
+        const range = ranges[axis];
+        if (!range) {
+            return [0, size - 1, 1];
+        }
+        return [range[0], Math.min(range[1], size - 1), getStep(range)];
+    });
+}
+
+export function cellKey(coords) {
+    return coords.join(',');
+}
+
+// Visit every coordinate in the half-open box [start, end), X varying fastest. With
+// `step`, only every step[axis]th coordinate from start is visited along each axis.
+export function forEachCoordinate(start, end, callback, step = null) {
+    const n = start.length;
+    if (start.some((value, axis) => value >= end[axis])) {
+        return;
+    }
+    const coords = [...start];
+    while (true) {
+        callback(coords);
+        let axis = 0;
+        while (axis < n) {
+            coords[axis] += step ? step[axis] : 1;
+            if (coords[axis] < end[axis]) {
+                break;
+            }
+            coords[axis] = start[axis];
+            axis++;
+        }
+        if (axis === n) {
+            return;
+        }
+    }
+}
+
+// Visit the first coordinate of every X row of the half-open box [start, end), with the
+// row's length, for callers that walk along rows themselves. With `step`, rows hold
+// every step[0]th coordinate, and their length counts those.
+export function forEachRow(start, end, callback, step = null) {
+    const length = Math.ceil((end[0] - start[0]) / (step ? step[0] : 1));
+    if (length <= 0) {
+        return;
+    }
+    const rowEnd = [start[0] + 1, ...end.slice(1)];
+    forEachCoordinate(start, rowEnd, coords => callback(coords, length), step);
+}
+
+// Row-major (X fastest) index of coords within shape, and its inverse
+export function rowMajorIndex(coords, shape) {
+    let index = 0;
+    let stride = 1;
+    for (let axis = 0; axis < shape.length; axis++) {
+        index += (coords[axis] || 0) * stride;
+        stride *= shape[axis];
+    }
+    return index;
+}
+
+export function rowMajorCoords(index, shape) {
+    const coords = [];
+    let remaining = index;
+    for (let axis = 0; axis < shape.length; axis++) {
+        coords.push(remaining % shape[axis]);
+        remaining = Math.floor(remaining / shape[axis]);
+    }
+    return coords;
+}
+
+export function formatCoords(coords) {
+    return `(${coords.join(', ')})`;
+}
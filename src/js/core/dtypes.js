@@ -0,0 +1,47 @@
+// Element data types and helpers for turning cell positions into byte offsets
+
+export const DTYPES = {
+    uint8: { name: 'uint8', itemSize: 1 },
+    int16: { name: 'int16', itemSize: 2 },
+    float32: { name: 'float32', itemSize: 4 },
+    float64: { name: 'float64', itemSize: 8 },
+    complex64: { name: 'complex64', itemSize: 8 },
+    custom: { name: 'Custom struct', itemSize: null },
+};
+
+export const MAX_CUSTOM_ITEM_SIZE = 1024;
+
+// Element type shared by the presets; the struct size only applies to 'custom'
+export const DEFAULT_ELEMENT_TYPE = {
+    dtype: 'float32',
+    customItemSize: 16,
+};
+
+// Bytes per element. Arrays without a dtype count one byte per cell.
+export function getItemSize(dtype, customItemSize) {
+    if (!dtype || !DTYPES[dtype]) {
+        return 1;
+    }
+    return DTYPES[dtype].itemSize ?? Math.max(1, customItemSize || 1);
+}
+
+// Convert inclusive [start, end] cell ranges into inclusive byte ranges, as in
+// an HTTP Range header
+export function toByteRanges(cellRanges, itemSize) {
+    return cellRanges.map(([start, end]) => [start * itemSize, (end + 1) * itemSize - 1]);
+}
+
+export function countRangeBytes(byteRanges) {
+    return byteRanges.reduce((total, [start, end]) => total + end - start + 1, 0);
+}
+
+export function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
@@ -0,0 +1,129 @@
+import { CONFIG, LINEARIZATION_ALGORITHMS } from './constants.js';
+import { analyzeQuery } from './analytical.js';
+import { estimateReadTime } from './storage.js';
+import { getWeightedMeans } from './workload.js';
+
+// The chunk layout search behind the optimizer panel. Every chunk shape built from
+// powers of two along each axis (plus the whole axis) is tried in every chunk order,
+// and each layout is scored on the workload's queries with analytical metrics, so large
+// arrays can be searched too. Cell order within a chunk doesn't change what is
+// read, as chunks are read whole, so it is kept as it is. Shards aren't modelled, so
+// the layouts found are unsharded.
+
+// What a layout can be ranked by, lowest first; each is a weighted mean over the queries
+export const OPTIMIZER_OBJECTIVES = {
+    amplification: 'Read Amplification',
+    requests: 'Range Reads',
+    readTime: 'Est. Read Time',
+};
+
+const OBJECTIVE_KEYS = Object.keys(OPTIMIZER_OBJECTIVES);
+
+// Chunk extents tried along an axis of `size` cells
+export function getChunkExtentOptions(size) {
+    const options = [];
+    for (let extent = 1; extent < size; extent *= 2) {
+        options.push(extent);
+    }
+    options.push(size);
+    return options;
+}
+
+// Every other extent, keeping the smallest and largest
+function thinOptions(options) {
+    return options.filter((_, index) => index % 2 === 0 || index === options.length - 1);
+}
+
+// Chunk shapes to try, at most `maxShapes` of them. The axes with the most options are
+// thinned out first, so every axis keeps a spread of small and large extents.
+export function getCandidateChunkShapes(size, maxShapes = CONFIG.MAX_OPTIMIZER_SHAPES) {
+    const options = size.map(getChunkExtentOptions);
+    const count = () => options.reduce((total, axisOptions) => total * axisOptions.length, 1);
+    while (count() > maxShapes) {
+        const widest = options.reduce(
+            (best, axisOptions, axis) => (axisOptions.length > options[best].length ? axis : best),
+            0
+        );
+        if (options[widest].length <= 2) {
+            break;
+        }
+        options[widest] = thinOptions(options[widest]);
+    }
+    return options.reduce(
+        (shapes, axisOptions) =>
+            shapes.flatMap(shape => axisOptions.map(extent => [...shape, extent])),
+        [[]]
+    );
+}
+
+// The parameters of every layout to try, based on `params` for everything the search
+// doesn't change: the array, element type, compression and how reads are coalesced
+export function getCandidateLayouts(params, maxShapes) {
+    const shapes = getCandidateChunkShapes(params.size, maxShapes);
+    return Object.keys(LINEARIZATION_ALGORITHMS).flatMap(chunkAlgorithm =>
+        shapes.map(chunk => ({
+            ...params,
+            analytical: true,
+            sharding: 'none',
+            chunk,
+            chunkAlgorithm,
+        }))
+    );
+}
+
+// A layout's objectives over `queries`, as weighted means
+export function evaluateLayout(params, queries, profile) {
+    const items = queries.map(({ query, weight }) => {
+        const data = analyzeQuery({ ...params, query });
+        const values = {
+            amplification: data.actualBytes / Math.max(1, data.requestedBytes),
+            requests: data.requestCount,
+            readTime: estimateReadTime(data, profile).time,
+        };
+        return { weight, values };
+    });
+    return {
+        chunk: params.chunk,
+        chunkAlgorithm: params.chunkAlgorithm,
+        ...getWeightedMeans(items, OBJECTIVE_KEYS),
+    };
+}
+
+// Whether `a` is at least as good as `b` on every objective and better on one
+function dominates(a, b) {
+    return (
+        OBJECTIVE_KEYS.every(key => a[key] <= b[key]) && OBJECTIVE_KEYS.some(key => a[key] < b[key])
+    );
+}
+
+// The layouts no other layout beats on every objective. Of layouts that score the same,
+// only the first is kept.
+export function getParetoFrontier(results) {
+    const seen = new Set();
+    return results.filter(result => {
+        const key = OBJECTIVE_KEYS.map(objective => result[objective]).join();
+        if (seen.has(key) || results.some(other => dominates(other, result))) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+// Best first by `objective`, then by the others in turn
+export function sortByObjective(results, objective) {
+    const order = [objective, ...OBJECTIVE_KEYS.filter(key => key !== objective)];
+    return [...results].sort((a, b) => {
+        const key = order.find(candidate => a[candidate] !== b[candidate]);
+        return key ? a[key] - b[key] : 0;
+    });
+}
+
+// Searches every candidate layout for `params` at once, as the optimizer worker does a
+// layout at a time
+export function optimizeLayouts(params, queries, profile) {
+    const results = getCandidateLayouts(params).map(layout =>
+        evaluateLayout(layout, queries, profile)
+    );
+    return { frontier: getParetoFrontier(results), evaluated: results.length };
+}
@@ -0,0 +1,128 @@
+import { makeQueryRange } from './stride.js';
+
+// Visualization state in the URL hash, so a layout and query can be shared as a link:
+// #preset=user&cellAlgorithm=row-major&size=16,16&chunk=4,4&query=3-10,0-15:4&...
+// A query range's step follows a colon, and is left out when it is 1.
+// In comparison mode the second layout's settings follow with a `b.` prefix.
+// Values are only checked for type here; ranges are clamped by validateAndClampState.
+
+const FIELD_TYPES = {
+    cellAlgorithm: 'string',
+    chunkAlgorithm: 'string',
+    dtype: 'string',
+    customItemSize: 'number',
+    compression: 'string',
+    compressionRatio: 'number',
+    compressionSeed: 'number',
+    sharding: 'string',
+    innerChunkAlgorithm: 'string',
+    coalesceGap: 'number',
+    maxRequestSize: 'number',
+    analytical: 'boolean',
+    dimensionNames: 'strings',
+    size: 'numbers',
+    chunk: 'numbers',
+    shard: 'numbers',
+    query: 'ranges',
+};
+
+const encoders = {
+    string: value => encodeURIComponent(value),
+    number: value => String(value),
+    boolean: value => (value ? '1' : '0'),
+    strings: values => values.map(encodeURIComponent).join(','),
+    numbers: values => values.join(','),
+    ranges: values =>
+        values
+            .map(([start, end, step = 1]) => `${start}-${end}${step > 1 ? `:${step}` : ''}`)
+            .join(','),
+};
+
+// Each decoder returns undefined for a malformed value, which is then left out
+const parseNumber = text => (text.trim() !== '' && isFinite(text) ? Number(text) : undefined);
+const parseList = (text, parse) => {
+    const values = text.split(',').map(parse);
+    return values.every(value => value !== undefined) ? values : undefined;
+};
+const decoders = {
+    string: text => decodeURIComponent(text),
+    number: parseNumber,
+    boolean: text => (text === '1' ? true : text === '0' ? false : undefined),
+    strings: text => parseList(text, decodeURIComponent),
+    numbers: text => parseList(text, parseNumber),
+    ranges: text =>
+        parseList(text, range => {
+            const match = /^(\d+)-(\d+)(?::(\d+))?$/.exec(range);
+            return match
+                ? makeQueryRange(Number(match[1]), Number(match[2]), Number(match[3] || 1))
+                : undefined;
+        }),
+};
+
+const encodeFields = (state, prefix = '') =>
+    Object.entries(FIELD_TYPES)
+        .filter(([key]) => state[key] !== undefined)
+        .map(([key, type]) => `${prefix}${key}=${encoders[type](state[key])}`);
+
+export function encodeStateToHash(state, { preset, storage, comparison } = {}) {
+    const parts = [];
+    if (preset) {
+        parts.push(`preset=${encodeURIComponent(preset)}`);
+    }
+    parts.push(...encodeFields(state));
+    if (comparison) {
+        parts.push(...encodeFields(comparison, 'b.'));
+    }
+    if (storage) {
+        parts.push(`storage=${encodeURIComponent(storage)}`);
+    }
+    return `#${parts.join('&')}`;
+}
+
+// Returns null when the hash holds no visualization state. `comparison` is only
+// present for links to a comparison, and `ignored` only when some of the link's values
+// couldn't be read, naming them; those are left out for the defaults to fill.
+export function decodeStateFromHash(hash) {
+    const settings = {};
+    const comparison = {};
+    const link = {};
+    const ignored = [];
+    hash.replace(/^#/, '')
+        .split('&')
+        .forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator < 0) {
+                return;
+            }
+            const name = part.slice(0, separator);
+            const text = part.slice(separator + 1);
+            const [target, key] = name.startsWith('b.')
+                ? [comparison, name.slice(2)]
+                : [settings, name];
+            try {
+                if (name === 'preset' || name === 'storage') {
+                    link[name] = decodeURIComponent(text);
+                } else if (FIELD_TYPES[key]) {
+                    const value = decoders[FIELD_TYPES[key]](text);
+                    if (value === undefined) {
+                        ignored.push(name);
+                    } else {
+                        target[key] = value;
+                    }
+                }
+            } catch {
+                // A malformed escape sequence, e.g. from a truncated link
+                ignored.push(name);
+            }
+        });
+    if (Object.keys(settings).length === 0 && !link.preset) {
+        return null;
+    }
+    if (Object.keys(comparison).length > 0) {
+        link.comparison = comparison;
+    }
+    if (ignored.length > 0) {
+        link.ignored = ignored;
+    }
+    return { ...link, settings };
+}
@@ -0,0 +1,24 @@
+// Range request coalescing, as cloud readers (fsspec, GDAL, obstore) do it: nearby
+// ranges are merged when the gap between them costs less than another request
+
+export const DEFAULT_COALESCING = {
+    coalesceGap: 0, // Largest gap in bytes to read through; 0 only merges touching ranges
+    maxRequestSize: 0, // Largest merged request in bytes; 0 for no limit
+};
+
+// Merge sorted, inclusive [start, end] ranges that are at most `gap` apart, unless the
+// merged range would exceed `maxSize` or canMerge rejects the pair. A single range is
+// never split, even when it is already larger than maxSize.
+export function coalesceRanges(ranges, { gap = 0, maxSize = 0 } = {}, canMerge = () => true) {
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        const fits = !maxSize || end - (last ? last[0] : start) + 1 <= maxSize;
+        if (last && start - last[1] - 1 <= gap && fits && canMerge(last, [start, end])) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
@@ -0,0 +1,23 @@
+// Zarr v3 sharding: inner chunks are packed into shard objects, each with an index
+// of (offset, nbytes) pairs for every inner chunk slot at its start or end
+
+export const SHARD_INDEX_LOCATIONS = {
+    none: 'No sharding',
+    end: 'Index at end',
+    start: 'Index at start',
+};
+
+// Each index entry is a uint64 offset and a uint64 length, followed by a crc32c checksum
+export const SHARD_INDEX_ENTRY_BYTES = 16;
+export const SHARD_INDEX_CHECKSUM_BYTES = 4;
+
+// `shard` itself is per axis (chunks per shard), so presets list it with `chunk`
+export const DEFAULT_SHARDING = {
+    sharding: 'none',
+    innerChunkAlgorithm: 'row-major',
+};
+
+// The index has a slot for every chunk a full shard can hold, even at the array edge
+export function getShardIndexSize(chunksPerShard) {
+    return chunksPerShard * SHARD_INDEX_ENTRY_BYTES + SHARD_INDEX_CHECKSUM_BYTES;
+}
@@ -0,0 +1,103 @@
+// Storage backend cost model. Every request pays a fixed latency, then streams its
+// bytes at the per-request throughput, with at most `concurrency` requests in flight.
+
+export const STORAGE_PROFILES = {
+    nvme: { name: 'Local NVMe', latency: 0.1, throughput: 2000, concurrency: 32 },
+    hdd: { name: 'Local HDD', latency: 8, throughput: 150, concurrency: 1 },
+    s3: { name: 'S3-like object store', latency: 50, throughput: 90, concurrency: 64 },
+    http: { name: 'HTTP/1.1 server', latency: 30, throughput: 40, concurrency: 6 },
+};
+
+// Storage describes the reader's environment rather than the layout, so it is kept
+// once for the app instead of per preset. `storageProfiles` holds user-edited copies
+// of built-in profiles as well as new ones.
+export const DEFAULT_STORAGE = {
+    storageProfile: 's3',
+    storageProfiles: {},
+};
+
+// Latency in ms, throughput in MB/s (10^6 bytes) per request
+export function clampStorageProfile({ name, latency, throughput, concurrency }) {
+    return {
+        name: String(name || '').trim() || 'Custom profile',
+        latency: Number.isFinite(latency) ? Math.max(0, latency) : 0,
+        throughput: Number.isFinite(throughput) ? Math.max(0.001, throughput) : 1,
+        concurrency: Number.isFinite(concurrency) ? Math.max(1, Math.floor(concurrency)) : 1,
+    };
+}
+
+// Wall-clock time in ms to make the requests in order, each starting as soon as
+// one of the `concurrency` connections is free
+export function scheduleRequests(requestSizes, { latency, throughput, concurrency }) {
+    const connections = new Array(Math.min(concurrency, requestSizes.length)).fill(0);
+    requestSizes.forEach(bytes => {
+        const next = connections.indexOf(Math.min(...connections));
+        connections[next] += latency + bytes / (throughput * 1000);
+    });
+    return Math.max(0, ...connections);
+}
+
+// Requests counted as [bytes, count] groups, as analytical metrics give them. Up to
+// `limit` requests are scheduled one by one; past that the connections are taken to
+// share the work evenly, which is close once there are many more requests than them.
+export function scheduleRequestGroups(groups, profile, limit = 10000) {
+    const { latency, throughput, concurrency } = profile;
+    const requestCount = groups.reduce((total, [, count]) => total + count, 0);
+    if (requestCount <= limit) {
+        return scheduleRequests(
+            groups.flatMap(([bytes, count]) => new Array(count).fill(bytes)),
+            profile
+        );
+    }
+    const duration = bytes => latency + bytes / (throughput * 1000);
+    const work = groups.reduce((total, [bytes, count]) => total + count * duration(bytes), 0);
+    const longest = Math.max(...groups.map(([bytes]) => duration(bytes)));
+    return Math.max(work / Math.min(concurrency, requestCount), longest);
+}
+
+const rangeSize = ([start, end]) => end - start + 1;
+
+// Shard indexes must be read before the chunk ranges they locate, so they are a
+// round of requests of their own. Alignment compares the estimate with the best case:
+// just the requested bytes, split evenly across every connection.
+export function estimateReadTime(data, profile) {
+    const indexTime = scheduleRequests(data.indexByteRanges.map(rangeSize), profile);
+    const dataTime = data.requestSizes
+        ? scheduleRequestGroups(data.requestSizes, profile)
+        : scheduleRequests(data.coalescedByteRanges.map(rangeSize), profile);
+    const time = indexTime + dataTime;
+    const idealTime =
+        data.requestedBytes > 0
+            ? profile.latency +
+              data.requestedBytes / (profile.concurrency * profile.throughput * 1000)
+            : 0;
+    return {
+        time,
+        indexTime,
+        dataTime,
+        alignment: time > 0 ? Math.min(1, idealTime / time) : 1,
+    };
+}
+
+// The read metrics the app shows for a simulation's `data`. Amplification compares
+// stored bytes, so compressed chunks that must be read whole, and any gaps read through
+// to save requests, count in full.
+export function getReadMetrics(data, profile) {
+    const amplification = data.actualBytes / Math.max(1, data.requestedBytes);
+    const rangeCount = data.requestCount;
+    const estimate = estimateReadTime(data, profile);
+    return {
+        amplification,
+        rangeCount,
+        coalescingFactor: data.touchedChunkCount / Math.max(1, rangeCount),
+        estimate,
+        usefulThroughput: estimate.time > 0 ? (data.requestedBytes * 1000) / estimate.time : 0,
+    };
+}
+
+export function formatDuration(ms) {
+    if (ms < 1) {
+        return `${Math.round(ms * 1000)} µs`;
+    }
+    return ms < 1000 ? `${ms.toFixed(1)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
@@ -0,0 +1,69 @@
+// Strided queries select every step-th cell of a range along an axis, like arr[::4] in
+// NumPy. A query range is [start, end], or [start, end, step] for a step above 1; the
+// step counts from start, so end is only selected when the step lands on it. These
+// work out which cells and chunks a range selects without visiting them, and take
+// ranges as getQueryRanges gives them, with the step filled in.
+
+// A query range along one axis, leaving out a step of 1
+export function makeQueryRange(start, end, step = 1) {
+    return step > 1 ? [start, end, step] : [start, end];
+}
+
+// The step of a query range as saved, 1 if it has none
+export function getStep(range) {
+    const step = Math.floor((range && range[2]) || 1);
+    return step > 1 ? step : 1;
+}
+
+// The last cell a range selects
+export function getLastSelected([start, end, step]) {
+    return start + Math.floor((end - start) / step) * step;
+}
+
+export function isSelected([start, end, step], index) {
+    return index >= start && index <= end && (index - start) % step === 0;
+}
+
+// The first cell at or after `from` that a range selects, which may lie past its end
+export function getFirstSelected([start, , step], from) {
+    return from <= start ? start : start + Math.ceil((from - start) / step) * step;
+}
+
+// Cells of a range in the half-open span [from, to)
+export function countSelected(range, from, to) {
+    const first = getFirstSelected(range, from);
+    const last = Math.min(range[1], to - 1);
+    return first > last ? 0 : Math.floor((last - first) / range[2]) + 1;
+}
+
+// How a range meets the chunks along its axis: the chunks from the one holding its
+// first cell to the one holding its last, and how many of those it touches. A step no
+// longer than a chunk lands in every one of them, and a longer step in a chunk per
+// cell, skipping the chunks in between. `touchedAt(k)` is the kth chunk touched.
+export function describeAxisStride(chunkSize, range) {
+    const [start, end, step] = range;
+    const cells = start > end ? 0 : countSelected(range, start, end + 1);
+    if (cells === 0) {
+        return { step, chunkSize, cells, spannedChunks: 0, touchedChunks: 0, touchedAt: null };
+    }
+    const first = Math.floor(start / chunkSize);
+    const spannedChunks = Math.floor(getLastSelected(range) / chunkSize) - first + 1;
+    const skips = step > chunkSize;
+    return {
+        step,
+        chunkSize,
+        cells,
+        spannedChunks,
+        touchedChunks: skips ? cells : spannedChunks,
+        touchedAt: skips ? k => Math.floor((start + k * step) / chunkSize) : k => first + k,
+    };
+}
+
+// Chunks between the first and last chunk a query touches along every axis that its
+// steps skip over, given its ranges and the chunk shape
+export function countSkippedChunks(ranges, chunkShape) {
+    const axes = ranges.map((range, axis) => describeAxisStride(chunkShape[axis], range));
+    const spanned = axes.reduce((total, axis) => total * axis.spannedChunks, 1);
+    const touched = axes.reduce((total, axis) => total * axis.touchedChunks, 1);
+    return spanned - touched;
+}
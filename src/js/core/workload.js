@@ -0,0 +1,51 @@
+import { makeQueryRange, getStep } from './stride.js';
+
+// Workloads: a named mix of queries, each weighted by how often it is made, e.g. point
+// time series pulled far more often than whole maps. Entries are { name, query, weight }.
+
+// An entry's name, or its place in the workload if it has none
+export function getWorkloadQueryName(entry, index) {
+    return entry.name || `Query ${index + 1}`;
+}
+
+// Whether a query kept in the workload can be made on an array of `size`; queries kept
+// from an array with a different number of axes can't
+export function fitsArray(query, size) {
+    return query.length === size.length;
+}
+
+// A query clamped to an array of `size`, keeping its steps
+export function clampQuery(query, size) {
+    return query.map((range, axis) =>
+        makeQueryRange(
+            Math.min(range[0], size[axis] - 1),
+            Math.min(range[1], size[axis] - 1),
+            getStep(range)
+        )
+    );
+}
+
+// The weighted queries that fit an array of `size`, clamped to it; without any,
+// `fallback` is used
+export function getWorkloadQueries(queries, size, fallback) {
+    const fitting = queries
+        .filter(({ query, weight }) => fitsArray(query, size) && weight > 0)
+        .map(({ query, weight }) => ({ query: clampQuery(query, size), weight }));
+    return fitting.length > 0 ? fitting : [{ query: fallback, weight: 1 }];
+}
+
+// The weighted mean of each of `keys` over `items`, as { [key]: mean }; items are
+// { weight, values }. Null if the weights add up to nothing.
+export function getWeightedMeans(items, keys) {
+    const totalWeight = items.reduce((total, { weight }) => total + weight, 0);
+    if (!(totalWeight > 0)) {
+        return null;
+    }
+    return Object.fromEntries(
+        keys.map(key => [
+            key,
+            items.reduce((total, { weight, values }) => total + weight * values[key], 0) /
+                totalWeight,
+        ])
+    );
+}
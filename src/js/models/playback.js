@@ -0,0 +1,196 @@
+// Playback steps a cursor through the array in storage order, or through the reads a
+// query needs one range at a time. A frame describes what has been revealed so far as
+// sorted, half-open intervals of global cell positions and of stored bytes.
+
+export const PLAYBACK_MODES = {
+    storage: 'Storage Order',
+    reads: 'Query Reads',
+};
+
+// Steps per second
+export const DEFAULT_PLAYBACK_SPEED = 16;
+
+// Merges half-open intervals into sorted, non-overlapping ones
+export function mergeIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    sorted.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
+
+export function containsPosition(intervals, value) {
+    let low = 0;
+    let high = intervals.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (value < intervals[mid][0]) {
+            high = mid - 1;
+        } else if (value >= intervals[mid][1]) {
+            low = mid + 1;
+        } else {
+            return true;
+        }
+    }
+    return false;
+}
+
+// The reads a query issues, in the order they are made: shard indexes first, then chunk
+// data by offset. Byte ranges in `data` are inclusive; reads hold half-open intervals.
+// `positionForByte` gives the global cell position stored at a byte.
+export function getReadSequence(data, positionForByte) {
+    const byStart = (a, b) => a[0] - b[0];
+    const indexReads = [...data.indexByteRanges].sort(byStart).map(([start, end]) => ({
+        kind: 'index',
+        bytes: [start, end + 1],
+        cells: null,
+    }));
+    const dataReads = [...data.coalescedByteRanges].sort(byStart).map(([start, end]) => ({
+        kind: 'data',
+        bytes: [start, end + 1],
+        cells: [positionForByte(start), positionForByte(end) + 1],
+    }));
+    return [...indexReads, ...dataReads];
+}
+
+// Read sequences only change with the simulation data, not between frames
+const readSequences = new WeakMap();
+
+export class PlaybackState {
+    constructor() {
+        this.mode = 'storage';
+        this.speed = DEFAULT_PLAYBACK_SPEED;
+        this.stop();
+    }
+
+    setMode(mode) {
+        if (mode in PLAYBACK_MODES) {
+            this.mode = mode;
+            this.step = 0;
+            this.pending = 0;
+        }
+    }
+
+    setSpeed(speed) {
+        if (speed > 0) {
+            this.speed = speed;
+        }
+    }
+
+    // Starts over once the last step has been shown
+    play(stepCount) {
+        if (this.step >= stepCount - 1) {
+            this.step = 0;
+        }
+        this.active = true;
+        this.playing = true;
+        this.pending = 0;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Hides the playback and returns to the first step
+    stop() {
+        this.active = false;
+        this.playing = false;
+        this.step = 0;
+        this.pending = 0;
+    }
+
+    seek(step) {
+        this.active = true;
+        this.playing = false;
+        this.step = Math.max(0, step);
+    }
+
+    // Moves on by the steps due after `elapsed` ms at the current speed, pausing on the
+    // last step. Returns whether the step changed.
+    advance(elapsed, stepCount) {
+        this.pending += (elapsed * this.speed) / 1000;
+        const steps = Math.floor(this.pending);
+        this.pending -= steps;
+        const last = Math.max(0, stepCount - 1);
+        const next = Math.min(this.step + steps, last);
+        const moved = next !== this.step;
+        this.step = next;
+        if (next === last) {
+            this.playing = false;
+        }
+        return moved;
+    }
+
+    getReads(data, params, simulationModel) {
+        let reads = readSequences.get(data);
+        if (!reads) {
+            reads = getReadSequence(data, byte =>
+                simulationModel.getPositionForStoredByte(byte, params)
+            );
+            readSequences.set(data, reads);
+        }
+        return reads;
+    }
+
+    // Analytical metrics don't list the reads, so there is nothing to play back
+    getStepCount(data, params, simulationModel) {
+        if (data.analytical) {
+            return 0;
+        }
+        return this.mode === 'reads'
+            ? this.getReads(data, params, simulationModel).length
+            : data.totalCells;
+    }
+
+    // What to draw for the current step, or null when playback is hidden. Layouts with
+    // fewer steps than the step reached show their last one.
+    getFrame(params, data, simulationModel) {
+        if (!this.active || data.analytical) {
+            return null;
+        }
+        const stepCount = this.getStepCount(data, params, simulationModel);
+        const step = Math.min(this.step, stepCount - 1);
+        const frame = {
+            mode: this.mode,
+            step,
+            stepCount,
+            revealedCells: [],
+            currentCells: [],
+            revealedBytes: [],
+            currentBytes: [],
+            read: null,
+        };
+        if (step < 0) {
+            return frame;
+        }
+
+        if (this.mode === 'reads') {
+            const reads = this.getReads(data, params, simulationModel).slice(0, step + 1);
+            frame.read = reads[step];
+            frame.revealedCells = mergeIntervals(
+                reads.filter(read => read.cells).map(read => read.cells)
+            );
+            frame.currentCells = frame.read.cells ? [frame.read.cells] : [];
+            frame.revealedBytes = mergeIntervals(reads.map(read => read.bytes));
+            frame.currentBytes = [frame.read.bytes];
+            return frame;
+        }
+
+        // A compressed chunk's bytes are spread evenly over its cells
+        const chunk = simulationModel.getStoredChunkForPosition(step, params);
+        const byteStart = simulationModel.getStoredByteOffset(step, params);
+        const byteEnd =
+            chunk.offset + ((step + 1 - chunk.cellStart) * chunk.size) / chunk.cellCount;
+        frame.revealedCells = [[0, step + 1]];
+        frame.currentCells = [[step, step + 1]];
+        frame.revealedBytes = [[0, byteEnd]];
+        frame.currentBytes = [[byteStart, byteEnd]];
+        return frame;
+    }
+}
@@ -0,0 +1,77 @@
+import { makeQueryRange, getStep } from '../core/stride.js';
+
+// Drawing, moving and resizing the query on the spatial views. Queries are edited
+// along X and Y as [[x1, x2], [y1, y2]], inclusive cell ranges of the array shown.
+
+// Pixels either side of a query edge that still grab it
+export const QUERY_HANDLE_SIZE = 6;
+
+// What a press at pixel { x, y } grabs: 'move' inside the query, an edge or corner
+// ('n', 'se', ...) near its outline, and 'draw' for a new query anywhere else. `layout`
+// places the cells as { cellSize, offsetX, offsetY }.
+export function getQueryHandle({ x, y }, [[x1, x2], [y1, y2]], layout) {
+    if (x1 > x2 || y1 > y2) {
+        return 'draw';
+    }
+
+    const { cellSize, offsetX, offsetY } = layout;
+    const left = offsetX + x1 * cellSize;
+    const right = offsetX + (x2 + 1) * cellSize;
+    const top = offsetY + y1 * cellSize;
+    const bottom = offsetY + (y2 + 1) * cellSize;
+    const within = (value, start, end) =>
+        value >= start - QUERY_HANDLE_SIZE && value <= end + QUERY_HANDLE_SIZE;
+    if (!within(x, left, right) || !within(y, top, bottom)) {
+        return 'draw';
+    }
+
+    const near = (value, edge) => Math.abs(value - edge) <= QUERY_HANDLE_SIZE;
+    const vertical = near(y, top) ? 'n' : near(y, bottom) ? 's' : '';
+    const horizontal = near(x, left) ? 'w' : near(x, right) ? 'e' : '';
+    if (vertical || horizontal) {
+        return vertical + horizontal;
+    }
+    return x > left && x < right && y > top && y < bottom ? 'move' : 'draw';
+}
+
+// The query once the pointer is over cell { cellX, cellY }, or null when it doesn't
+// change. `drag` is { handle, startX, startY, ranges }: what was grabbed, the cell
+// pressed and the X and Y ranges then. Moves stop at the edges of an array of `size`.
+export function getDraggedQuery(query, drag, { cellX, cellY }, size) {
+    const { handle, startX, startY, ranges } = drag;
+    const [sizeX, sizeY] = size;
+    let [[x1, x2], [y1, y2]] = ranges;
+
+    if (handle === 'draw') {
+        // Staying on the pressed cell is a click, not a one cell query
+        if (cellX === startX && cellY === startY) {
+            return null;
+        }
+        [x1, x2] = [Math.min(startX, cellX), Math.max(startX, cellX)];
+        [y1, y2] = [Math.min(startY, cellY), Math.max(startY, cellY)];
+    } else if (handle === 'move') {
+        const dx = Math.min(Math.max(cellX - startX, -x1), sizeX - 1 - x2);
+        const dy = Math.min(Math.max(cellY - startY, -y1), sizeY - 1 - y2);
+        [x1, x2, y1, y2] = [x1 + dx, x2 + dx, y1 + dy, y2 + dy];
+    } else {
+        if (handle.includes('w')) {
+            x1 = Math.min(cellX, x2);
+        } else if (handle.includes('e')) {
+            x2 = Math.max(cellX, x1);
+        }
+        if (handle.includes('n')) {
+            y1 = Math.min(cellY, y2);
+        } else if (handle.includes('s')) {
+            y2 = Math.max(cellY, y1);
+        }
+    }
+
+    // The query keeps its steps, which are only set in the controls
+    const dragged = query.map(range => [...range]);
+    dragged[0] = makeQueryRange(x1, x2, getStep(query[0]));
+    dragged[1] = makeQueryRange(y1, y2, getStep(query[1]));
+    const unchanged = dragged.every(
+        ([start, end], axis) => start === query[axis][0] && end === query[axis][1]
+    );
+    return unchanged ? null : dragged;
+}
@@ -1,3 +1,6 @@
+import { formatCoords } from '../core/dimensions.js';
+import { countSelected } from '../core/stride.js';
+
 export class SelectionState {
     constructor() {
         this.hoveredCell = null;
@@ -41,22 +44,20 @@ export class SelectionState {
         return this.selectedCell || this.hoveredCell;
     }
 
-    getEffectiveChunk() {
-        return this.selectedChunk || this.hoveredChunk;
+    // Chunks remember the cell they were picked at, so with a chunk shape the chunk is
+    // found again in another layout, keeping the two views of a comparison in step
+    getEffectiveChunk(chunkShape) {
+        const chunk = this.selectedChunk || this.hoveredChunk;
+        if (!chunk || !chunk.cellCoords || !chunkShape) {
+            return chunk;
+        }
+        const coords = chunk.cellCoords.map((value, axis) => Math.floor(value / chunkShape[axis]));
+        return { x: coords[0], y: coords[1], coords, cellCoords: chunk.cellCoords };
     }
 
     isSelected(cell, chunk) {
-        const sameCell =
-            cell &&
-            this.selectedCell &&
-            cell.x === this.selectedCell.x &&
-            cell.y === this.selectedCell.y;
-        const sameChunk =
-            chunk &&
-            this.selectedChunk &&
-            chunk.x === this.selectedChunk.x &&
-            chunk.y === this.selectedChunk.y;
-        return sameCell || sameChunk;
+        const sameCoords = (a, b) => a && b && a.coords.join(',') === b.coords.join(',');
+        return sameCoords(cell, this.selectedCell) || sameCoords(chunk, this.selectedChunk);
     }
 
     hasSelection() {
@@ -104,35 +105,85 @@ export class TooltipManager {
     }
 }
 
+// Share of storage order, e.g. ~42.1%
+function formatOrderFraction(fraction) {
+    return `~${(fraction * 100).toFixed(1)}%`;
+}
+
 export class TooltipContentGenerator {
     static generateCellTooltip(cell, params, visualizer) {
-        const intraChunkPos = visualizer.simulationModel.getIntraChunkPosition(
-            cell.x,
-            cell.y,
-            0,
+        if (params.analytical) {
+            return TooltipContentGenerator.generateAnalyticalCellTooltip(cell, params, visualizer);
+        }
+        const intraChunkPos = visualizer.simulationModel.getIntraChunkPositionForCoords(
+            cell.coords,
             params
         );
-        const globalPos = visualizer.simulationModel.getGlobalPosition(cell.x, cell.y, 0, params);
-        return `Cell (${cell.x}, ${cell.y}) → Intra-chunk: ${intraChunkPos}, Global: ${globalPos}`;
-    }
-
-    static generateChunkTooltip(chunk, params, sizeX, sizeY, chunkX, chunkY, visualizer) {
-        const chunksX = Math.ceil(sizeX / chunkX);
-        const chunkIdx = chunk.x + chunk.y * chunksX;
-        const bounds = visualizer.simulationModel.getChunkBounds(
-            chunk.x,
-            chunk.y,
-            chunkX,
-            chunkY,
-            sizeX,
-            sizeY
+        const globalPos = visualizer.simulationModel.getGlobalPositionForCoords(
+            cell.coords,
+            params
         );
-        const interChunkPos = visualizer.simulationModel.getInterChunkPosition(
-            bounds.startX,
-            bounds.startY,
-            0,
+        const [firstByte, lastByte] = visualizer.simulationModel.getByteRangeForPosition(
+            globalPos,
             params
         );
-        return `Chunk ${chunkIdx}: cells (${bounds.startX},${bounds.startY}) to (${bounds.endX - 1},${bounds.endY - 1}), Linear pos: ${interChunkPos}`;
+        // A compressed cell has no byte offset of its own, only its place in the raw array
+        const bytesLabel =
+            params.compression && params.compression !== 'none' ? 'Raw bytes' : 'Bytes';
+        return `Cell ${formatCoords(cell.coords)} → Intra-chunk: ${intraChunkPos}, Global: ${globalPos}, ${bytesLabel}: ${firstByte}–${lastByte}`;
+    }
+
+    static generateChunkTooltip(chunk, params, visualizer) {
+        if (params.analytical) {
+            return TooltipContentGenerator.generateAnalyticalChunkTooltip(
+                chunk,
+                params,
+                visualizer
+            );
+        }
+        const model = visualizer.simulationModel;
+        const chunkIdx = model.getChunkIndexForChunkCoords(chunk.coords, params);
+        const { start, end } = model.getChunkCellBounds(chunk.coords, params);
+        const interChunkPos = model.getInterChunkPositionForCoords(start, params);
+        const dims = chunk.coords.length;
+        const first = start.slice(0, dims).join(',');
+        const last = end
+            .slice(0, dims)
+            .map(value => value - 1)
+            .join(',');
+        const { offset, size, ratio, shard } = model.getStoredChunk(chunk.coords, params);
+        const compression =
+            params.compression && params.compression !== 'none' ? ` (${ratio.toFixed(2)}x)` : '';
+        // Within a shard, offsets are relative to the shard object the chunk lives in
+        const location = shard
+            ? `Shard ${formatCoords(shard.coords.slice(0, dims))}, Bytes: ${offset - shard.offset}–${offset - shard.offset + size - 1}`
+            : `Bytes: ${offset}–${offset + size - 1}`;
+        return `Chunk ${chunkIdx}: cells (${first}) to (${last}), Linear pos: ${interChunkPos}, ${location}${compression}`;
+    }
+
+    // Analytical metrics don't lay out storage, so positions are given as a share of
+    // storage order, as the views color them
+    static generateAnalyticalCellTooltip(cell, params, visualizer) {
+        const model = visualizer.simulationModel;
+        const chunkShape = model.getChunkShape(params);
+        const chunkCoords = cell.coords.map((value, axis) => Math.floor(value / chunkShape[axis]));
+        const fraction = model.getCellOrderFraction(cell.coords, params);
+        return `Cell ${formatCoords(cell.coords)} in chunk ${formatCoords(chunkCoords)} → Storage order: ${formatOrderFraction(fraction)}`;
+    }
+
+    static generateAnalyticalChunkTooltip(chunk, params, visualizer) {
+        const model = visualizer.simulationModel;
+        const shape = model.getShape(params);
+        const chunkShape = model.getChunkShape(params);
+        const queryRanges = model.getQueryRanges(params);
+        const first = chunk.coords.map((value, axis) => value * chunkShape[axis]);
+        const last = first.map(
+            (start, axis) => Math.min(start + chunkShape[axis], shape[axis]) - 1
+        );
+        const read = first.every(
+            (start, axis) => countSelected(queryRanges[axis], start, last[axis] + 1) > 0
+        );
+        const fraction = model.getChunkOrderFraction(chunk.coords, params);
+        return `Chunk ${formatCoords(chunk.coords)}: cells (${first.join(',')}) to (${last.join(',')}), Storage order: ${formatOrderFraction(fraction)}, ${read ? 'read' : 'not read'}`;
     }
 }
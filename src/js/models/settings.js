@@ -1,8 +1,182 @@
 import {
+    CONFIG,
+    DEFAULT_COMPARISON,
+    DEFAULT_OPTIMIZER,
+    DEFAULT_WORKLOAD,
+    LAYOUT_SETTINGS,
+    LINEARIZATION_ALGORITHMS,
     PRESET_CONFIGS,
     DEFAULT_APP_STATE,
     DEFAULT_USER_SETTINGS,
-} from '/src/js/core/constants.js';
+    DEFAULT_VIEW_OPTIONS,
+} from '../core/constants.js';
+import { getDefaultDimensionName, getChunkCounts, product } from '../core/dimensions.js';
+import { makeQueryRange, getStep } from '../core/stride.js';
+import { DTYPES, DEFAULT_ELEMENT_TYPE, MAX_CUSTOM_ITEM_SIZE } from '../core/dtypes.js';
+import {
+    COMPRESSION_MODELS,
+    DEFAULT_COMPRESSION,
+    MAX_COMPRESSION_RATIO,
+} from '../core/compression.js';
+import { DEFAULT_SHARDING, SHARD_INDEX_LOCATIONS } from '../core/sharding.js';
+import { DEFAULT_COALESCING } from '../core/ranges.js';
+import { STORAGE_PROFILES, DEFAULT_STORAGE, clampStorageProfile } from '../core/storage.js';
+import { encodeStateToHash, decodeStateFromHash } from '../core/permalink.js';
+import { DEFAULT_ANALYSIS } from '../core/analytical.js';
+
+// Settings hold arrays, so compare by value rather than identity
+export function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function pickLayoutSettings(state) {
+    return Object.fromEntries(LAYOUT_SETTINGS.map(key => [key, state[key]]));
+}
+
+// Convert settings saved before N-dimensional support (sizeX, chunkX, queryX1, ...)
+// or before element types, compression, sharding, coalescing and analytical metrics
+// were added
+export function migrateLegacySettings(settings) {
+    if (!settings) {
+        return settings;
+    }
+    if (!('sizeX' in settings)) {
+        return {
+            ...DEFAULT_ELEMENT_TYPE,
+            ...DEFAULT_COMPRESSION,
+            ...DEFAULT_SHARDING,
+            ...DEFAULT_COALESCING,
+            ...DEFAULT_ANALYSIS,
+            shard: (settings.chunk || []).map(() => 1),
+            ...settings,
+        };
+    }
+    const { cellAlgorithm, chunkAlgorithm } = settings;
+    const axisCount = settings.sizeZ > 1 ? 3 : 2;
+    const axes = ['X', 'Y', 'Z'].slice(0, axisCount);
+    return {
+        cellAlgorithm,
+        chunkAlgorithm,
+        ...DEFAULT_ELEMENT_TYPE,
+        ...DEFAULT_COMPRESSION,
+        ...DEFAULT_SHARDING,
+        ...DEFAULT_COALESCING,
+        ...DEFAULT_ANALYSIS,
+        dimensionNames: axes.map(axis => axis.toLowerCase()),
+        size: axes.map(axis => settings[`size${axis}`]),
+        chunk: axes.map(axis => settings[`chunk${axis}`]),
+        shard: axes.map(() => 1),
+        query: axes.map(axis => [settings[`query${axis}1`], settings[`query${axis}2`]]),
+    };
+}
+
+// Analytical metrics never enumerate cells, so they lift the limits on array size
+export function getMaxSize(axis, state) {
+    if (state.analytical) {
+        return CONFIG.MAX_ANALYTICAL_SIZE;
+    }
+    return axis < 2 ? CONFIG.MAX_SPATIAL_SIZE : CONFIG.MAX_OUTER_SIZE;
+}
+
+function getMaxTotalCells(state) {
+    return state.analytical ? CONFIG.MAX_ANALYTICAL_CELLS : CONFIG.MAX_TOTAL_CELLS;
+}
+
+// Every setting of `state` clamped to a valid value
+export function clampSettings(state) {
+    const { dimensionNames = [] } = state;
+    const axisCount = Math.min(
+        Math.max(state.size.length, CONFIG.MIN_DIMENSIONS),
+        CONFIG.MAX_DIMENSIONS
+    );
+    const axes = Array.from({ length: axisCount }, (_, axis) => axis);
+    // Cells, chunks and bytes are counted in whole numbers; anything else takes `fallback`
+    const whole = (value, fallback) => (Number.isFinite(value) ? Math.floor(value) : fallback);
+
+    // Cap dimensions to prevent browser lockup
+    const size = axes.map(axis =>
+        Math.min(Math.max(1, whole(state.size[axis], 1)), getMaxSize(axis, state))
+    );
+
+    // Also prevent total cells from being too large, shrinking the outermost axes first
+    for (let axis = axisCount - 1; axis >= 0; axis--) {
+        const otherCells = product(size) / size[axis];
+        size[axis] = Math.max(
+            1,
+            Math.min(size[axis], Math.floor(getMaxTotalCells(state) / otherCells))
+        );
+    }
+
+    // Clamp chunk sizes and query values to valid ranges
+    const chunk = axes.map(axis => Math.min(Math.max(1, whole(state.chunk[axis], 1)), size[axis]));
+    // Shards are counted in whole chunks, so cap them at the chunk grid
+    const chunkCounts = getChunkCounts(size, chunk);
+    const shard = axes.map(axis =>
+        Math.min(Math.max(1, whole((state.shard || [])[axis], 1)), chunkCounts[axis])
+    );
+    // An axis the query leaves out is read in full, as getQueryRanges reads it
+    const query = axes.map(axis => {
+        const max = size[axis] - 1;
+        const range = state.query[axis] || [0, max];
+        const [start = 0, end = 0] = range;
+        return makeQueryRange(
+            Math.min(Math.max(0, whole(start, 0)), max),
+            Math.min(Math.max(0, whole(end, 0)), max),
+            Math.min(getStep(range), size[axis])
+        );
+    });
+    const names = axes.map(axis => dimensionNames[axis] || getDefaultDimensionName(axis));
+    const algorithm = (value, fallback) => (LINEARIZATION_ALGORITHMS[value] ? value : fallback);
+    const cellAlgorithm = algorithm(state.cellAlgorithm, 'row-major');
+    const chunkAlgorithm = algorithm(state.chunkAlgorithm, 'row-major');
+    const innerChunkAlgorithm = algorithm(
+        state.innerChunkAlgorithm,
+        DEFAULT_SHARDING.innerChunkAlgorithm
+    );
+
+    const dtype = DTYPES[state.dtype] ? state.dtype : DEFAULT_ELEMENT_TYPE.dtype;
+    const customItemSize = Math.min(
+        Math.max(1, whole(state.customItemSize, 0) || DEFAULT_ELEMENT_TYPE.customItemSize),
+        MAX_CUSTOM_ITEM_SIZE
+    );
+    const compression = COMPRESSION_MODELS[state.compression]
+        ? state.compression
+        : DEFAULT_COMPRESSION.compression;
+    const compressionRatio = Math.min(
+        Math.max(1, state.compressionRatio || DEFAULT_COMPRESSION.compressionRatio),
+        MAX_COMPRESSION_RATIO
+    );
+    const compressionSeed = Number.isInteger(state.compressionSeed)
+        ? state.compressionSeed
+        : DEFAULT_COMPRESSION.compressionSeed;
+    // Byte counts for the reader; 0 turns gap merging or the request size cap off
+    const byteCount = (value, fallback) => Math.max(0, whole(value, fallback));
+    const coalesceGap = byteCount(state.coalesceGap, DEFAULT_COALESCING.coalesceGap);
+    const maxRequestSize = byteCount(state.maxRequestSize, DEFAULT_COALESCING.maxRequestSize);
+    const sharding = SHARD_INDEX_LOCATIONS[state.sharding]
+        ? state.sharding
+        : DEFAULT_SHARDING.sharding;
+
+    return {
+        cellAlgorithm,
+        chunkAlgorithm,
+        innerChunkAlgorithm,
+        size,
+        chunk,
+        shard,
+        query,
+        dimensionNames: names,
+        dtype,
+        customItemSize,
+        compression,
+        compressionRatio,
+        compressionSeed,
+        sharding,
+        coalesceGap,
+        maxRequestSize,
+        analytical: state.analytical === true,
+    };
+}
 
 export class SettingsManager {
     constructor() {
@@ -13,7 +187,22 @@ export class SettingsManager {
         try {
             const saved = localStorage.getItem('vischunk-app-state');
             if (saved) {
-                this.appState = JSON.parse(saved);
+                this.appState = {
+                    ...DEFAULT_STORAGE,
+                    comparison: DEFAULT_COMPARISON,
+                    workload: DEFAULT_WORKLOAD,
+                    optimizer: DEFAULT_OPTIMIZER,
+                    ...JSON.parse(saved),
+                };
+                this.appState.viewOptions = {
+                    ...DEFAULT_VIEW_OPTIONS,
+                    ...this.appState.viewOptions,
+                };
+                Object.keys(this.appState.presets).forEach(presetName => {
+                    this.appState.presets[presetName] = migrateLegacySettings(
+                        this.appState.presets[presetName]
+                    );
+                });
             } else {
                 this.appState = DEFAULT_APP_STATE;
             }
@@ -43,7 +232,7 @@ export class SettingsManager {
         const hasChanges =
             canonicalSettings &&
             Object.keys(canonicalSettings).some(
-                key => currentSettings[key] !== canonicalSettings[key]
+                key => !isSameValue(currentSettings[key], canonicalSettings[key])
             );
 
         if (hasChanges) {
@@ -59,6 +248,58 @@ export class SettingsManager {
 
         // Save entire app state
         localStorage.setItem('vischunk-app-state', JSON.stringify(this.appState));
+        this.updateLocationHash();
+    }
+
+    getPermalinkHash() {
+        const settings = { ...this.state };
+        delete settings.currentPreset;
+        return encodeStateToHash(settings, {
+            preset: this.state.currentPreset,
+            storage: this.appState.storageProfile,
+            comparison: this.isComparing() ? this.appState.comparison.layout : undefined,
+        });
+    }
+
+    // Keep the address bar a link to the current view, without adding history entries
+    updateLocationHash() {
+        const hash = this.getPermalinkHash();
+        if (globalThis.location && globalThis.location.hash !== hash) {
+            globalThis.history.replaceState(null, '', hash);
+        }
+    }
+
+    // Settings from a permalink are applied on top of its preset. Returns whether the
+    // hash held any; the caller runs them through validateAndClampState.
+    loadFromHash() {
+        const permalink = decodeStateFromHash(globalThis.location?.hash || '');
+        if (!permalink) {
+            return false;
+        }
+        if (permalink.ignored) {
+            console.warn(`Ignoring invalid permalink values for ${permalink.ignored.join(', ')}`);
+        }
+        const preset = this.getCanonicalPreset(permalink.preset)
+            ? permalink.preset
+            : this.state.currentPreset;
+        this.appState.currentPreset = preset;
+        if (permalink.storage) {
+            this.setStorageProfile(permalink.storage);
+        }
+        this.state = {
+            ...this.getCurrentPresetSettings(preset),
+            ...permalink.settings,
+            currentPreset: preset,
+        };
+        // The second layout's settings are given on top of the first layout's
+        this.appState.comparison = {
+            ...DEFAULT_COMPARISON,
+            enabled: !!permalink.comparison,
+            layout: permalink.comparison
+                ? pickLayoutSettings({ ...this.state, ...permalink.comparison })
+                : this.appState.comparison.layout,
+        };
+        return true;
     }
 
     setState(newState) {
@@ -67,136 +308,459 @@ export class SettingsManager {
         return { oldState, hasStructuralChanges: this.checkStructuralChanges(oldState, newState) };
     }
 
+    isComparing() {
+        return this.appState.comparison.enabled;
+    }
+
+    // The second layout: the state's array and query, stored the second layout's way
+    getComparisonState() {
+        return { ...this.state, ...this.appState.comparison.layout };
+    }
+
+    // The second layout starts out as a copy of the current one
+    setComparing(enabled) {
+        const { layout } = this.appState.comparison;
+        this.appState.comparison = {
+            enabled,
+            editing: 'a',
+            layout: layout || pickLayoutSettings(this.state),
+        };
+    }
+
+    setEditingLayout(editing) {
+        this.appState.comparison = { ...this.appState.comparison, editing };
+    }
+
+    isEditingComparison() {
+        return this.isComparing() && this.appState.comparison.editing === 'b';
+    }
+
+    // The settings the controls show and change
+    getEditedState() {
+        return this.isEditingComparison() ? this.getComparisonState() : this.state;
+    }
+
+    // Like setState, but layout settings go to the second layout while it is edited.
+    // Updates to the axes of both layouts give the second one's as `comparisonLayout`.
+    setEditedState({ comparisonLayout, ...newState }) {
+        const { comparison } = this.appState;
+        if (comparisonLayout) {
+            this.appState.comparison = {
+                ...comparison,
+                layout: { ...comparison.layout, ...comparisonLayout },
+            };
+        } else if (this.isEditingComparison()) {
+            const layout = { ...comparison.layout };
+            LAYOUT_SETTINGS.filter(key => key in newState).forEach(key => {
+                layout[key] = newState[key];
+                delete newState[key];
+            });
+            this.appState.comparison = { ...comparison, layout };
+        }
+        return this.setState(newState);
+    }
+
+    // The per-axis layout settings of the second layout, changed as `change` changes
+    // the state's, for the updates that add or remove axes
+    getComparisonAxisUpdate(change) {
+        const { layout } = this.appState.comparison;
+        return layout ? { chunk: change(layout.chunk), shard: change(layout.shard) } : undefined;
+    }
+
     checkStructuralChanges(oldState, newState) {
         const structuralChanges = [
             'cellAlgorithm',
             'chunkAlgorithm',
-            'sizeX',
-            'sizeY',
-            'sizeZ',
-            'chunkX',
-            'chunkY',
-            'chunkZ',
+            'size',
+            'chunk',
+            'sharding',
+            'shard',
+            'innerChunkAlgorithm',
         ];
-        return structuralChanges.some(key => key in newState && oldState[key] !== newState[key]);
+        return structuralChanges.some(
+            key => key in newState && !isSameValue(oldState[key], newState[key])
+        );
     }
 
-    validateAndClampState() {
-        const updates = {};
-        let { sizeX, sizeY, sizeZ, chunkX, chunkY, chunkZ } = this.state;
-        const { queryX1, queryX2, queryY1, queryY2, queryZ1, queryZ2 } = this.state;
+    getViewOptions() {
+        return this.appState.viewOptions;
+    }
 
-        // Cap dimensions to prevent browser lockup
-        if (sizeX > 256) {
-            updates.sizeX = 256;
-            sizeX = 256;
-        }
-        if (sizeY > 256) {
-            updates.sizeY = 256;
-            sizeY = 256;
+    setViewOption(key, value) {
+        if (key in DEFAULT_VIEW_OPTIONS) {
+            this.appState.viewOptions = { ...this.appState.viewOptions, [key]: value };
         }
-        if (sizeZ > 16) {
-            updates.sizeZ = 16;
-            sizeZ = 16;
+    }
+
+    getWorkload() {
+        return this.appState.workload;
+    }
+
+    updateWorkload(changes) {
+        this.appState.workload = { ...this.appState.workload, ...changes };
+    }
+
+    getOptimizerSettings() {
+        return this.appState.optimizer;
+    }
+
+    updateOptimizerSettings(changes) {
+        this.appState.optimizer = { ...this.appState.optimizer, ...changes };
+    }
+
+    // Built-in storage profiles, with any user edits, followed by user-added ones
+    getStorageProfiles() {
+        return { ...STORAGE_PROFILES, ...this.appState.storageProfiles };
+    }
+
+    getStorageProfile() {
+        const profiles = this.getStorageProfiles();
+        return profiles[this.appState.storageProfile] || profiles[DEFAULT_STORAGE.storageProfile];
+    }
+
+    setStorageProfile(key) {
+        if (this.getStorageProfiles()[key]) {
+            this.appState.storageProfile = key;
         }
+    }
 
-        // Also prevent total cells from being too large
-        const totalCells = sizeX * sizeY * Math.max(1, sizeZ);
-        if (totalCells > 65536) {
-            updates.sizeX = 256;
-            sizeX = 256;
-            updates.sizeY = 256;
-            sizeY = 256;
-            updates.sizeZ = 1;
-            sizeZ = 1;
+    updateStorageProfile(changes) {
+        const key = this.appState.storageProfile;
+        this.appState.storageProfiles = {
+            ...this.appState.storageProfiles,
+            [key]: clampStorageProfile({ ...this.getStorageProfile(), ...changes }),
+        };
+    }
+
+    // Start a new profile from a copy of the current one
+    addStorageProfile() {
+        const profiles = this.getStorageProfiles();
+        let number = 1;
+        while (profiles[`custom-${number}`]) {
+            number++;
         }
+        const key = `custom-${number}`;
+        this.appState.storageProfiles = {
+            ...this.appState.storageProfiles,
+            [key]: { ...this.getStorageProfile(), name: `Custom ${number}` },
+        };
+        this.appState.storageProfile = key;
+    }
 
-        // Clamp chunk sizes to valid ranges
-        if (chunkX > sizeX) {
-            updates.chunkX = sizeX;
-            chunkX = sizeX;
+    // Resets an edited built-in profile, or deletes a user-added one
+    removeStorageProfile() {
+        const key = this.appState.storageProfile;
+        const { [key]: _removed, ...storageProfiles } = this.appState.storageProfiles;
+        this.appState.storageProfiles = storageProfiles;
+        if (!STORAGE_PROFILES[key]) {
+            this.appState.storageProfile = DEFAULT_STORAGE.storageProfile;
         }
-        if (chunkY > sizeY) {
-            updates.chunkY = sizeY;
-            chunkY = sizeY;
+    }
+
+    getDimensionCount() {
+        return this.state.size.length;
+    }
+
+    getMaxSize(axis, state = this.state) {
+        return getMaxSize(axis, state);
+    }
+
+    // New state for a single axis value change, e.g. field 'chunk', axis 2
+    getDimensionUpdate(field, axis, value) {
+        if (field === 'queryStart' || field === 'queryEnd') {
+            const query = this.state.query.map(range => [...range]);
+            query[axis][field === 'queryStart' ? 0 : 1] = value;
+            return { query };
         }
-        if (chunkZ > sizeZ) {
-            updates.chunkZ = Math.max(1, sizeZ);
-            chunkZ = Math.max(1, sizeZ);
+        if (field === 'queryStep') {
+            const query = this.state.query.map(range => [...range]);
+            const [start, end] = query[axis];
+            query[axis] = makeQueryRange(start, end, value);
+            return { query };
         }
+        const values = [...this.state[field]];
+        values[axis] = value;
+        return { [field]: values };
+    }
 
-        // Clamp query values to valid ranges
-        const maxX = sizeX - 1;
-        const maxY = sizeY - 1;
-        const maxZ = sizeZ - 1;
-
-        if (queryX1 > maxX) {
-            updates.queryX1 = Math.max(0, maxX);
+    getAddDimensionUpdate() {
+        const { size, chunk, shard, query, dimensionNames } = this.state;
+        if (size.length >= CONFIG.MAX_DIMENSIONS) {
+            return {};
         }
-        if (queryX2 > maxX) {
-            updates.queryX2 = Math.max(0, maxX);
+        return {
+            comparisonLayout: this.getComparisonAxisUpdate(values => [...values, 1]),
+            size: [...size, 4],
+            chunk: [...chunk, 1],
+            shard: [...shard, 1],
+            query: [...query, [0, 0]],
+            dimensionNames: [...dimensionNames, getDefaultDimensionName(size.length)],
+        };
+    }
+
+    getRemoveDimensionUpdate(axis) {
+        const { size, chunk, shard, query, dimensionNames } = this.state;
+        if (size.length <= CONFIG.MIN_DIMENSIONS) {
+            return {};
         }
-        if (queryY1 > maxY) {
-            updates.queryY1 = Math.max(0, maxY);
+        const without = values => values.filter((_, index) => index !== axis);
+        return {
+            comparisonLayout: this.getComparisonAxisUpdate(without),
+            size: without(size),
+            chunk: without(chunk),
+            shard: without(shard),
+            query: without(query),
+            dimensionNames: without(dimensionNames),
+        };
+    }
+
+    // Returns the changes that bring the state into range. The comparison layout is
+    // clamped in place, against the array it shares with the state.
+    validateAndClampState() {
+        const updates = {};
+        Object.entries(clampSettings(this.state)).forEach(([key, value]) => {
+            if (!isSameValue(this.state[key], value)) {
+                updates[key] = value;
+            }
+        });
+        if (this.isComparing()) {
+            const clamped = clampSettings({ ...this.getComparisonState(), ...updates });
+            this.appState.comparison.layout = pickLayoutSettings(clamped);
         }
-        if (queryY2 > maxY) {
-            updates.queryY2 = Math.max(0, maxY);
+        return updates;
+    }
+
+    updateDOMConstraints() {
+        const state = this.getEditedState();
+        state.size.forEach((size, axis) => {
+            const setMax = (id, max) => {
+                const element = document.getElementById(id);
+                if (element) {
+                    element.max = max;
+                }
+            };
+            setMax(`size-${axis}`, this.getMaxSize(axis, state));
+            setMax(`chunk-${axis}`, size);
+            setMax(`shard-${axis}`, Math.ceil(size / Math.max(1, state.chunk[axis])));
+            setMax(`queryStart-${axis}`, Math.max(0, size - 1));
+            setMax(`queryEnd-${axis}`, Math.max(0, size - 1));
+            setMax(`queryStep-${axis}`, size);
+        });
+    }
+
+    renderUI() {
+        const state = this.getEditedState();
+        const presetsEl = document.getElementById('presets');
+        if (presetsEl) {
+            presetsEl.value = state.currentPreset;
         }
-        if (queryZ1 > maxZ) {
-            updates.queryZ1 = Math.max(0, maxZ);
+        [
+            'cellAlgorithm',
+            'chunkAlgorithm',
+            'dtype',
+            'customItemSize',
+            'compression',
+            'compressionRatio',
+            'compressionSeed',
+            'sharding',
+            'innerChunkAlgorithm',
+            'coalesceGap',
+            'maxRequestSize',
+        ].forEach(key => {
+            const element = document.getElementById(key);
+            if (element) {
+                element.value = state[key];
+            }
+        });
+        const setGroupVisible = (id, visible) => {
+            const group = document.getElementById(id);
+            if (group) {
+                group.style.display = visible ? '' : 'none';
+            }
+        };
+        const analytical = document.getElementById('analytical');
+        if (analytical) {
+            analytical.checked = !!state.analytical;
         }
-        if (queryZ2 > maxZ) {
-            updates.queryZ2 = Math.max(0, maxZ);
+        setGroupVisible('customItemSizeGroup', state.dtype === 'custom');
+        setGroupVisible('compressionRatioGroup', state.compression !== 'none');
+        setGroupVisible('compressionSeedGroup', state.compression === 'random');
+        setGroupVisible('shardOptions', state.sharding !== 'none');
+        this.renderStorageControls();
+        this.renderViewOptions();
+
+        const compareLayouts = document.getElementById('compareLayouts');
+        if (compareLayouts) {
+            compareLayouts.checked = this.isComparing();
+            document.getElementById('editLayout').value = this.appState.comparison.editing;
+            setGroupVisible('editLayoutGroup', this.isComparing());
         }
 
-        // Handle edge cases: if array dimension is 1, set sensible defaults
-        if (sizeX === 1) {
-            updates.chunkX = 1;
-            updates.queryX1 = 0;
-            updates.queryX2 = 0;
-        }
-        if (sizeY === 1) {
-            updates.chunkY = 1;
-            updates.queryY1 = 0;
-            updates.queryY2 = 0;
+        // Only rebuild the per-axis rows when axes are added or removed, so focus
+        // is kept while tabbing between inputs
+        const sizeControls = document.getElementById('sizeControls');
+        if (sizeControls && sizeControls.children.length !== this.getDimensionCount()) {
+            this.renderDimensionControls();
         }
-        if (sizeZ === 1) {
-            updates.chunkZ = 1;
-            updates.queryZ1 = 0;
-            updates.queryZ2 = 0;
+
+        state.size.forEach((size, axis) => {
+            const name = state.dimensionNames[axis];
+            const values = {
+                [`dimensionName-${axis}`]: name,
+                [`size-${axis}`]: size,
+                [`chunk-${axis}`]: state.chunk[axis],
+                [`shard-${axis}`]: state.shard[axis],
+                [`queryStart-${axis}`]: state.query[axis][0],
+                [`queryEnd-${axis}`]: state.query[axis][1],
+                [`queryStep-${axis}`]: getStep(state.query[axis]),
+            };
+            Object.entries(values).forEach(([id, value]) => {
+                const element = document.getElementById(id);
+                if (element && element !== document.activeElement) {
+                    element.value = value;
+                }
+            });
+            document.querySelectorAll(`[data-axis-label="${axis}"]`).forEach(label => {
+                label.textContent = label.dataset.prefix + name + label.dataset.suffix;
+            });
+        });
+
+        const addButton = document.getElementById('addDimensionButton');
+        if (addButton) {
+            addButton.disabled = this.getDimensionCount() >= CONFIG.MAX_DIMENSIONS;
         }
+        document.querySelectorAll('.dimension-remove').forEach(button => {
+            button.disabled = this.getDimensionCount() <= CONFIG.MIN_DIMENSIONS;
+        });
+    }
 
-        return updates;
+    renderStorageControls() {
+        const select = document.getElementById('storageProfile');
+        if (!select) {
+            return;
+        }
+        const key = this.appState.storageProfile;
+        const isBuiltIn = !!STORAGE_PROFILES[key];
+        const isEdited = key in this.appState.storageProfiles;
+        select.replaceChildren(
+            ...Object.entries(this.getStorageProfiles()).map(([value, profile]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                const edited = STORAGE_PROFILES[value] && value in this.appState.storageProfiles;
+                option.textContent = profile.name + (edited ? ' *' : '');
+                return option;
+            })
+        );
+        select.value = key;
+
+        const profile = this.getStorageProfile();
+        const values = {
+            storageName: profile.name,
+            storageLatency: profile.latency,
+            storageThroughput: profile.throughput,
+            storageConcurrency: profile.concurrency,
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element && element !== document.activeElement) {
+                element.value = value;
+            }
+        });
+        // Built-in profiles keep their names, and can be reset once edited
+        document.getElementById('storageName').disabled = isBuiltIn;
+        const removeButton = document.getElementById('removeStorageProfileButton');
+        removeButton.textContent = isBuiltIn ? 'reset profile' : 'delete profile';
+        removeButton.disabled = isBuiltIn && !isEdited;
     }
 
-    updateDOMConstraints() {
-        const { sizeX, sizeY, sizeZ } = this.state;
+    // View toggles are matched by data attribute, so both layouts' copies are updated
+    renderViewOptions() {
+        const viewOptions = this.getViewOptions();
+        document.querySelectorAll('[data-view-option]').forEach(input => {
+            input.checked = !!viewOptions[input.dataset.viewOption];
+        });
+    }
 
-        document.getElementById('chunkX').max = sizeX;
-        document.getElementById('chunkY').max = sizeY;
-        document.getElementById('chunkZ').max = Math.max(1, sizeZ);
+    renderDimensionControls() {
+        const containers = {
+            size: document.getElementById('sizeControls'),
+            chunk: document.getElementById('chunkControls'),
+            shard: document.getElementById('shardControls'),
+            query: document.getElementById('queryControls'),
+        };
+        Object.values(containers).forEach(container => container.replaceChildren());
+
+        const axisLabel = (axis, prefix, suffix, htmlFor) => {
+            const label = document.createElement('label');
+            label.htmlFor = htmlFor;
+            label.dataset.axisLabel = axis;
+            label.dataset.prefix = prefix;
+            label.dataset.suffix = suffix;
+            return label;
+        };
+        const numberInput = (id, field, axis, min) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.min = min;
+            input.dataset.field = field;
+            input.dataset.axis = axis;
+            return input;
+        };
 
-        document.getElementById('queryX1').max = Math.max(0, sizeX - 1);
-        document.getElementById('queryX2').max = Math.max(0, sizeX - 1);
-        document.getElementById('queryY1').max = Math.max(0, sizeY - 1);
-        document.getElementById('queryY2').max = Math.max(0, sizeY - 1);
-        document.getElementById('queryZ1').max = Math.max(0, sizeZ - 1);
-        document.getElementById('queryZ2').max = Math.max(0, sizeZ - 1);
-    }
+        this.state.size.forEach((_, axis) => {
+            const sizeRow = document.createElement('div');
+            sizeRow.className = 'dimension-row';
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.id = `dimensionName-${axis}`;
+            nameInput.className = 'dimension-name';
+            nameInput.dataset.field = 'dimensionNames';
+            nameInput.dataset.axis = axis;
+            nameInput.setAttribute('aria-label', `Name of axis ${axis + 1}`);
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'dimension-remove';
+            removeButton.dataset.axis = axis;
+            removeButton.title = 'Remove dimension';
+            removeButton.textContent = '×';
+            sizeRow.append(nameInput, numberInput(`size-${axis}`, 'size', axis, 1), removeButton);
+            containers.size.appendChild(sizeRow);
+
+            const chunkGroup = document.createElement('div');
+            chunkGroup.className = 'control-group';
+            chunkGroup.append(
+                axisLabel(axis, 'Chunk Size ', '', `chunk-${axis}`),
+                numberInput(`chunk-${axis}`, 'chunk', axis, 1)
+            );
+            containers.chunk.appendChild(chunkGroup);
 
-    renderUI() {
-        Object.keys(this.state).forEach(key => {
-            if (key === 'currentPreset') {
-                const presetsEl = document.getElementById('presets');
-                if (presetsEl) {
-                    presetsEl.value = this.state[key];
-                }
-            } else {
-                const element = document.getElementById(key);
-                if (element) {
-                    element.value = this.state[key];
-                }
-            }
+            const shardGroup = document.createElement('div');
+            shardGroup.className = 'control-group';
+            shardGroup.append(
+                axisLabel(axis, 'Chunks per Shard ', '', `shard-${axis}`),
+                numberInput(`shard-${axis}`, 'shard', axis, 1)
+            );
+            containers.shard.appendChild(shardGroup);
+
+            const rangeGroup = document.createElement('div');
+            rangeGroup.className = 'range-group';
+            const to = document.createElement('span');
+            to.textContent = 'to';
+            const every = document.createElement('span');
+            every.textContent = 'every';
+            const stepInput = numberInput(`queryStep-${axis}`, 'queryStep', axis, 1);
+            stepInput.className = 'query-step';
+            stepInput.title = 'Select every nth cell along this axis';
+            rangeGroup.append(
+                axisLabel(axis, '', ':', `queryStart-${axis}`),
+                numberInput(`queryStart-${axis}`, 'queryStart', axis, 0),
+                to,
+                numberInput(`queryEnd-${axis}`, 'queryEnd', axis, 0),
+                every,
+                stepInput
+            );
+            containers.query.appendChild(rangeGroup);
         });
     }
 
@@ -265,6 +829,9 @@ export class SettingsManager {
 
     shouldShowResetButton() {
         const canonical = this.getCanonicalPreset(this.state.currentPreset);
-        return canonical && Object.keys(canonical).some(key => this.state[key] !== canonical[key]);
+        return (
+            canonical &&
+            Object.keys(canonical).some(key => !isSameValue(this.state[key], canonical[key]))
+        );
     }
 }
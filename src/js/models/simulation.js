@@ -1,6 +1,37 @@
 import { LRUCache } from '../core/cache.js';
 import { CONFIG } from '../core/constants.js';
-import { GridCoordinate, CellCoordinate } from '../core/coordinates.js';
+import { GridCoordinate, CellCoordinate, ShardedGridCoordinate } from '../core/coordinates.js';
+import { getItemSize, toByteRanges, countRangeBytes } from '../core/dtypes.js';
+import { getCompressionRatios } from '../core/compression.js';
+import { getShardIndexSize } from '../core/sharding.js';
+import { coalesceRanges } from '../core/ranges.js';
+import { BitSet } from '../core/bitset.js';
+import { analyzeQuery, getOrderRank } from '../core/analytical.js';
+import { getFirstSelected } from '../core/stride.js';
+import {
+    padShape,
+    padCoords,
+    product,
+    getChunkCounts,
+    getQueryRanges,
+    cellKey,
+    forEachCoordinate,
+    forEachRow,
+    rowMajorIndex,
+    rowMajorCoords,
+} from '../core/dimensions.js';
+
+// Runs simulation steps to the end, for callers that don't stop between them
+function runSteps(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        step = steps.next();
+    }
+    return step.value;
+}
+
+// Whether `count` items finish a batch, after which the simulation steps pause
+const endsBatch = count => count % CONFIG.SIMULATION_BATCH_CHUNKS === 0;
 
 export class SimulationModel {
     constructor() {
@@ -9,49 +40,90 @@ export class SimulationModel {
         this.positionCache = new LRUCache(CONFIG.LRU_DETAIL_CACHE_SIZE);
         this.chunkPositionCache = new LRUCache(CONFIG.LRU_CONFIG_CACHE_SIZE);
         this.cellPositionCache = new LRUCache(CONFIG.LRU_CONFIG_CACHE_SIZE);
-        this.cellCoordinateCache = new Map();
+        this.cellCoordinateCache = new LRUCache(CONFIG.LRU_CONFIG_CACHE_SIZE);
+    }
+
+    // Array shape padded to at least three axes, so 2D arrays have a size-1 Z
+    getShape(params) {
+        return padShape(params.size);
+    }
+
+    getChunkShape(params) {
+        return padShape(params.chunk, this.getShape(params).length);
+    }
+
+    getChunkCounts(params) {
+        return getChunkCounts(this.getShape(params), this.getChunkShape(params));
+    }
+
+    getQueryRanges(params) {
+        return getQueryRanges(params.query, this.getShape(params));
+    }
+
+    // Chunks per shard along each axis, or null when the array isn't sharded
+    getShardShape(params) {
+        if (!params.sharding || params.sharding === 'none') {
+            return null;
+        }
+        const chunkCounts = this.getChunkCounts(params);
+        return padShape(params.shard || [], chunkCounts.length).map((value, axis) =>
+            Math.min(Math.max(1, value || 1), chunkCounts[axis])
+        );
+    }
+
+    // Part of every cache key that depends on chunk order
+    getShardingKey(params) {
+        const shardShape = this.getShardShape(params);
+        return shardShape && [shardShape, params.sharding, params.innerChunkAlgorithm];
+    }
+
+    // Bytes per array element for the configured dtype
+    getItemSize(params) {
+        return getItemSize(params.dtype, params.customItemSize);
+    }
+
+    // Inclusive byte range of the cell stored at a global position
+    getByteRangeForPosition(globalPos, params) {
+        return toByteRanges([[globalPos, globalPos]], this.getItemSize(params))[0];
     }
 
     // Create or get cached CellCoordinate system for given params
     getCellCoordinateSystem(params) {
-        const [sizeX, sizeY, sizeZ = 1] = params.size;
-        const [chunkX, chunkY, chunkZ = 1] = params.chunk;
+        const shape = this.getShape(params);
+        const chunkShape = this.getChunkShape(params);
         const { cellAlgorithm = 'row-major', chunkAlgorithm = 'row-major' } = params;
 
+        const shardShape = this.getShardShape(params);
         const cacheKey = JSON.stringify([
-            sizeX,
-            sizeY,
-            sizeZ,
-            chunkX,
-            chunkY,
-            chunkZ,
+            shape,
+            chunkShape,
             cellAlgorithm,
             chunkAlgorithm,
+            this.getShardingKey(params),
         ]);
         if (this.cellCoordinateCache.has(cacheKey)) {
             return this.cellCoordinateCache.get(cacheKey);
         }
 
-        const chunksX = Math.ceil(sizeX / chunkX);
-        const chunksY = Math.ceil(sizeY / chunkY);
-        const chunksZ = Math.ceil(sizeZ / chunkZ);
-
-        const chunkGrid = new GridCoordinate(
-            chunksX,
-            chunksY,
-            chunksZ,
-            chunkAlgorithm,
-            this.chunkPositionCache
-        );
-        const cellCoordinate = new CellCoordinate(
-            sizeX,
-            sizeY,
-            sizeZ,
+        // With sharding, the chunk algorithm orders the shards and the inner one their chunks
+        const chunkGrid = shardShape
+            ? ShardedGridCoordinate.fromShape(
+                  getChunkCounts(shape, chunkShape),
+                  shardShape,
+                  chunkAlgorithm,
+                  params.innerChunkAlgorithm,
+                  this.chunkPositionCache
+              )
+            : GridCoordinate.fromShape(
+                  getChunkCounts(shape, chunkShape),
+                  chunkAlgorithm,
+                  this.chunkPositionCache
+              );
+        const cellCoordinate = CellCoordinate.fromShape(
+            shape,
             cellAlgorithm,
             chunkGrid,
-            chunkX,
-            chunkY,
-            chunkZ,
+            chunkShape,
             this.linearizationCache
         );
 
@@ -60,46 +132,40 @@ export class SimulationModel {
     }
 
     linearizeCoordinate(x, y, z, sizeX, sizeY, sizeZ, algorithm) {
-        const tempGrid = new GridCoordinate(
-            sizeX,
-            sizeY,
-            sizeZ,
-            algorithm,
-            this.linearizationCache
-        );
-        return tempGrid.linearize(x, y, z);
+        return this.linearizeCoords([x, y, z], [sizeX, sizeY, sizeZ], algorithm);
+    }
+
+    linearizeCoords(coords, shape, algorithm) {
+        const tempGrid = GridCoordinate.fromShape(shape, algorithm, this.linearizationCache);
+        return tempGrid.linearizeCoords(coords);
     }
 
     getIntraChunkPosition(x, y, z, params) {
-        const [sizeX, sizeY, sizeZ = 1] = params.size;
-        const [chunkX, chunkY, chunkZ = 1] = params.chunk;
-        const chunkCX = Math.floor(x / chunkX);
-        const chunkCY = Math.floor(y / chunkY);
-        const chunkCZ = Math.floor(z / chunkZ);
-        const chunkStartX = chunkCX * chunkX;
-        const chunkStartY = chunkCY * chunkY;
-        const chunkStartZ = chunkCZ * chunkZ;
-        const actualChunkX = Math.min(chunkStartX + chunkX, sizeX) - chunkStartX;
-        const actualChunkY = Math.min(chunkStartY + chunkY, sizeY) - chunkStartY;
-        const actualChunkZ = Math.min(chunkStartZ + chunkZ, sizeZ) - chunkStartZ;
-        const localX = x - chunkStartX;
-        const localY = y - chunkStartY;
-        const localZ = z - chunkStartZ;
-        return this.linearizeCoordinate(
-            localX,
-            localY,
-            localZ,
-            actualChunkX,
-            actualChunkY,
-            actualChunkZ,
-            params.cellAlgorithm
+        return this.getIntraChunkPositionForCoords([x, y, z], params);
+    }
+
+    getIntraChunkPositionForCoords(coords, params) {
+        const shape = this.getShape(params);
+        const chunkShape = this.getChunkShape(params);
+        const cellCoords = padCoords(coords, shape.length);
+        const chunkStart = cellCoords.map(
+            (value, axis) => Math.floor(value / chunkShape[axis]) * chunkShape[axis]
+        );
+        const actualChunkShape = chunkStart.map(
+            (start, axis) => Math.min(start + chunkShape[axis], shape[axis]) - start
         );
+        const localCoords = cellCoords.map((value, axis) => value - chunkStart[axis]);
+        return this.linearizeCoords(localCoords, actualChunkShape, params.cellAlgorithm);
     }
 
     getInterChunkPosition(x, y, z, params) {
+        return this.getInterChunkPositionForCoords([x, y, z], params);
+    }
+
+    getInterChunkPositionForCoords(coords, params) {
         const cellCoord = this.getCellCoordinateSystem(params);
-        const chunk = cellCoord.getParentChunk(x, y, z);
-        return cellCoord.chunkGrid.linearize(chunk.x, chunk.y, chunk.z);
+        const chunk = cellCoord.getParentChunkCoords(padCoords(coords, cellCoord.shape.length));
+        return cellCoord.chunkGrid.linearizeCoords(chunk);
     }
 
     getNormalizedChunkPosition(x, y, z, params) {
@@ -107,8 +173,12 @@ export class SimulationModel {
     }
 
     getGlobalPosition(x, y, z, params) {
+        return this.getGlobalPositionForCoords([x, y, z], params);
+    }
+
+    getGlobalPositionForCoords(coords, params) {
         const cellCoord = this.getCellCoordinateSystem(params);
-        return cellCoord.getGlobalIndex(x, y, z);
+        return cellCoord.getGlobalIndexForCoords(coords);
     }
 
     getChunkBounds(chunkCX, chunkCY, chunkX, chunkY, sizeX, sizeY) {
@@ -119,19 +189,20 @@ export class SimulationModel {
         return { startX, startY, endX, endY };
     }
 
-    getChunkGlobalRange(chunkCX, chunkCY, params) {
-        const [sizeX, sizeY] = params.size;
-        const [chunkX, chunkY] = params.chunk;
+    // Half-open cell bounds of a chunk, given its coordinates on the chunk grid
+    getChunkCellBounds(chunkCoords, params) {
+        const cellCoord = this.getCellCoordinateSystem(params);
+        return cellCoord.getChunkCellBounds(padCoords(chunkCoords, cellCoord.shape.length));
+    }
+
+    // Global positions of every cell in a chunk, given its coordinates on the chunk grid
+    getChunkGlobalRange(chunkCoords, params) {
+        const cellCoord = this.getCellCoordinateSystem(params);
+        const { start, end } = this.getChunkCellBounds(chunkCoords, params);
         const positions = [];
-        for (let dy = 0; dy < chunkY; dy++) {
-            for (let dx = 0; dx < chunkX; dx++) {
-                const x = chunkCX * chunkX + dx;
-                const y = chunkCY * chunkY + dy;
-                if (x < sizeX && y < sizeY) {
-                    positions.push(this.getGlobalPosition(x, y, 0, params));
-                }
-            }
-        }
+        forEachCoordinate(start, end, coords => {
+            positions.push(cellCoord.getGlobalIndexForCoords(coords));
+        });
         if (positions.length === 0) {
             return null;
         }
@@ -143,115 +214,431 @@ export class SimulationModel {
     }
 
     getChunkIndex(x, y, z, params) {
-        const [chunkX, chunkY, chunkZ] = params.chunk;
-        const cx = Math.floor(x / chunkX);
-        const cy = Math.floor(y / chunkY);
-        const cz = Math.floor(z / chunkZ);
-        const [sizeX, sizeY] = params.size;
-        const chunksX = Math.ceil(sizeX / chunkX);
-        const chunksY = Math.ceil(sizeY / chunkY);
-        return cx + cy * chunksX + cz * chunksX * chunksY;
+        return this.getChunkIndexForCoords([x, y, z], params);
     }
 
-    calculateData(params) {
-        const [sizeX, sizeY, sizeZ] = params.size;
-        const totalCells = sizeX * sizeY * Math.max(1, sizeZ);
-        const { requestedCells, touchedChunks } = this.calculateRequestedCellsAndChunks(
-            params,
-            sizeX,
-            sizeY,
-            sizeZ
+    // Row-major index of the chunk containing coords; used as a stable chunk id
+    getChunkIndexForCoords(coords, params) {
+        const chunkShape = this.getChunkShape(params);
+        const chunkCoords = chunkShape.map((chunkSize, axis) =>
+            Math.floor((coords[axis] || 0) / chunkSize)
         );
-        const actualCells = this.calculateActualCellsFromChunks(
+        return this.getChunkIndexForChunkCoords(chunkCoords, params);
+    }
+
+    getChunkIndexForChunkCoords(chunkCoords, params) {
+        return rowMajorIndex(chunkCoords, this.getChunkCounts(params));
+    }
+
+    // Cells are identified by their row-major index in the array, and chunks by theirs
+    // on the chunk grid. The requested and read cells and the touched chunks are bit sets
+    // of those ids; the ranges are inclusive runs of global cell positions. With
+    // analytical metrics only the counts and byte totals are worked out, not the sets.
+    calculateData(params) {
+        return runSteps(this.calculateDataSteps(params));
+    }
+
+    // The same, as a generator that pauses after every batch of chunks it lays out or
+    // reads, so a caller driving it can stop a large simulation partway through
+    *calculateDataSteps(params) {
+        if (params.analytical) {
+            return analyzeQuery(params);
+        }
+        const shape = this.getShape(params);
+        const totalCells = product(shape);
+        const storage = yield* this.getChunkStorageLayoutSteps(params);
+        const {
+            requestedCells,
+            requestedPositions,
+            actualCells,
             touchedChunks,
-            params,
-            sizeX,
-            sizeY,
-            sizeZ
-        );
-        const chunkedRanges = this.calculateByteRanges(
-            this.cellSetToPositions(actualCells, params)
+            requestedPerChunk,
+        } = yield* this.calculateRequestedCellsAndChunks(params, shape);
+        // Touched chunks in storage order, so their positions and offsets come sorted
+        const touchedStorage = [];
+        for (let storageIndex = 0; storageIndex < storage.chunks.length; storageIndex++) {
+            const chunk = storage.chunks[storageIndex];
+            if (touchedChunks.has(chunk.id)) {
+                touchedStorage.push(chunk);
+            }
+            if (endsBatch(storageIndex + 1)) {
+                yield;
+            }
+        }
+        // Chunks hold consecutive positions, so they are read as whole runs
+        const chunkedRanges = coalesceRanges(
+            touchedStorage.map(({ cellStart, cellCount }) => [cellStart, cellStart + cellCount - 1])
         );
-        const unchunkedRanges = this.calculateByteRanges(
-            this.cellSetToPositions(requestedCells, params)
+        // The passes below each run over every touched chunk, so the steps pause between them
+        yield;
+        const unchunkedRanges = requestedPositions.getRanges();
+        // Ranges above are in cell positions; these are the same reads in bytes. Chunks
+        // are read whole at their stored (possibly compressed) offsets.
+        const itemSize = this.getItemSize(params);
+        // The query's share of each stored chunk, so amplification compares like with like
+        const requestedBytes = touchedStorage.reduce(
+            (total, chunk) => total + (chunk.size * requestedPerChunk[chunk.id]) / chunk.cellCount,
+            0
         );
+        yield;
+        const chunkedByteRanges = this.calculateChunkByteRanges(touchedStorage);
+        yield;
+        // What a reader actually requests, merging reads across small gaps
+        const coalescedByteRanges = this.calculateChunkByteRanges(touchedStorage, {
+            gap: params.coalesceGap || 0,
+            maxSize: params.maxRequestSize || 0,
+        });
+        // Every touched shard also needs its index read, to find the chunks inside it
+        const touchedShards = [
+            ...new Set(touchedStorage.filter(chunk => chunk.shard).map(chunk => chunk.shard)),
+        ].sort((a, b) => a.offset - b.offset);
+        const indexByteRanges = touchedShards.map(({ indexOffset, indexSize }) => [
+            indexOffset,
+            indexOffset + indexSize - 1,
+        ]);
+        const chunkBytes = touchedStorage.reduce((total, chunk) => total + chunk.size, 0);
+        const indexBytes = touchedShards.reduce((total, shard) => total + shard.indexSize, 0);
+        const gapBytes = countRangeBytes(coalescedByteRanges) - chunkBytes;
         return {
             requestedCells,
             actualCells,
             touchedChunks,
+            requestedCellCount: requestedCells.size,
+            actualCellCount: actualCells.size,
+            touchedChunkCount: touchedChunks.size,
+            requestCount: coalescedByteRanges.length + indexByteRanges.length,
             chunkedRanges,
             unchunkedRanges,
             totalCells,
+            itemSize,
+            compressed: storage.compressed,
+            sharded: storage.sharded,
+            chunkedByteRanges,
+            coalescedByteRanges,
+            indexByteRanges,
+            shardRequests: this.calculateShardRequests(touchedShards, coalescedByteRanges),
+            unchunkedByteRanges: toByteRanges(unchunkedRanges, itemSize),
+            requestedBytes,
+            actualBytes: chunkBytes + gapBytes + indexBytes,
+            indexBytes,
+            gapBytes,
+            totalBytes: totalCells * itemSize,
+            storedBytes: storage.totalBytes,
         };
     }
 
-    calculateRequestedCellsAndChunks(params, sizeX, sizeY, sizeZ) {
-        const requestedCells = new Set();
-        const touchedChunks = new Set();
-        for (let x = params.query.x[0]; x <= Math.min(params.query.x[1], sizeX - 1); x++) {
-            for (let y = params.query.y[0]; y <= Math.min(params.query.y[1], sizeY - 1); y++) {
-                if (sizeZ > 0) {
-                    for (
-                        let z = params.query.z[0];
-                        z <= Math.min(params.query.z[1], sizeZ - 1);
-                        z++
-                    ) {
-                        requestedCells.add(`${x},${y},${z}`);
-                        touchedChunks.add(this.getChunkIndex(x, y, z, params));
+    // Coalesce the stored byte extents of whole chunks into inclusive byte ranges. Shards
+    // are separate objects, so a range never runs from one shard into the next.
+    calculateChunkByteRanges(storedChunks, options = {}) {
+        const sorted = [...storedChunks].sort((a, b) => a.offset - b.offset);
+        const shardByStart = new Map(sorted.map(chunk => [chunk.offset, chunk.shard]));
+        return coalesceRanges(
+            sorted.map(({ offset, size }) => [offset, offset + size - 1]),
+            options,
+            ([lastStart], [start]) => shardByStart.get(lastStart) === shardByStart.get(start)
+        );
+    }
+
+    // The range requests made to each shard object, in bytes from the start of the shard
+    calculateShardRequests(touchedShards, chunkedByteRanges) {
+        return touchedShards.map(shard => {
+            const local = byte => byte - shard.offset;
+            return {
+                coords: shard.coords,
+                index: [local(shard.indexOffset), local(shard.indexOffset + shard.indexSize - 1)],
+                ranges: chunkedByteRanges
+                    .filter(([start]) => start >= shard.offset && start < shard.offset + shard.size)
+                    .map(([start, end]) => [local(start), local(end)]),
+            };
+        });
+    }
+
+    // Where every chunk sits in storage: chunks are stored in chunk linearization order,
+    // each taking its compressed size, so offsets are a running sum of the sizes before it
+    getChunkStorageLayout(params) {
+        return runSteps(this.getChunkStorageLayoutSteps(params));
+    }
+
+    *getChunkStorageLayoutSteps(params) {
+        const shape = this.getShape(params);
+        const chunkShape = this.getChunkShape(params);
+        const itemSize = this.getItemSize(params);
+        const { compression = 'none', compressionRatio, compressionSeed } = params;
+        const cacheKey = JSON.stringify([
+            'storage',
+            shape,
+            chunkShape,
+            params.chunkAlgorithm,
+            itemSize,
+            compression,
+            compressionRatio,
+            compressionSeed,
+            this.getShardingKey(params),
+        ]);
+        let layout = this.positionCache.get(cacheKey);
+        if (!layout) {
+            layout = yield* this.createChunkStorageLayout(params, shape, chunkShape, itemSize);
+            this.positionCache.set(cacheKey, layout);
+        }
+        return layout;
+    }
+
+    *createChunkStorageLayout(params, shape, chunkShape, itemSize) {
+        const chunkCounts = getChunkCounts(shape, chunkShape);
+        const chunkColorMap = yield* this.getChunkColorMapSteps(params);
+        const chunks = [];
+        for (let id = 0; id < chunkColorMap.length; id++) {
+            const storageIndex = chunkColorMap[id];
+            const coords = rowMajorCoords(id, chunkCounts);
+            const start = coords.map((value, axis) => value * chunkShape[axis]);
+            const end = start.map((value, axis) => Math.min(value + chunkShape[axis], shape[axis]));
+            chunks[storageIndex] = {
+                id,
+                coords,
+                start,
+                end,
+                cellCount: product(end.map((value, axis) => value - start[axis])),
+            };
+            if (endsBatch(id + 1)) {
+                yield;
+            }
+        }
+
+        const compressed = (params.compression || 'none') !== 'none';
+        const ratios = getCompressionRatios(params, chunks, shape);
+        const { chunkGrid } = this.getCellCoordinateSystem(params);
+        const sharded = chunkGrid instanceof ShardedGridCoordinate;
+        const indexSize = sharded ? getShardIndexSize(product(chunkGrid.shardShape)) : 0;
+        const indexAtStart = params.sharding === 'start';
+        const byId = [];
+        const shards = [];
+        let shard = null;
+        let cellStart = 0;
+        let offset = 0;
+
+        // Shards hold consecutive chunks; the index goes before or after each one's chunks
+        const closeShard = () => {
+            if (shard && !indexAtStart) {
+                shard.indexOffset = offset;
+                offset += indexSize;
+            }
+            if (shard) {
+                shard.size = offset - shard.offset;
+            }
+        };
+        for (let storageIndex = 0; storageIndex < chunks.length; storageIndex++) {
+            const chunk = chunks[storageIndex];
+            if (sharded) {
+                const shardCoords = chunkGrid.getShardCoords(chunk.coords);
+                if (!shard || shard.key !== cellKey(shardCoords)) {
+                    closeShard();
+                    shard = {
+                        key: cellKey(shardCoords),
+                        coords: shardCoords,
+                        storageIndex: shards.length,
+                        offset,
+                        indexOffset: offset,
+                        indexSize,
+                    };
+                    shards.push(shard);
+                    if (indexAtStart) {
+                        offset += indexSize;
                     }
-                } else {
-                    requestedCells.add(`${x},${y},0`);
-                    touchedChunks.add(this.getChunkIndex(x, y, 0, params));
                 }
+                chunk.shard = shard;
+            }
+            const rawSize = chunk.cellCount * itemSize;
+            chunk.storageIndex = storageIndex;
+            chunk.cellStart = cellStart;
+            chunk.offset = offset;
+            chunk.size = compressed
+                ? Math.max(1, Math.round(rawSize / ratios[storageIndex]))
+                : rawSize;
+            chunk.ratio = rawSize / chunk.size;
+            cellStart += chunk.cellCount;
+            offset += chunk.size;
+            byId[chunk.id] = chunk;
+            if (endsBatch(storageIndex + 1)) {
+                yield;
             }
         }
-        return { requestedCells, touchedChunks };
+        closeShard();
+        return { chunks, byId, shards, compressed, sharded, totalBytes: offset };
     }
 
-    calculateActualCellsFromChunks(touchedChunks, params, sizeX, sizeY, sizeZ) {
-        const actualCells = new Set();
-        const [chunkX, chunkY, _chunkZ] = params.chunk;
-        const chunksX = Math.ceil(sizeX / chunkX);
-        const chunksY = Math.ceil(sizeY / chunkY);
-        touchedChunks.forEach(chunkIdx => {
-            const chunkCoords = this.getChunkCoordsFromIndex(chunkIdx, chunksX, chunksY);
-            this.addChunkCells(actualCells, chunkCoords, params, sizeX, sizeY, sizeZ);
-        });
-        return actualCells;
-    }
-
-    getChunkCoordsFromIndex(chunkIdx, chunksX, chunksY) {
-        const cz = Math.floor(chunkIdx / (chunksX * chunksY));
-        const cy = Math.floor((chunkIdx % (chunksX * chunksY)) / chunksX);
-        const cx = chunkIdx % chunksX;
-        return { cx, cy, cz };
-    }
-
-    addChunkCells(actualCells, chunkCoords, params, sizeX, sizeY, sizeZ) {
-        const [chunkX, chunkY, chunkZ] = params.chunk;
-        const { cx, cy, cz } = chunkCoords;
-        for (let dx = 0; dx < chunkX; dx++) {
-            for (let dy = 0; dy < chunkY; dy++) {
-                for (let dz = 0; dz < (sizeZ > 0 ? chunkZ : 1); dz++) {
-                    const x = cx * chunkX + dx;
-                    const y = cy * chunkY + dy;
-                    const z = cz * chunkZ + dz;
-                    if (x < sizeX && y < sizeY && (sizeZ === 0 || z < sizeZ)) {
-                        actualCells.add(`${x},${y},${z}`);
-                    }
+    // Stored extent of a chunk, given its coordinates on the chunk grid
+    getStoredChunk(chunkCoords, params) {
+        const chunkCounts = this.getChunkCounts(params);
+        const padded = padCoords(chunkCoords, chunkCounts.length);
+        if (padded.some((value, axis) => value < 0 || value >= chunkCounts[axis])) {
+            return undefined;
+        }
+        return this.getChunkStorageLayout(params).byId[rowMajorIndex(padded, chunkCounts)];
+    }
+
+    // Stored chunk holding a global cell position (chunks hold contiguous positions)
+    getStoredChunkForPosition(globalPos, params) {
+        const { chunks } = this.getChunkStorageLayout(params);
+        let low = 0;
+        let high = chunks.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (chunks[mid].cellStart <= globalPos) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return chunks[low];
+    }
+
+    // Approximate stored byte offset of a global cell position, spreading a compressed
+    // chunk's bytes evenly over its cells. Positions past the end map to the total size.
+    getStoredByteOffset(globalPos, params) {
+        const layout = this.getChunkStorageLayout(params);
+        const chunk = this.getStoredChunkForPosition(globalPos, params);
+        if (globalPos >= chunk.cellStart + chunk.cellCount) {
+            return layout.totalBytes;
+        }
+        return chunk.offset + ((globalPos - chunk.cellStart) * chunk.size) / chunk.cellCount;
+    }
+
+    // Inverse of getStoredByteOffset: the global cell position stored at a byte offset
+    getPositionForStoredByte(byte, params) {
+        const { chunks } = this.getChunkStorageLayout(params);
+        const chunk =
+            chunks.find(({ offset, size }) => byte < offset + size) || chunks[chunks.length - 1];
+        const local = Math.floor(((byte - chunk.offset) * chunk.cellCount) / chunk.size);
+        return chunk.cellStart + Math.min(Math.max(0, local), chunk.cellCount - 1);
+    }
+
+    // Visits each chunk the query touches once, with the part of the query inside it.
+    // A cell's global position is its chunk's first position plus its position within
+    // the chunk, so no cell is linearized on its own. A strided query passes over the
+    // chunks between its steps, and over the cells between them within a chunk.
+    *calculateRequestedCellsAndChunks(params, shape) {
+        const chunkShape = this.getChunkShape(params);
+        const chunkCounts = getChunkCounts(shape, chunkShape);
+        const totalCells = product(shape);
+        const requestedCells = new BitSet(totalCells);
+        const requestedPositions = new BitSet(totalCells);
+        const actualCells = new BitSet(totalCells);
+        const touchedChunks = new BitSet(product(chunkCounts));
+        const requestedPerChunk = new Uint32Array(product(chunkCounts));
+        const ranges = getQueryRanges(params.query, shape);
+        const steps = ranges.map(([, , step]) => step);
+        const { byId } = yield* this.getChunkStorageLayoutSteps(params);
+        const cellCoord = this.getCellCoordinateSystem(params);
+        const result = {
+            requestedCells,
+            requestedPositions,
+            actualCells,
+            touchedChunks,
+            requestedPerChunk,
+        };
+        if (ranges.some(([start, end]) => start > end)) {
+            return result;
+        }
+
+        const visitChunk = chunkCoords => {
+            const chunk = byId[rowMajorIndex(chunkCoords, chunkCounts)];
+            const queryStart = ranges.map((range, axis) =>
+                getFirstSelected(range, chunk.start[axis])
+            );
+            const queryEnd = ranges.map(([, end], axis) => Math.min(end + 1, chunk.end[axis]));
+            if (queryStart.some((start, axis) => start >= queryEnd[axis])) {
+                return;
+            }
+            const extent = chunk.end.map((value, axis) => value - chunk.start[axis]);
+            const localPositions = cellCoord.getLocalPositions(extent);
+            touchedChunks.add(chunk.id);
+            forEachRow(chunk.start, chunk.end, (coords, length) => {
+                const id = rowMajorIndex(coords, shape);
+                for (let i = 0; i < length; i++) {
+                    actualCells.add(id + i);
                 }
+            });
+            const [stepX] = steps;
+            forEachRow(
+                queryStart,
+                queryEnd,
+                (coords, length) => {
+                    const id = rowMajorIndex(coords, shape);
+                    const local = rowMajorIndex(
+                        coords.map((value, axis) => value - chunk.start[axis]),
+                        extent
+                    );
+                    for (let i = 0; i < length; i++) {
+                        requestedCells.add(id + i * stepX);
+                        requestedPositions.add(chunk.cellStart + localPositions[local + i * stepX]);
+                    }
+                    requestedPerChunk[chunk.id] += length;
+                },
+                steps
+            );
+        };
+        // The chunks the query's bounds reach, in row-major order
+        const firstChunk = ranges.map(([start], axis) => Math.floor(start / chunkShape[axis]));
+        const chunkBox = ranges.map(
+            ([, end], axis) => Math.floor(end / chunkShape[axis]) + 1 - firstChunk[axis]
+        );
+        const boxCount = product(chunkBox);
+        for (let index = 0; index < boxCount; index++) {
+            visitChunk(
+                rowMajorCoords(index, chunkBox).map((value, axis) => value + firstChunk[axis])
+            );
+            if (endsBatch(index + 1)) {
+                yield;
             }
         }
+        return result;
     }
 
-    cellSetToPositions(cellSet, params) {
-        return [...cellSet].map(key => {
-            const [x, y, z] = key.split(',').map(Number);
-            return this.getGlobalPosition(x, y, z, params);
-        });
+    // How far along chunk storage order a chunk is, from 0 to 1, without building the
+    // storage layout. Hilbert order is approximate; see getOrderRank.
+    getChunkOrderFraction(chunkCoords, params) {
+        const chunkCounts = this.getChunkCounts(params);
+        const rank = getOrderRank(
+            padCoords(chunkCoords, chunkCounts.length),
+            chunkCounts,
+            params.chunkAlgorithm
+        );
+        return rank / product(chunkCounts);
+    }
+
+    // The same for a cell's global position, taking every chunk to hold as many cells
+    getCellOrderFraction(coords, params) {
+        const shape = this.getShape(params);
+        const chunkShape = this.getChunkShape(params);
+        const chunkCounts = getChunkCounts(shape, chunkShape);
+        const cellCoords = padCoords(coords, shape.length);
+        const chunkCoords = cellCoords.map((value, axis) => Math.floor(value / chunkShape[axis]));
+        const extent = chunkCoords.map(
+            (value, axis) =>
+                Math.min((value + 1) * chunkShape[axis], shape[axis]) - value * chunkShape[axis]
+        );
+        const local = cellCoords.map((value, axis) => value - chunkCoords[axis] * chunkShape[axis]);
+        const chunkRank = getOrderRank(chunkCoords, chunkCounts, params.chunkAlgorithm);
+        const cellRank = getOrderRank(local, extent, params.cellAlgorithm);
+        return (chunkRank + cellRank / product(extent)) / product(chunkCounts);
+    }
+
+    getChunkCoordsFromIndex(chunkIdx, chunkCounts) {
+        return rowMajorCoords(chunkIdx, chunkCounts);
+    }
+
+    // Row-major index of a cell in the array, which identifies it in the simulation data
+    getCellId(coords, params) {
+        return rowMajorIndex(coords, this.getShape(params));
     }
 
-    calculateByteRanges(positions) {
+    getCellCoordsFromId(cellId, params) {
+        return rowMajorCoords(cellId, this.getShape(params));
+    }
+
+    // Runs of consecutive positions as inclusive ranges, optionally merged across small
+    // gaps ({ gap, maxSize }, in the same units as the positions)
+    calculateByteRanges(positions, options = {}) {
         if (positions.length === 0) {
             return [];
         }
@@ -268,90 +655,69 @@ export class SimulationModel {
             }
         }
         ranges.push([start, end]);
-        return ranges;
+        return coalesceRanges(ranges, options);
     }
 
-    getOrCreateChunkColorMap(params, sizeX, sizeY, sizeZ) {
-        const [chunkX, chunkY] = params.chunk;
-        const chunksX = Math.ceil(sizeX / chunkX);
-        const chunksY = Math.ceil(sizeY / chunkY);
-        const chunksZ = Math.ceil(Math.max(1, sizeZ) / Math.max(1, params.chunk[2]));
-        const cacheKey = JSON.stringify([chunksX, chunksY, chunksZ, params.chunkAlgorithm]);
+    // Each chunk's position in chunk linearization order, indexed by its row-major chunk id
+    getOrCreateChunkColorMap(params) {
+        return runSteps(this.getChunkColorMapSteps(params));
+    }
+
+    *getChunkColorMapSteps(params) {
+        const chunkCounts = this.getChunkCounts(params);
+        const cacheKey = JSON.stringify([
+            chunkCounts,
+            params.chunkAlgorithm,
+            this.getShardingKey(params),
+        ]);
         let chunkColorMap = this.positionCache.get(cacheKey);
         if (!chunkColorMap) {
-            chunkColorMap = this.createChunkColorMap(params, chunksX, chunksY, chunksZ);
+            chunkColorMap = yield* this.createChunkColorMap(params, chunkCounts);
             this.positionCache.set(cacheKey, chunkColorMap);
         }
         return chunkColorMap;
     }
 
-    createChunkColorMap(params, chunksX, chunksY, chunksZ) {
+    *createChunkColorMap(params, chunkCounts) {
+        const { chunkGrid } = this.getCellCoordinateSystem(params);
         const chunkPositions = [];
-        for (let chunkCZ = 0; chunkCZ < chunksZ; chunkCZ++) {
-            for (let chunkCY = 0; chunkCY < chunksY; chunkCY++) {
-                for (let chunkCX = 0; chunkCX < chunksX; chunkCX++) {
-                    const linearPos = this.linearizeCoordinate(
-                        chunkCX,
-                        chunkCY,
-                        chunkCZ,
-                        chunksX,
-                        chunksY,
-                        chunksZ,
-                        params.chunkAlgorithm
-                    );
-                    chunkPositions.push({ chunkCX, chunkCY, chunkCZ, linearPos });
-                }
+        const chunkCount = product(chunkCounts);
+        for (let id = 0; id < chunkCount; id++) {
+            const linearPos = chunkGrid.linearizeCoords(rowMajorCoords(id, chunkCounts));
+            chunkPositions.push({ id, linearPos });
+            if (endsBatch(id + 1)) {
+                yield;
             }
         }
         chunkPositions.sort((a, b) => a.linearPos - b.linearPos);
-        const chunkColorMap = new Map();
+        const chunkColorMap = new Uint32Array(chunkPositions.length);
         chunkPositions.forEach((chunk, index) => {
-            const key = `${chunk.chunkCX},${chunk.chunkCY},${chunk.chunkCZ}`;
-            chunkColorMap.set(key, index);
+            chunkColorMap[chunk.id] = index;
         });
         return chunkColorMap;
     }
 
-    getOrCreatePositionToCellMap(params, sizeX, sizeY, sizeZ) {
-        const [chunkSizeX, chunkSizeY] = params.chunk;
-        const cacheKey = JSON.stringify([
-            sizeX,
-            sizeY,
-            params.cellAlgorithm,
-            params.chunkAlgorithm,
-            chunkSizeX,
-            chunkSizeY,
-        ]);
-        let positionToCell = this.positionCache.get(cacheKey);
-        if (!positionToCell) {
-            positionToCell = new Map();
-            for (let z = 0; z < Math.max(1, sizeZ); z++) {
-                for (let y = 0; y < sizeY; y++) {
-                    for (let x = 0; x < sizeX; x++) {
-                        const globalPos = this.getGlobalPosition(x, y, z, params);
-                        positionToCell.set(globalPos, { x, y, z });
-                    }
-                }
-            }
-            this.positionCache.set(cacheKey, positionToCell);
-        }
-        return positionToCell;
+    // Cell id at every global position, shared with the cell coordinate system
+    getOrCreatePositionToCellMap(params) {
+        return this.getCellCoordinateSystem(params).getCellPermutation().cellIds;
     }
 
-    getCellFromLinearIndex(cellIndex, params, sizeX, sizeY, chunkX, chunkY) {
-        const [, , sizeZ] = params.size;
-        const positionToCell = this.getOrCreatePositionToCellMap(params, sizeX, sizeY, sizeZ);
-        const cell = positionToCell.get(cellIndex);
-
-        if (!cell) {
+    getCellFromLinearIndex(cellIndex, params) {
+        const positionToCell = this.getOrCreatePositionToCellMap(params);
+        if (!Number.isInteger(cellIndex) || cellIndex < 0 || cellIndex >= positionToCell.length) {
             return null;
         }
 
+        const coords = this.getCellCoordsFromId(positionToCell[cellIndex], params);
+        const chunkShape = this.getChunkShape(params);
+        const chunkCoords = coords.map((value, axis) => Math.floor(value / chunkShape[axis]));
         return {
-            x: cell.x,
-            y: cell.y,
-            chunkX: Math.floor(cell.x / chunkX),
-            chunkY: Math.floor(cell.y / chunkY),
+            x: coords[0],
+            y: coords[1],
+            chunkX: chunkCoords[0],
+            chunkY: chunkCoords[1],
+            coords,
+            chunkCoords,
         };
     }
 }
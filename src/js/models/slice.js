@@ -0,0 +1,47 @@
+// The spatial views draw one X/Y plane of the array. SliceState tracks which
+// index of every axis beyond Y that plane sits at.
+export class SliceState {
+    constructor() {
+        this.indices = [];
+    }
+
+    // Full coordinates of the current plane (X and Y are always 0), clamped to shape
+    getCoords(shape) {
+        return shape.map((size, axis) =>
+            axis < 2 ? 0 : Math.min(Math.max(0, this.indices[axis] || 0), size - 1)
+        );
+    }
+
+    setIndex(axis, value) {
+        this.indices[axis] = value;
+    }
+
+    // Move the slice along an axis, staying inside the array; returns true if it moved
+    step(axis, delta, shape) {
+        const current = this.getCoords(shape)[axis];
+        const next = Math.min(Math.max(0, current + delta), shape[axis] - 1);
+        this.indices[axis] = next;
+        return next !== current;
+    }
+
+    // Axes beyond Y that have more than one index to choose from
+    getSliceableAxes(shape) {
+        return shape.map((size, axis) => axis).filter(axis => axis >= 2 && shape[axis] > 1);
+    }
+
+    // Whether coordinates lie on the current slice along every axis from firstAxis on.
+    // The spatial views slice from Z (axis 2); the voxel view from axis 3.
+    isCellOnSlice(cellCoords, shape, firstAxis = 2) {
+        const slice = this.getCoords(shape);
+        return slice.every((value, axis) => axis < firstAxis || (cellCoords[axis] || 0) === value);
+    }
+
+    isChunkOnSlice(chunkCoords, shape, chunkShape, firstAxis = 2) {
+        const slice = this.getCoords(shape);
+        return slice.every(
+            (value, axis) =>
+                axis < firstAxis ||
+                (chunkCoords[axis] || 0) === Math.floor(value / chunkShape[axis])
+        );
+    }
+}
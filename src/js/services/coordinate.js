@@ -1,10 +1,71 @@
 import { LRUCache } from '../core/cache.js';
 import { CONFIG } from '../core/constants.js';
 
+// Horizontal scale of the isometric projection used by the voxel view
+const ISO_COS = Math.cos(Math.PI / 6);
+
 export class CoordinateService {
     constructor() {
         this.cellLayoutCache = new LRUCache(CONFIG.LRU_CONFIG_CACHE_SIZE);
         this.linearLayoutCache = new LRUCache(CONFIG.LRU_CONFIG_CACHE_SIZE);
+        this.resetSpatialView();
+        this.resetLinearView();
+    }
+
+    // The spatial views share one zoom and pan, so every canvas shows the same cells.
+    // The point at the center of the canvases is kept as a fraction of the array's X and
+    // Y extents, so the view stays put when the array is resized.
+    resetSpatialView() {
+        this.spatialView = { zoom: 1, centerX: 0.5, centerY: 0.5 };
+    }
+
+    isSpatialViewZoomed() {
+        return this.spatialView.zoom > 1;
+    }
+
+    // Keeps the array covering as much of the canvas as it can at this zoom, so it
+    // can't be panned out of sight
+    setSpatialView(zoom, centerX, centerY) {
+        const clampedZoom = Math.min(Math.max(1, zoom), CONFIG.MAX_SPATIAL_ZOOM);
+        const margin = 0.5 / clampedZoom;
+        const clampCenter = value => Math.min(Math.max(margin, value), 1 - margin);
+        this.spatialView = {
+            zoom: clampedZoom,
+            centerX: clampCenter(centerX),
+            centerY: clampCenter(centerY),
+        };
+    }
+
+    // Zooms by `factor` around a canvas point, which stays over the same cell
+    zoomSpatialView(factor, canvasX, canvasY, canvas, sizeX, sizeY) {
+        const dpr = window.devicePixelRatio || 1;
+        const logicalX = canvasX / dpr;
+        const logicalY = canvasY / dpr;
+        const { zoom } = this.spatialView;
+        const { cellSize, offsetX, offsetY } = this.getSpatialCellLayout(canvas, sizeX, sizeY);
+
+        const nextZoom = Math.min(Math.max(1, zoom * factor), CONFIG.MAX_SPATIAL_ZOOM);
+        const nextCellSize = (cellSize * nextZoom) / zoom;
+        const pointX = (logicalX - offsetX) / cellSize;
+        const pointY = (logicalY - offsetY) / cellSize;
+        const halfWidth = canvas.width / dpr / 2;
+        const halfHeight = canvas.height / dpr / 2;
+        this.setSpatialView(
+            nextZoom,
+            (pointX + (halfWidth - logicalX) / nextCellSize) / sizeX,
+            (pointY + (halfHeight - logicalY) / nextCellSize) / sizeY
+        );
+    }
+
+    // Pans by a distance in logical pixels
+    panSpatialView(deltaX, deltaY, canvas, sizeX, sizeY) {
+        const { zoom, centerX, centerY } = this.spatialView;
+        const { cellSize } = this.getSpatialCellLayout(canvas, sizeX, sizeY);
+        this.setSpatialView(
+            zoom,
+            centerX - deltaX / (cellSize * sizeX),
+            centerY - deltaY / (cellSize * sizeY)
+        );
     }
 
     getCanvasCoordinates(e, canvas) {
@@ -19,16 +80,27 @@ export class CoordinateService {
 
     getSpatialCellLayout(canvas, sizeX, sizeY) {
         const dpr = window.devicePixelRatio || 1;
-        const cacheKey = JSON.stringify([canvas.width, canvas.height, sizeX, sizeY, dpr]);
+        const { zoom, centerX, centerY } = this.spatialView;
+        const cacheKey = JSON.stringify([
+            canvas.width,
+            canvas.height,
+            sizeX,
+            sizeY,
+            dpr,
+            zoom,
+            centerX,
+            centerY,
+        ]);
         if (this.cellLayoutCache.has(cacheKey)) {
             return this.cellLayoutCache.get(cacheKey);
         }
 
+        // At zoom 1 the whole array fits, centered
         const logicalWidth = canvas.width / dpr;
         const logicalHeight = canvas.height / dpr;
-        const cellSize = Math.min(logicalWidth / sizeX, logicalHeight / sizeY) * 0.9;
-        const offsetX = (logicalWidth - sizeX * cellSize) / 2;
-        const offsetY = (logicalHeight - sizeY * cellSize) / 2;
+        const cellSize = Math.min(logicalWidth / sizeX, logicalHeight / sizeY) * 0.9 * zoom;
+        const offsetX = logicalWidth / 2 - centerX * sizeX * cellSize;
+        const offsetY = logicalHeight / 2 - centerY * sizeY * cellSize;
 
         const layout = { cellSize, offsetX, offsetY };
         this.cellLayoutCache.set(cacheKey, layout);
@@ -56,45 +128,193 @@ export class CoordinateService {
         };
     }
 
+    // The linear views show a window of the whole bar, kept as fractions of it so the
+    // cell and byte bars, and both layouts when comparing, show the same part
+    resetLinearView() {
+        this.linearView = { start: 0, end: 1 };
+    }
+
+    isLinearViewZoomed() {
+        return this.linearView.end - this.linearView.start < 1;
+    }
+
+    // Keeps the window on the bar and at least a few cells wide
+    setLinearView(start, end, totalCells) {
+        const minSpan = Math.min(1, CONFIG.MIN_LINEAR_WINDOW_CELLS / totalCells);
+        const span = Math.min(1, Math.max(minSpan, end - start));
+        const clampedStart = Math.min(Math.max(0, start), 1 - span);
+        this.linearView = { start: clampedStart, end: clampedStart + span };
+    }
+
+    // Zooms by `factor` around a fraction of the whole bar, which stays under the pointer
+    zoomLinearView(factor, fraction, totalCells) {
+        const { start, end } = this.linearView;
+        const span = end - start;
+        const pointer = (fraction - start) / span;
+        const nextSpan = span / factor;
+        const nextStart = fraction - pointer * nextSpan;
+        this.setLinearView(nextStart, nextStart + nextSpan, totalCells);
+    }
+
+    // Pans by a distance in logical pixels
+    panLinearView(deltaX, canvas, totalCells) {
+        const { start, end } = this.linearView;
+        const { barWidth } = this.getLinearBarLayout(canvas, totalCells);
+        const shift = (deltaX / barWidth) * (end - start);
+        this.setLinearView(start - shift, end - shift, totalCells);
+    }
+
+    // The detail bar spans the canvas between the margins, showing the window of the
+    // linear views. The overview strip above it shows the whole bar.
     getLinearBarLayout(canvas, totalCells) {
         const dpr = window.devicePixelRatio || 1;
-        const cacheKey = JSON.stringify([canvas.width, canvas.height, totalCells, dpr]);
+        const { start, end } = this.linearView;
+        const cacheKey = JSON.stringify([canvas.width, canvas.height, totalCells, dpr, start, end]);
         if (this.linearLayoutCache.has(cacheKey)) {
             return this.linearLayoutCache.get(cacheKey);
         }
 
         const logicalWidth = canvas.width / dpr;
-        const cellWidth = (logicalWidth - 40) / totalCells;
+        const barX = 20;
+        const barWidth = logicalWidth - 40;
+        const cellWidth = barWidth / ((end - start) * totalCells);
         const barHeight = 60;
-        const offsetX = 20;
-        const offsetY = 20;
+        const offsetX = barX - start * totalCells * cellWidth;
+        const offsetY = 32;
 
-        const layout = { cellWidth, barHeight, offsetX, offsetY };
+        const layout = {
+            cellWidth,
+            barHeight,
+            offsetX,
+            offsetY,
+            barX,
+            barWidth,
+            windowStart: start,
+            windowEnd: end,
+            overviewY: 4,
+            overviewHeight: 10,
+        };
         this.linearLayoutCache.set(cacheKey, layout);
         return layout;
     }
 
     getLinearCellCoordinates(canvasX, canvasY, canvas, data) {
-        const { cellWidth, barHeight, offsetX, offsetY } = this.getLinearBarLayout(
-            canvas,
-            data.totalCells
-        );
+        const layout = this.getLinearBarLayout(canvas, data.totalCells);
+        const { cellWidth, barHeight, offsetX, offsetY, barX, barWidth } = layout;
 
         const dpr = window.devicePixelRatio || 1;
         const logicalX = canvasX / dpr;
         const logicalY = canvasY / dpr;
 
-        const isInBar = logicalY >= offsetY && logicalY <= offsetY + barHeight;
+        // Cells outside the window are scrolled out of sight
+        const isInBar =
+            logicalY >= offsetY &&
+            logicalY <= offsetY + barHeight &&
+            logicalX >= barX &&
+            logicalX <= barX + barWidth;
         const cellIndex = Math.floor((logicalX - offsetX) / cellWidth);
         const isValidIndex = cellIndex >= 0 && cellIndex < data.totalCells;
 
         return {
             cellIndex,
+            // How far along the whole bar the point is, from 0 to 1
+            barFraction: (logicalX - offsetX) / (cellWidth * data.totalCells),
             isValid: isInBar && isValidIndex,
-            layout: { cellWidth, barHeight, offsetX, offsetY },
+            layout,
         };
     }
 
+    // How far along the whole bar a point over the overview strip is, from 0 to 1
+    getLinearOverviewFraction(canvasX, canvasY, canvas, totalCells) {
+        const { barX, barWidth, overviewY, overviewHeight } = this.getLinearBarLayout(
+            canvas,
+            totalCells
+        );
+        const dpr = window.devicePixelRatio || 1;
+        const logicalX = canvasX / dpr;
+        const logicalY = canvasY / dpr;
+        const fraction = (logicalX - barX) / barWidth;
+        return {
+            fraction: Math.min(Math.max(0, fraction), 1),
+            isValid:
+                logicalY >= overviewY - 2 &&
+                logicalY <= overviewY + overviewHeight + 2 &&
+                fraction >= 0 &&
+                fraction <= 1,
+        };
+    }
+
+    // Isometric layout of an X/Y/Z block: X runs down-right, Y down-left and Z up.
+    // The origin is where the bottom of the X=0, Y=0 edge would be drawn.
+    getVoxelLayout(canvas, sizeX, sizeY, sizeZ) {
+        const dpr = window.devicePixelRatio || 1;
+        const cacheKey = JSON.stringify([
+            'voxel',
+            canvas.width,
+            canvas.height,
+            sizeX,
+            sizeY,
+            sizeZ,
+            dpr,
+        ]);
+        if (this.cellLayoutCache.has(cacheKey)) {
+            return this.cellLayoutCache.get(cacheKey);
+        }
+
+        const logicalWidth = canvas.width / dpr;
+        const logicalHeight = canvas.height / dpr;
+        const span = sizeX + sizeY;
+        const unit = Math.min(
+            (logicalWidth * 0.9) / (span * ISO_COS),
+            (logicalHeight * 0.9) / (span / 2 + sizeZ)
+        );
+        const originX = logicalWidth / 2 - ((sizeX - sizeY) * unit * ISO_COS) / 2;
+        const originY = (logicalHeight - (span / 2 + sizeZ) * unit) / 2 + sizeZ * unit;
+
+        const layout = { unit, originX, originY };
+        this.cellLayoutCache.set(cacheKey, layout);
+        return layout;
+    }
+
+    projectVoxelPoint(x, y, z, layout) {
+        const { unit, originX, originY } = layout;
+        return {
+            x: originX + (x - y) * unit * ISO_COS,
+            y: originY + ((x + y) * unit) / 2 - z * unit,
+        };
+    }
+
+    // Find the voxel whose visible face (top, right or left) is under a canvas point
+    getVoxelCellCoordinates(canvasX, canvasY, canvas, params) {
+        const [sizeX, sizeY, sizeZ = 1] = params.size;
+        const dpr = window.devicePixelRatio || 1;
+        const layout = this.getVoxelLayout(canvas, sizeX, sizeY, sizeZ);
+
+        // u = x - y and v = x + y - 2z for any point that projects here
+        const u = (canvasX / dpr - layout.originX) / (layout.unit * ISO_COS);
+        const v = (canvasY / dpr - layout.originY) / (layout.unit / 2);
+
+        const topX = (u + v + 2 * sizeZ) / 2;
+        const topY = (v + 2 * sizeZ - u) / 2;
+        const rightY = sizeX - u;
+        const rightZ = (sizeX + rightY - v) / 2;
+        const leftX = u + sizeY;
+        const leftZ = (leftX + sizeY - v) / 2;
+        const candidates = [
+            [topX, topY, sizeZ - 0.5],
+            [sizeX - 0.5, rightY, rightZ],
+            [leftX, sizeY - 0.5, leftZ],
+        ];
+
+        for (const [x, y, z] of candidates) {
+            const cell = [Math.floor(x), Math.floor(y), Math.floor(z)];
+            if (cell.every((value, axis) => value >= 0 && value < [sizeX, sizeY, sizeZ][axis])) {
+                return { cellX: cell[0], cellY: cell[1], cellZ: cell[2], isValid: true, layout };
+            }
+        }
+        return { cellX: -1, cellY: -1, cellZ: -1, isValid: false, layout };
+    }
+
     getChunkCoordinatesFromCell(cellX, cellY, chunkX, chunkY) {
         return {
             x: Math.floor(cellX / chunkX),
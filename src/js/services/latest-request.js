@@ -0,0 +1,37 @@
+// The request loop the workers share. Requests that arrive while one runs replace it:
+// only the latest is started, and the one running stops at its next check once it has
+// been replaced.
+
+// Lets queued messages arrive, so a newer request can replace the running one
+export const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Runs `handle(request, isLatest)` for each request posted to `scope`, a worker's global
+// scope, one at a time. `handle` yields to messages between steps of its work and stops
+// once `isLatest()` is false. Errors it throws are posted back as `{ id, error }`.
+export function serveLatestRequest(handle, scope = self) {
+    let latest = null;
+    let running = false;
+
+    async function run() {
+        running = true;
+        while (latest) {
+            const request = latest;
+            try {
+                await handle(request, () => latest === request);
+            } catch (error) {
+                scope.postMessage({ id: request.id, error: error.message });
+            }
+            if (latest === request) {
+                latest = null;
+            }
+        }
+        running = false;
+    }
+
+    scope.addEventListener('message', e => {
+        latest = e.data;
+        if (!running) {
+            run();
+        }
+    });
+}
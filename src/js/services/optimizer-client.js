@@ -0,0 +1,83 @@
+import { optimizeLayouts } from '../core/optimizer.js';
+
+// Searches for chunk layouts in a worker, as the search can take seconds on large arrays.
+// A new search replaces the one before, and only the latest reports back. Where workers
+// aren't available the search runs on the main thread instead.
+export class OptimizerClient {
+    constructor() {
+        this.requestId = 0;
+        // The latest search, until it is done
+        this.request = null;
+        this.worker = this.createWorker();
+    }
+
+    createWorker() {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+        try {
+            const worker = new Worker(new URL('./optimizer-worker.js', import.meta.url), {
+                type: 'module',
+            });
+            worker.addEventListener('message', e => this.handleMessage(e.data));
+            worker.addEventListener('error', e => this.handleWorkerError(e));
+            return worker;
+        } catch (error) {
+            console.warn('Optimizer worker unavailable, searching on the main thread:', error);
+            return null;
+        }
+    }
+
+    // Searches the layouts of `params` on the weighted `queries`, calling
+    // `onProgress(fraction)` as it goes and `onDone(frontier, evaluated)` once it is
+    // finished; `frontier` is null if the search failed
+    search({ params, queries, profile }, { onProgress = () => {}, onDone }) {
+        const id = ++this.requestId;
+        this.request = { id, params, queries, profile, onProgress, onDone };
+        if (this.worker) {
+            this.worker.postMessage({ id, params, queries, profile });
+        } else {
+            this.searchOnMainThread();
+        }
+    }
+
+    isBusy() {
+        return this.request !== null;
+    }
+
+    searchOnMainThread() {
+        const { id, params, queries, profile } = this.request;
+        try {
+            this.handleMessage({ id, ...optimizeLayouts(params, queries, profile) });
+        } catch (error) {
+            this.handleMessage({ id, error: error.message });
+        }
+    }
+
+    handleMessage({ id, progress, frontier, evaluated, error }) {
+        const { request } = this;
+        if (!request || id !== request.id) {
+            return;
+        }
+        if (progress !== undefined) {
+            request.onProgress(progress);
+            return;
+        }
+        this.request = null;
+        if (error) {
+            console.error('Layout search failed:', error);
+        }
+        request.onDone(error ? null : frontier, evaluated);
+    }
+
+    // A worker that fails to load leaves the latest search to the main thread
+    handleWorkerError(e) {
+        console.warn('Optimizer worker failed, searching on the main thread:', e.message);
+        e.preventDefault?.();
+        this.worker.terminate();
+        this.worker = null;
+        if (this.request) {
+            this.searchOnMainThread();
+        }
+    }
+}
@@ -0,0 +1,31 @@
+import { getCandidateLayouts, evaluateLayout, getParetoFrontier } from '../core/optimizer.js';
+import { serveLatestRequest, yieldToMessages } from './latest-request.js';
+
+// Runs layout searches off the main thread. A request is `{ id, params, queries, profile }`
+// and its progress is posted back as `{ id, progress }`, a fraction of the layouts tried,
+// then the result as `{ id, frontier, evaluated }`. A request that arrives while one runs
+// replaces it, and the replaced search stops at its next layout.
+
+// Time between progress reports, in ms
+const PROGRESS_INTERVAL = 100;
+
+async function search(request, isLatest) {
+    const { id, params, queries, profile } = request;
+    const layouts = getCandidateLayouts(params);
+    const results = [];
+    let reported = performance.now();
+    for (let index = 0; index < layouts.length; index++) {
+        results.push(evaluateLayout(layouts[index], queries, profile));
+        if (performance.now() - reported > PROGRESS_INTERVAL) {
+            self.postMessage({ id, progress: (index + 1) / layouts.length });
+            await yieldToMessages();
+            if (!isLatest()) {
+                return;
+            }
+            reported = performance.now();
+        }
+    }
+    self.postMessage({ id, frontier: getParetoFrontier(results), evaluated: results.length });
+}
+
+serveLatestRequest(search);
@@ -0,0 +1,112 @@
+import { BitSet } from '../core/bitset.js';
+
+// Bit sets lose their class on the way from the worker
+function reviveData(data) {
+    if (!data) {
+        return data;
+    }
+    return Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [
+            key,
+            value?.words instanceof Uint32Array ? BitSet.from(value) : value,
+        ])
+    );
+}
+
+// Runs simulations in a worker, so large arrays don't freeze the page while they are
+// simulated. Each run replaces the one before: the worker skips runs that were replaced
+// before they started and abandons the rest of one replaced partway through. Results
+// are reported layout by layout as they arrive, with the parameters they are for, so a
+// view can show the last finished result while a newer run is still going. Where
+// workers aren't available the simulation runs on the main thread instead.
+export class SimulationClient {
+    constructor(simulationModel) {
+        this.simulationModel = simulationModel;
+        this.requestId = 0;
+        // Runs the worker may still report on, by id
+        this.requests = new Map();
+        this.worker = this.createWorker();
+    }
+
+    createWorker() {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+        try {
+            const worker = new Worker(new URL('./simulation-worker.js', import.meta.url), {
+                type: 'module',
+            });
+            worker.addEventListener('message', e =>
+                this.handleMessage({ ...e.data, data: reviveData(e.data.data) })
+            );
+            worker.addEventListener('error', e => this.handleWorkerError(e));
+            return worker;
+        } catch (error) {
+            console.warn('Simulation worker unavailable, simulating on the main thread:', error);
+            return null;
+        }
+    }
+
+    // Simulates each of `paramsList`, calling `onResult(index, data, params, done)` for
+    // each as it finishes; `data` is null if it failed, and `done` is set once the latest
+    // run has reported every layout
+    run(paramsList, onResult) {
+        const id = ++this.requestId;
+        this.requests.set(id, { paramsList, onResult });
+        if (this.worker) {
+            this.worker.postMessage({ id, paramsList });
+        } else {
+            this.runOnMainThread(id);
+        }
+    }
+
+    isBusy() {
+        return this.requests.has(this.requestId);
+    }
+
+    runOnMainThread(id) {
+        const { paramsList } = this.requests.get(id);
+        paramsList.forEach((params, index) => {
+            this.handleMessage({ id, index, data: this.simulationModel.calculateData(params) });
+        });
+    }
+
+    handleMessage({ id, index, data, error }) {
+        const request = this.requests.get(id);
+        if (!request) {
+            return;
+        }
+        // The worker runs one request at a time, so older ones won't report again
+        this.requests.forEach((_, olderId) => {
+            if (olderId < id) {
+                this.requests.delete(olderId);
+            }
+        });
+        const done = id === this.requestId && index === request.paramsList.length - 1;
+        if (done) {
+            this.requests.delete(id);
+        }
+        if (error) {
+            console.error(`Simulation of layout ${index + 1} failed:`, error);
+        }
+        request.onResult(index, error ? null : data, request.paramsList[index], done);
+    }
+
+    // A worker that fails to load, e.g. where module workers aren't supported, leaves
+    // the latest run to the main thread
+    handleWorkerError(e) {
+        console.warn('Simulation worker failed, simulating on the main thread:', e.message);
+        e.preventDefault?.();
+        this.worker.terminate();
+        this.worker = null;
+        const latest = this.requestId;
+        this.requests.forEach((_, id) => {
+            if (id !== latest) {
+                this.requests.delete(id);
+            }
+        });
+        if (this.requests.has(latest)) {
+            this.runOnMainThread(latest);
+        }
+    }
+}
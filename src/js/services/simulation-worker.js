@@ -0,0 +1,53 @@
+import { SimulationModel } from '../models/simulation.js';
+import { BitSet } from '../core/bitset.js';
+import { serveLatestRequest, yieldToMessages } from './latest-request.js';
+
+// Runs the simulation off the main thread. A request is `{ id, paramsList }`, one set of
+// parameters per layout, and each layout's data is posted back as `{ id, index, data }`
+// once it is finished. Requests that arrive while one runs replace it: only the latest
+// is started, and a replaced request stops within a batch of chunks, even partway
+// through a layout.
+
+// Time between chances for a newer request to arrive, in ms
+const SLICE_INTERVAL = 50;
+
+const model = new SimulationModel();
+
+// A layout's data, or undefined if the request was replaced before it was finished
+async function simulateLayout(params, isLatest) {
+    const steps = model.calculateDataSteps(params);
+    let step = steps.next();
+    let yielded = performance.now();
+    while (!step.done) {
+        if (performance.now() - yielded > SLICE_INTERVAL) {
+            await yieldToMessages();
+            if (!isLatest()) {
+                return undefined;
+            }
+            yielded = performance.now();
+        }
+        step = steps.next();
+    }
+    return step.value;
+}
+
+async function simulate(request, isLatest) {
+    for (let index = 0; index < request.paramsList.length && isLatest(); index++) {
+        try {
+            const data = await simulateLayout(request.paramsList[index], isLatest);
+            if (!data) {
+                return;
+            }
+            // The bit sets' words are handed over rather than copied
+            const transfer = Object.values(data)
+                .filter(value => value instanceof BitSet)
+                .map(set => set.words.buffer);
+            self.postMessage({ id: request.id, index, data }, transfer);
+        } catch (error) {
+            self.postMessage({ id: request.id, index, error: error.message });
+        }
+        await yieldToMessages();
+    }
+}
+
+serveLatestRequest(simulate);
@@ -4,13 +4,17 @@ import {
     SpatialChunkedRenderer,
     LinearUnchunkedRenderer,
     LinearChunkedRenderer,
+    VoxelRenderer,
 } from './renderers.js';
 import { InteractionManager } from './interaction.js';
 import { CONFIG } from '../core/constants.js';
 
 export class CanvasManager {
-    constructor(visualizer) {
+    // `suffix` picks out the element ids of a second set of views, for comparisons
+    constructor(visualizer, { suffix = '', handleOutsideClicks = true } = {}) {
         this.visualizer = visualizer;
+        this.suffix = suffix;
+        this.handleOutsideClicks = handleOutsideClicks;
         this.canvases = {};
         this.contexts = {};
         this.renderers = {};
@@ -18,11 +22,13 @@ export class CanvasManager {
     }
 
     initializeCanvases() {
+        const element = id => document.getElementById(id + this.suffix);
         this.canvases = {
-            spatialUnchunked: document.getElementById('spatial-unchunked'),
-            spatialChunked: document.getElementById('spatial-chunked'),
-            linearUnchunked: document.getElementById('linear-unchunked'),
-            linearChunked: document.getElementById('linear-chunked'),
+            spatialUnchunked: element('spatial-unchunked'),
+            spatialChunked: element('spatial-chunked'),
+            linearUnchunked: element('linear-unchunked'),
+            linearChunked: element('linear-chunked'),
+            voxel: element('voxel-view'),
         };
 
         this.tooltipManager = new TooltipManager(document.getElementById('tooltip'));
@@ -72,10 +78,18 @@ export class CanvasManager {
                         this.visualizer.coordinateService
                     );
                     break;
+                case 'voxel':
+                    this.renderers[key] = new VoxelRenderer(
+                        canvas,
+                        this.contexts[key],
+                        this.visualizer,
+                        this.visualizer.coordinateService
+                    );
+                    break;
             }
 
-            // Add mouse interaction for spatial and linear views
-            if (key.startsWith('spatial') || key.startsWith('linear')) {
+            // Add mouse interaction for spatial, linear and voxel views
+            if (key.startsWith('spatial') || key.startsWith('linear') || key === 'voxel') {
                 canvas.addEventListener('mousemove', e =>
                     this.interactionManager.handleMouseMove(e, key)
                 );
@@ -86,10 +100,24 @@ export class CanvasManager {
                     this.interactionManager.handleMouseClick(e, key)
                 );
             }
+            if (key.startsWith('spatial') || key.startsWith('linear')) {
+                canvas.addEventListener('mousedown', e =>
+                    this.interactionManager.handleMouseDown(e, key)
+                );
+                // Not passive, so zooming doesn't also scroll the page
+                canvas.addEventListener('wheel', e => this.interactionManager.handleWheel(e, key), {
+                    passive: false,
+                });
+                canvas.addEventListener('dblclick', () =>
+                    this.interactionManager.handleDoubleClick(key)
+                );
+            }
         }
 
         this.setupResizeHandling();
-        this.setupGlobalClickHandler();
+        if (this.handleOutsideClicks) {
+            this.setupGlobalClickHandler();
+        }
 
         // Force initial resize after DOM is ready
         setTimeout(() => {
@@ -124,9 +152,9 @@ export class CanvasManager {
     setupGlobalClickHandler() {
         // Clear selection when clicking outside visualizations
         document.addEventListener('click', e => {
-            // Check if click was inside any canvas
+            // Check if click was inside any canvas, including a comparison's
             let clickedCanvas = false;
-            for (const canvas of Object.values(this.canvases)) {
+            for (const canvas of document.querySelectorAll('.canvas-container canvas')) {
                 const rect = canvas.getBoundingClientRect();
                 if (
                     e.clientX >= rect.left &&
@@ -202,7 +230,7 @@ export class CanvasManager {
             const totalPadding = linearVizPadding * 2 + canvasContainerPadding;
 
             const width = containerRect.width - totalPadding;
-            const height = 120;
+            const height = 140;
             const lastSize = this.lastCanvasSize.get(key);
 
             if (
@@ -215,14 +243,53 @@ export class CanvasManager {
             }
         });
 
+        // Voxel canvas - full width of its panel, only sized while the panel is shown
+        const voxelCanvas = this.canvases.voxel;
+        const voxelPanel = voxelCanvas.parentElement.parentElement; // .viz-panel
+        const voxelRect = voxelPanel.getBoundingClientRect();
+        const vizPanelPadding = 15;
+        const canvasContainerPadding = 20; // 10px on each side
+        const voxelWidth = Math.min(
+            voxelRect.width - vizPanelPadding * 2 - canvasContainerPadding,
+            CONFIG.MAX_CANVAS_SIZE * 2
+        );
+        const voxelHeight = Math.round(Math.min(voxelWidth * 0.6, CONFIG.MAX_CANVAS_SIZE));
+        const lastVoxelSize = this.lastCanvasSize.get('voxel');
+        if (
+            voxelWidth > 0 &&
+            (!lastVoxelSize ||
+                lastVoxelSize.width !== voxelWidth ||
+                lastVoxelSize.height !== voxelHeight)
+        ) {
+            this.setCanvasSize('voxel', voxelWidth, voxelHeight);
+            this.lastCanvasSize.set('voxel', { width: voxelWidth, height: voxelHeight });
+            needsUpdate = true;
+        }
+
         return needsUpdate;
     }
 
+    // The voxel view only applies to arrays with more than one Z slice, and draws them
+    // cell by cell, which analytical metrics can't
+    updateVoxelVisibility(params) {
+        const panel = document.getElementById('voxelPanel' + this.suffix);
+        const visible = !params.analytical && (params.size[2] || 1) > 1;
+        const wasVisible = panel.style.display !== 'none';
+        panel.style.display = visible ? '' : 'none';
+        if (visible && !wasVisible) {
+            this.resizeCanvases();
+        }
+        return visible;
+    }
+
     renderAll(params, data) {
         // Draw all views using specialized renderers
         this.renderers.spatialUnchunked.render(params, data);
         this.renderers.spatialChunked.render(params, data);
         this.renderers.linearUnchunked.render(params, data);
         this.renderers.linearChunked.render(params, data);
+        if (this.updateVoxelVisibility(params)) {
+            this.renderers.voxel.render(params, data);
+        }
     }
 }
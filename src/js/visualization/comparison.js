@@ -0,0 +1,75 @@
+import { CanvasManager } from './canvas-manager.js';
+
+// The second layout of a comparison. It stands in for the visualizer in a second
+// CanvasManager with its own parameters and data, but shares the visualizer's model,
+// slice and selection, so hovering either layout highlights the same cells in both.
+export class ComparisonView {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.simulationModel = visualizer.simulationModel;
+        this.coordinateService = visualizer.coordinateService;
+        this.selectionState = visualizer.selectionState;
+        this.sliceState = visualizer.sliceState;
+        this.currentData = null;
+        this.currentParams = null;
+        this.canvasManager = new CanvasManager(this, { suffix: '-b', handleOutsideClicks: false });
+    }
+
+    // The views of the second layout are a copy of the first layout's, with `-b` ids.
+    // The slice navigator and playback controls are shared, so they are left out.
+    initialize() {
+        const layoutA = document.getElementById('layoutA');
+        const layoutB = layoutA.cloneNode(true);
+        layoutB.id = 'layoutB';
+        layoutB.style.display = 'none';
+        layoutB.querySelector('.slice-navigator').remove();
+        layoutB.querySelector('.playback-controls').remove();
+        layoutB.querySelector('.layout-title').textContent = 'Layout B';
+        layoutB.querySelectorAll('[id]').forEach(element => {
+            element.id += '-b';
+        });
+        layoutA.after(layoutB);
+        this.canvasManager.initializeCanvases();
+    }
+
+    getParameters() {
+        return this.visualizer.getComparisonParameters();
+    }
+
+    getColorForLinearPosition(position, maxPosition) {
+        return this.visualizer.getColorForLinearPosition(position, maxPosition);
+    }
+
+    getEffectiveCell() {
+        return this.selectionState.getEffectiveCell();
+    }
+
+    getPlaybackFrame(params, data) {
+        return this.visualizer.getPlaybackFrame(params, data);
+    }
+
+    getViewOptions() {
+        return this.visualizer.getViewOptions();
+    }
+
+    getEffectiveChunk() {
+        const chunkShape = this.simulationModel.getChunkShape(this.getParameters());
+        return this.selectionState.getEffectiveChunk(chunkShape);
+    }
+
+    previewChange(newState) {
+        this.visualizer.previewChange(newState);
+    }
+
+    applyChange(newState) {
+        this.visualizer.applyChange(newState);
+    }
+
+    renderViews() {
+        this.visualizer.renderViews();
+    }
+
+    update() {
+        this.visualizer.update();
+    }
+}
@@ -1,4 +1,23 @@
 import { TooltipContentGenerator } from '../models/selection.js';
+import { getQueryRanges } from '../core/dimensions.js';
+import { getQueryHandle, getDraggedQuery } from '../models/query-drag.js';
+
+// Zoom factor per pixel of wheel scrolling, as e^(rate * pixels)
+const WHEEL_ZOOM_RATE = 0.002;
+const WHEEL_LINE_HEIGHT = 16;
+
+const QUERY_HANDLE_CURSORS = {
+    draw: 'crosshair',
+    move: 'move',
+    n: 'ns-resize',
+    s: 'ns-resize',
+    e: 'ew-resize',
+    w: 'ew-resize',
+    nw: 'nwse-resize',
+    se: 'nwse-resize',
+    ne: 'nesw-resize',
+    sw: 'nesw-resize',
+};
 
 export class InteractionStrategy {
     constructor(visualizer, tooltipManager) {
@@ -54,17 +73,11 @@ export class InteractionStrategy {
                 sticky
             );
         } else if (targetInfo.chunk) {
-            const [sizeX, sizeY] = params.size;
-            const [chunkX, chunkY] = params.chunk;
             this.tooltipManager.show(
                 e,
                 TooltipContentGenerator.generateChunkTooltip(
                     targetInfo.chunk,
                     params,
-                    sizeX,
-                    sizeY,
-                    chunkX,
-                    chunkY,
                     this.visualizer
                 ),
                 sticky
@@ -72,6 +85,28 @@ export class InteractionStrategy {
         }
     }
 
+    // Cell and chunk for the leading coordinates picked in a view, with the
+    // remaining axes taken from the current slice
+    getSliceTarget(leadingCoords, params) {
+        const model = this.visualizer.simulationModel;
+        const slice = this.visualizer.sliceState.getCoords(model.getShape(params));
+        const chunkShape = model.getChunkShape(params);
+        const coords = [...leadingCoords, ...slice.slice(leadingCoords.length)].slice(
+            0,
+            params.size.length
+        );
+        const chunkCoords = coords.map((value, axis) => Math.floor(value / chunkShape[axis]));
+        return {
+            cell: { x: coords[0], y: coords[1], coords },
+            chunk: {
+                x: chunkCoords[0],
+                y: chunkCoords[1],
+                coords: chunkCoords,
+                cellCoords: coords,
+            },
+        };
+    }
+
     clearHover() {
         this.visualizer.selectionState.clearHover();
         this.tooltipManager.hideIfNotSticky();
@@ -106,6 +141,9 @@ export class InteractionManager {
         this.canvases = canvases;
         this.tooltipManager = tooltipManager;
         this.mouseThrottle = false;
+        this.drag = null;
+        this.suppressClick = false;
+        this.renderPending = false;
 
         // Initialize strategies
         const linearStrategy = new LinearStrategy(visualizer, tooltipManager);
@@ -114,10 +152,17 @@ export class InteractionManager {
             spatialChunked: new SpatialChunkedStrategy(visualizer, tooltipManager),
             linearUnchunked: linearStrategy,
             linearChunked: linearStrategy,
+            voxel: new VoxelStrategy(visualizer, tooltipManager),
         };
     }
 
     handleMouseMove(e, canvasKey) {
+        // Dragging the query is followed on the window, even outside the canvas
+        if (this.drag) {
+            return;
+        }
+        this.updateCursor(e, canvasKey);
+
         // Don't update anything if there's a selection - keep the selection locked
         if (this.visualizer.selectionState.hasSelection()) {
             return;
@@ -155,7 +200,323 @@ export class InteractionManager {
         });
     }
 
+    // Shows what pressing here would do, on the views that can be dragged. On the spatial
+    // views shift pans, otherwise the query is changed. On the linear views the window
+    // is moved, or a new one brushed, on the overview strip.
+    updateCursor(e, canvasKey) {
+        const canvas = this.canvases[canvasKey];
+        const strategy = this.strategies[canvasKey];
+        if (strategy instanceof SpatialStrategy) {
+            canvas.style.cursor = e.shiftKey
+                ? 'grab'
+                : QUERY_HANDLE_CURSORS[strategy.getQueryHandle(e, canvas)];
+        } else if (strategy instanceof LinearStrategy) {
+            const target = this.getLinearTarget(e, canvas);
+            const pans = target === 'bar' && this.visualizer.coordinateService.isLinearViewZoomed();
+            canvas.style.cursor =
+                target === 'window' || pans ? 'grab' : target === 'overview' ? 'crosshair' : '';
+        }
+    }
+
+    // Whether a point on a linear view is on the overview's window, elsewhere on the
+    // overview, or on the detail bar; null without data to place it, or with analytical
+    // metrics, whose linear views show the whole bar only
+    getLinearTarget(e, canvas) {
+        const data = this.visualizer.currentData;
+        if (!data || data.analytical) {
+            return null;
+        }
+        const { coordinateService } = this.visualizer;
+        const coords = coordinateService.getCanvasCoordinates(e, canvas);
+        const { fraction, isValid } = coordinateService.getLinearOverviewFraction(
+            coords.x,
+            coords.y,
+            canvas,
+            data.totalCells
+        );
+        if (isValid) {
+            const { start, end } = coordinateService.linearView;
+            return fraction >= start && fraction <= end ? 'window' : 'overview';
+        }
+        return 'bar';
+    }
+
+    // Zooming and panning only move the views, so they are redrawn without rerunning the
+    // simulation, at most once a frame
+    requestRender() {
+        if (this.renderPending) {
+            return;
+        }
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.visualizer.renderViews();
+        });
+    }
+
+    // The wheel zooms the spatial and linear views around the pointer
+    handleWheel(e, canvasKey) {
+        const canvas = this.canvases[canvasKey];
+        const strategy = this.strategies[canvasKey];
+        if (strategy instanceof LinearStrategy) {
+            this.handleLinearWheel(e, canvas);
+            return;
+        }
+        if (!(strategy instanceof SpatialStrategy)) {
+            return;
+        }
+        e.preventDefault();
+        const [sizeX, sizeY] = this.visualizer.getParameters().size;
+        const coords = this.visualizer.coordinateService.getCanvasCoordinates(e, canvas);
+        const pixels = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY;
+        this.visualizer.coordinateService.zoomSpatialView(
+            Math.exp(-pixels * WHEEL_ZOOM_RATE),
+            coords.x,
+            coords.y,
+            canvas,
+            sizeX,
+            sizeY
+        );
+        this.requestRender();
+    }
+
+    handleLinearWheel(e, canvas) {
+        const data = this.visualizer.currentData;
+        if (!data || data.analytical) {
+            return;
+        }
+        e.preventDefault();
+        const { coordinateService } = this.visualizer;
+        const coords = coordinateService.getCanvasCoordinates(e, canvas);
+        const { barFraction } = coordinateService.getLinearCellCoordinates(
+            coords.x,
+            coords.y,
+            canvas,
+            data
+        );
+        const pixels = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY;
+        coordinateService.zoomLinearView(
+            Math.exp(-pixels * WHEEL_ZOOM_RATE),
+            Math.min(Math.max(0, barFraction), 1),
+            data.totalCells
+        );
+        this.requestRender();
+    }
+
+    handleDoubleClick(canvasKey) {
+        const { coordinateService } = this.visualizer;
+        const strategy = this.strategies[canvasKey];
+        if (strategy instanceof SpatialStrategy && coordinateService.isSpatialViewZoomed()) {
+            coordinateService.resetSpatialView();
+            this.requestRender();
+        } else if (strategy instanceof LinearStrategy && coordinateService.isLinearViewZoomed()) {
+            coordinateService.resetLinearView();
+            this.requestRender();
+        }
+    }
+
+    // Follows a drag on the window, so it carries on outside the canvas
+    trackDrag(drag, onMove, onEnd) {
+        const handleMove = moveEvent => onMove(moveEvent);
+        const handleUp = upEvent => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+            onEnd(upEvent);
+        };
+        this.drag = drag;
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+    }
+
+    // On the spatial views, shift or middle-button drags pan the view. Other drags draw,
+    // move or resize the query, which changes live and is saved on release.
+    handleMouseDown(e, canvasKey) {
+        this.suppressClick = false;
+        const canvas = this.canvases[canvasKey];
+        const strategy = this.strategies[canvasKey];
+        if (strategy instanceof LinearStrategy) {
+            this.startLinearDrag(e, canvas);
+            return;
+        }
+        if (!(strategy instanceof SpatialStrategy)) {
+            return;
+        }
+        if (e.button === 1 || (e.button === 0 && e.shiftKey)) {
+            e.preventDefault();
+            canvas.style.cursor = 'grabbing';
+            const last = this.visualizer.coordinateService.getCanvasCoordinates(e, canvas);
+            this.trackDrag(
+                { canvas, last, changed: false },
+                moveEvent => this.handlePanMove(moveEvent),
+                () => this.handlePanEnd()
+            );
+            return;
+        }
+        if (e.button !== 0 || !strategy.startQueryDrag(e, canvas)) {
+            return;
+        }
+        e.preventDefault();
+        this.tooltipManager.hideIfNotSticky();
+        this.trackDrag(
+            { strategy, canvas, changed: false },
+            moveEvent => this.handleDragMove(moveEvent),
+            upEvent => this.handleDragEnd(upEvent)
+        );
+    }
+
+    handlePanMove(e) {
+        const { canvas, last } = this.drag;
+        const coords = this.visualizer.coordinateService.getCanvasCoordinates(e, canvas);
+        const dpr = window.devicePixelRatio || 1;
+        const [sizeX, sizeY] = this.visualizer.getParameters().size;
+        this.visualizer.coordinateService.panSpatialView(
+            (coords.x - last.x) / dpr,
+            (coords.y - last.y) / dpr,
+            canvas,
+            sizeX,
+            sizeY
+        );
+        this.drag = { ...this.drag, last: coords, changed: true };
+        this.requestRender();
+    }
+
+    handlePanEnd() {
+        const { canvas, changed } = this.drag;
+        this.drag = null;
+        canvas.style.cursor = 'grab';
+        // Releasing a shift drag over the pressed canvas also fires a click
+        this.suppressClick = changed;
+    }
+
+    // On the linear views, dragging the overview's window moves it and dragging elsewhere
+    // on the overview brushes a new one; clicking there centers the window on the point.
+    // Dragging the detail bar pans it.
+    startLinearDrag(e, canvas) {
+        const target = e.button === 0 ? this.getLinearTarget(e, canvas) : null;
+        if (!target) {
+            return;
+        }
+        e.preventDefault();
+        const { coordinateService } = this.visualizer;
+        const { totalCells } = this.visualizer.currentData;
+        const coords = coordinateService.getCanvasCoordinates(e, canvas);
+        const { fraction } = coordinateService.getLinearOverviewFraction(
+            coords.x,
+            coords.y,
+            canvas,
+            totalCells
+        );
+        const { start, end } = coordinateService.linearView;
+        if (target !== 'overview') {
+            canvas.style.cursor = 'grabbing';
+        }
+        this.trackDrag(
+            {
+                canvas,
+                target,
+                totalCells,
+                last: coords,
+                anchor: target === 'window' ? fraction - start : fraction,
+                span: end - start,
+                moved: false,
+                changed: false,
+            },
+            moveEvent => this.handleLinearDragMove(moveEvent),
+            () => this.handleLinearDragEnd()
+        );
+    }
+
+    handleLinearDragMove(e) {
+        const { canvas, target, totalCells, last, anchor, span } = this.drag;
+        const { coordinateService } = this.visualizer;
+        const before = coordinateService.linearView;
+        const coords = coordinateService.getCanvasCoordinates(e, canvas);
+        const { fraction } = coordinateService.getLinearOverviewFraction(
+            coords.x,
+            coords.y,
+            canvas,
+            totalCells
+        );
+        if (target === 'bar') {
+            const dpr = window.devicePixelRatio || 1;
+            coordinateService.panLinearView((coords.x - last.x) / dpr, canvas, totalCells);
+        } else if (target === 'window') {
+            coordinateService.setLinearView(
+                fraction - anchor,
+                fraction - anchor + span,
+                totalCells
+            );
+        } else {
+            const [brushStart, brushEnd] = [Math.min(anchor, fraction), Math.max(anchor, fraction)];
+            coordinateService.setLinearView(brushStart, brushEnd, totalCells);
+        }
+        const { start, end } = coordinateService.linearView;
+        const changed = start !== before.start || end !== before.end;
+        this.drag = {
+            ...this.drag,
+            last: coords,
+            moved: this.drag.moved || coords.x !== last.x,
+            changed: this.drag.changed || changed,
+        };
+        if (changed) {
+            this.requestRender();
+        }
+    }
+
+    handleLinearDragEnd() {
+        const { canvas, target, totalCells, anchor, span, moved } = this.drag;
+        let { changed } = this.drag;
+        this.drag = null;
+        canvas.style.cursor = target === 'overview' ? 'crosshair' : 'grab';
+        if (target === 'overview' && !moved) {
+            this.visualizer.coordinateService.setLinearView(
+                anchor - span / 2,
+                anchor + span / 2,
+                totalCells
+            );
+            changed = true;
+            this.requestRender();
+        }
+        // Releasing over the pressed canvas also fires a click, which would select
+        this.suppressClick = changed;
+    }
+
+    handleDragMove(e) {
+        if (this.mouseThrottle) {
+            return;
+        }
+        this.mouseThrottle = true;
+        requestAnimationFrame(() => {
+            this.mouseThrottle = false;
+        });
+
+        const { strategy, canvas } = this.drag;
+        const query = strategy.dragQuery(e, canvas);
+        if (query) {
+            this.drag.changed = true;
+            this.visualizer.previewChange({ query });
+        }
+    }
+
+    handleDragEnd(e) {
+        const { strategy, canvas } = this.drag;
+        // The last moves may have been throttled, so the release position decides
+        const query = strategy.dragQuery(e, canvas);
+        const changed = this.drag.changed || query !== null;
+        this.drag = null;
+        strategy.endQueryDrag();
+        if (changed) {
+            // Releasing over the pressed canvas also fires a click, which would select
+            this.suppressClick = true;
+            this.visualizer.applyChange({ query: query || this.visualizer.getParameters().query });
+        }
+    }
+
     handleMouseClick(e, canvasKey) {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
         const canvas = this.canvases[canvasKey];
         const strategy = this.strategies[canvasKey];
         if (strategy) {
@@ -165,7 +526,80 @@ export class InteractionManager {
     }
 }
 
-export class SpatialUnchunkedStrategy extends InteractionStrategy {
+// The spatial views show the query's X and Y ranges, which can be dragged: inside the
+// query moves it, its edges and corners resize it, and anywhere else draws a new one
+export class SpatialStrategy extends InteractionStrategy {
+    constructor(visualizer, tooltipManager) {
+        super(visualizer, tooltipManager);
+        this.queryDrag = null;
+    }
+
+    // The cell under the pointer, clamped to the array, and the pointer in pixels
+    getPointerCell(e, canvas, params) {
+        const coords = this.visualizer.coordinateService.getCanvasCoordinates(e, canvas);
+        const { cellX, cellY, isValid, layout } =
+            this.visualizer.coordinateService.getSpatialCellCoordinates(
+                coords.x,
+                coords.y,
+                canvas,
+                params
+            );
+        const [sizeX, sizeY] = params.size;
+        const dpr = window.devicePixelRatio || 1;
+        return {
+            cellX: Math.min(Math.max(0, cellX), sizeX - 1),
+            cellY: Math.min(Math.max(0, cellY), sizeY - 1),
+            isValid,
+            x: coords.x / dpr,
+            y: coords.y / dpr,
+            layout,
+        };
+    }
+
+    getQueryHandle(e, canvas) {
+        const params = this.visualizer.getParameters();
+        const { x, y, layout } = this.getPointerCell(e, canvas, params);
+        return getQueryHandle(
+            { x, y },
+            getQueryRanges(params.query, params.size.slice(0, 2)),
+            layout
+        );
+    }
+
+    // Returns whether a drag started; a new query has to start on the array
+    startQueryDrag(e, canvas) {
+        const params = this.visualizer.getParameters();
+        const handle = this.getQueryHandle(e, canvas);
+        const { cellX, cellY, isValid } = this.getPointerCell(e, canvas, params);
+        if (handle === 'draw' && !isValid) {
+            return false;
+        }
+        this.queryDrag = {
+            handle,
+            startX: cellX,
+            startY: cellY,
+            ranges: getQueryRanges(params.query, params.size.slice(0, 2)),
+        };
+        return true;
+    }
+
+    // The query for the pointer's position, or null when the query doesn't change
+    dragQuery(e, canvas) {
+        const params = this.visualizer.getParameters();
+        return getDraggedQuery(
+            params.query,
+            this.queryDrag,
+            this.getPointerCell(e, canvas, params),
+            params.size
+        );
+    }
+
+    endQueryDrag() {
+        this.queryDrag = null;
+    }
+}
+
+export class SpatialUnchunkedStrategy extends SpatialStrategy {
     getTargetInfo(coords, canvas, _) {
         const params = this.visualizer.getParameters();
         const { cellX, cellY, isValid } =
@@ -180,20 +614,12 @@ export class SpatialUnchunkedStrategy extends InteractionStrategy {
             return null;
         }
 
-        const [chunkX, chunkY] = params.chunk;
-        const cell = { x: cellX, y: cellY };
-        const chunk = this.visualizer.coordinateService.getChunkCoordinatesFromCell(
-            cellX,
-            cellY,
-            chunkX,
-            chunkY
-        );
-
+        const { cell, chunk } = this.getSliceTarget([cellX, cellY], params);
         return { cell, chunk, usesCellTooltip: true };
     }
 }
 
-export class SpatialChunkedStrategy extends InteractionStrategy {
+export class SpatialChunkedStrategy extends SpatialStrategy {
     getTargetInfo(coords, canvas, _) {
         const params = this.visualizer.getParameters();
         const { cellX, cellY, isValid } =
@@ -208,14 +634,7 @@ export class SpatialChunkedStrategy extends InteractionStrategy {
             return null;
         }
 
-        const [chunkX, chunkY] = params.chunk;
-        const chunk = this.visualizer.coordinateService.getChunkCoordinatesFromCell(
-            cellX,
-            cellY,
-            chunkX,
-            chunkY
-        );
-
+        const { chunk } = this.getSliceTarget([cellX, cellY], params);
         return { chunk, usesCellTooltip: false };
     }
 
@@ -225,41 +644,67 @@ export class SpatialChunkedStrategy extends InteractionStrategy {
     }
 }
 
+export class VoxelStrategy extends InteractionStrategy {
+    getTargetInfo(coords, canvas, _) {
+        const params = this.visualizer.getParameters();
+        const { cellX, cellY, cellZ, isValid } =
+            this.visualizer.coordinateService.getVoxelCellCoordinates(
+                coords.x,
+                coords.y,
+                canvas,
+                params
+            );
+
+        if (!isValid) {
+            return null;
+        }
+
+        const { cell, chunk } = this.getSliceTarget([cellX, cellY, cellZ], params);
+        return { cell, chunk, usesCellTooltip: true };
+    }
+}
+
 export class LinearStrategy extends InteractionStrategy {
+    // Finding the cell at a point on the bar takes the cell and chunk maps, which
+    // analytical metrics do without
     getTargetInfo(coords, canvas, canvasKey) {
         const data = this.visualizer.currentData;
-        if (!data) {
+        if (!data || data.analytical) {
             return null;
         }
 
-        const { cellIndex, isValid } = this.visualizer.coordinateService.getLinearCellCoordinates(
-            coords.x,
-            coords.y,
-            canvas,
-            data
-        );
+        const { cellIndex, barFraction, isValid } =
+            this.visualizer.coordinateService.getLinearCellCoordinates(
+                coords.x,
+                coords.y,
+                canvas,
+                data
+            );
         if (!isValid) {
             return null;
         }
 
         const params = this.visualizer.getParameters();
-        const [sizeX, sizeY] = params.size;
-        const [chunkX, chunkY] = params.chunk;
-        const foundCell = this.visualizer.simulationModel.getCellFromLinearIndex(
-            cellIndex,
-            params,
-            sizeX,
-            sizeY,
-            chunkX,
-            chunkY
-        );
+        const model = this.visualizer.simulationModel;
+        // The chunked bar is scaled by stored bytes, which differ from cells once compressed
+        const position =
+            canvasKey === 'linearChunked'
+                ? model.getPositionForStoredByte(barFraction * data.storedBytes, params)
+                : cellIndex;
+        const foundCell = model.getCellFromLinearIndex(position, params);
 
         if (!foundCell) {
             return null;
         }
 
-        const cell = { x: foundCell.x, y: foundCell.y };
-        const chunk = { x: foundCell.chunkX, y: foundCell.chunkY };
+        const dims = params.size.length;
+        const cell = { x: foundCell.x, y: foundCell.y, coords: foundCell.coords.slice(0, dims) };
+        const chunk = {
+            x: foundCell.chunkX,
+            y: foundCell.chunkY,
+            coords: foundCell.chunkCoords.slice(0, dims),
+            cellCoords: cell.coords,
+        };
         const usesCellTooltip = canvasKey === 'linearUnchunked';
 
         return { cell, chunk, usesCellTooltip };
@@ -0,0 +1,141 @@
+import { CONFIG, LINEARIZATION_ALGORITHMS } from '../core/constants.js';
+import { OPTIMIZER_OBJECTIVES, sortByObjective } from '../core/optimizer.js';
+import { formatDuration } from '../core/storage.js';
+import { getWorkloadQueries } from '../core/workload.js';
+import { OptimizerClient } from '../services/optimizer-client.js';
+import { isSameValue } from '../models/settings.js';
+import { formatCount, createCell, createButton } from './tables.js';
+
+// The layout optimizer: the Pareto frontier of the chunk layouts that best read the
+// workload. A layout from the frontier can be applied to the layout the controls edit.
+export class OptimizerPanel {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.settingsManager = visualizer.settingsManager;
+        this.client = new OptimizerClient();
+        // The last search's frontier, with the key of what it searched
+        this.results = null;
+    }
+
+    initialize() {
+        const objective = document.getElementById('optimizerObjective');
+        objective.replaceChildren(
+            ...Object.entries(OPTIMIZER_OBJECTIVES).map(([value, name]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                return option;
+            })
+        );
+        objective.addEventListener('change', e => {
+            this.updateSettings({ objective: e.target.value });
+            this.renderResults();
+        });
+        document.getElementById('optimizeButton').addEventListener('click', () => this.search());
+    }
+
+    getSettings() {
+        return this.settingsManager.getOptimizerSettings();
+    }
+
+    updateSettings(changes) {
+        this.settingsManager.updateOptimizerSettings(changes);
+        this.settingsManager.saveSettings();
+    }
+
+    // A search of the edited layout's array on the workload, or on its query if none of
+    // the workload fits the array
+    getSearch() {
+        const params = this.visualizer.toParameters(this.settingsManager.getEditedState());
+        return {
+            params,
+            queries: getWorkloadQueries(
+                this.settingsManager.getWorkload().queries,
+                params.size,
+                params.query
+            ),
+            profile: this.settingsManager.getStorageProfile(),
+        };
+    }
+
+    // Everything a search's results depend on; the layout searched over is left out
+    getSearchKey({ params, queries, profile }) {
+        const { size, dtype, customItemSize, compression, compressionRatio, compressionSeed } =
+            params;
+        const { coalesceGap, maxRequestSize } = params;
+        return JSON.stringify([
+            [size, dtype, customItemSize, compression, compressionRatio, compressionSeed],
+            [coalesceGap, maxRequestSize],
+            queries,
+            profile,
+        ]);
+    }
+
+    search() {
+        const request = this.getSearch();
+        const key = this.getSearchKey(request);
+        this.setStatus('Searching…');
+        this.client.search(request, {
+            onProgress: fraction => this.setStatus(`Searching… ${Math.round(fraction * 100)}%`),
+            onDone: (frontier, evaluated) => {
+                this.results = frontier ? { frontier, evaluated, key } : null;
+                this.setStatus(frontier ? '' : 'The search failed, see the console for details');
+                this.renderResults();
+            },
+        });
+    }
+
+    setStatus(text) {
+        document.getElementById('optimizerStatus').textContent = text;
+    }
+
+    render() {
+        this.renderResults();
+    }
+
+    renderResults() {
+        const { objective } = this.getSettings();
+        document.getElementById('optimizerObjective').value = objective;
+        const table = document.getElementById('optimizerResults');
+        table.style.display = this.results ? '' : 'none';
+        if (!this.results) {
+            return;
+        }
+        const { frontier, evaluated, key } = this.results;
+        if (!this.client.isBusy()) {
+            this.setStatus(
+                key === this.getSearchKey(this.getSearch())
+                    ? `${frontier.length} of the ${evaluated} layouts tried are on the Pareto frontier`
+                    : 'These layouts were found for other settings; find layouts again to update them'
+            );
+        }
+        const state = this.settingsManager.getEditedState();
+        const rows = sortByObjective(frontier, objective)
+            .slice(0, CONFIG.MAX_OPTIMIZER_RESULTS)
+            .map(result => {
+                const current =
+                    state.sharding === 'none' &&
+                    state.chunkAlgorithm === result.chunkAlgorithm &&
+                    isSameValue(state.chunk, result.chunk);
+                const row = document.createElement('tr');
+                row.append(
+                    createCell(result.chunk.join(' × ')),
+                    createCell(LINEARIZATION_ALGORITHMS[result.chunkAlgorithm]),
+                    createCell(`${result.amplification.toFixed(2)}x`),
+                    createCell(formatCount(result.requests)),
+                    createCell(formatDuration(result.readTime)),
+                    createCell(
+                        current ? 'current' : createButton('apply', () => this.apply(result))
+                    )
+                );
+                row.classList.toggle('current', current);
+                return row;
+            });
+        document.getElementById('optimizerRows').replaceChildren(...rows);
+    }
+
+    // The optimizer only searches unsharded layouts, so sharding is turned off
+    apply({ chunk, chunkAlgorithm }) {
+        this.visualizer.applyChange({ chunk, chunkAlgorithm, sharding: 'none' });
+    }
+}
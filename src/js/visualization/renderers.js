@@ -1,4 +1,8 @@
 import { CONFIG } from '../core/constants.js';
+import { getQueryRanges, product, rowMajorIndex } from '../core/dimensions.js';
+import { formatBytes } from '../core/dtypes.js';
+import { isSelected, getFirstSelected, countSelected, describeAxisStride } from '../core/stride.js';
+import { containsPosition } from '../models/playback.js';
 
 export class BaseCanvasRenderer {
     constructor(canvas, context, visualizer, coordinateService) {
@@ -104,15 +108,91 @@ export class BaseCanvasRenderer {
         }
     }
 
-    drawQueryRegionOutline(query, sizeX, sizeY, cellSize, offsetX, offsetY) {
+    // Looks up global positions in the coordinate system's table, for views that draw
+    // every cell rather than asking for each one's position in turn
+    getCellPositionLookup(params) {
+        const model = this.visualizer.simulationModel;
+        const shape = model.getShape(params);
+        const { positions } = model.getCellCoordinateSystem(params).getCellPermutation();
+        return coords => positions[rowMajorIndex(coords, shape)];
+    }
+
+    // Coordinates of the X/Y plane shown by the spatial views
+    getSliceCoords(params) {
+        return this.visualizer.sliceState.getCoords(
+            this.visualizer.simulationModel.getShape(params)
+        );
+    }
+
+    isCellOnSlice(cellCoords, params, firstAxis = 2) {
+        return this.visualizer.sliceState.isCellOnSlice(
+            cellCoords,
+            this.visualizer.simulationModel.getShape(params),
+            firstAxis
+        );
+    }
+
+    isChunkOnSlice(chunkCoords, params, firstAxis = 2) {
+        return this.visualizer.sliceState.isChunkOnSlice(
+            chunkCoords,
+            this.visualizer.simulationModel.getShape(params),
+            this.visualizer.simulationModel.getChunkShape(params),
+            firstAxis
+        );
+    }
+
+    // Whether the query includes the current slice on every axis from firstAxis on
+    isQueryOnSlice(params, firstAxis = 2) {
+        const slice = this.getSliceCoords(params);
+        return this.visualizer.simulationModel
+            .getQueryRanges(params)
+            .every((range, axis) => axis < firstAxis || isSelected(range, slice[axis]));
+    }
+
+    // Marks the cells a strided query selects within its outline, once cells are big
+    // enough to tell apart
+    drawQueryStrideMarks(params, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const [rangeX, rangeY] = this.visualizer.simulationModel.getQueryRanges(params);
+        if (
+            (rangeX[2] === 1 && rangeY[2] === 1) ||
+            cellSize < CONFIG.MIN_PATH_STEP_SIZE ||
+            !this.isQueryOnSlice(params)
+        ) {
+            return;
+        }
+        const { startX, endX, startY, endY } = this.getVisibleCellRange(
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY
+        );
+        const lastX = Math.min(rangeX[1], endX - 1);
+        const lastY = Math.min(rangeY[1], endY - 1);
+        const mark = Math.max(2, cellSize / 3);
+        this.ctx.fillStyle = '#4a9eff';
+        for (let y = getFirstSelected(rangeY, startY); y <= lastY; y += rangeY[2]) {
+            for (let x = getFirstSelected(rangeX, startX); x <= lastX; x += rangeX[2]) {
+                this.ctx.fillRect(
+                    offsetX + (x + 0.5) * cellSize - mark / 2,
+                    offsetY + (y + 0.5) * cellSize - mark / 2,
+                    mark,
+                    mark
+                );
+            }
+        }
+    }
+
+    drawQueryRegionOutline(query, sizeX, sizeY, cellSize, offsetX, offsetY, onSlice = true) {
         this.ctx.strokeStyle = '#4a9eff';
         // Adaptive line width based on cell size
         this.ctx.lineWidth = Math.max(1, Math.min(3, cellSize / 2));
+        // Dash the outline when the query lies on other slices than the one shown
+        this.ctx.setLineDash(onSlice ? [] : [4, 4]);
 
-        const x1 = Math.max(0, query.x[0]);
-        const y1 = Math.max(0, query.y[0]);
-        const x2 = Math.min(sizeX - 1, query.x[1]);
-        const y2 = Math.min(sizeY - 1, query.y[1]);
+        const [[queryX1, x2], [queryY1, y2]] = getQueryRanges(query, [sizeX, sizeY]);
+        const x1 = Math.max(0, queryX1);
+        const y1 = Math.max(0, queryY1);
 
         this.ctx.strokeRect(
             offsetX + x1 * cellSize,
@@ -120,6 +200,116 @@ export class BaseCanvasRenderer {
             (x2 - x1 + 1) * cellSize - 1,
             (y2 - y1 + 1) * cellSize - 1
         );
+        this.ctx.setLineDash([]);
+    }
+
+    // Draws a polyline through points in traversal order, each { x, y } in pixels and
+    // { gridX, gridY } on the grid being traversed. Steps to a neighbor are solid and
+    // jumps anywhere else dashed, so the curve's discontinuities stand out.
+    drawTraversalPath(points, lineWidth) {
+        if (points.length < 2) {
+            return;
+        }
+        const isStep = (from, to) =>
+            Math.abs(from.gridX - to.gridX) + Math.abs(from.gridY - to.gridY) <= 1;
+        const traceSegments = include => {
+            this.ctx.beginPath();
+            for (let i = 1; i < points.length; i++) {
+                if (include(points[i - 1], points[i])) {
+                    this.ctx.moveTo(points[i - 1].x, points[i - 1].y);
+                    this.ctx.lineTo(points[i].x, points[i].y);
+                }
+            }
+            this.ctx.stroke();
+        };
+
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.lineCap = 'round';
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        traceSegments(isStep);
+
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.setLineDash([lineWidth * 2, lineWidth * 2]);
+        traceSegments((from, to) => !isStep(from, to));
+        this.ctx.setLineDash([]);
+
+        // Mark where the traversal starts
+        this.ctx.fillStyle = '#fff';
+        this.ctx.beginPath();
+        this.ctx.arc(points[0].x, points[0].y, lineWidth * 2, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    // Cells of the X/Y plane that are on the canvas, which may be zoomed in, as
+    // [start, end) on each axis
+    getVisibleCellRange(sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const { width, height } = this.getLogicalDimensions();
+        return {
+            startX: Math.max(0, Math.floor(-offsetX / cellSize)),
+            endX: Math.min(sizeX, Math.ceil((width - offsetX) / cellSize)),
+            startY: Math.max(0, Math.floor(-offsetY / cellSize)),
+            endY: Math.min(sizeY, Math.ceil((height - offsetY) / cellSize)),
+        };
+    }
+
+    // Dims the cells of the slice that playback hasn't reached and lights up current ones
+    drawPlaybackCells(frame, params, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const outerCoords = this.getSliceCoords(params).slice(2);
+        const getPosition = this.getCellPositionLookup(params);
+        const { startX, endX, startY, endY } = this.getVisibleCellRange(
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY
+        );
+        for (let y = startY; y < endY; y++) {
+            for (let x = startX; x < endX; x++) {
+                const globalPos = getPosition([x, y, ...outerCoords]);
+                if (containsPosition(frame.currentCells, globalPos)) {
+                    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                } else if (!containsPosition(frame.revealedCells, globalPos)) {
+                    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                } else {
+                    continue;
+                }
+                this.ctx.fillRect(
+                    offsetX + x * cellSize,
+                    offsetY + y * cellSize,
+                    cellSize,
+                    cellSize
+                );
+            }
+        }
+    }
+
+    // Dims the part of a linear bar that playback hasn't reached and outlines the current
+    // step. Intervals are in the bar's units, cells or bytes, each `unitWidth` pixels wide.
+    drawPlaybackBar(revealed, current, total, unitWidth, barHeight, offsetX, offsetY) {
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        let start = 0;
+        [...revealed, [total, total]].forEach(([revealedStart, revealedEnd]) => {
+            if (revealedStart > start) {
+                this.ctx.fillRect(
+                    offsetX + start * unitWidth,
+                    offsetY,
+                    (revealedStart - start) * unitWidth,
+                    barHeight
+                );
+            }
+            start = Math.max(start, revealedEnd);
+        });
+
+        this.ctx.strokeStyle = '#fff';
+        this.ctx.lineWidth = 2;
+        current.forEach(([currentStart, currentEnd]) => {
+            this.ctx.strokeRect(
+                offsetX + currentStart * unitWidth,
+                offsetY,
+                Math.max(2, (currentEnd - currentStart) * unitWidth),
+                barHeight
+            );
+        });
     }
 
     drawLinearBar(cellWidth, barHeight, offsetX, offsetY, totalCells, getColorForPosition) {
@@ -145,8 +335,12 @@ export class BaseCanvasRenderer {
         this.ctx.fillRect(offsetX, offsetY, width, barHeight);
     }
 
+    // Only the cells in the linear views' window are drawn
     drawLinearCellBar(cellWidth, barHeight, offsetX, offsetY, totalCells, getColorForPosition) {
-        for (let i = 0; i < totalCells; i++) {
+        const { width } = this.getLogicalDimensions();
+        const first = Math.max(0, Math.floor(-offsetX / cellWidth));
+        const last = Math.min(totalCells, Math.ceil((width - offsetX) / cellWidth));
+        for (let i = first; i < last; i++) {
             const color = getColorForPosition(i, totalCells);
             this.ctx.fillStyle = color;
 
@@ -163,9 +357,33 @@ export class BaseCanvasRenderer {
         return { x: startX, y: offsetY, width, height: barHeight };
     }
 
-    drawByteRanges(ranges, cellWidth, barHeight, offsetX, offsetY, label) {
+    // Range markers below a linear bar. Given the raw ranges a set of coalesced ranges was
+    // merged from, both are drawn: the raw ones as a thin row above the requests made.
+    drawByteRanges(
+        ranges,
+        cellWidth,
+        barHeight,
+        offsetX,
+        offsetY,
+        label,
+        byteCount,
+        rawRanges = null
+    ) {
         const { width } = this.getLogicalDimensions();
-        const gap = 3;
+        const showRaw = rawRanges && rawRanges.length !== ranges.length;
+        const gap = showRaw ? 9 : 3;
+
+        if (showRaw) {
+            this.ctx.strokeStyle = '#888';
+            this.ctx.lineWidth = 1;
+            rawRanges.forEach(([start, end]) => {
+                const y = offsetY + barHeight + 5;
+                this.ctx.beginPath();
+                this.ctx.moveTo(offsetX + start * cellWidth, y);
+                this.ctx.lineTo(offsetX + (end + 1) * cellWidth, y);
+                this.ctx.stroke();
+            });
+        }
 
         this.ctx.strokeStyle = '#4a9eff';
         this.ctx.lineWidth = 2;
@@ -190,41 +408,74 @@ export class BaseCanvasRenderer {
         this.ctx.fillStyle = '#aaa';
         this.ctx.font = '11px monospace';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText(`${ranges.length} ${label}`, width / 2, offsetY + barHeight + 25 + gap);
+        const count = showRaw ? `${rawRanges.length} raw → ${ranges.length}` : ranges.length;
+        const summary = `${count} ${label}, ${formatBytes(byteCount)}`;
+        this.ctx.fillText(summary, width / 2, offsetY + barHeight + 25 + gap);
     }
 
-    highlightCoalescedRanges(positions, cellWidth, barHeight, offsetX, offsetY) {
-        if (positions.length === 0) {
-            return;
-        }
+    // Byte offsets of the start and end of the part of the linear bar shown
+    drawByteOffsetScale(totalBytes, layout) {
+        const { barX, barWidth, offsetY, windowStart, windowEnd } = layout;
+        const start = Math.round(windowStart * totalBytes);
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(start === 0 ? '0' : `${start} B`, barX, offsetY - 5);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`${Math.round(windowEnd * totalBytes)} B`, barX + barWidth, offsetY - 5);
+    }
 
-        // Sort positions
-        const sortedPositions = [...positions].sort((a, b) => a - b);
+    // The whole linear bar in miniature, above the detail bar, with the reads marked and
+    // the window the detail bar shows picked out. `ranges` are inclusive, in the bar's
+    // units of cells or bytes, `total` of which fill the bar.
+    drawLinearOverview(layout, total, ranges) {
+        const { barX, barWidth, overviewY, overviewHeight, windowStart, windowEnd } = layout;
+        this.drawLinearGradientBar(barX, overviewY, barWidth, overviewHeight);
+
+        const unitWidth = barWidth / Math.max(1, total);
+        this.ctx.fillStyle = '#4a9eff';
+        ranges.forEach(([start, end]) => {
+            this.ctx.fillRect(
+                barX + start * unitWidth,
+                overviewY + overviewHeight / 2,
+                Math.max(1, (end - start + 1) * unitWidth),
+                overviewHeight / 2
+            );
+        });
 
-        // Coalesce contiguous ranges
-        const coalescedRanges = [];
-        let currentRange = { min: sortedPositions[0], max: sortedPositions[0] };
+        const windowX = barX + windowStart * barWidth;
+        const windowWidth = (windowEnd - windowStart) * barWidth;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(barX, overviewY, windowX - barX, overviewHeight);
+        this.ctx.fillRect(
+            windowX + windowWidth,
+            overviewY,
+            barX + barWidth - windowX - windowWidth,
+            overviewHeight
+        );
+        this.ctx.strokeStyle = '#fff';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(windowX, overviewY, Math.max(2, windowWidth), overviewHeight);
+    }
 
-        for (let i = 1; i < sortedPositions.length; i++) {
-            const pos = sortedPositions[i];
-            // If this position is contiguous with the current range, extend it
-            if (pos <= currentRange.max + 1) {
-                currentRange.max = pos;
-            } else {
-                // Start a new range
-                coalescedRanges.push(currentRange);
-                currentRange = { min: pos, max: pos };
-            }
-        }
-        // Don't forget the last range
-        coalescedRanges.push(currentRange);
+    // Everything drawn on the detail bar after this stays between the margins, until
+    // the context is restored
+    clipToLinearWindow(layout) {
+        const { height } = this.getLogicalDimensions();
+        const top = layout.overviewY + layout.overviewHeight + 2;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(layout.barX - 2, top, layout.barWidth + 4, height - top);
+        this.ctx.clip();
+    }
 
-        // Draw outline around each coalesced range
+    // Outline runs of consecutive cells, given as inclusive [start, end] ranges
+    highlightCoalescedRanges(ranges, cellWidth, barHeight, offsetX, offsetY) {
         this.ctx.strokeStyle = '#4a9eff';
         this.ctx.lineWidth = 2;
-        coalescedRanges.forEach(range => {
-            const rangeWidth = (range.max - range.min + 1) * cellWidth;
-            this.ctx.strokeRect(offsetX + range.min * cellWidth, offsetY, rangeWidth, barHeight);
+        ranges.forEach(([start, end]) => {
+            const rangeWidth = (end - start + 1) * cellWidth;
+            this.ctx.strokeRect(offsetX + start * cellWidth, offsetY, rangeWidth, barHeight);
         });
     }
 
@@ -239,12 +490,23 @@ export class BaseCanvasRenderer {
         if (!chunkRange) {
             return;
         }
+        this.drawLinearSpanHighlight(
+            chunkRange.min,
+            chunkRange.positions.length,
+            cellWidth,
+            barHeight,
+            offsetX,
+            offsetY,
+            showOutline
+        );
+    }
 
+    drawLinearSpanHighlight(start, length, cellWidth, barHeight, offsetX, offsetY, showOutline) {
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
 
         const rect = this.calculateLinearRect(
-            chunkRange.min,
-            chunkRange.positions.length,
+            start,
+            length,
             cellWidth,
             offsetX,
             offsetY,
@@ -259,6 +521,97 @@ export class BaseCanvasRenderer {
         }
     }
 
+    // Analytical metrics know nothing cell by cell, so the spatial views show the order
+    // in blocks: each block of the slice is colored by how far along storage order
+    // `getFraction` puts the cell at its center. Up to `maxBlocks` run across each axis.
+    drawOrderBlocks(
+        params,
+        getFraction,
+        sizeX,
+        sizeY,
+        cellSize,
+        offsetX,
+        offsetY,
+        maxBlocks = CONFIG.ANALYTICAL_OVERVIEW_BLOCKS
+    ) {
+        const outerCoords = this.getSliceCoords(params).slice(2);
+        const { startX, endX, startY, endY } = this.getVisibleCellRange(
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY
+        );
+        const blockEdges = (start, end) => {
+            const count = Math.min(maxBlocks, end - start);
+            return Array.from(
+                { length: count + 1 },
+                (_, i) => start + Math.floor((i * (end - start)) / count)
+            );
+        };
+        const edgesX = blockEdges(startX, endX);
+        const edgesY = blockEdges(startY, endY);
+        // Hovering redraws the views many times over, so the colors are kept until the
+        // blocks change
+        const key = JSON.stringify([params, edgesX, edgesY, outerCoords]);
+        if (this.orderBlocks?.key !== key) {
+            const fractions = [];
+            for (let j = 1; j < edgesY.length; j++) {
+                for (let i = 1; i < edgesX.length; i++) {
+                    fractions.push(
+                        getFraction([
+                            Math.floor((edgesX[i - 1] + edgesX[i]) / 2),
+                            Math.floor((edgesY[j - 1] + edgesY[j]) / 2),
+                            ...outerCoords,
+                        ])
+                    );
+                }
+            }
+            this.orderBlocks = { key, fractions };
+        }
+        const { fractions } = this.orderBlocks;
+        for (let j = 1; j < edgesY.length; j++) {
+            for (let i = 1; i < edgesX.length; i++) {
+                const fraction = fractions[(j - 1) * (edgesX.length - 1) + i - 1];
+                this.ctx.fillStyle = this.visualizer.getColorForLinearPosition(
+                    Math.round(fraction * 1000),
+                    1000
+                );
+                this.ctx.fillRect(
+                    offsetX + edgesX[i - 1] * cellSize,
+                    offsetY + edgesY[j - 1] * cellSize,
+                    (edgesX[i] - edgesX[i - 1]) * cellSize,
+                    (edgesY[j] - edgesY[j - 1]) * cellSize
+                );
+            }
+        }
+    }
+
+    // The linear views with analytical metrics: the whole bar in storage order, with the
+    // hovered or selected span marked at `marker`, [start, length] as fractions of the bar
+    drawAnalyticalBar(data, marker, summary) {
+        const layout = this.coordinateService.getLinearBarLayout(this.canvas, data.totalCells);
+        const { barX, barWidth, barHeight, offsetY } = layout;
+        this.drawLinearGradientBar(barX, offsetY, barWidth, barHeight);
+        this.drawByteOffsetScale(data.totalBytes, { ...layout, windowStart: 0, windowEnd: 1 });
+        if (marker) {
+            const [start, length] = marker;
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(
+                barX + start * barWidth,
+                offsetY,
+                Math.max(3, length * barWidth),
+                barHeight
+            );
+        }
+        const { width } = this.getLogicalDimensions();
+        this.ctx.fillStyle = '#aaa';
+        this.ctx.font = '11px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(summary, width / 2, offsetY + barHeight + 25);
+    }
+
     // Template method for rendering - to be implemented by subclasses
     render(_, __) {
         throw new Error('render() must be implemented by subclass');
@@ -276,61 +629,84 @@ export class SpatialUnchunkedRenderer extends BaseCanvasRenderer {
             sizeY
         );
 
-        this.drawCellGrid(params, data, sizeX, sizeY, cellSize, offsetX, offsetY);
+        if (data.analytical) {
+            this.drawOrderBlocks(
+                params,
+                coords => this.visualizer.simulationModel.getCellOrderFraction(coords, params),
+                sizeX,
+                sizeY,
+                cellSize,
+                offsetX,
+                offsetY
+            );
+        } else {
+            this.drawCellGrid(params, data, sizeX, sizeY, cellSize, offsetX, offsetY);
+        }
+        const frame = this.visualizer.getPlaybackFrame(params, data);
+        if (frame) {
+            this.drawPlaybackCells(frame, params, sizeX, sizeY, cellSize, offsetX, offsetY);
+        }
         this.drawSpatialHighlights(params, sizeX, sizeY, cellSize, offsetX, offsetY);
-        this.drawQueryRegionOutline(params.query, sizeX, sizeY, cellSize, offsetX, offsetY);
+        if (
+            this.visualizer.getViewOptions().showCellPath &&
+            !data.analytical &&
+            cellSize >= CONFIG.MIN_PATH_STEP_SIZE
+        ) {
+            this.drawCellPath(params, sizeX, sizeY, cellSize, offsetX, offsetY);
+        }
+        this.drawQueryRegionOutline(
+            params.query,
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY,
+            this.isQueryOnSlice(params)
+        );
+        this.drawQueryStrideMarks(params, sizeX, sizeY, cellSize, offsetX, offsetY);
     }
 
     drawCellGrid(params, data, sizeX, sizeY, cellSize, offsetX, offsetY) {
         if (cellSize > CONFIG.MIN_CELL_SIZE) {
             this.drawDetailedCellGrid(params, data, sizeX, sizeY, cellSize, offsetX, offsetY);
-        } else {
-            const gradient = this.ctx.createLinearGradient(
-                offsetX,
-                offsetY,
-                offsetX + sizeX * cellSize,
-                offsetY + sizeY * cellSize
-            );
-            gradient.addColorStop(0, '#00ff00');
-            gradient.addColorStop(1, '#ff0000');
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(offsetX, offsetY, sizeX * cellSize, sizeY * cellSize);
+            return;
         }
+        // Cells too small to draw one by one are drawn in blocks a few pixels wide, each in
+        // the order of the cell at its center
+        const getPosition = this.getCellPositionLookup(params);
+        const lastPosition = Math.max(1, data.totalCells - 1);
+        const { width, height } = this.getLogicalDimensions();
+        const extent = Math.min(Math.max(sizeX, sizeY) * cellSize, Math.max(width, height));
+        this.drawOrderBlocks(
+            params,
+            coords => getPosition(coords) / lastPosition,
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY,
+            Math.ceil(extent / CONFIG.MIN_CELL_SIZE)
+        );
     }
 
+    // Only the cells on the canvas are drawn, which matters when zoomed in
     drawDetailedCellGrid(params, data, sizeX, sizeY, cellSize, offsetX, offsetY) {
-        const { width: logicalWidth } = this.getLogicalDimensions();
-
-        if (cellSize < CONFIG.VIEWPORT_CELL_SIZE && data.totalCells > 1000) {
-            const startX = Math.max(0, Math.floor(-offsetX / cellSize));
-            const endX = Math.min(sizeX, Math.ceil((logicalWidth - offsetX) / cellSize));
-            const startY = Math.max(0, Math.floor(-offsetY / cellSize));
-            const endY = Math.min(sizeY, Math.ceil((logicalWidth - offsetY) / cellSize));
-            this.drawCellRange(
-                params,
-                data,
-                startX,
-                endX,
-                startY,
-                endY,
-                cellSize,
-                offsetX,
-                offsetY
-            );
-        } else {
-            this.drawCellRange(params, data, 0, sizeX, 0, sizeY, cellSize, offsetX, offsetY);
-        }
+        const { startX, endX, startY, endY } = this.getVisibleCellRange(
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY
+        );
+        this.drawCellRange(params, data, startX, endX, startY, endY, cellSize, offsetX, offsetY);
     }
 
     drawCellRange(params, data, startX, endX, startY, endY, cellSize, offsetX, offsetY) {
+        const outerCoords = this.getSliceCoords(params).slice(2);
+        const getPosition = this.getCellPositionLookup(params);
         for (let y = startY; y < endY; y++) {
             for (let x = startX; x < endX; x++) {
-                const globalPos = this.visualizer.simulationModel.getGlobalPosition(
-                    x,
-                    y,
-                    0,
-                    params
-                );
+                const globalPos = getPosition([x, y, ...outerCoords]);
                 const color = this.visualizer.getColorForLinearPosition(
                     globalPos,
                     data.totalCells - 1
@@ -347,15 +723,43 @@ export class SpatialUnchunkedRenderer extends BaseCanvasRenderer {
         }
     }
 
+    // The cells of the current slice in global linear order
+    drawCellPath(params, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const outerCoords = this.getSliceCoords(params).slice(2);
+        const getPosition = this.getCellPositionLookup(params);
+        const points = [];
+        for (let y = 0; y < sizeY; y++) {
+            for (let x = 0; x < sizeX; x++) {
+                points.push({
+                    position: getPosition([x, y, ...outerCoords]),
+                    x: offsetX + (x + 0.5) * cellSize,
+                    y: offsetY + (y + 0.5) * cellSize,
+                    gridX: x,
+                    gridY: y,
+                });
+            }
+        }
+        points.sort((a, b) => a.position - b.position);
+        this.drawTraversalPath(points, Math.max(1, Math.min(3, cellSize / 6)));
+    }
+
     drawSpatialHighlights(params, sizeX, sizeY, cellSize, offsetX, offsetY) {
         const effectiveCell = this.visualizer.getEffectiveCell();
         const effectiveChunk = this.visualizer.getEffectiveChunk();
 
-        if (cellSize > CONFIG.MIN_CELL_SIZE && effectiveCell) {
+        if (
+            cellSize > CONFIG.MIN_CELL_SIZE &&
+            effectiveCell &&
+            this.isCellOnSlice(effectiveCell.coords, params)
+        ) {
             this.drawCellHighlight(effectiveCell.x, effectiveCell.y, cellSize, offsetX, offsetY);
         }
 
-        if (effectiveChunk && !effectiveCell) {
+        if (
+            effectiveChunk &&
+            !effectiveCell &&
+            this.isChunkOnSlice(effectiveChunk.coords, params)
+        ) {
             this.drawChunkCellHighlights(
                 params,
                 effectiveChunk,
@@ -394,29 +798,127 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
     render(params, data) {
         this.clearCanvas();
 
-        const [sizeX, sizeY, sizeZ] = params.size;
+        const [sizeX, sizeY] = params.size;
         const { cellSize, offsetX, offsetY } = this.coordinateService.getSpatialCellLayout(
             this.canvas,
             sizeX,
             sizeY
         );
 
-        const chunkColorMap = this.visualizer.simulationModel.getOrCreateChunkColorMap(
+        if (data.analytical) {
+            this.renderAnalytical(params, data, sizeX, sizeY, cellSize, offsetX, offsetY);
+            return;
+        }
+        const chunkColorMap = this.visualizer.simulationModel.getOrCreateChunkColorMap(params);
+        this.drawChunkGrid(params, chunkColorMap, sizeX, sizeY, cellSize, offsetX, offsetY);
+        const frame = this.visualizer.getPlaybackFrame(params, data);
+        if (frame) {
+            this.drawPlaybackCells(frame, params, sizeX, sizeY, cellSize, offsetX, offsetY);
+        }
+        this.drawShardGrid(params, sizeX, sizeY, cellSize, offsetX, offsetY);
+        this.drawChunkedViewHighlights(params, data, sizeX, sizeY, cellSize, offsetX, offsetY);
+
+        const [chunkX, chunkY] = params.chunk;
+        if (
+            this.visualizer.getViewOptions().showChunkPath &&
+            Math.min(chunkX, chunkY) * cellSize >= CONFIG.MIN_PATH_STEP_SIZE
+        ) {
+            this.drawChunkPath(params, chunkColorMap, sizeX, sizeY, cellSize, offsetX, offsetY);
+        }
+    }
+
+    // Chunks colored by their place in storage order, without the chunk color map, and
+    // outlined once they are wide enough to tell apart
+    renderAnalytical(params, data, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const model = this.visualizer.simulationModel;
+        const chunkShape = model.getChunkShape(params);
+        this.drawOrderBlocks(
             params,
+            coords =>
+                model.getChunkOrderFraction(
+                    coords.map((value, axis) => Math.floor(value / chunkShape[axis])),
+                    params
+                ),
             sizeX,
             sizeY,
-            sizeZ
+            cellSize,
+            offsetX,
+            offsetY
         );
-        this.drawChunkGrid(params, chunkColorMap, sizeX, sizeY, sizeZ, cellSize, offsetX, offsetY);
+        const [chunkX, chunkY] = chunkShape;
+        if (Math.min(chunkX, chunkY) * cellSize >= CONFIG.MIN_CHUNK_GRID_SPACING) {
+            this.drawChunkLines(chunkX, chunkY, sizeX, sizeY, cellSize, offsetX, offsetY);
+        }
         this.drawChunkedViewHighlights(params, data, sizeX, sizeY, cellSize, offsetX, offsetY);
     }
 
-    drawChunkGrid(params, chunkColorMap, sizeX, sizeY, sizeZ, cellSize, offsetX, offsetY) {
+    // Boundaries between the chunks on the canvas
+    drawChunkLines(chunkX, chunkY, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const { startX, endX, startY, endY } = this.getVisibleCellRange(
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY
+        );
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let x = Math.ceil(startX / chunkX) * chunkX; x <= endX; x += chunkX) {
+            this.ctx.moveTo(offsetX + x * cellSize, offsetY + startY * cellSize);
+            this.ctx.lineTo(offsetX + x * cellSize, offsetY + endY * cellSize);
+        }
+        for (let y = Math.ceil(startY / chunkY) * chunkY; y <= endY; y += chunkY) {
+            this.ctx.moveTo(offsetX + startX * cellSize, offsetY + y * cellSize);
+            this.ctx.lineTo(offsetX + endX * cellSize, offsetY + y * cellSize);
+        }
+        this.ctx.stroke();
+    }
+
+    // The chunks of the current slice in chunk storage order
+    drawChunkPath(params, chunkColorMap, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const [chunkX, chunkY] = params.chunk;
+        const [chunksX, chunksY] = this.visualizer.simulationModel.getChunkCounts(params);
+        const chunkShape = this.visualizer.simulationModel.getChunkShape(params);
+        const outerChunkCoords = this.getSliceCoords(params)
+            .slice(2)
+            .map((value, i) => Math.floor(value / chunkShape[i + 2]));
+        const points = [];
+        for (let chunkCY = 0; chunkCY < chunksY; chunkCY++) {
+            for (let chunkCX = 0; chunkCX < chunksX; chunkCX++) {
+                const bounds = this.visualizer.simulationModel.getChunkBounds(
+                    chunkCX,
+                    chunkCY,
+                    chunkX,
+                    chunkY,
+                    sizeX,
+                    sizeY
+                );
+                const chunkId = this.visualizer.simulationModel.getChunkIndexForChunkCoords(
+                    [chunkCX, chunkCY, ...outerChunkCoords],
+                    params
+                );
+                points.push({
+                    position: chunkColorMap[chunkId],
+                    x: offsetX + ((bounds.startX + bounds.endX) / 2) * cellSize,
+                    y: offsetY + ((bounds.startY + bounds.endY) / 2) * cellSize,
+                    gridX: chunkCX,
+                    gridY: chunkCY,
+                });
+            }
+        }
+        points.sort((a, b) => a.position - b.position);
+        this.drawTraversalPath(
+            points,
+            Math.max(1.5, Math.min(3, (Math.min(chunkX, chunkY) * cellSize) / 8))
+        );
+    }
+
+    drawChunkGrid(params, chunkColorMap, sizeX, sizeY, cellSize, offsetX, offsetY) {
         const chunkGridInfo = this.calculateChunkGridInfo(
             params,
             sizeX,
             sizeY,
-            sizeZ,
             cellSize,
             offsetX,
             offsetY
@@ -436,6 +938,7 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
                     chunkColorMap,
                     chunkCX,
                     chunkCY,
+                    chunkGridInfo.sliceChunkCoords,
                     chunkGridInfo.totalChunks,
                     params,
                     sizeX,
@@ -448,11 +951,38 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
         }
     }
 
-    calculateChunkGridInfo(params, sizeX, sizeY, sizeZ, cellSize, offsetX, offsetY) {
+    // Heavier outlines around each shard's block of chunks
+    drawShardGrid(params, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const shardShape = this.visualizer.simulationModel.getShardShape(params);
+        if (!shardShape) {
+            return;
+        }
         const [chunkX, chunkY] = params.chunk;
-        const chunksX = Math.ceil(sizeX / chunkX);
-        const chunksY = Math.ceil(sizeY / chunkY);
-        const chunksZ = Math.ceil(Math.max(1, sizeZ) / Math.max(1, params.chunk[2]));
+        const shardCellsX = shardShape[0] * chunkX;
+        const shardCellsY = shardShape[1] * chunkY;
+
+        this.ctx.strokeStyle = '#111';
+        this.ctx.lineWidth = 3;
+        for (let startY = 0; startY < sizeY; startY += shardCellsY) {
+            for (let startX = 0; startX < sizeX; startX += shardCellsX) {
+                this.ctx.strokeRect(
+                    offsetX + startX * cellSize,
+                    offsetY + startY * cellSize,
+                    (Math.min(startX + shardCellsX, sizeX) - startX) * cellSize,
+                    (Math.min(startY + shardCellsY, sizeY) - startY) * cellSize
+                );
+            }
+        }
+    }
+
+    calculateChunkGridInfo(params, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const [chunkX, chunkY] = params.chunk;
+        const chunkCounts = this.visualizer.simulationModel.getChunkCounts(params);
+        const [chunksX, chunksY] = chunkCounts;
+        const chunkShape = this.visualizer.simulationModel.getChunkShape(params);
+        const sliceChunkCoords = this.getSliceCoords(params).map((value, axis) =>
+            Math.floor(value / chunkShape[axis])
+        );
 
         const { width: logicalWidth, height: logicalHeight } = this.getLogicalDimensions();
         const viewport = this.getChunkViewport(
@@ -470,8 +1000,9 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
         return {
             chunksX,
             chunksY,
-            chunksZ,
-            totalChunks: chunksX * chunksY * chunksZ,
+            chunkCounts,
+            sliceChunkCoords,
+            totalChunks: product(chunkCounts),
             ...viewport,
         };
     }
@@ -487,27 +1018,23 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
         logicalWidth,
         logicalHeight
     ) {
-        if (cellSize < CONFIG.VIEWPORT_CELL_SIZE && chunksX * chunksY > 100) {
-            return {
-                startChunkX: Math.max(0, Math.floor(-offsetX / (chunkX * cellSize))),
-                endChunkX: Math.min(
-                    chunksX,
-                    Math.ceil((logicalWidth - offsetX) / (chunkX * cellSize))
-                ),
-                startChunkY: Math.max(0, Math.floor(-offsetY / (chunkY * cellSize))),
-                endChunkY: Math.min(
-                    chunksY,
-                    Math.ceil((logicalHeight - offsetY) / (chunkY * cellSize))
-                ),
-            };
-        }
-        return { startChunkX: 0, endChunkX: chunksX, startChunkY: 0, endChunkY: chunksY };
+        // Only the chunks on the canvas, which may be zoomed in
+        return {
+            startChunkX: Math.max(0, Math.floor(-offsetX / (chunkX * cellSize))),
+            endChunkX: Math.min(chunksX, Math.ceil((logicalWidth - offsetX) / (chunkX * cellSize))),
+            startChunkY: Math.max(0, Math.floor(-offsetY / (chunkY * cellSize))),
+            endChunkY: Math.min(
+                chunksY,
+                Math.ceil((logicalHeight - offsetY) / (chunkY * cellSize))
+            ),
+        };
     }
 
     drawSingleChunk(
         chunkColorMap,
         chunkCX,
         chunkCY,
+        sliceChunkCoords,
         totalChunks,
         params,
         sizeX,
@@ -517,9 +1044,11 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
         offsetY
     ) {
         const [chunkX, chunkY] = params.chunk;
-        const chunkCZ = 0;
-        const chunkKey = `${chunkCX},${chunkCY},${chunkCZ}`;
-        const colorIndex = chunkColorMap.get(chunkKey);
+        const chunkId = this.visualizer.simulationModel.getChunkIndexForChunkCoords(
+            [chunkCX, chunkCY, ...sliceChunkCoords.slice(2)],
+            params
+        );
+        const colorIndex = chunkColorMap[chunkId];
         const color = this.visualizer.getColorForLinearPosition(colorIndex, totalChunks - 1);
 
         const bounds = this.visualizer.simulationModel.getChunkBounds(
@@ -556,7 +1085,7 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
         const effectiveChunk = this.visualizer.getEffectiveChunk();
         const [chunkX, chunkY] = params.chunk;
 
-        if (effectiveCell) {
+        if (effectiveCell && this.isCellOnSlice(effectiveCell.coords, params)) {
             const chunkCoords = this.coordinateService.getChunkCoordinatesFromCell(
                 effectiveCell.x,
                 effectiveCell.y,
@@ -585,8 +1114,13 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
         }
 
         this.drawTouchedChunksOutline(data, params, sizeX, sizeY, cellSize, offsetX, offsetY);
+        this.drawQueryStrideMarks(params, sizeX, sizeY, cellSize, offsetX, offsetY);
 
-        if (effectiveChunk && !effectiveCell) {
+        if (
+            effectiveChunk &&
+            !effectiveCell &&
+            this.isChunkOnSlice(effectiveChunk.coords, params)
+        ) {
             const bounds = this.visualizer.simulationModel.getChunkBounds(
                 effectiveChunk.x,
                 effectiveChunk.y,
@@ -608,12 +1142,100 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
     }
 
     drawTouchedChunksOutline(data, params, sizeX, sizeY, cellSize, offsetX, offsetY) {
-        if (data.touchedChunks.size === 0) {
+        const bounds = data.analytical
+            ? this.getAnalyticalTouchedBounds(data, params)
+            : this.getTouchedBounds(data, params);
+        // None of the touched chunks intersect the current slice
+        if (!bounds) {
             return;
         }
 
         const [chunkX, chunkY] = params.chunk;
-        const chunksX = Math.ceil(sizeX / chunkX);
+        const { minChunkX, minChunkY, maxChunkX, maxChunkY } = bounds;
+
+        const startX = minChunkX * chunkX;
+        const startY = minChunkY * chunkY;
+        const endX = Math.min((maxChunkX + 1) * chunkX, sizeX);
+        const endY = Math.min((maxChunkY + 1) * chunkY, sizeY);
+
+        this.ctx.strokeStyle = '#4a9eff';
+        const spans = this.getStridedTouchedSpans(params, sizeX, sizeY, cellSize, offsetX, offsetY);
+        if (spans) {
+            // A stride skipping chunks: outline the chunks it reads inside a dashed box
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+        } else {
+            this.ctx.lineWidth = 3;
+        }
+        this.ctx.strokeRect(
+            offsetX + startX * cellSize,
+            offsetY + startY * cellSize,
+            (endX - startX) * cellSize - 1,
+            (endY - startY) * cellSize - 1
+        );
+        this.ctx.setLineDash([]);
+        if (spans) {
+            const [spansX, spansY] = spans;
+            this.ctx.lineWidth = 2;
+            spansY.forEach(([y1, y2]) =>
+                spansX.forEach(([x1, x2]) =>
+                    this.ctx.strokeRect(
+                        offsetX + x1 * cellSize,
+                        offsetY + y1 * cellSize,
+                        (x2 - x1) * cellSize - 1,
+                        (y2 - y1) * cellSize - 1
+                    )
+                )
+            );
+        }
+    }
+
+    // The cells spanned by the visible touched chunks along X and Y, as [start, end)
+    // lists, when the query's stride skips chunks along either; null otherwise, or when
+    // the chunks are too small to outline one by one
+    getStridedTouchedSpans(params, sizeX, sizeY, cellSize, offsetX, offsetY) {
+        const model = this.visualizer.simulationModel;
+        const chunkShape = model.getChunkShape(params);
+        const ranges = model.getQueryRanges(params).slice(0, 2);
+        const axes = ranges.map((range, axis) => describeAxisStride(chunkShape[axis], range));
+        if (
+            !axes.some(axis => axis.touchedChunks < axis.spannedChunks) ||
+            axes.some(axis => axis.chunkSize * cellSize < CONFIG.MIN_PATH_STEP_SIZE)
+        ) {
+            return null;
+        }
+        const { startX, endX, startY, endY } = this.getVisibleCellRange(
+            sizeX,
+            sizeY,
+            cellSize,
+            offsetX,
+            offsetY
+        );
+        return [
+            this.getTouchedChunkSpans(axes[0], ranges[0], sizeX, startX, endX),
+            this.getTouchedChunkSpans(axes[1], ranges[1], sizeY, startY, endY),
+        ];
+    }
+
+    // Chunks next to each other are one span, and chunks a stride skips between apart
+    getTouchedChunkSpans(axis, range, size, from, to) {
+        const { chunkSize, touchedChunks, spannedChunks, touchedAt } = axis;
+        const spanOf = (first, last) => [first * chunkSize, Math.min((last + 1) * chunkSize, size)];
+        if (touchedChunks === spannedChunks) {
+            return [spanOf(touchedAt(0), touchedAt(touchedChunks - 1))];
+        }
+        const [start, , step] = range;
+        const spans = [];
+        const last = Math.min(touchedChunks, Math.ceil((to - start) / step) + 1);
+        for (let k = Math.max(0, Math.floor((from - chunkSize - start) / step)); k < last; k++) {
+            spans.push(spanOf(touchedAt(k), touchedAt(k)));
+        }
+        return spans;
+    }
+
+    // Chunk grid bounds of the touched chunks on the current slice, or null
+    getTouchedBounds(data, params) {
+        const chunkCounts = this.visualizer.simulationModel.getChunkCounts(params);
 
         let minChunkX = Infinity,
             minChunkY = Infinity;
@@ -621,43 +1243,87 @@ export class SpatialChunkedRenderer extends BaseCanvasRenderer {
             maxChunkY = -Infinity;
 
         data.touchedChunks.forEach(chunkIdx => {
-            const chunkCY = Math.floor(chunkIdx / chunksX);
-            const chunkCX = chunkIdx % chunksX;
+            const chunkCoords = this.visualizer.simulationModel.getChunkCoordsFromIndex(
+                chunkIdx,
+                chunkCounts
+            );
+            if (!this.isChunkOnSlice(chunkCoords, params)) {
+                return;
+            }
+            const [chunkCX, chunkCY] = chunkCoords;
             minChunkX = Math.min(minChunkX, chunkCX);
             minChunkY = Math.min(minChunkY, chunkCY);
             maxChunkX = Math.max(maxChunkX, chunkCX);
             maxChunkY = Math.max(maxChunkY, chunkCY);
         });
 
-        const startX = minChunkX * chunkX;
-        const startY = minChunkY * chunkY;
-        const endX = Math.min((maxChunkX + 1) * chunkX, sizeX);
-        const endY = Math.min((maxChunkY + 1) * chunkY, sizeY);
+        return minChunkX === Infinity ? null : { minChunkX, minChunkY, maxChunkX, maxChunkY };
+    }
 
-        this.ctx.strokeStyle = '#4a9eff';
-        this.ctx.lineWidth = 3;
-        this.ctx.strokeRect(
-            offsetX + startX * cellSize,
-            offsetY + startY * cellSize,
-            (endX - startX) * cellSize - 1,
-            (endY - startY) * cellSize - 1
-        );
+    // The query is a box, so the chunks it touches are too; analytical metrics give it
+    // per axis as [first, last] on the chunk grid. A stride can skip chunks inside the
+    // box, so the slice's chunk must hold a cell it selects.
+    getAnalyticalTouchedBounds(data, params) {
+        const box = data.touchedChunkBox;
+        if (box.some(range => !range)) {
+            return null;
+        }
+        const model = this.visualizer.simulationModel;
+        const chunkShape = model.getChunkShape(params);
+        const ranges = model.getQueryRanges(params);
+        const slice = this.getSliceCoords(params);
+        const onSlice = box.every((_, axis) => {
+            const start = Math.floor(slice[axis] / chunkShape[axis]) * chunkShape[axis];
+            return axis < 2 || countSelected(ranges[axis], start, start + chunkShape[axis]) > 0;
+        });
+        if (!onSlice) {
+            return null;
+        }
+        const [[minChunkX, maxChunkX], [minChunkY, maxChunkY]] = box;
+        return { minChunkX, minChunkY, maxChunkX, maxChunkY };
     }
 }
 
 export class LinearUnchunkedRenderer extends BaseCanvasRenderer {
     render(params, data) {
         this.clearCanvas();
+        if (data.analytical) {
+            const cell = this.visualizer.getEffectiveCell();
+            const marker = cell && [
+                this.visualizer.simulationModel.getCellOrderFraction(cell.coords, params),
+                1 / data.totalCells,
+            ];
+            this.drawAnalyticalBar(
+                data,
+                marker,
+                `${data.requestedCellCount} requested cell(s), ${formatBytes(data.requestedBytes)}`
+            );
+            return;
+        }
 
-        const { cellWidth, barHeight, offsetX, offsetY } =
-            this.coordinateService.getLinearBarLayout(this.canvas, data.totalCells);
+        const layout = this.coordinateService.getLinearBarLayout(this.canvas, data.totalCells);
+        const { cellWidth, barHeight, offsetX, offsetY } = layout;
+        this.drawLinearOverview(layout, data.totalCells, data.unchunkedRanges);
+        this.clipToLinearWindow(layout);
 
         this.drawLinearBar(cellWidth, barHeight, offsetX, offsetY, data.totalCells, (i, total) =>
             this.visualizer.getColorForLinearPosition(i, total)
         );
+        this.drawByteOffsetScale(data.totalBytes, layout);
+        const frame = this.visualizer.getPlaybackFrame(params, data);
+        if (frame) {
+            this.drawPlaybackBar(
+                frame.revealedCells,
+                frame.currentCells,
+                data.totalCells,
+                cellWidth,
+                barHeight,
+                offsetX,
+                offsetY
+            );
+        }
 
-        const requestedPositions = this.getRequestedCellPositions(data, params);
-        this.highlightCoalescedRanges(requestedPositions, cellWidth, barHeight, offsetX, offsetY);
+        this.highlightCoalescedRanges(data.unchunkedRanges, cellWidth, barHeight, offsetX, offsetY);
 
         this.drawLinearUnchunkedHighlights(params, cellWidth, barHeight, offsetX, offsetY);
         this.drawByteRanges(
@@ -666,15 +1332,10 @@ export class LinearUnchunkedRenderer extends BaseCanvasRenderer {
             barHeight,
             offsetX,
             offsetY,
-            'byte range(s)'
+            'byte range(s)',
+            data.requestedBytes
         );
-    }
-
-    getRequestedCellPositions(data, params) {
-        return [...data.requestedCells].map(key => {
-            const [x, y, z] = key.split(',').map(Number);
-            return this.visualizer.simulationModel.getGlobalPosition(x, y, z, params);
-        });
+        this.ctx.restore();
     }
 
     drawLinearUnchunkedHighlights(params, cellWidth, barHeight, offsetX, offsetY) {
@@ -683,8 +1344,7 @@ export class LinearUnchunkedRenderer extends BaseCanvasRenderer {
 
         if (effectiveChunk) {
             const chunkRange = this.visualizer.simulationModel.getChunkGlobalRange(
-                effectiveChunk.x,
-                effectiveChunk.y,
+                effectiveChunk.coords,
                 params
             );
             this.drawLinearChunkHighlight(
@@ -698,10 +1358,8 @@ export class LinearUnchunkedRenderer extends BaseCanvasRenderer {
         }
 
         if (effectiveCell) {
-            const pos = this.visualizer.simulationModel.getGlobalPosition(
-                effectiveCell.x,
-                effectiveCell.y,
-                0,
+            const pos = this.visualizer.simulationModel.getGlobalPositionForCoords(
+                effectiveCell.coords,
                 params
             );
             this.ctx.strokeStyle = '#fff';
@@ -711,102 +1369,107 @@ export class LinearUnchunkedRenderer extends BaseCanvasRenderer {
     }
 }
 
+// Draws chunks at their stored byte offsets, so compressed chunks take their
+// compressed widths and later chunks shift to match. Shard indexes take space too.
 export class LinearChunkedRenderer extends BaseCanvasRenderer {
     render(params, data) {
         this.clearCanvas();
+        if (data.analytical) {
+            const model = this.visualizer.simulationModel;
+            const chunk = this.visualizer.getEffectiveChunk();
+            const marker = chunk && [
+                model.getChunkOrderFraction(chunk.coords, params),
+                1 / product(model.getChunkCounts(params)),
+            ];
+            this.drawAnalyticalBar(
+                data,
+                marker,
+                `${data.requestCount} request(s) for ${data.touchedChunkCount} chunk(s), ` +
+                    `${formatBytes(data.actualBytes)}`
+            );
+            return;
+        }
 
-        const { cellWidth, barHeight, offsetX, offsetY } =
-            this.coordinateService.getLinearBarLayout(this.canvas, data.totalCells);
-        const [sizeX, sizeY, sizeZ] = params.size;
-
-        const spatialChunkColorMap = this.visualizer.simulationModel.getOrCreateChunkColorMap(
-            params,
-            sizeX,
-            sizeY,
-            sizeZ
-        );
-
-        this.drawLinearChunks(
-            params,
-            data,
-            spatialChunkColorMap,
-            cellWidth,
-            barHeight,
-            offsetX,
-            offsetY,
-            sizeX,
-            sizeY,
-            sizeZ
-        );
+        const barLayout = this.coordinateService.getLinearBarLayout(this.canvas, data.totalCells);
+        const { cellWidth, barHeight, offsetX, offsetY } = barLayout;
+        const layout = this.visualizer.simulationModel.getChunkStorageLayout(params);
+        const byteWidth = (cellWidth * data.totalCells) / Math.max(1, layout.totalBytes);
+        const byStart = (a, b) => a[0] - b[0];
+        const ranges = [...data.coalescedByteRanges, ...data.indexByteRanges].sort(byStart);
+        this.drawLinearOverview(barLayout, layout.totalBytes, ranges);
+        this.clipToLinearWindow(barLayout);
+
+        this.drawLinearChunks(layout, byteWidth, barHeight, offsetX, offsetY);
+        this.drawShards(layout, byteWidth, barHeight, offsetX, offsetY);
+        this.drawByteOffsetScale(layout.totalBytes, barLayout);
+        const frame = this.visualizer.getPlaybackFrame(params, data);
+        if (frame) {
+            this.drawPlaybackBar(
+                frame.revealedBytes,
+                frame.currentBytes,
+                layout.totalBytes,
+                byteWidth,
+                barHeight,
+                offsetX,
+                offsetY
+            );
+        }
 
-        this.highlightLinearChunks(params, data, cellWidth, barHeight, offsetX, offsetY);
+        this.highlightLinearChunks(data, byteWidth, barHeight, offsetX, offsetY);
 
-        this.drawLinearChunkedHighlights(params, cellWidth, barHeight, offsetX, offsetY);
+        this.drawLinearChunkedHighlights(params, byteWidth, barHeight, offsetX, offsetY);
+        const rawRanges = [...data.chunkedByteRanges, ...data.indexByteRanges].sort(byStart);
+        let label = 'byte range(s) with chunking';
+        if (data.sharded) {
+            label = 'shard range request(s)';
+        } else if (data.compressed) {
+            label = 'compressed byte range(s)';
+        }
         this.drawByteRanges(
-            data.chunkedRanges,
-            cellWidth,
+            ranges,
+            byteWidth,
             barHeight,
             offsetX,
             offsetY,
-            'byte range(s) with chunking'
+            label,
+            data.actualBytes,
+            rawRanges
         );
+        this.ctx.restore();
     }
 
-    drawLinearChunks(
-        params,
-        _,
-        spatialChunkColorMap,
-        cellWidth,
-        barHeight,
-        offsetX,
-        offsetY,
-        sizeX,
-        sizeY,
-        sizeZ
-    ) {
-        const [chunkSizeX, chunkSizeY] = params.chunk;
-        const chunksX = Math.ceil(sizeX / chunkSizeX);
-        const chunksY = Math.ceil(sizeY / chunkSizeY);
-        const chunksZ3D = Math.ceil(Math.max(1, sizeZ) / Math.max(1, params.chunk[2]));
-        const totalChunks3D = chunksX * chunksY * chunksZ3D;
-
-        // Create a map of chunks to their global position ranges
-        const chunkRanges = new Map();
-
-        for (let cy = 0; cy < chunksY; cy++) {
-            for (let cx = 0; cx < chunksX; cx++) {
-                for (let cz = 0; cz < chunksZ3D; cz++) {
-                    const chunkKey = `${cx},${cy},${cz}`;
-                    const colorIndex = spatialChunkColorMap.get(chunkKey);
-
-                    if (colorIndex !== undefined) {
-                        const chunkRange = this.visualizer.simulationModel.getChunkGlobalRange(
-                            cx,
-                            cy,
-                            params
-                        );
-                        if (chunkRange && chunkRange.positions.length > 0) {
-                            chunkRanges.set(chunkKey, {
-                                range: chunkRange,
-                                color: this.visualizer.getColorForLinearPosition(
-                                    colorIndex,
-                                    totalChunks3D - 1
-                                ),
-                            });
-                        }
-                    }
-                }
-            }
-        }
+    // Shard indexes are drawn as dark blocks, with a gap line where each shard ends
+    drawShards(layout, byteWidth, barHeight, offsetX, offsetY) {
+        layout.shards.forEach(shard => {
+            this.ctx.fillStyle = '#444';
+            this.ctx.fillRect(
+                offsetX + shard.indexOffset * byteWidth,
+                offsetY,
+                shard.indexSize * byteWidth,
+                barHeight
+            );
+            this.ctx.strokeStyle = '#111';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(offsetX + (shard.offset + shard.size) * byteWidth, offsetY);
+            this.ctx.lineTo(offsetX + (shard.offset + shard.size) * byteWidth, offsetY + barHeight);
+            this.ctx.stroke();
+        });
+    }
 
-        // Draw each chunk as a single rectangle
-        chunkRanges.forEach(({ range, color }) => {
-            this.ctx.fillStyle = color;
+    drawLinearChunks(layout, byteWidth, barHeight, offsetX, offsetY) {
+        const totalChunks = layout.chunks.length;
 
+        // Draw each chunk as a single rectangle, colored by its place in storage
+        layout.chunks.forEach(chunk => {
+            this.ctx.fillStyle = this.visualizer.getColorForLinearPosition(
+                chunk.storageIndex,
+                totalChunks - 1
+            );
             const rect = this.calculateLinearRect(
-                range.min,
-                range.positions.length,
-                cellWidth,
+                chunk.offset,
+                chunk.size,
+                byteWidth,
                 offsetX,
                 offsetY,
                 barHeight
@@ -815,49 +1478,296 @@ export class LinearChunkedRenderer extends BaseCanvasRenderer {
         });
     }
 
-    highlightLinearChunks(params, data, cellWidth, barHeight, offsetX, offsetY) {
-        const [chunkSizeX, _] = params.chunk;
-        const chunksX = Math.ceil(params.size[0] / chunkSizeX);
+    // Outline the byte ranges the touched chunks are read in, shading gaps that are read
+    // through only to save a request
+    highlightLinearChunks(data, byteWidth, barHeight, offsetX, offsetY) {
+        this.ctx.fillStyle = 'rgba(255, 179, 71, 0.45)';
+        data.chunkedByteRanges.forEach(([, end], i) => {
+            const next = data.chunkedByteRanges[i + 1];
+            const merged =
+                next &&
+                data.coalescedByteRanges.some(([start, last]) => start <= end && next[0] <= last);
+            if (merged) {
+                this.ctx.fillRect(
+                    offsetX + (end + 1) * byteWidth,
+                    offsetY,
+                    (next[0] - end - 1) * byteWidth,
+                    barHeight
+                );
+            }
+        });
+
+        this.ctx.strokeStyle = '#4a9eff';
+        this.ctx.lineWidth = 2;
+        data.coalescedByteRanges.forEach(([start, end]) => {
+            this.ctx.strokeRect(
+                offsetX + start * byteWidth,
+                offsetY,
+                (end - start + 1) * byteWidth,
+                barHeight
+            );
+        });
 
-        const allPositions = [];
+        // Shard index reads
+        this.ctx.strokeStyle = '#ffb347';
+        data.indexByteRanges.forEach(([start, end]) => {
+            this.ctx.strokeRect(
+                offsetX + start * byteWidth,
+                offsetY,
+                (end - start + 1) * byteWidth,
+                barHeight
+            );
+        });
+    }
 
-        // Get all positions from all touched chunks
-        data.touchedChunks.forEach(chunkIdx => {
-            const chunkCY = Math.floor(chunkIdx / chunksX);
-            const chunkCX = chunkIdx % chunksX;
-            const chunkRange = this.visualizer.simulationModel.getChunkGlobalRange(
-                chunkCX,
-                chunkCY,
+    drawLinearChunkedHighlights(params, byteWidth, barHeight, offsetX, offsetY) {
+        const effectiveChunk = this.visualizer.getEffectiveChunk();
+
+        if (effectiveChunk) {
+            const chunk = this.visualizer.simulationModel.getStoredChunk(
+                effectiveChunk.coords,
                 params
             );
+            if (chunk) {
+                const showOutline = true;
+                this.drawLinearSpanHighlight(
+                    chunk.offset,
+                    chunk.size,
+                    byteWidth,
+                    barHeight,
+                    offsetX,
+                    offsetY,
+                    showOutline
+                );
+            }
+        }
+    }
+}
+
+export class VoxelRenderer extends BaseCanvasRenderer {
+    render(params, data) {
+        this.clearCanvas();
+
+        const shape = this.visualizer.simulationModel.getShape(params);
+        if (shape[2] <= 1) {
+            return;
+        }
+
+        const [sizeX, sizeY, sizeZ] = shape;
+        const layout = this.coordinateService.getVoxelLayout(this.canvas, sizeX, sizeY, sizeZ);
+
+        this.drawVoxelFaces(params, data, shape, layout);
+        this.drawVoxelChunkBoundaries(params, shape, layout);
+        this.drawTouchedChunkBoxes(params, data, layout);
+        this.drawVoxelQueryBox(params, layout);
+        this.drawVoxelHighlights(params, layout);
+    }
+
+    drawQuad(corners, layout) {
+        const points = corners.map(([x, y, z]) =>
+            this.coordinateService.projectVoxelPoint(x, y, z, layout)
+        );
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => this.ctx.lineTo(point.x, point.y));
+        this.ctx.closePath();
+    }
+
+    // Only the three faces turned towards the viewer are visible: the top (Z = max),
+    // the right (X = max) and the left (Y = max)
+    drawVoxelFaces(params, data, shape, layout) {
+        const [sizeX, sizeY, sizeZ] = shape;
+        const outerCoords = this.getSliceCoords(params).slice(3);
+        const drawGrid = layout.unit > CONFIG.MIN_CELL_SIZE * 2;
+        const getPosition = this.getCellPositionLookup(params);
+
+        const drawFace = (cellCoords, corners, shade) => {
+            const globalPos = getPosition([...cellCoords, ...outerCoords]);
+            this.drawQuad(corners, layout);
+            this.ctx.fillStyle = this.visualizer.getColorForLinearPosition(
+                globalPos,
+                data.totalCells - 1
+            );
+            this.ctx.fill();
+            if (shade > 0) {
+                this.ctx.fillStyle = `rgba(0, 0, 0, ${shade})`;
+                this.ctx.fill();
+            }
+            if (drawGrid) {
+                this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+            }
+        };
+
+        // Faces too small to tell apart are drawn in blocks of cells, colored by their first
+        const block = Math.max(1, Math.ceil(CONFIG.MIN_CELL_SIZE / layout.unit));
+        const [endX, endY, endZ] = [sizeX, sizeY, sizeZ].map(
+            size => value => Math.min(value + block, size)
+        );
+        for (let y = 0; y < sizeY; y += block) {
+            for (let x = 0; x < sizeX; x += block) {
+                drawFace(
+                    [x, y, sizeZ - 1],
+                    [
+                        [x, y, sizeZ],
+                        [endX(x), y, sizeZ],
+                        [endX(x), endY(y), sizeZ],
+                        [x, endY(y), sizeZ],
+                    ],
+                    0
+                );
+            }
+        }
+        for (let z = 0; z < sizeZ; z += block) {
+            for (let y = 0; y < sizeY; y += block) {
+                drawFace(
+                    [sizeX - 1, y, z],
+                    [
+                        [sizeX, y, z],
+                        [sizeX, endY(y), z],
+                        [sizeX, endY(y), endZ(z)],
+                        [sizeX, y, endZ(z)],
+                    ],
+                    0.2
+                );
+            }
+            for (let x = 0; x < sizeX; x += block) {
+                drawFace(
+                    [x, sizeY - 1, z],
+                    [
+                        [x, sizeY, z],
+                        [endX(x), sizeY, z],
+                        [endX(x), sizeY, endZ(z)],
+                        [x, sizeY, endZ(z)],
+                    ],
+                    0.35
+                );
+            }
+        }
+    }
+
+    drawVoxelChunkBoundaries(params, shape, layout) {
+        const [sizeX, sizeY, sizeZ] = shape;
+        const [chunkX, chunkY, chunkZ] = this.visualizer.simulationModel.getChunkShape(params);
+        const line = (from, to) => {
+            const start = this.coordinateService.projectVoxelPoint(...from, layout);
+            const end = this.coordinateService.projectVoxelPoint(...to, layout);
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+        };
+
+        // Chunk edges along an axis, including the partial chunk at the far end
+        const boundaries = (size, chunkSize) => {
+            const edges = [];
+            for (let edge = 0; edge < size; edge += chunkSize) {
+                edges.push(edge);
+            }
+            return [...edges, size];
+        };
+
+        this.ctx.beginPath();
+        boundaries(sizeX, chunkX).forEach(x => {
+            line([x, 0, sizeZ], [x, sizeY, sizeZ]);
+            line([x, sizeY, sizeZ], [x, sizeY, 0]);
+        });
+        boundaries(sizeY, chunkY).forEach(y => {
+            line([0, y, sizeZ], [sizeX, y, sizeZ]);
+            line([sizeX, y, sizeZ], [sizeX, y, 0]);
+        });
+        boundaries(sizeZ, chunkZ).forEach(z => {
+            line([sizeX, 0, z], [sizeX, sizeY, z]);
+            line([sizeX, sizeY, z], [0, sizeY, z]);
+        });
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+    }
 
-            if (chunkRange && chunkRange.positions.length > 0) {
-                allPositions.push(...chunkRange.positions);
+    // Draw a box spanning the half-open cell range [start, end) as its outline
+    // plus the three edges meeting at the corner nearest the viewer
+    drawVoxelBox(start, end, layout, fillStyle, strokeStyle, lineWidth) {
+        const [x0, y0, z0] = start;
+        const [x1, y1, z1] = end;
+        const point = (x, y, z) => this.coordinateService.projectVoxelPoint(x, y, z, layout);
+        const outline = [
+            point(x0, y0, z1),
+            point(x1, y0, z1),
+            point(x1, y0, z0),
+            point(x1, y1, z0),
+            point(x0, y1, z0),
+            point(x0, y1, z1),
+        ];
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(outline[0].x, outline[0].y);
+        outline.slice(1).forEach(corner => this.ctx.lineTo(corner.x, corner.y));
+        this.ctx.closePath();
+        if (fillStyle) {
+            this.ctx.fillStyle = fillStyle;
+            this.ctx.fill();
+        }
+
+        const near = point(x1, y1, z1);
+        [outline[1], outline[3], outline[5]].forEach(corner => {
+            this.ctx.moveTo(near.x, near.y);
+            this.ctx.lineTo(corner.x, corner.y);
+        });
+        this.ctx.strokeStyle = strokeStyle;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.stroke();
+    }
+
+    drawTouchedChunkBoxes(params, data, layout) {
+        const model = this.visualizer.simulationModel;
+        const chunkCounts = model.getChunkCounts(params);
+        data.touchedChunks.forEach(chunkIdx => {
+            const chunkCoords = model.getChunkCoordsFromIndex(chunkIdx, chunkCounts);
+            if (!this.isChunkOnSlice(chunkCoords, params, 3)) {
+                return;
             }
+            const { start, end } = model.getChunkCellBounds(chunkCoords, params);
+            this.drawVoxelBox(start, end, layout, 'rgba(74, 158, 255, 0.15)', '#4a9eff', 1);
         });
+    }
 
-        // Use the shared coalescing function
-        this.highlightCoalescedRanges(allPositions, cellWidth, barHeight, offsetX, offsetY);
+    drawVoxelQueryBox(params, layout) {
+        const ranges = this.visualizer.simulationModel.getQueryRanges(params);
+        if (ranges.some(([start, end]) => start > end)) {
+            return;
+        }
+        // Dash the box when the query lies on other slices of the axes beyond Z
+        this.ctx.setLineDash(this.isQueryOnSlice(params, 3) ? [] : [4, 4]);
+        this.drawVoxelBox(
+            ranges.map(([start]) => start),
+            ranges.map(([, end]) => end + 1),
+            layout,
+            null,
+            '#4a9eff',
+            Math.max(1, Math.min(3, layout.unit / 2))
+        );
+        this.ctx.setLineDash([]);
     }
 
-    drawLinearChunkedHighlights(params, cellWidth, barHeight, offsetX, offsetY) {
+    drawVoxelHighlights(params, layout) {
+        const effectiveCell = this.visualizer.getEffectiveCell();
         const effectiveChunk = this.visualizer.getEffectiveChunk();
 
-        if (effectiveChunk) {
-            const chunkRange = this.visualizer.simulationModel.getChunkGlobalRange(
-                effectiveChunk.x,
-                effectiveChunk.y,
+        if (effectiveChunk && this.isChunkOnSlice(effectiveChunk.coords, params, 3)) {
+            const { start, end } = this.visualizer.simulationModel.getChunkCellBounds(
+                effectiveChunk.coords,
                 params
             );
-            const showOutline = true;
-            this.drawLinearChunkHighlight(
-                chunkRange,
-                cellWidth,
-                barHeight,
-                offsetX,
-                offsetY,
-                showOutline
-            );
+            const fill = effectiveCell ? null : 'rgba(255, 255, 255, 0.3)';
+            this.drawVoxelBox(start, end, layout, fill, '#fff', effectiveCell ? 1 : 2);
+        }
+
+        if (effectiveCell && this.isCellOnSlice(effectiveCell.coords, params, 3)) {
+            const start = this.visualizer.simulationModel
+                .getShape(params)
+                .map((_, axis) => effectiveCell.coords[axis] || 0);
+            const end = start.map(value => value + 1);
+            this.drawVoxelBox(start, end, layout, 'rgba(255, 255, 255, 0.5)', '#fff', 2);
         }
     }
 }
@@ -0,0 +1,35 @@
+import { getDefaultDimensionName } from '../core/dimensions.js';
+import { getStep } from '../core/stride.js';
+
+// Cells and buttons of the tables the workload and optimizer panels fill in
+
+// A query's range along each axis, e.g. x 3–10, y 0–15 every 4
+export function formatQuery(query, names) {
+    return query
+        .map((range, axis) => {
+            const step = getStep(range);
+            const name = names[axis] || getDefaultDimensionName(axis);
+            return `${name} ${range[0]}–${range[1]}${step > 1 ? ` every ${step}` : ''}`;
+        })
+        .join(', ');
+}
+
+// Weighted means of counts are fractional unless every query agrees
+export function formatCount(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+export function createCell(content) {
+    const td = document.createElement('td');
+    td.append(content);
+    return td;
+}
+
+export function createButton(text, onClick, className = 'reset-button') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
@@ -1,24 +1,55 @@
 import { SimulationModel } from '../models/simulation.js';
 import { SettingsManager } from '../models/settings.js';
 import { SelectionState } from '../models/selection.js';
+import { SliceState } from '../models/slice.js';
+import { PlaybackState } from '../models/playback.js';
 import { CoordinateService } from '../services/coordinate.js';
+import { SimulationClient } from '../services/simulation-client.js';
 import { CanvasManager } from './canvas-manager.js';
 import { LRUCache } from '../core/cache.js';
 import { CONFIG, PRESET_CONFIGS } from '../core/constants.js';
+import { formatCoords, getDefaultDimensionName } from '../core/dimensions.js';
+import { formatBytes } from '../core/dtypes.js';
+import { getReadMetrics, formatDuration } from '../core/storage.js';
+import { isSelected, describeAxisStride, countSkippedChunks } from '../core/stride.js';
+import { ComparisonView } from './comparison.js';
+import { OptimizerPanel } from './optimizer-panel.js';
+import { WorkloadPanel } from './workload-panel.js';
+import { formatCount } from './tables.js';
+
+// Size of a change relative to `base`, e.g. 25.0%
+function formatPercent(value, base) {
+    return `${((Math.abs(value - base) / Math.abs(base)) * 100).toFixed(1)}%`;
+}
 
 export class DataVisualizer {
     constructor() {
         this.simulationModel = new SimulationModel();
+        this.simulationClient = new SimulationClient(this.simulationModel);
+        this.simulationKey = null;
+        this.currentData = null;
+        this.currentParams = null;
         this.coordinateService = new CoordinateService();
         this.settingsManager = new SettingsManager();
+        this.settingsManager.loadFromHash();
         this.selectionState = new SelectionState();
+        this.sliceState = new SliceState();
+        this.playbackState = new PlaybackState();
+        this.lastPlaybackTime = null;
         this.colorCache = new LRUCache(CONFIG.LRU_DETAIL_CACHE_SIZE);
         this.canvasManager = new CanvasManager(this);
+        this.comparisonView = new ComparisonView(this);
+        this.workloadPanel = new WorkloadPanel(this);
+        this.optimizerPanel = new OptimizerPanel(this);
 
         this.initializeControls();
+        this.comparisonView.initialize();
+        this.workloadPanel.initialize();
+        this.optimizerPanel.initialize();
         this.canvasManager.initializeCanvases();
         this.updateUI();
         this.update();
+        this.settingsManager.saveSettings();
     }
 
     setState(newState) {
@@ -30,9 +61,25 @@ export class DataVisualizer {
         this.settingsManager.updateDOMConstraints();
         this.updateResetButton();
         this.updatePresetDisplay();
+        this.updateComparisonLayout();
+        this.workloadPanel.render();
+        this.optimizerPanel.render();
         this.update();
     }
 
+    // Shows the second layout beside the first while comparing; the canvases are
+    // resized to fit their new columns
+    updateComparisonLayout() {
+        const comparing = this.settingsManager.isComparing();
+        document.getElementById('layouts').classList.toggle('comparing', comparing);
+        document.getElementById('layoutB').style.display = comparing ? '' : 'none';
+        document.getElementById('comparisonReport').style.display = comparing ? '' : 'none';
+        this.canvasManager.resizeCanvases();
+        if (comparing) {
+            this.comparisonView.canvasManager.resizeCanvases();
+        }
+    }
+
     clearCaches() {
         this.colorCache.clear();
         if (this.coordinateService) {
@@ -53,56 +100,187 @@ export class DataVisualizer {
 
     initializeControls() {
         this.populatePresetOptions();
-        const controls = [
+        [
             'cellAlgorithm',
             'chunkAlgorithm',
-            'sizeX',
-            'sizeY',
-            'sizeZ',
-            'chunkX',
-            'chunkY',
-            'chunkZ',
-            'queryX1',
-            'queryX2',
-            'queryY1',
-            'queryY2',
-            'queryZ1',
-            'queryZ2',
-        ];
-        controls.forEach(id => {
-            const element = document.getElementById(id);
-            element.addEventListener('change', e => {
-                let value = e.target.type === 'number' ? parseInt(e.target.value) : e.target.value;
-                if (e.target.type === 'number') {
-                    if (isNaN(value)) {
-                        console.warn(`Invalid input value: ${e.target.value}, resetting to 1`);
-                        value = 1;
-                    } else {
-                        if (id.startsWith('size') || id.startsWith('chunk')) {
-                            value = Math.max(1, value);
-                        } else {
-                            value = Math.max(0, value);
-                        }
-                        if (id.startsWith('size')) {
-                            value = Math.min(value, 256);
-                        }
-                        if (id === 'sizeZ') {
-                            value = Math.min(value, 16);
-                        }
-                    }
+            'dtype',
+            'compression',
+            'sharding',
+            'innerChunkAlgorithm',
+        ].forEach(id => {
+            document.getElementById(id).addEventListener('change', e => {
+                this.applyChange({ [id]: e.target.value });
+            });
+        });
+
+        document.getElementById('customItemSize').addEventListener('change', e => {
+            const value = parseInt(e.target.value);
+            if (isNaN(value)) {
+                console.warn(`Invalid input value: ${e.target.value}, resetting to 1`);
+            }
+            this.applyChange({ customItemSize: isNaN(value) ? 1 : Math.max(1, value) });
+        });
+
+        document.getElementById('compressionRatio').addEventListener('change', e => {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) {
+                console.warn(`Invalid input value: ${e.target.value}, resetting to 1`);
+            }
+            this.applyChange({ compressionRatio: isNaN(value) ? 1 : Math.max(1, value) });
+        });
+
+        ['coalesceGap', 'maxRequestSize'].forEach(id => {
+            document.getElementById(id).addEventListener('change', e => {
+                const value = parseInt(e.target.value);
+                if (isNaN(value)) {
+                    console.warn(`Invalid input value: ${e.target.value}, resetting to 0`);
                 }
-                this.setState({ [id]: value });
-                this.updateUI();
+                this.applyChange({ [id]: isNaN(value) ? 0 : Math.max(0, value) });
+            });
+        });
+
+        document.getElementById('compressionSeed').addEventListener('change', e => {
+            const value = parseInt(e.target.value);
+            if (isNaN(value)) {
+                console.warn(`Invalid input value: ${e.target.value}, resetting to 1`);
+            }
+            this.applyChange({ compressionSeed: isNaN(value) ? 1 : value });
+        });
+
+        document.getElementById('analytical').addEventListener('change', e => {
+            this.applyChange({ analytical: e.target.checked });
+        });
+
+        document.getElementById('storageProfile').addEventListener('change', e => {
+            this.applyStorageChange(() => this.settingsManager.setStorageProfile(e.target.value));
+        });
+        document.getElementById('storageName').addEventListener('change', e => {
+            this.applyStorageChange(() =>
+                this.settingsManager.updateStorageProfile({ name: e.target.value })
+            );
+        });
+        ['storageLatency', 'storageThroughput', 'storageConcurrency'].forEach(id => {
+            const field = id.replace('storage', '').toLowerCase();
+            document.getElementById(id).addEventListener('change', e => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) {
+                    console.warn(`Invalid input value: ${e.target.value}, keeping the profile`);
+                    this.settingsManager.renderStorageControls();
+                    return;
+                }
+                this.applyStorageChange(() =>
+                    this.settingsManager.updateStorageProfile({ [field]: value })
+                );
+            });
+        });
+        document.getElementById('addStorageProfileButton').addEventListener('click', () => {
+            this.applyStorageChange(() => this.settingsManager.addStorageProfile());
+        });
+        document.getElementById('removeStorageProfileButton').addEventListener('click', () => {
+            this.applyStorageChange(() => this.settingsManager.removeStorageProfile());
+        });
+
+        // The toggles are copied into the second layout's views, so listen on the container
+        // of both layouts
+        document.getElementById('layouts').addEventListener('change', e => {
+            const { viewOption } = e.target.dataset;
+            if (viewOption) {
+                this.settingsManager.setViewOption(viewOption, e.target.checked);
                 this.settingsManager.saveSettings();
+                this.settingsManager.renderViewOptions();
+                this.update();
+            }
+        });
+
+        // Per-axis rows are regenerated as dimensions are added and removed, so
+        // listen on their containers rather than the inputs themselves
+        ['sizeControls', 'chunkControls', 'shardControls', 'queryControls'].forEach(id => {
+            document.getElementById(id).addEventListener('change', e => {
+                const { field, axis } = e.target.dataset;
+                if (field) {
+                    this.handleDimensionInput(field, parseInt(axis), e.target);
+                }
             });
         });
 
+        document.getElementById('sizeControls').addEventListener('click', e => {
+            const button = e.target.closest('.dimension-remove');
+            if (button) {
+                this.applyChange(
+                    this.settingsManager.getRemoveDimensionUpdate(parseInt(button.dataset.axis))
+                );
+            }
+        });
+
+        document.getElementById('addDimensionButton').addEventListener('click', () => {
+            this.applyChange(this.settingsManager.getAddDimensionUpdate());
+        });
+
+        document.getElementById('sliceControls').addEventListener('input', e => {
+            const { axis } = e.target.dataset;
+            if (axis !== undefined) {
+                this.sliceState.setIndex(parseInt(axis), parseInt(e.target.value));
+                this.update();
+            }
+        });
+
+        document.addEventListener('keydown', e => this.handleSliceKey(e));
+
+        document.getElementById('playbackButton').addEventListener('click', () => {
+            if (this.playbackState.playing) {
+                this.playbackState.pause();
+                this.updatePlaybackControls();
+            } else if (this.currentData) {
+                this.playbackState.play(this.getPlaybackStepCount());
+                this.lastPlaybackTime = null;
+                this.renderViews();
+                requestAnimationFrame(time => this.tickPlayback(time));
+            }
+        });
+        document.getElementById('playbackStopButton').addEventListener('click', () => {
+            this.playbackState.stop();
+            this.renderViews();
+        });
+        document.getElementById('playbackMode').addEventListener('change', e => {
+            this.playbackState.setMode(e.target.value);
+            this.renderViews();
+        });
+        document.getElementById('playbackSpeed').addEventListener('change', e => {
+            this.playbackState.setSpeed(parseFloat(e.target.value));
+        });
+        document.getElementById('playbackStep').addEventListener('input', e => {
+            this.playbackState.seek(parseInt(e.target.value));
+            this.renderViews();
+        });
+
+        // A permalink pasted into the address bar of an open tab
+        window.addEventListener('hashchange', () => {
+            if (this.settingsManager.loadFromHash()) {
+                this.updateConstraints();
+                this.updateUI();
+                this.settingsManager.saveSettings();
+            }
+        });
+
         document.getElementById('presets').addEventListener('change', e => {
             this.settingsManager.loadPreset(e.target.value);
             this.updateUI();
             this.settingsManager.saveSettings();
         });
 
+        document.getElementById('compareLayouts').addEventListener('change', e => {
+            this.settingsManager.setComparing(e.target.checked);
+            this.updateConstraints();
+            this.updateUI();
+            this.settingsManager.saveSettings();
+        });
+
+        document.getElementById('editLayout').addEventListener('change', e => {
+            this.settingsManager.setEditingLayout(e.target.value);
+            this.updateUI();
+            this.settingsManager.saveSettings();
+        });
+
         document.getElementById('resetButton').addEventListener('click', () => {
             this.settingsManager.resetCurrentPreset();
             this.updateUI();
@@ -113,6 +291,80 @@ export class DataVisualizer {
         this.updateResetButton();
     }
 
+    handleDimensionInput(field, axis, input) {
+        if (field === 'dimensionNames') {
+            const name = input.value.trim() || getDefaultDimensionName(axis);
+            this.applyChange(this.settingsManager.getDimensionUpdate(field, axis, name));
+            return;
+        }
+
+        let value = parseInt(input.value);
+        if (isNaN(value)) {
+            console.warn(`Invalid input value: ${input.value}, resetting to 1`);
+            value = 1;
+        } else if (['size', 'chunk', 'shard', 'queryStep'].includes(field)) {
+            value = Math.max(1, value);
+        } else {
+            value = Math.max(0, value);
+        }
+        if (field === 'size') {
+            value = Math.min(value, this.settingsManager.getMaxSize(axis));
+        }
+        this.applyChange(this.settingsManager.getDimensionUpdate(field, axis, value));
+    }
+
+    // [ and ] step the first slice axis, { and } the second
+    handleSliceKey(e) {
+        const keys = { '[': [0, -1], ']': [0, 1], '{': [1, -1], '}': [1, 1] };
+        if (!(e.key in keys) || e.target.closest?.('input, select, textarea')) {
+            return;
+        }
+        const [index, delta] = keys[e.key];
+        const shape = this.simulationModel.getShape(this.getParameters());
+        const axis = this.sliceState.getSliceableAxes(shape)[index];
+        if (axis !== undefined && this.sliceState.step(axis, delta, shape)) {
+            e.preventDefault();
+            this.update();
+        }
+    }
+
+    applyChange(newState) {
+        this.settingsManager.setEditedState(newState);
+        this.updateConstraints();
+        this.updateUI();
+        this.settingsManager.saveSettings();
+    }
+
+    // The storage profile only feeds the read time estimate, so the simulation isn't rerun
+    applyStorageChange(change) {
+        change();
+        this.settingsManager.saveSettings();
+        this.settingsManager.renderStorageControls();
+        this.workloadPanel.render();
+        this.optimizerPanel.renderResults();
+        if (!this.currentData) {
+            return;
+        }
+        this.updateMetrics(this.currentData);
+        if (this.settingsManager.isComparing() && this.comparisonView.currentData) {
+            this.updateMetrics(this.comparisonView.currentData, '-b');
+            this.updateComparisonReport(this.currentData, this.comparisonView.currentData);
+        }
+    }
+
+    getViewOptions() {
+        return this.settingsManager.getViewOptions();
+    }
+
+    // Applies a change that is still being made, such as dragging the query, without
+    // saving it; applyChange saves it once done
+    previewChange(newState) {
+        this.settingsManager.setEditedState(newState);
+        this.updateConstraints();
+        this.settingsManager.renderUI();
+        this.update();
+    }
+
     updateResetButton() {
         const resetButton = document.getElementById('resetButton');
         const shouldShow = this.settingsManager.shouldShowResetButton();
@@ -137,17 +389,32 @@ export class DataVisualizer {
     }
 
     getParameters() {
-        const state = this.settingsManager.state;
+        return this.toParameters(this.settingsManager.state);
+    }
+
+    getComparisonParameters() {
+        return this.toParameters(this.settingsManager.getComparisonState());
+    }
+
+    toParameters(state) {
         return {
             cellAlgorithm: state.cellAlgorithm,
             chunkAlgorithm: state.chunkAlgorithm,
-            size: [state.sizeX, state.sizeY, state.sizeZ],
-            chunk: [state.chunkX, state.chunkY, state.chunkZ],
-            query: {
-                x: [state.queryX1, state.queryX2],
-                y: [state.queryY1, state.queryY2],
-                z: [state.queryZ1, state.queryZ2],
-            },
+            dtype: state.dtype,
+            customItemSize: state.customItemSize,
+            compression: state.compression,
+            compressionRatio: state.compressionRatio,
+            compressionSeed: state.compressionSeed,
+            sharding: state.sharding,
+            shard: state.shard,
+            innerChunkAlgorithm: state.innerChunkAlgorithm,
+            coalesceGap: state.coalesceGap,
+            maxRequestSize: state.maxRequestSize,
+            analytical: state.analytical,
+            dimensionNames: state.dimensionNames,
+            size: state.size,
+            chunk: state.chunk,
+            query: state.query,
         };
     }
 
@@ -168,35 +435,402 @@ export class DataVisualizer {
     }
 
     getEffectiveChunk() {
-        return this.selectionState.getEffectiveChunk();
+        const chunkShape = this.simulationModel.getChunkShape(this.getParameters());
+        return this.selectionState.getEffectiveChunk(chunkShape);
     }
 
+    // The simulation only reruns when the parameters change, in the worker; hovering,
+    // selecting and slicing redraw the latest results. Each layout's views are drawn
+    // with the parameters its results are for, which lag behind while a run is going.
     update() {
-        const params = this.getParameters();
-        document.getElementById('zRange').style.display = params.size[2] > 1 ? 'flex' : 'none';
-        const data = this.simulationModel.calculateData(params);
-        this.currentData = data;
-        this.canvasManager.renderAll(params, data);
-        this.updateMetrics(data);
-    }
-
-    updateMetrics(data) {
-        const amplification = data.actualCells.size / Math.max(1, data.requestedCells.size);
-        const coalescingFactor = data.touchedChunks.size / Math.max(1, data.chunkedRanges.length);
-        const amplificationScore = 1 / Math.max(1, amplification);
-        const rangeScore = 1 / Math.max(1, data.chunkedRanges.length);
-        const storageAlignment = 0.9 * amplificationScore + 0.1 * rangeScore;
-
-        document.getElementById('requested-cells').textContent = data.requestedCells.size;
-        document.getElementById('actual-cells').textContent = data.actualCells.size;
-        document.getElementById('amplification').innerHTML =
+        this.workloadPanel.update();
+        const paramsList = [this.getParameters()];
+        if (this.settingsManager.isComparing()) {
+            paramsList.push(this.getComparisonParameters());
+        }
+        const key = JSON.stringify(paramsList);
+        if (key !== this.simulationKey) {
+            this.simulationKey = key;
+            this.simulationClient.run(paramsList, (index, data, params, done) =>
+                this.showSimulationResult(index, data, params, done)
+            );
+            this.setSimulationPending(this.simulationClient.isBusy());
+            return;
+        }
+        this.renderLayout(this);
+        this.renderLayout(this.comparisonView, '-b');
+        this.renderSharedViews();
+    }
+
+    showSimulationResult(index, data, params, done) {
+        if (done) {
+            this.setSimulationPending(false);
+        }
+        if (!data) {
+            return;
+        }
+        const [view, suffix] = index === 0 ? [this, ''] : [this.comparisonView, '-b'];
+        view.currentData = data;
+        view.currentParams = params;
+        this.renderLayout(view, suffix);
+        this.renderSharedViews();
+    }
+
+    // Dims the views once a run has taken long enough to notice
+    setSimulationPending(pending) {
+        const layouts = document.getElementById('layouts');
+        if (!pending) {
+            layouts.classList.remove('simulating');
+            return;
+        }
+        setTimeout(() => {
+            layouts.classList.toggle('simulating', this.simulationClient.isBusy());
+        }, CONFIG.SIMULATION_PENDING_MS);
+    }
+
+    // One layout's views, metrics and shard report, from its latest results
+    renderLayout(view, suffix = '') {
+        const { currentData: data, currentParams: params } = view;
+        if (!data || (view === this.comparisonView && !this.settingsManager.isComparing())) {
+            return;
+        }
+        if (view === this) {
+            this.updateSliceControls(params);
+        }
+        view.canvasManager.renderAll(params, data);
+        this.updateMetrics(data, suffix);
+        this.updateAnalysisNote(data, params, suffix);
+        this.updateStrideNote(params, suffix);
+        this.updateShardReport(data, params, suffix);
+    }
+
+    // What depends on both layouts: the comparison report and the shared playback
+    renderSharedViews() {
+        if (!this.currentData) {
+            return;
+        }
+        if (this.settingsManager.isComparing() && this.comparisonView.currentData) {
+            this.updateComparisonReport(this.currentData, this.comparisonView.currentData);
+        }
+        this.updatePlaybackControls();
+    }
+
+    // Redraws the views without rerunning the simulation, e.g. for playback frames
+    renderViews() {
+        if (!this.currentData) {
+            return;
+        }
+        this.canvasManager.renderAll(this.currentParams, this.currentData);
+        if (this.settingsManager.isComparing() && this.comparisonView.currentData) {
+            this.comparisonView.canvasManager.renderAll(
+                this.comparisonView.currentParams,
+                this.comparisonView.currentData
+            );
+        }
+        this.updatePlaybackControls();
+    }
+
+    getPlaybackFrame(params, data) {
+        return this.playbackState.getFrame(params, data, this.simulationModel);
+    }
+
+    // While comparing, playback runs until both layouts are done
+    getPlaybackStepCount() {
+        const stepCount = this.playbackState.getStepCount(
+            this.currentData,
+            this.currentParams,
+            this.simulationModel
+        );
+        if (!this.settingsManager.isComparing() || !this.comparisonView.currentData) {
+            return stepCount;
+        }
+        return Math.max(
+            stepCount,
+            this.playbackState.getStepCount(
+                this.comparisonView.currentData,
+                this.comparisonView.currentParams,
+                this.simulationModel
+            )
+        );
+    }
+
+    tickPlayback(time) {
+        if (!this.playbackState.playing) {
+            return;
+        }
+        // Steps missed while the page was in the background are skipped, not rushed through
+        const elapsed =
+            this.lastPlaybackTime === null ? 0 : Math.min(250, time - this.lastPlaybackTime);
+        this.lastPlaybackTime = time;
+        if (this.playbackState.advance(elapsed, this.getPlaybackStepCount())) {
+            this.renderViews();
+        } else {
+            this.updatePlaybackControls();
+        }
+        if (this.playbackState.playing) {
+            requestAnimationFrame(next => this.tickPlayback(next));
+        }
+    }
+
+    // Analytical metrics have no reads to play back
+    updatePlaybackControls() {
+        document.getElementById('playbackControls').style.display = this.currentData.analytical
+            ? 'none'
+            : '';
+        const stepCount = this.getPlaybackStepCount();
+        const frame = this.getPlaybackFrame(this.currentParams, this.currentData);
+        const slider = document.getElementById('playbackStep');
+        slider.max = Math.max(0, stepCount - 1);
+        slider.value = Math.min(this.playbackState.step, Math.max(0, stepCount - 1));
+        document.getElementById('playbackButton').textContent = this.playbackState.playing
+            ? 'pause'
+            : 'play';
+        document.getElementById('playbackStatus').textContent = frame
+            ? this.describePlaybackFrame(frame)
+            : '';
+    }
+
+    describePlaybackFrame(frame) {
+        if (frame.stepCount === 0) {
+            return 'No reads';
+        }
+        const position = `${frame.step + 1} of ${frame.stepCount}`;
+        if (frame.mode === 'storage') {
+            return `Cell ${position} at ${formatBytes(Math.floor(frame.currentBytes[0][0]))}`;
+        }
+        const [start, end] = frame.read.bytes;
+        const kind = frame.read.kind === 'index' ? ' of shard index' : '';
+        return `Read ${position}: ${formatBytes(end - start)}${kind} at ${formatBytes(start)}`;
+    }
+
+    updateSliceControls(params) {
+        const container = document.getElementById('sliceControls');
+        const shape = this.simulationModel.getShape(params);
+        const axes = this.sliceState.getSliceableAxes(shape);
+        const names = axes.map(
+            axis => params.dimensionNames?.[axis] || getDefaultDimensionName(axis)
+        );
+
+        // Rebuild only when the sliceable axes change, so a slider keeps focus while dragged
+        const signature = JSON.stringify(axes.map((axis, i) => [axis, shape[axis], names[i]]));
+        if (container.dataset.signature !== signature) {
+            container.dataset.signature = signature;
+            container.replaceChildren(
+                ...axes.map((axis, i) => this.createSliceControl(axis, names[i], shape[axis]))
+            );
+        }
+        document.getElementById('sliceNavigator').style.display = axes.length > 0 ? '' : 'none';
+
+        const slice = this.sliceState.getCoords(shape);
+        const queryRanges = this.simulationModel.getQueryRanges(params);
+        axes.forEach(axis => {
+            const control = container.querySelector(`[data-slice-axis="${axis}"]`);
+            const [start, end, step] = queryRanges[axis];
+            const size = shape[axis];
+            control.querySelector('input').value = slice[axis];
+            control.style.setProperty('--query-start', `${(start / size) * 100}%`);
+            control.style.setProperty('--query-end', `${(Math.max(start, end + 1) / size) * 100}%`);
+            // Slices between a stride's steps are outside the query too
+            control.classList.toggle('outside-query', !isSelected(queryRanges[axis], slice[axis]));
+            control.querySelector('.slice-value').textContent = `${slice[axis]} / ${size - 1}`;
+            control.querySelector('.slice-query').textContent =
+                start > end
+                    ? 'query: none'
+                    : `query: ${start}–${end}${step > 1 ? ` every ${step}` : ''}`;
+        });
+    }
+
+    createSliceControl(axis, name, size) {
+        const control = document.createElement('div');
+        control.className = 'slice-control';
+        control.dataset.sliceAxis = axis;
+
+        const label = document.createElement('label');
+        label.htmlFor = `slice-${axis}`;
+        label.textContent = name;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `slice-${axis}`;
+        input.className = 'slice-slider';
+        input.min = 0;
+        input.max = size - 1;
+        input.step = 1;
+        input.dataset.axis = axis;
+
+        const value = document.createElement('span');
+        value.className = 'slice-value';
+        const query = document.createElement('span');
+        query.className = 'slice-query';
+
+        control.append(label, input, value, query);
+        return control;
+    }
+
+    getMetrics(data) {
+        return getReadMetrics(data, this.settingsManager.getStorageProfile());
+    }
+
+    // `suffix` picks the metric panel of the second layout in a comparison
+    updateMetrics(data, suffix = '') {
+        const { amplification, rangeCount, coalescingFactor, estimate, usefulThroughput } =
+            this.getMetrics(data);
+        const element = id => document.getElementById(id + suffix);
+
+        element('requested-cells').textContent = data.requestedCellCount;
+        element('actual-cells').textContent = data.actualCellCount;
+        element('requested-bytes').textContent = formatBytes(data.requestedBytes);
+        element('actual-bytes').textContent = formatBytes(data.actualBytes);
+        element('amplification').innerHTML =
             amplification.toFixed(2) + '<span class="metric-suffix">x</span>';
-        document.getElementById('chunks-touched').textContent = data.touchedChunks.size;
-        document.getElementById('byte-ranges').textContent = data.chunkedRanges.length;
-        document.getElementById('efficiency').innerHTML =
+        element('chunks-touched').textContent = data.touchedChunkCount;
+        element('byte-ranges').textContent = rangeCount;
+        element('efficiency').innerHTML =
             (100 / amplification).toFixed(1) + '<span class="metric-suffix">%</span>';
-        document.getElementById('coalescing-factor').innerHTML =
+        element('coalescing-factor').innerHTML =
             coalescingFactor.toFixed(1) + '<span class="metric-suffix">x</span>';
-        document.getElementById('storage-alignment').textContent = storageAlignment.toFixed(2);
+        element('read-time').textContent = formatDuration(estimate.time);
+        element('useful-throughput').textContent = formatBytes(Math.round(usefulThroughput)) + '/s';
+        element('storage-alignment').textContent = estimate.alignment.toFixed(2);
+    }
+
+    // Metric diff table of the two layouts, with each change marked better or worse
+    updateComparisonReport(dataA, dataB) {
+        const metricsA = this.getMetrics(dataA);
+        const metricsB = this.getMetrics(dataB);
+        const rows = [
+            ['Read Amplification', m => m.amplification, value => `${value.toFixed(2)}x`],
+            ['Range Reads', m => m.rangeCount, String],
+            ['Chunks Touched', (_, data) => data.touchedChunkCount, String],
+            ['Bytes Read', (_, data) => data.actualBytes, formatBytes],
+            ['Est. Read Time', m => m.estimate.time, formatDuration],
+            ['Storage Alignment', m => m.estimate.alignment, value => value.toFixed(2), true],
+        ];
+        const cell = (text, className) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            if (className) {
+                td.className = className;
+            }
+            return td;
+        };
+        document.getElementById('comparisonRows').replaceChildren(
+            ...rows.map(([label, getValue, format, higherIsBetter = false]) => {
+                const a = getValue(metricsA, dataA);
+                const b = getValue(metricsB, dataB);
+                let change = 'same';
+                let className = '';
+                // Differences too small to show are the same
+                if (format(a) !== format(b)) {
+                    change = a === 0 ? 'new' : `${b > a ? '+' : '−'}${formatPercent(b, a)}`;
+                    className = b > a === higherIsBetter ? 'better' : 'worse';
+                }
+                const row = document.createElement('tr');
+                row.append(cell(label), cell(format(a)), cell(format(b)), cell(change, className));
+                return row;
+            })
+        );
+    }
+
+    // What analytical metrics leave out or estimate, for the layout they are shown for
+    updateAnalysisNote(data, params, suffix = '') {
+        const note = document.getElementById('analysisNote' + suffix);
+        note.style.display = data.analytical ? '' : 'none';
+        if (!data.analytical) {
+            return;
+        }
+        const parts = [
+            data.sampledChunks > 0
+                ? `Range reads estimated from ${data.sampledChunks} sampled chunks.`
+                : 'Counts are exact.',
+        ];
+        if (params.sharding && params.sharding !== 'none') {
+            parts.push('Sharding is not modelled.');
+        }
+        if (params.compression && params.compression !== 'none') {
+            parts.push(`Every chunk compresses at the nominal ${params.compressionRatio}x.`);
+        }
+        if (params.maxRequestSize > 0) {
+            parts.push('Reads are merged only while they fit under the request size limit.');
+        }
+        note.textContent = `Analytical metrics: ${parts.join(' ')}`;
+    }
+
+    // How a strided query's steps meet the chunk boundaries along each axis: the cells
+    // read from each chunk touched, and the chunks its steps skip over
+    updateStrideNote(params, suffix = '') {
+        const note = document.getElementById('strideNote' + suffix);
+        const chunkShape = this.simulationModel.getChunkShape(params);
+        const ranges = this.simulationModel.getQueryRanges(params);
+        const axes = ranges.map((range, axis) => ({
+            axis,
+            ...describeAxisStride(chunkShape[axis], range),
+        }));
+        const strided = axes.filter(({ step, cells }) => step > 1 && cells > 0);
+        note.style.display = strided.length > 0 ? '' : 'none';
+        if (strided.length === 0) {
+            return;
+        }
+        const parts = strided.map(
+            ({ axis, step, chunkSize, cells, spannedChunks, touchedChunks }) => {
+                const name = params.dimensionNames?.[axis] || getDefaultDimensionName(axis);
+                const skipped = spannedChunks - touchedChunks;
+                return (
+                    `${name} every ${step} across ${chunkSize}-cell chunks reads ` +
+                    `${formatCount(cells / touchedChunks)} cell(s) per chunk touched` +
+                    (skipped > 0 ? `, skipping ${skipped} of ${spannedChunks} chunks` : '')
+                );
+            }
+        );
+        const skipped = countSkippedChunks(ranges, chunkShape);
+        note.textContent =
+            `Strided query: ${parts.join('; ')}. ` +
+            (skipped > 0
+                ? `${skipped} chunk(s) the query spans are skipped in all.`
+                : 'Every chunk the query spans is read.');
+    }
+
+    // Per-shard range requests, against reading the same chunks as one object each
+    updateShardReport(data, params, suffix = '') {
+        const element = id => document.getElementById(id + suffix);
+        const report = element('shardReport');
+        report.style.display = data.sharded ? '' : 'none';
+        if (!data.sharded) {
+            return;
+        }
+
+        const { requestCount } = data;
+        const unshardedCount = data.touchedChunkCount;
+        const difference = unshardedCount - requestCount;
+        const verdict =
+            difference > 0
+                ? `Sharding saves ${difference} request(s)`
+                : difference < 0
+                  ? `Sharding costs ${-difference} extra request(s)`
+                  : 'Sharding makes the same number of requests';
+        element('shardSummary').textContent =
+            `${data.shardRequests.length} shard(s): ${data.indexByteRanges.length} index + ` +
+            `${data.coalescedByteRanges.length} chunk range request(s), ` +
+            `${formatBytes(data.actualBytes)}. One object per chunk: ${unshardedCount} ` +
+            `request(s), ${formatBytes(data.actualBytes - data.indexBytes - data.gapBytes)}. ` +
+            `${verdict}.`;
+
+        const dims = params.size.length;
+        const formatRange = ([start, end]) => `${start}–${end}`;
+        const items = data.shardRequests.slice(0, CONFIG.MAX_SHARD_REPORT_ROWS).map(request => {
+            const item = document.createElement('li');
+            item.textContent =
+                `Shard ${formatCoords(request.coords.slice(0, dims))}: ` +
+                `index ${formatRange(request.index)}, ` +
+                `chunks ${request.ranges.map(formatRange).join(', ')}`;
+            return item;
+        });
+        const hidden = data.shardRequests.length - items.length;
+        if (hidden > 0) {
+            const more = document.createElement('li');
+            more.textContent = `… and ${hidden} more shard(s)`;
+            items.push(more);
+        }
+        element('shardRequests').replaceChildren(...items);
     }
 }
@@ -0,0 +1,239 @@
+import { DEFAULT_WORKLOAD } from '../core/constants.js';
+import { formatBytes } from '../core/dtypes.js';
+import { getReadMetrics, formatDuration } from '../core/storage.js';
+import { getWorkloadQueryName, fitsArray, clampQuery, getWeightedMeans } from '../core/workload.js';
+import { SimulationClient } from '../services/simulation-client.js';
+import { isSameValue } from '../models/settings.js';
+import { formatQuery, formatCount, createCell, createButton } from './tables.js';
+
+// Metrics listed for each query and averaged over the workload by weight
+const METRIC_KEYS = ['amplification', 'chunks', 'requests', 'bytes', 'readTime'];
+
+const METRIC_COLUMNS = METRIC_KEYS.length;
+
+// The workload: a named mix of weighted queries, kept with the app's settings, with
+// each query's metrics on the layout the controls edit and their weighted means.
+// Queries are simulated like the layouts, in a worker of their own so they don't hold
+// up the views, and each is only rerun when its parameters change. Clicking a query
+// shows it in the canvases.
+export class WorkloadPanel {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.settingsManager = visualizer.settingsManager;
+        this.client = new SimulationClient(visualizer.simulationModel);
+        // Results of the queries simulated, by the key of their parameters
+        this.results = new Map();
+        this.runKey = null;
+    }
+
+    initialize() {
+        document.getElementById('workloadName').addEventListener('change', e => {
+            this.updateWorkload({ name: e.target.value.trim() || DEFAULT_WORKLOAD.name });
+            this.render();
+        });
+        document
+            .getElementById('addWorkloadQueryButton')
+            .addEventListener('click', () => this.addCurrentQuery());
+    }
+
+    getWorkload() {
+        return this.settingsManager.getWorkload();
+    }
+
+    updateWorkload(changes) {
+        this.settingsManager.updateWorkload(changes);
+        this.settingsManager.saveSettings();
+    }
+
+    addCurrentQuery() {
+        const { query } = this.settingsManager.getEditedState();
+        const { queries } = this.getWorkload();
+        if (!queries.some(entry => isSameValue(entry.query, query))) {
+            const name = getWorkloadQueryName({}, queries.length);
+            this.updateWorkload({ queries: [...queries, { name, query, weight: 1 }] });
+        }
+        this.changed();
+    }
+
+    updateQuery(index, changes) {
+        const queries = this.getWorkload().queries.map((entry, entryIndex) =>
+            entryIndex === index ? { ...entry, ...changes } : entry
+        );
+        this.updateWorkload({ queries });
+        this.changed();
+    }
+
+    removeQuery(index) {
+        const queries = this.getWorkload().queries.filter((_, entryIndex) => entryIndex !== index);
+        this.updateWorkload({ queries });
+        this.changed();
+    }
+
+    // Reruns the queries whose parameters changed and redraws the panel, along with the
+    // optimizer's results, which are found for the workload
+    changed() {
+        this.update();
+        this.render();
+        this.visualizer.optimizerPanel.renderResults();
+    }
+
+    // Shows a query in the canvases, as the query of both layouts
+    showQuery(index) {
+        const { size } = this.settingsManager.getEditedState();
+        this.visualizer.applyChange({
+            query: clampQuery(this.getWorkload().queries[index].query, size),
+        });
+    }
+
+    // The edited layout's parameters with each query, or null for queries that don't
+    // fit its array
+    getQueryParams() {
+        const params = this.visualizer.toParameters(this.settingsManager.getEditedState());
+        return this.getWorkload().queries.map(({ query }) =>
+            fitsArray(query, params.size)
+                ? { ...params, query: clampQuery(query, params.size) }
+                : null
+        );
+    }
+
+    // Simulates the queries that have no results for their current parameters yet
+    update() {
+        const paramsByKey = new Map(
+            this.getQueryParams()
+                .filter(Boolean)
+                .map(params => [JSON.stringify(params), params])
+        );
+        const runKey = JSON.stringify([...paramsByKey.keys()]);
+        if (runKey === this.runKey) {
+            return;
+        }
+        this.runKey = runKey;
+        this.results.forEach((_, key) => {
+            if (!paramsByKey.has(key)) {
+                this.results.delete(key);
+            }
+        });
+        const missing = [...paramsByKey.values()].filter(
+            params => !this.results.has(JSON.stringify(params))
+        );
+        if (missing.length > 0) {
+            this.client.run(missing, (index, data, params) => {
+                if (data && paramsByKey.has(JSON.stringify(params))) {
+                    this.results.set(JSON.stringify(params), data);
+                }
+                this.render();
+            });
+        }
+    }
+
+    // A query's metrics, or null until it has been simulated
+    getQueryMetrics(params) {
+        const data = params && this.results.get(JSON.stringify(params));
+        if (!data) {
+            return null;
+        }
+        const { amplification, rangeCount, estimate } = getReadMetrics(
+            data,
+            this.settingsManager.getStorageProfile()
+        );
+        return {
+            amplification,
+            chunks: data.touchedChunkCount,
+            requests: rangeCount,
+            bytes: data.actualBytes,
+            readTime: estimate.time,
+        };
+    }
+
+    render() {
+        const workload = this.getWorkload();
+        document.getElementById('workloadName').value = workload.name;
+        const { dimensionNames, query: shown } = this.settingsManager.getEditedState();
+        const paramsList = this.getQueryParams();
+        const items = workload.queries.map((entry, index) => ({
+            entry,
+            weight: paramsList[index] ? entry.weight : 0,
+            values: this.getQueryMetrics(paramsList[index]),
+        }));
+        const totalWeight = items.reduce((total, { weight }) => total + weight, 0);
+        const rows = items.map(({ entry, weight, values }, index) => {
+            const row = this.createQueryRow(entry, index, dimensionNames);
+            row.append(
+                createCell(totalWeight > 0 ? `${((weight / totalWeight) * 100).toFixed(0)}%` : '–'),
+                ...this.createMetricCells(values, paramsList[index] ? '…' : '–'),
+                createCell(createButton('remove', () => this.removeQuery(index)))
+            );
+            row.classList.toggle('unused', !paramsList[index]);
+            row.classList.toggle('shown', isSameValue(paramsList[index]?.query, shown));
+            return row;
+        });
+        if (rows.length === 0) {
+            const row = document.createElement('tr');
+            const cell = createCell(
+                'No queries yet, so the optimizer finds layouts for the current query'
+            );
+            cell.colSpan = METRIC_COLUMNS + 5;
+            row.append(cell);
+            rows.push(row);
+        }
+        document.getElementById('workloadRows').replaceChildren(...rows);
+        this.renderSummary(workload, items);
+    }
+
+    createQueryRow(entry, index, dimensionNames) {
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = getWorkloadQueryName(entry, index);
+        nameInput.setAttribute('aria-label', 'Query name');
+        nameInput.addEventListener('change', e =>
+            this.updateQuery(index, { name: e.target.value.trim() })
+        );
+        const weightInput = document.createElement('input');
+        weightInput.type = 'number';
+        weightInput.min = 0;
+        weightInput.step = 'any';
+        weightInput.value = entry.weight;
+        weightInput.setAttribute('aria-label', 'Query weight');
+        weightInput.addEventListener('change', e =>
+            this.updateQuery(index, { weight: Math.max(0, parseFloat(e.target.value) || 0) })
+        );
+        const fits = fitsArray(entry.query, this.settingsManager.getEditedState().size);
+        const box = fits
+            ? createButton(
+                  formatQuery(entry.query, dimensionNames),
+                  () => this.showQuery(index),
+                  'workload-query'
+              )
+            : `${formatQuery(entry.query, dimensionNames)} (other array, not used)`;
+        const row = document.createElement('tr');
+        row.append(createCell(nameInput), createCell(box), createCell(weightInput));
+        return row;
+    }
+
+    // `missing` stands in for metrics not worked out, while simulating or for queries
+    // that don't fit the array
+    createMetricCells(values, missing) {
+        if (!values) {
+            return Array.from({ length: METRIC_COLUMNS }, () => createCell(missing));
+        }
+        return [
+            createCell(`${values.amplification.toFixed(2)}x`),
+            createCell(formatCount(values.chunks)),
+            createCell(formatCount(values.requests)),
+            createCell(formatBytes(Math.round(values.bytes))),
+            createCell(formatDuration(values.readTime)),
+        ];
+    }
+
+    // The weighted means over the queries, once every query that counts is simulated
+    renderSummary(workload, items) {
+        const counted = items.filter(({ weight }) => weight > 0);
+        const pending = counted.some(({ values }) => !values);
+        const means = pending ? null : getWeightedMeans(counted, METRIC_KEYS);
+        const row = document.createElement('tr');
+        const label = createCell(`${workload.name} (weighted mean)`);
+        label.colSpan = 4;
+        row.append(label, ...this.createMetricCells(means, pending ? '…' : '–'), createCell(''));
+        document.getElementById('workloadSummary').replaceChildren(row);
+    }
+}
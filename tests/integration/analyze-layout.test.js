@@ -0,0 +1,190 @@
+import { analyzeLayout, STORAGE_PROFILES } from '../../src/js/api.js';
+
+describe('analyzeLayout', () => {
+    test('gives the ranges and metrics of a read', () => {
+        const result = analyzeLayout({ size: [16, 16], chunk: [4, 4] }, [
+            [3, 10],
+            [3, 10],
+        ]);
+        expect(result.analytical).toBe(false);
+        expect(result.layout.dtype).toBe('float32');
+        expect(result.storage).toBe(STORAGE_PROFILES.s3);
+        expect(result.ranges.storedCells).toEqual([
+            [0, 47],
+            [64, 111],
+            [128, 175],
+        ]);
+        expect(result.ranges.requests).toEqual([
+            [0, 191],
+            [256, 447],
+            [512, 703],
+        ]);
+        expect(result.ranges.requestSizes).toEqual([[192, 3]]);
+        expect(result.metrics).toMatchObject({
+            requestedCells: 64,
+            actualCells: 144,
+            chunksTouched: 9,
+            rangeReads: 3,
+            requestedBytes: 256,
+            actualBytes: 576,
+            readAmplification: 2.25,
+            coalescingFactor: 3,
+        });
+        expect(result.metrics.readTime).toBeGreaterThan(STORAGE_PROFILES.s3.latency);
+    });
+
+    test('fills in and clamps settings as the app does', () => {
+        const { layout, adjustments, metrics } = analyzeLayout({
+            size: [8, 6],
+            chunkAlgorithm: 'spiral',
+            query: [
+                [2, 20],
+                [-1, 3],
+            ],
+        });
+        expect(layout.chunk).toEqual([8, 6]);
+        expect(layout.chunkAlgorithm).toBe('row-major');
+        expect(layout.query).toEqual([
+            [2, 7],
+            [0, 3],
+        ]);
+        expect(metrics.chunksTouched).toBe(1);
+        expect(metrics.requestedCells).toBe(24);
+        // Only what was asked for and changed is reported, and a step of 1 is no change
+        expect(adjustments).toEqual([
+            { setting: 'chunkAlgorithm', value: 'row-major' },
+            { setting: 'query', value: layout.query },
+        ]);
+        const unchanged = analyzeLayout({ size: [8, 6] }, [
+            [0, 7, 1],
+            [2, 3],
+        ]);
+        expect(unchanged.adjustments).toEqual([]);
+        // Nor are the axes added to a one axis array
+        const series = analyzeLayout({ size: [100], chunk: [10] }, [[0, 9]]);
+        expect(series.layout.size).toEqual([100, 1]);
+        expect(series.adjustments).toEqual([]);
+    });
+
+    test('axes a query leaves out are read in full', () => {
+        const { layout, adjustments, metrics } = analyzeLayout(
+            { size: [10, 10, 10], chunk: [5, 5, 5] },
+            [
+                [0, 4],
+                [0, 4],
+            ]
+        );
+        expect(layout.query).toEqual([
+            [0, 4],
+            [0, 4],
+            [0, 9],
+        ]);
+        expect(metrics.requestedCells).toBe(250);
+        expect(adjustments).toEqual([]);
+    });
+
+    test('arrays too large to simulate are worked out analytically, not shrunk', () => {
+        const config = { size: [1000, 1000, 365], chunk: [100, 100, 1], dtype: 'float32' };
+        const { analytical, layout, adjustments, metrics } = analyzeLayout(config, [
+            [0, 999],
+            [0, 999],
+            [0, 0],
+        ]);
+        expect(analytical).toBe(true);
+        expect(layout.size).toEqual([1000, 1000, 365]);
+        expect(adjustments).toEqual([]);
+        expect(metrics.chunksTouched).toBe(100);
+        expect(metrics.readAmplification).toBe(1);
+        expect(() => analyzeLayout({ ...config, analytical: false })).toThrow(
+            /analytical: true lifts the limits/
+        );
+        expect(() => analyzeLayout({ size: [2e9, 2] })).toThrow(RangeError);
+    });
+
+    test('result is plain JSON', () => {
+        const result = analyzeLayout({
+            size: [12, 12, 4],
+            chunk: [3, 3, 2],
+            shard: [2, 2, 1],
+            sharding: 'end',
+            storageProfile: { latency: 1, throughput: 100, concurrency: 4 },
+        });
+        expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+        expect(result.ranges.shardIndexes.length).toBeGreaterThan(0);
+        expect(result.metrics.indexTime).toBeGreaterThan(0);
+    });
+
+    test('analytical metrics leave out the individual ranges', () => {
+        const { analytical, ranges, metrics } = analyzeLayout(
+            {
+                size: [100000, 50000, 8760],
+                chunk: [1000, 1000, 24],
+                analytical: true,
+                storageProfile: 'nvme',
+            },
+            [
+                [100, 20000],
+                [5000, 5000],
+                [0, 8759],
+            ]
+        );
+        expect(analytical).toBe(true);
+        expect(ranges.requests).toBeNull();
+        expect(ranges.requestSizes).toEqual([[2016000000, 365]]);
+        expect(metrics.chunksTouched).toBe(21 * 365);
+    });
+
+    test('strided queries count the chunks their steps skip', () => {
+        const { layout, metrics } = analyzeLayout(
+            { size: [100, 100, 8760], chunk: [10, 10, 48], analytical: true },
+            [
+                [0, 99],
+                [0, 99],
+                [0, 8759, 96],
+            ]
+        );
+        expect(layout.query[2]).toEqual([0, 8759, 96]);
+        // Every 96th hour lands in every other 48 hour chunk, 92 of the 183 spanned
+        expect(metrics.requestedCells).toBe(100 * 100 * 92);
+        expect(metrics.chunksTouched).toBe(100 * 92);
+        expect(metrics.chunksSkipped).toBe(100 * (183 - 92));
+    });
+
+    test('rejects settings of the wrong type rather than clamping them', () => {
+        expect(() => analyzeLayout({ size: [8, 8], coalesceGap: '100' })).toThrow(
+            /config.coalesceGap must be a number, got "100"/
+        );
+        expect(() => analyzeLayout({ size: [8, 8], chunk: ['4', 4] })).toThrow(TypeError);
+        expect(() => analyzeLayout({ size: [8, 8], analytical: 'yes' })).toThrow(TypeError);
+        expect(() => analyzeLayout({ size: [8, 8] }, 'all')).toThrow(TypeError);
+        expect(() => analyzeLayout({ size: [8, 8], storageProfile: { latency: '5' } })).toThrow(
+            /config.storageProfile.latency must be a number/
+        );
+    });
+
+    test('rejects a query of no cells', () => {
+        expect(() =>
+            analyzeLayout({ size: [8, 8] }, [
+                [5, 3],
+                [0, 7],
+            ])
+        ).toThrow(RangeError);
+    });
+
+    test('reports a storage profile of its own that was clamped', () => {
+        const profile = { latency: -5, throughput: 100, concurrency: 2.5 };
+        const { storage, adjustments } = analyzeLayout({ size: [8, 8], storageProfile: profile });
+        expect(storage).toMatchObject({ latency: 0, throughput: 100, concurrency: 2 });
+        expect(adjustments).toEqual([{ setting: 'storageProfile', value: storage }]);
+        const valid = { ...profile, latency: 5, concurrency: 2 };
+        expect(analyzeLayout({ size: [8, 8], storageProfile: valid }).adjustments).toEqual([]);
+    });
+
+    test('rejects a missing size or an unknown storage profile', () => {
+        expect(() => analyzeLayout({ chunk: [2, 2] })).toThrow(TypeError);
+        expect(() => analyzeLayout({ size: [10.5, 4] })).toThrow(/whole axis lengths/);
+        expect(() => analyzeLayout({ size: [4, 4], storageProfile: 'tape' })).toThrow(
+            /Unknown storage profile 'tape'/
+        );
+    });
+});
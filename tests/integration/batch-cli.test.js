@@ -0,0 +1,206 @@
+import { main, parseSpec, parseLimits, runBatch } from '../../src/js/cli/batch.js';
+
+const SPEC = `
+storageProfile: nvme
+layouts:
+  - name: small chunks
+    size: [16, 16]
+    chunk: [4, 4]
+  - name: one chunk
+    size: [16, 16]
+    chunk: [16, 16]
+queries:
+  - name: corner
+    query: [[0, 3], [0, 3]]
+  - [[3, 10], [3, 10]]
+`;
+
+// Runs the command on `files`, collecting what it prints
+function run(args, files = { 'layouts.yaml': SPEC }) {
+    const output = { stdout: '', stderr: '' };
+    const code = main(args, {
+        readFile: path => {
+            if (!(path in files)) {
+                throw new Error(`ENOENT: ${path}`);
+            }
+            return files[path];
+        },
+        stdout: text => (output.stdout += text),
+        stderr: text => (output.stderr += text),
+    });
+    return { code, ...output };
+}
+
+describe('Batch analyzer', () => {
+    test('reads every layout with every query', () => {
+        const rows = runBatch(parseSpec(SPEC, 'layouts.yaml'));
+        expect(rows.map(({ layout, query }) => [layout, query])).toEqual([
+            ['small chunks', 'corner'],
+            ['small chunks', 'query 2'],
+            ['one chunk', 'corner'],
+            ['one chunk', 'query 2'],
+        ]);
+        expect(rows[0].result.storage.name).toBe('Local NVMe');
+        expect(rows[0].result.metrics.readAmplification).toBe(1);
+        expect(rows[3].result.metrics.readAmplification).toBe(4);
+    });
+
+    test('layouts without queries are read with their own query', () => {
+        const spec = parseSpec(
+            JSON.stringify({
+                layouts: [
+                    {
+                        size: [8, 8],
+                        chunk: [4, 4],
+                        query: [
+                            [0, 0],
+                            [0, 0],
+                        ],
+                    },
+                ],
+            }),
+            'layouts.json'
+        );
+        const [row] = runBatch(spec);
+        expect(row.layout).toBe('layout 1');
+        expect(row.query).toBe('');
+        expect(row.result.metrics.requestedCells).toBe(1);
+    });
+
+    test('prints a table and exits cleanly without limits', () => {
+        const { code, stdout, stderr } = run(['layouts.yaml']);
+        expect(code).toBe(0);
+        expect(stderr).toBe('');
+        const lines = stdout.trim().split('\n');
+        expect(lines[0]).toMatch(/^Layout\s+Query\s+Requested\s+Read\s+Amplification/);
+        expect(lines).toHaveLength(6);
+        expect(lines[5]).toMatch(/^one chunk\s+query 2 .* 4\.00x/);
+    });
+
+    test('fails when a metric exceeds its limit', () => {
+        const { code, stdout, stderr } = run([
+            'layouts.yaml',
+            '--format',
+            'csv',
+            '--max',
+            'readAmplification=2',
+        ]);
+        expect(code).toBe(1);
+        const lines = stdout.trim().split('\n');
+        expect(lines[0]).toBe(
+            'layout,query,requestedBytes,actualBytes,readAmplification,chunksTouched,' +
+                'rangeReads,storageAlignment,readTime,passed'
+        );
+        expect(lines.map(line => line.split(',').at(-1))).toEqual([
+            'passed',
+            'true',
+            'false',
+            'false',
+            'false',
+        ]);
+        expect(stderr).toContain('one chunk / query 2: readAmplification 4 is above the max of 2');
+    });
+
+    test('limits in the file can be overridden', () => {
+        const files = { 'layouts.yaml': `${SPEC}\nlimits:\n  min:\n    storageAlignment: 2\n` };
+        expect(run(['layouts.yaml'], files).code).toBe(1);
+        expect(run(['layouts.yaml', '--min', 'storageAlignment=0'], files).code).toBe(0);
+    });
+
+    test('prints JSON with the settings and violations', () => {
+        const { code, stdout } = run([
+            'layouts.yaml',
+            '--format',
+            'json',
+            '--max',
+            'chunksTouched=1',
+        ]);
+        expect(code).toBe(1);
+        const rows = JSON.parse(stdout);
+        expect(rows).toHaveLength(4);
+        expect(rows[1].settings.chunk).toEqual([4, 4]);
+        expect(rows[1].violations).toEqual([
+            { metric: 'chunksTouched', value: 9, bound: 'max', limit: 1 },
+        ]);
+        expect(rows[2].violations).toEqual([]);
+    });
+
+    test('works out arrays too large to simulate analytically', () => {
+        const big = 'layouts:\n  - name: big\n    size: [2000, 2000]\n    chunk: [100, 100]\n';
+        const { code, stdout, stderr } = run(['big.yaml', '--format', 'json'], {
+            'big.yaml': big,
+        });
+        expect(code).toBe(0);
+        expect(stderr).toBe('');
+        expect(JSON.parse(stdout)[0]).toMatchObject({
+            analytical: true,
+            settings: { size: [2000, 2000] },
+        });
+        const simulated = run(['big.yaml'], { 'big.yaml': `${big}    analytical: false\n` });
+        expect(simulated.code).toBe(2);
+        expect(simulated.stderr).toContain('Layout big: config.size [2000,2000] is larger');
+    });
+
+    test('warns of settings clamped to the app limits', () => {
+        const files = {
+            'wide.yaml': 'layouts:\n  - name: wide\n    size: [16, 16]\n    chunk: [32, 4]\n',
+        };
+        const { code, stderr } = run(['wide.yaml'], files);
+        expect(code).toBe(0);
+        expect(stderr).toBe('warning: wide: chunk was clamped to [16,4]\n');
+    });
+
+    test('a query past its array is invalid input', () => {
+        const files = {
+            'past.yaml':
+                'layouts:\n  - name: past\n    size: [16, 16]\n    query: [[0, 20], [0, 3]]\n',
+        };
+        const { code, stdout, stderr } = run(['past.yaml'], files);
+        expect(code).toBe(2);
+        expect(stdout).toBe('');
+        expect(stderr).toBe(
+            'vischunk: past: query reaches past the array, which would read [[0,15],[0,3]]\n'
+        );
+    });
+
+    test('queries may leave out axes or add ones of a single cell', () => {
+        const files = {
+            'axes.yaml': [
+                'layouts:',
+                '  - name: cube',
+                '    size: [10, 10, 10]',
+                '    chunk: [5, 5, 5]',
+                '    query: [[0, 4], [0, 4]]',
+                '  - name: square',
+                '    size: [10, 10]',
+                '    query: [[0, 4], [0, 4], [0, 0]]',
+                '',
+            ].join('\n'),
+        };
+        const { code, stdout, stderr } = run(['axes.yaml', '--format', 'json'], files);
+        expect(code).toBe(0);
+        expect(stderr).toBe('');
+        const [cube, square] = JSON.parse(stdout);
+        expect(cube.settings.query).toEqual([
+            [0, 4],
+            [0, 4],
+            [0, 9],
+        ]);
+        expect(cube.metrics.requestedCells).toBe(250);
+        expect(square.metrics.requestedCells).toBe(25);
+        // An added axis has the one cell, so reading more of it is past the array
+        const deeper = { 'axes.yaml': files['axes.yaml'].replace('[0, 0]]', '[0, 2]]') };
+        expect(run(['axes.yaml'], deeper).code).toBe(2);
+    });
+
+    test('invalid input exits with 2', () => {
+        expect(run([]).code).toBe(2);
+        expect(run(['missing.yaml']).code).toBe(2);
+        expect(run(['layouts.yaml', '--format', 'xml']).code).toBe(2);
+        expect(run(['layouts.yaml', '--max', 'speed=1']).stderr).toContain(
+            "Unknown metric 'speed'"
+        );
+        expect(run(['bad.json'], { 'bad.json': '{"layouts": []}' }).code).toBe(2);
+        expect(() => parseLimits(['readAmplification'])).toThrow(/metric=number/);
+    });
+});
@@ -43,6 +43,57 @@ describe('Simulation Model Integration Tests', () => {
             expect(data.actualCells.size).toBeGreaterThanOrEqual(8);
         });
 
+        test('4D configuration works correctly', () => {
+            const params = {
+                size: [8, 8, 4, 6],
+                chunk: [4, 4, 1, 3],
+                cellAlgorithm: 'hilbert',
+                chunkAlgorithm: 'z-order',
+                query: [
+                    [2, 5],
+                    [2, 2],
+                    [1, 2],
+                    [0, 5],
+                ],
+            };
+
+            const data = simulation.calculateData(params);
+
+            expect(data.totalCells).toBe(1536);
+            expect(data.requestedCells.size).toBe(4 * 1 * 2 * 6);
+            expect(data.touchedChunks.size).toBe(2 * 1 * 2 * 2);
+            expect(data.actualCells.size).toBe(8 * 16 * 3);
+            data.requestedCells.forEach(cell => {
+                expect(data.actualCells.has(cell)).toBe(true);
+            });
+        });
+
+        test('chunks of a 5D array are stored contiguously', () => {
+            const params = {
+                size: [4, 4, 2, 3, 2],
+                chunk: [2, 2, 2, 2, 1],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'hilbert',
+                query: [
+                    [0, 3],
+                    [0, 3],
+                    [0, 1],
+                    [0, 2],
+                    [0, 1],
+                ],
+            };
+
+            const data = simulation.calculateData(params);
+
+            expect(data.totalCells).toBe(192);
+            expect(data.requestedCells.size).toBe(192);
+            expect(data.chunkedRanges).toEqual([[0, 191]]);
+
+            const chunkRange = simulation.getChunkGlobalRange([1, 0, 0, 1, 1], params);
+            expect(chunkRange.positions.length).toBe(4 * 2 * 1);
+            expect(chunkRange.max - chunkRange.min + 1).toBe(chunkRange.positions.length);
+        });
+
         test('edge query at array boundaries', () => {
             const params = {
                 size: [8, 8, 1],
@@ -112,6 +163,248 @@ describe('Simulation Model Integration Tests', () => {
             expect(data.actualCells.size).toBeGreaterThan(data.requestedCells.size);
         });
 
+        test('byte ranges and counts use the element size', () => {
+            const params = {
+                size: [8, 8, 1],
+                chunk: [4, 4, 1],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'row-major',
+                dtype: 'float64',
+                query: { x: [0, 1], y: [0, 0], z: [0, 0] },
+            };
+
+            const data = simulation.calculateData(params);
+
+            expect(data.itemSize).toBe(8);
+            expect(data.totalBytes).toBe(64 * 8);
+            expect(data.requestedBytes).toBe(2 * 8);
+            expect(data.actualBytes).toBe(16 * 8);
+            expect(data.unchunkedByteRanges).toEqual([[0, 15]]);
+            expect(data.chunkedByteRanges).toEqual([[0, 127]]);
+            expect(simulation.getByteRangeForPosition(5, params)).toEqual([40, 47]);
+        });
+
+        test('compressed chunks are read whole at their compressed offsets', () => {
+            const params = {
+                size: [8, 8],
+                chunk: [4, 4],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'row-major',
+                dtype: 'float64',
+                compression: 'fixed',
+                compressionRatio: 4,
+                query: [
+                    [4, 5],
+                    [0, 0],
+                ],
+            };
+
+            const data = simulation.calculateData(params);
+
+            // Each 128 byte chunk is stored in 32 bytes; the query sits in the second chunk
+            expect(data.storedBytes).toBe(4 * 32);
+            expect(data.chunkedByteRanges).toEqual([[32, 63]]);
+            expect(data.actualBytes).toBe(32);
+            expect(data.requestedBytes).toBe(4);
+            // Cell positions are unaffected by compression
+            expect(data.chunkedRanges).toEqual([[16, 31]]);
+        });
+
+        test('random and data-driven ratios give variable chunk offsets', () => {
+            const base = {
+                size: [16, 16],
+                chunk: [4, 4],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'hilbert',
+                dtype: 'float32',
+                query: [
+                    [0, 15],
+                    [0, 15],
+                ],
+            };
+
+            ['random', 'data'].forEach(compression => {
+                const params = { ...base, compression, compressionRatio: 3, compressionSeed: 7 };
+                const { chunks, totalBytes } = simulation.getChunkStorageLayout(params);
+                const sizes = new Set(chunks.map(chunk => chunk.size));
+
+                expect(sizes.size).toBeGreaterThan(1);
+                chunks.forEach((chunk, i) => {
+                    const expected = i === 0 ? 0 : chunks[i - 1].offset + chunks[i - 1].size;
+                    expect(chunk.offset).toBe(expected);
+                    expect(chunk.size).toBeLessThanOrEqual(64);
+                });
+                expect(simulation.calculateData(params).chunkedByteRanges).toEqual([
+                    [0, totalBytes - 1],
+                ]);
+            });
+
+            // Same seed, same layout; the feature in the middle compresses worst
+            const random = { ...base, compression: 'random', compressionRatio: 3 };
+            expect(new SimulationModel().getChunkStorageLayout(random).chunks).toEqual(
+                simulation.getChunkStorageLayout(random).chunks
+            );
+            const data = { ...base, compression: 'data', compressionRatio: 3 };
+            expect(simulation.getStoredChunk([1, 1], data).size).toBeGreaterThan(
+                simulation.getStoredChunk([0, 0], data).size
+            );
+        });
+
+        test('uncompressed stored offsets match cell byte offsets', () => {
+            const params = {
+                size: [9, 7, 3],
+                chunk: [4, 3, 2],
+                cellAlgorithm: 'z-order',
+                chunkAlgorithm: 'hilbert',
+                dtype: 'int16',
+                query: [
+                    [1, 6],
+                    [2, 5],
+                    [0, 1],
+                ],
+            };
+
+            const data = simulation.calculateData(params);
+
+            expect(data.storedBytes).toBe(data.totalBytes);
+            expect(data.chunkedByteRanges).toEqual(
+                data.chunkedRanges.map(([start, end]) => [start * 2, end * 2 + 1])
+            );
+            for (let pos = 0; pos < data.totalCells; pos++) {
+                const byte = simulation.getStoredByteOffset(pos, params);
+                expect(byte).toBe(pos * 2);
+                expect(simulation.getPositionForStoredByte(byte, params)).toBe(pos);
+            }
+        });
+
+        test('sharded reads add an index read per shard and stay within shards', () => {
+            const params = {
+                size: [8, 8],
+                chunk: [2, 2],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'row-major',
+                dtype: 'uint8',
+                sharding: 'end',
+                shard: [2, 2],
+                innerChunkAlgorithm: 'row-major',
+                query: [
+                    [0, 7],
+                    [0, 1],
+                ],
+            };
+
+            const data = simulation.calculateData(params);
+            const indexSize = 4 * 16 + 4;
+
+            // Four shards of four 4 byte chunks, each followed by its index
+            expect(data.storedBytes).toBe(4 * (16 + indexSize));
+            expect(data.touchedChunks.size).toBe(4);
+            expect(data.shardRequests).toEqual([
+                { coords: [0, 0, 0], index: [16, 16 + indexSize - 1], ranges: [[0, 7]] },
+                { coords: [1, 0, 0], index: [16, 16 + indexSize - 1], ranges: [[0, 7]] },
+            ]);
+            // The two shards are adjacent in storage but separate objects
+            expect(data.chunkedByteRanges).toHaveLength(2);
+            expect(data.indexByteRanges).toHaveLength(2);
+            expect(data.actualBytes).toBe(16 + 2 * indexSize);
+            expect(data.indexBytes).toBe(2 * indexSize);
+
+            const atStart = simulation.calculateData({ ...params, sharding: 'start' });
+            expect(atStart.shardRequests[0]).toEqual({
+                coords: [0, 0, 0],
+                index: [0, indexSize - 1],
+                ranges: [[indexSize, indexSize + 7]],
+            });
+        });
+
+        test('sharding keeps global positions a bijection', () => {
+            const params = {
+                size: [9, 7, 5],
+                chunk: [2, 3, 2],
+                cellAlgorithm: 'hilbert',
+                chunkAlgorithm: 'hilbert',
+                sharding: 'end',
+                shard: [2, 2, 3],
+                innerChunkAlgorithm: 'z-order',
+                query: [
+                    [0, 0],
+                    [0, 0],
+                    [0, 0],
+                ],
+            };
+
+            const positions = new Set();
+            for (let z = 0; z < 5; z++) {
+                for (let y = 0; y < 7; y++) {
+                    for (let x = 0; x < 9; x++) {
+                        positions.add(simulation.getGlobalPositionForCoords([x, y, z], params));
+                    }
+                }
+            }
+            expect(positions.size).toBe(9 * 7 * 5);
+            expect(Math.max(...positions)).toBe(9 * 7 * 5 - 1);
+
+            // Every chunk still occupies one contiguous run of positions
+            simulation.getChunkStorageLayout(params).chunks.forEach(chunk => {
+                const range = simulation.getChunkGlobalRange(chunk.coords, params);
+                expect(range.min).toBe(chunk.cellStart);
+                expect(range.max).toBe(chunk.cellStart + chunk.cellCount - 1);
+            });
+        });
+
+        test('nearby ranges coalesce across gaps up to the coalescing gap', () => {
+            const params = {
+                size: [8, 8],
+                chunk: [2, 2],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'row-major',
+                dtype: 'uint8',
+                query: [
+                    [0, 1],
+                    [0, 7],
+                ],
+            };
+
+            // A column of four 4 byte chunks, 12 bytes apart
+            const raw = simulation.calculateData(params);
+            expect(raw.coalescedByteRanges).toHaveLength(4);
+            expect(raw.gapBytes).toBe(0);
+
+            const coalesced = simulation.calculateData({ ...params, coalesceGap: 12 });
+            expect(coalesced.chunkedByteRanges).toHaveLength(4);
+            expect(coalesced.coalescedByteRanges).toEqual([[0, 51]]);
+            expect(coalesced.gapBytes).toBe(3 * 12);
+            expect(coalesced.actualBytes).toBe(raw.actualBytes + 3 * 12);
+
+            const capped = simulation.calculateData({
+                ...params,
+                coalesceGap: 12,
+                maxRequestSize: 20,
+            });
+            expect(capped.coalescedByteRanges).toEqual([
+                [0, 19],
+                [32, 51],
+            ]);
+            expect(capped.gapBytes).toBe(2 * 12);
+        });
+
+        test('calculateByteRanges merges positions within the gap', () => {
+            const positions = [0, 1, 4, 5, 20];
+            expect(simulation.calculateByteRanges(positions)).toEqual([
+                [0, 1],
+                [4, 5],
+                [20, 20],
+            ]);
+            expect(simulation.calculateByteRanges(positions, { gap: 2 })).toEqual([
+                [0, 5],
+                [20, 20],
+            ]);
+            expect(simulation.calculateByteRanges(positions, { gap: 20, maxSize: 6 })).toEqual([
+                [0, 5],
+                [20, 20],
+            ]);
+        });
+
         test('coalescing factor reflects range efficiency', () => {
             // Test with aligned query (should have better coalescing)
             const alignedParams = {
@@ -206,16 +499,16 @@ describe('Simulation Model Integration Tests', () => {
             expect(data.requestedCells.size).toBe(18);
 
             // Verify actual requested cells
-            const expectedCells = new Set();
+            const expectedCells = [];
             for (let x = 2; x <= 4; x++) {
                 for (let y = 3; y <= 5; y++) {
                     for (let z = 0; z <= 1; z++) {
-                        expectedCells.add(`${x},${y},${z}`);
+                        expectedCells.push(simulation.getCellId([x, y, z], params));
                     }
                 }
             }
 
-            expect(data.requestedCells).toEqual(expectedCells);
+            expect([...data.requestedCells]).toEqual(expectedCells.sort((a, b) => a - b));
         });
 
         test('touched chunks calculation is correct', () => {
@@ -351,6 +644,30 @@ describe('Simulation Model Integration Tests', () => {
             expect(data.touchedChunks.size).toBe(1);
         });
 
+        test('strided queries read only the chunks their steps land in', () => {
+            const params = {
+                size: [8, 8],
+                chunk: [2, 2],
+                cellAlgorithm: 'row-major',
+                chunkAlgorithm: 'row-major',
+                query: [
+                    [0, 7, 4],
+                    [1, 7, 2],
+                ],
+            };
+
+            const data = simulation.calculateData(params);
+            const chunkCounts = simulation.getChunkCounts(params);
+            const touched = [...data.touchedChunks].map(index =>
+                simulation.getChunkCoordsFromIndex(index, chunkCounts)
+            );
+
+            expect(data.requestedCells.size).toBe(2 * 4);
+            expect(touched).toHaveLength(2 * 4);
+            expect(new Set(touched.map(([x]) => x))).toEqual(new Set([0, 2]));
+            expect(data.actualCells.size).toBe(8 * 4);
+        });
+
         test('empty query region is handled gracefully', () => {
             const params = {
                 size: [8, 8, 1],
@@ -368,4 +685,41 @@ describe('Simulation Model Integration Tests', () => {
             expect(data.chunkedRanges.length).toBe(0);
         });
     });
+
+    describe('Stepped Simulation', () => {
+        const params = {
+            size: [64, 64],
+            chunk: [1, 1],
+            cellAlgorithm: 'row-major',
+            chunkAlgorithm: 'hilbert',
+            query: [
+                [5, 60],
+                [10, 40],
+            ],
+        };
+
+        test('pauses between batches of chunks and finishes with the same data', () => {
+            const steps = simulation.calculateDataSteps(params);
+            let pauses = 0;
+            let step = steps.next();
+            while (!step.done) {
+                pauses++;
+                step = steps.next();
+            }
+
+            // 4096 chunks are ordered, then laid out twice over, then read in part
+            expect(pauses).toBeGreaterThanOrEqual(8);
+            expect(step.value).toEqual(new SimulationModel().calculateData(params));
+        });
+
+        test('a simulation stopped partway leaves nothing half built behind', () => {
+            const steps = simulation.calculateDataSteps(params);
+            steps.next();
+            steps.next();
+
+            expect(simulation.calculateData(params)).toEqual(
+                new SimulationModel().calculateData(params)
+            );
+        });
+    });
 });
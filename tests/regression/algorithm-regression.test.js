@@ -144,15 +144,18 @@ describe('Algorithm Regression Tests', () => {
 
             const times = [];
             const results = [];
+            const runsPerSample = 20;
 
-            // Run the same query multiple times
+            // Run the same query multiple times, timing batches of runs: a single run
+            // takes well under a millisecond, too short to time apart from timer noise
             for (let i = 0; i < 10; i++) {
                 const start = performance.now();
-                const data = simulation.calculateData(params);
+                for (let run = 0; run < runsPerSample; run++) {
+                    results.push(simulation.calculateData(params));
+                }
                 const end = performance.now();
 
                 times.push(end - start);
-                results.push(data);
             }
 
             // Results should be identical
@@ -167,7 +170,7 @@ describe('Algorithm Regression Tests', () => {
             const avgTime = times.reduce((a, b) => a + b, 0) / times.length;
             const maxTime = Math.max(...times);
 
-            expect(maxTime).toBeLessThan(avgTime * 3); // No single run should be 3x slower than average
+            expect(maxTime).toBeLessThan(avgTime * 3); // No batch should be 3x slower than average
         });
 
         test('3D queries remain performant', () => {
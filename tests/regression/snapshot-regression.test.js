@@ -1,5 +1,6 @@
 import { SimulationModel } from '../../src/js/models/simulation.js';
 import { SNAPSHOT_CONFIGURATIONS } from '../fixtures/test-configurations.js';
+import { cellKey } from '../../src/js/core/dimensions.js';
 
 describe('Snapshot-Based Regression Tests', () => {
     let simulation;
@@ -8,6 +9,10 @@ describe('Snapshot-Based Regression Tests', () => {
         simulation = new SimulationModel();
     });
 
+    // Cells are kept by id; the snapshots list them by coordinates
+    const toCellKeys = (cells, params) =>
+        [...cells].map(id => cellKey(simulation.getCellCoordsFromId(id, params))).sort();
+
     describe('Algorithm Output Snapshots', () => {
         Object.entries(SNAPSHOT_CONFIGURATIONS).forEach(([_key, config]) => {
             test(`${config.name} produces consistent output`, () => {
@@ -37,8 +42,11 @@ describe('Snapshot-Based Regression Tests', () => {
 
                     // Sample of requested vs actual cells (for verification)
                     cellSamples: {
-                        requestedSample: [...data.requestedCells].sort().slice(0, 10),
-                        actualSample: [...data.actualCells].sort().slice(0, 10),
+                        requestedSample: toCellKeys(data.requestedCells, config.params).slice(
+                            0,
+                            10
+                        ),
+                        actualSample: toCellKeys(data.actualCells, config.params).slice(0, 10),
                     },
                 };
 
@@ -0,0 +1,269 @@
+import { analyzeQuery, getOrderRank } from '../../../src/js/core/analytical.js';
+import { SimulationModel } from '../../../src/js/models/simulation.js';
+
+const ALGORITHMS = ['row-major', 'col-major', 'z-order', 'hilbert'];
+
+// Small arrays of two to four axes with queries and chunks that don't line up
+const CASES = [
+    {
+        size: [16, 16],
+        chunk: [4, 4],
+        query: [
+            [3, 10],
+            [3, 10],
+        ],
+    },
+    {
+        size: [13, 7],
+        chunk: [5, 3],
+        query: [
+            [0, 12],
+            [2, 2],
+        ],
+    },
+    {
+        size: [20, 20],
+        chunk: [3, 3],
+        query: [
+            [1, 18],
+            [5, 7],
+        ],
+    },
+    {
+        size: [9, 11, 5],
+        chunk: [2, 4, 2],
+        query: [
+            [2, 7],
+            [0, 10],
+            [1, 3],
+        ],
+    },
+    {
+        size: [6, 6, 4, 5],
+        chunk: [4, 2, 1, 3],
+        query: [
+            [1, 4],
+            [2, 5],
+            [0, 3],
+            [2, 4],
+        ],
+    },
+    {
+        size: [8, 8],
+        chunk: [2, 2],
+        query: [
+            [5, 4],
+            [0, 7],
+        ],
+    },
+    // Strided queries, with steps within a chunk and steps that skip chunks
+    {
+        size: [16, 16],
+        chunk: [4, 4],
+        query: [
+            [1, 14, 3],
+            [0, 15, 2],
+        ],
+    },
+    {
+        size: [20, 12],
+        chunk: [2, 3],
+        query: [
+            [1, 19, 5],
+            [0, 11, 4],
+        ],
+    },
+    {
+        size: [9, 11, 5],
+        chunk: [2, 4, 2],
+        query: [
+            [0, 8, 4],
+            [2, 10],
+            [0, 4, 3],
+        ],
+    },
+];
+
+const LAYOUTS = [
+    { coalesceGap: 0, maxRequestSize: 0 },
+    { coalesceGap: 40, maxRequestSize: 0 },
+    { coalesceGap: 0, maxRequestSize: 0, compression: 'fixed', compressionRatio: 2.7 },
+    { coalesceGap: 16, maxRequestSize: 20 },
+];
+
+const skipsChunks = ({ query, chunk }) => query.some(([, , step = 1], axis) => step > chunk[axis]);
+
+const expandSizes = requestSizes =>
+    requestSizes.flatMap(([bytes, count]) => new Array(count).fill(bytes)).sort((a, b) => a - b);
+
+describe('Analytical metrics', () => {
+    const model = new SimulationModel();
+
+    const forEachConfiguration = callback => {
+        CASES.forEach(shape => {
+            LAYOUTS.forEach(layout => {
+                ALGORITHMS.forEach(chunkAlgorithm => {
+                    callback({
+                        ...shape,
+                        ...layout,
+                        cellAlgorithm: 'row-major',
+                        chunkAlgorithm,
+                        dtype: 'float32',
+                        sharding: 'none',
+                    });
+                });
+            });
+        });
+    };
+
+    test('counts and bytes match the simulation', () => {
+        forEachConfiguration(params => {
+            const simulated = model.calculateData(params);
+            const analyzed = analyzeQuery(params);
+            expect(analyzed.analytical).toBe(true);
+            expect(analyzed.requestedCellCount).toBe(simulated.requestedCells.size);
+            expect(analyzed.actualCellCount).toBe(simulated.actualCells.size);
+            expect(analyzed.touchedChunkCount).toBe(simulated.touchedChunks.size);
+            expect(analyzed.rangeCount).toBe(simulated.chunkedByteRanges.length);
+            expect(analyzed.actualBytes).toBe(simulated.actualBytes);
+            expect(analyzed.gapBytes).toBe(simulated.gapBytes);
+            expect(analyzed.storedBytes).toBe(simulated.storedBytes);
+            expect(analyzed.totalBytes).toBe(simulated.totalBytes);
+            expect(analyzed.requestedBytes).toBeCloseTo(simulated.requestedBytes);
+        });
+    });
+
+    test('requests match the simulation without a size limit', () => {
+        forEachConfiguration(params => {
+            if (params.maxRequestSize > 0) {
+                return;
+            }
+            const simulated = model.calculateData(params);
+            const analyzed = analyzeQuery(params);
+            expect(analyzed.requestCount).toBe(simulated.requestCount);
+            // Hilbert order's groups, and those of strides that skip chunks, are only known
+            // on average
+            if (params.chunkAlgorithm !== 'hilbert' && !skipsChunks(params)) {
+                const sizes = simulated.coalescedByteRanges.map(([start, end]) => end - start + 1);
+                expect(expandSizes(analyzed.requestSizes)).toEqual(sizes.sort((a, b) => a - b));
+            }
+        });
+    });
+
+    test('reads are only merged while they fit under the request size limit', () => {
+        [
+            {
+                size: [11, 1, 7, 3],
+                chunk: [4, 1, 1, 3],
+                query: [
+                    [5, 8],
+                    [0, 0],
+                    [4, 5],
+                    [1, 1],
+                ],
+                chunkAlgorithm: 'col-major',
+                maxRequestSize: 108,
+            },
+            // Strided past whole chunks, so the touched chunks are sampled, every one
+            {
+                size: [6, 10],
+                chunk: [1, 1],
+                query: [
+                    [0, 5, 4],
+                    [1, 9],
+                ],
+                chunkAlgorithm: 'hilbert',
+                maxRequestSize: 20,
+            },
+        ].forEach(shape => {
+            const params = {
+                ...shape,
+                cellAlgorithm: 'col-major',
+                dtype: 'float32',
+                coalesceGap: 170,
+                sharding: 'none',
+            };
+            const simulated = model.calculateData(params);
+            const analyzed = analyzeQuery(params);
+            expect(analyzed.actualBytes).toBe(simulated.actualBytes);
+            expect(analyzed.gapBytes).toBe(simulated.gapBytes);
+            expect(analyzed.requestCount).toBe(simulated.requestCount);
+        });
+    });
+
+    test('large arrays are analyzed without enumerating them', () => {
+        const params = {
+            size: [100000, 50000, 8760],
+            chunk: [1000, 1000, 24],
+            query: [
+                [100, 20000],
+                [5000, 5000],
+                [0, 8759],
+            ],
+            cellAlgorithm: 'row-major',
+            chunkAlgorithm: 'row-major',
+            dtype: 'float32',
+            coalesceGap: 0,
+            maxRequestSize: 0,
+        };
+        const analyzed = analyzeQuery(params);
+        expect(analyzed.totalCells).toBe(100000 * 50000 * 8760);
+        expect(analyzed.requestedCellCount).toBe(19901 * 8760);
+        expect(analyzed.touchedChunkCount).toBe(21 * 365);
+        expect(analyzed.actualCellCount).toBe(21 * 365 * 1000 * 1000 * 24);
+        // Chunks along X are stored next to each other, one run per time step block
+        expect(analyzed.requestCount).toBe(365);
+        expect(analyzed.sampledChunks).toBe(0);
+    });
+
+    test('Hilbert order is sampled once too many chunks are touched', () => {
+        const params = {
+            size: [4096, 4096],
+            chunk: [16, 16],
+            query: [
+                [0, 4095],
+                [100, 3000],
+            ],
+            cellAlgorithm: 'row-major',
+            chunkAlgorithm: 'hilbert',
+            dtype: 'uint8',
+            coalesceGap: 0,
+            maxRequestSize: 0,
+        };
+        const analyzed = analyzeQuery(params);
+        expect(analyzed.sampledChunks).toBeGreaterThan(0);
+        expect(analyzed.touchedChunkCount).toBe(256 * 182);
+        expect(analyzed.requestCount).toBeGreaterThan(0);
+        expect(analyzed.requestCount).toBeLessThanOrEqual(analyzed.touchedChunkCount);
+    });
+
+    test('order ranks match chunk storage order', () => {
+        [
+            [7, 5],
+            [8, 8],
+            [3, 6, 4],
+            [5, 2, 3, 2],
+        ].forEach(size => {
+            ['row-major', 'col-major', 'z-order'].forEach(chunkAlgorithm => {
+                const params = { size, chunk: size.map(() => 1), chunkAlgorithm };
+                const chunkCounts = model.getChunkCounts(params);
+                const storageOrder = model.getOrCreateChunkColorMap(params);
+                storageOrder.forEach((rank, id) => {
+                    const coords = model.getChunkCoordsFromIndex(id, chunkCounts);
+                    expect(getOrderRank(coords, chunkCounts, chunkAlgorithm)).toBe(rank);
+                });
+            });
+        });
+    });
+
+    test('Hilbert order ranks stay on the grid', () => {
+        const counts = [6, 5, 1];
+        for (let y = 0; y < 5; y++) {
+            for (let x = 0; x < 6; x++) {
+                const rank = getOrderRank([x, y, 0], counts, 'hilbert');
+                expect(rank).toBeGreaterThanOrEqual(0);
+                expect(rank).toBeLessThan(30);
+            }
+        }
+    });
+});
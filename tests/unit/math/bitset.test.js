@@ -0,0 +1,43 @@
+import { BitSet } from '../../../src/js/core/bitset.js';
+
+describe('BitSet', () => {
+    test('adds each value once', () => {
+        const set = new BitSet(100);
+        set.add(3).add(64).add(3).add(99);
+        expect(set.size).toBe(3);
+        expect(set.has(3)).toBe(true);
+        expect(set.has(4)).toBe(false);
+        expect(set.has(99)).toBe(true);
+        expect(set.has(100)).toBe(false);
+        expect(set.has(-1)).toBe(false);
+    });
+
+    test('iterates in ascending order', () => {
+        const set = new BitSet(70);
+        [69, 31, 0, 32, 5].forEach(value => set.add(value));
+        expect([...set]).toEqual([0, 5, 31, 32, 69]);
+        const visited = [];
+        set.forEach(value => visited.push(value));
+        expect(visited).toEqual([0, 5, 31, 32, 69]);
+    });
+
+    test('runs of members become inclusive ranges', () => {
+        const set = new BitSet(40);
+        [2, 3, 4, 31, 32, 39].forEach(value => set.add(value));
+        expect(set.getRanges()).toEqual([
+            [2, 4],
+            [31, 32],
+            [39, 39],
+        ]);
+        expect(new BitSet(10).getRanges()).toEqual([]);
+    });
+
+    test('revives from a copy of its fields', () => {
+        const set = new BitSet(50).add(7).add(48);
+        const { capacity, words, size } = set;
+        const revived = BitSet.from({ capacity, words: new Uint32Array(words), size });
+        expect(revived).toBeInstanceOf(BitSet);
+        expect(revived.size).toBe(2);
+        expect([...revived]).toEqual([7, 48]);
+    });
+});
@@ -1,4 +1,8 @@
-import { GridCoordinate } from '../../../src/js/core/coordinates.js';
+import {
+    GridCoordinate,
+    ShardedGridCoordinate,
+    CellCoordinate,
+} from '../../../src/js/core/coordinates.js';
 
 describe('GridCoordinate', () => {
     test('row-major linearization works correctly', () => {
@@ -63,4 +67,108 @@ describe('GridCoordinate', () => {
         const grid2 = new GridCoordinate(3, 5, 2, 'row-major');
         expect(grid2.getTotalCells()).toBe(30);
     });
+
+    test('4D linearization is a bijection for every algorithm', () => {
+        const shape = [4, 2, 3, 2];
+        ['row-major', 'col-major', 'z-order', 'hilbert'].forEach(algorithm => {
+            const grid = GridCoordinate.fromShape(shape, algorithm);
+            const positions = new Set();
+            for (let w = 0; w < 2; w++) {
+                for (let z = 0; z < 3; z++) {
+                    for (let y = 0; y < 2; y++) {
+                        for (let x = 0; x < 4; x++) {
+                            positions.add(grid.linearizeCoords([x, y, z, w]));
+                        }
+                    }
+                }
+            }
+            expect(positions.size).toBe(48);
+            expect(Math.min(...positions)).toBe(0);
+            if (algorithm === 'row-major' || algorithm === 'col-major') {
+                expect(Math.max(...positions)).toBe(47);
+            }
+        });
+    });
+
+    test('4D row-major and col-major vary the outer axes slowest', () => {
+        const rowMajor = GridCoordinate.fromShape([4, 2, 3, 2], 'row-major');
+        expect(rowMajor.linearizeCoords([1, 0, 0, 0])).toBe(1);
+        expect(rowMajor.linearizeCoords([0, 1, 0, 0])).toBe(4);
+        expect(rowMajor.linearizeCoords([0, 0, 1, 0])).toBe(8);
+        expect(rowMajor.linearizeCoords([0, 0, 0, 1])).toBe(24);
+
+        const colMajor = GridCoordinate.fromShape([4, 2, 3, 2], 'col-major');
+        expect(colMajor.linearizeCoords([0, 1, 0, 0])).toBe(1);
+        expect(colMajor.linearizeCoords([1, 0, 0, 0])).toBe(2);
+        expect(colMajor.linearizeCoords([0, 0, 1, 0])).toBe(8);
+        expect(colMajor.linearizeCoords([0, 0, 0, 1])).toBe(24);
+    });
+
+    test('4D Hilbert curve steps between adjacent cells', () => {
+        const grid = GridCoordinate.fromShape([4, 4, 4, 4], 'hilbert');
+        const byPosition = new Map();
+        for (let index = 0; index < 256; index++) {
+            const coords = [index % 4, Math.floor(index / 4) % 4, Math.floor(index / 16) % 4];
+            coords.push(Math.floor(index / 64));
+            byPosition.set(grid.linearizeCoords(coords), coords);
+        }
+        for (let pos = 1; pos < 256; pos++) {
+            const distance = byPosition
+                .get(pos)
+                .reduce(
+                    (sum, value, axis) => sum + Math.abs(value - byPosition.get(pos - 1)[axis]),
+                    0
+                );
+            expect(distance).toBe(1);
+        }
+    });
+});
+
+describe('ShardedGridCoordinate', () => {
+    test('chunks of one shard come before the next shard', () => {
+        const grid = ShardedGridCoordinate.fromShape([4, 4], [2, 2], 'row-major', 'col-major');
+        const order = [];
+        for (let y = 0; y < 4; y++) {
+            for (let x = 0; x < 4; x++) {
+                order.push({ x, y, position: grid.linearize(x, y, 0) });
+            }
+        }
+        order.sort((a, b) => a.position - b.position);
+
+        // First shard in column-major order, then the shard to its right
+        expect(order.slice(0, 6).map(({ x, y }) => [x, y])).toEqual([
+            [0, 0],
+            [0, 1],
+            [1, 0],
+            [1, 1],
+            [2, 0],
+            [2, 1],
+        ]);
+        expect(grid.getShardCoords([3, 1, 0])).toEqual([1, 0, 0]);
+    });
+});
+
+describe('CellCoordinate', () => {
+    // 5x3 cells in 2x2 chunks, so the last column and row of chunks are cut short
+    const chunkGrid = GridCoordinate.fromShape([3, 2], 'col-major');
+    const cellCoord = CellCoordinate.fromShape([5, 3], 'hilbert', chunkGrid, [2, 2]);
+
+    test('chunk offsets are a running total of cells in chunk order', () => {
+        // Column-major chunk order: (0,0), (0,1), (1,0), (1,1), (2,0), (2,1)
+        expect([...cellCoord.getChunkOffsets()]).toEqual([0, 4, 6, 10, 12, 14, 15]);
+        expect(cellCoord.calculateCellsBeforeChunk(3)).toBe(10);
+    });
+
+    test('the cell permutation matches the global index and inverts', () => {
+        const { positions, cellIds } = cellCoord.getCellPermutation();
+        expect(positions.length).toBe(15);
+        for (let y = 0; y < 3; y++) {
+            for (let x = 0; x < 5; x++) {
+                const position = positions[y * 5 + x];
+                expect(position).toBe(cellCoord.getGlobalIndex(x, y, 0));
+                expect(cellIds[position]).toBe(y * 5 + x);
+            }
+        }
+        expect(new Set(positions).size).toBe(15);
+    });
 });
@@ -0,0 +1,39 @@
+import {
+    getItemSize,
+    toByteRanges,
+    countRangeBytes,
+    formatBytes,
+} from '../../../src/js/core/dtypes.js';
+
+describe('Element types', () => {
+    test('item sizes match the dtype', () => {
+        expect(getItemSize('uint8')).toBe(1);
+        expect(getItemSize('int16')).toBe(2);
+        expect(getItemSize('float32')).toBe(4);
+        expect(getItemSize('float64')).toBe(8);
+        expect(getItemSize('complex64')).toBe(8);
+        expect(getItemSize('custom', 24)).toBe(24);
+        expect(getItemSize(undefined)).toBe(1);
+    });
+
+    test('cell ranges convert to inclusive byte ranges', () => {
+        const byteRanges = toByteRanges(
+            [
+                [0, 3],
+                [8, 8],
+            ],
+            4
+        );
+        expect(byteRanges).toEqual([
+            [0, 15],
+            [32, 35],
+        ]);
+        expect(countRangeBytes(byteRanges)).toBe(20);
+    });
+
+    test('byte counts are formatted with binary units', () => {
+        expect(formatBytes(512)).toBe('512 B');
+        expect(formatBytes(1536)).toBe('1.5 KiB');
+        expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MiB');
+    });
+});
@@ -0,0 +1,121 @@
+import {
+    getChunkExtentOptions,
+    getCandidateChunkShapes,
+    getCandidateLayouts,
+    evaluateLayout,
+    getParetoFrontier,
+    sortByObjective,
+    optimizeLayouts,
+} from '../../../src/js/core/optimizer.js';
+import { analyzeQuery } from '../../../src/js/core/analytical.js';
+import { STORAGE_PROFILES, estimateReadTime } from '../../../src/js/core/storage.js';
+
+const BASE = {
+    size: [64, 64],
+    cellAlgorithm: 'row-major',
+    dtype: 'float32',
+    compression: 'none',
+    sharding: 'none',
+    coalesceGap: 0,
+    maxRequestSize: 0,
+};
+
+describe('Layout optimizer', () => {
+    test('chunk extents are powers of two and the whole axis', () => {
+        expect(getChunkExtentOptions(1)).toEqual([1]);
+        expect(getChunkExtentOptions(8)).toEqual([1, 2, 4, 8]);
+        expect(getChunkExtentOptions(12)).toEqual([1, 2, 4, 8, 12]);
+    });
+
+    test('chunk shapes are thinned out to the limit', () => {
+        expect(getCandidateChunkShapes([4, 2])).toEqual([
+            [1, 1],
+            [1, 2],
+            [2, 1],
+            [2, 2],
+            [4, 1],
+            [4, 2],
+        ]);
+        const shapes = getCandidateChunkShapes([1e9, 1e9, 1e9], 400);
+        expect(shapes.length).toBeLessThanOrEqual(400);
+        // Every axis still ranges from single cells to the whole axis
+        [0, 1, 2].forEach(axis => {
+            const extents = shapes.map(shape => shape[axis]);
+            expect(Math.min(...extents)).toBe(1);
+            expect(Math.max(...extents)).toBe(1e9);
+        });
+    });
+
+    test('candidates are unsharded analytical layouts in every chunk order', () => {
+        const layouts = getCandidateLayouts({ ...BASE, sharding: 'end', size: [4, 2] });
+        expect(layouts).toHaveLength(24);
+        expect(new Set(layouts.map(layout => layout.chunkAlgorithm))).toEqual(
+            new Set(['row-major', 'col-major', 'z-order', 'hilbert'])
+        );
+        layouts.forEach(layout => {
+            expect(layout.analytical).toBe(true);
+            expect(layout.sharding).toBe('none');
+            expect(layout.dtype).toBe('float32');
+        });
+    });
+
+    test('layouts are scored as weighted means over the queries', () => {
+        const profile = STORAGE_PROFILES.s3;
+        const layout = { ...BASE, chunk: [8, 8], chunkAlgorithm: 'row-major' };
+        const queries = [
+            {
+                query: [
+                    [0, 0],
+                    [0, 0],
+                ],
+                weight: 3,
+            },
+            {
+                query: [
+                    [0, 63],
+                    [0, 7],
+                ],
+                weight: 1,
+            },
+        ];
+        const [single, row] = queries.map(({ query }) => analyzeQuery({ ...layout, query }));
+        const result = evaluateLayout(layout, queries, profile);
+        expect(result.amplification).toBeCloseTo((3 * 64 + 1) / 4);
+        expect(result.requests).toBe((3 * single.requestCount + row.requestCount) / 4);
+        expect(result.readTime).toBeCloseTo(
+            (3 * estimateReadTime(single, profile).time + estimateReadTime(row, profile).time) / 4
+        );
+    });
+
+    test('the frontier keeps the layouts nothing beats on every objective', () => {
+        const results = [
+            { id: 'a', amplification: 1, requests: 10, readTime: 5 },
+            { id: 'b', amplification: 2, requests: 1, readTime: 5 },
+            { id: 'c', amplification: 2, requests: 10, readTime: 5 },
+            { id: 'd', amplification: 1, requests: 10, readTime: 5 },
+            { id: 'e', amplification: 3, requests: 3, readTime: 1 },
+        ];
+        const frontier = getParetoFrontier(results);
+        expect(frontier.map(({ id }) => id)).toEqual(['a', 'b', 'e']);
+        expect(sortByObjective(frontier, 'requests').map(({ id }) => id)).toEqual(['b', 'e', 'a']);
+        expect(sortByObjective(frontier, 'readTime').map(({ id }) => id)).toEqual(['e', 'a', 'b']);
+    });
+
+    test('rows of the array are best read from row-shaped chunks', () => {
+        const queries = [
+            {
+                query: [
+                    [0, 63],
+                    [10, 10],
+                ],
+                weight: 1,
+            },
+        ];
+        const { frontier, evaluated } = optimizeLayouts(BASE, queries, STORAGE_PROFILES.s3);
+        expect(evaluated).toBe(7 * 7 * 4);
+        const [best] = sortByObjective(frontier, 'requests');
+        expect(best.requests).toBe(1);
+        expect(best.amplification).toBe(1);
+        expect(best.chunk[1]).toBe(1);
+    });
+});
@@ -0,0 +1,83 @@
+import { encodeStateToHash, decodeStateFromHash } from '../../../src/js/core/permalink.js';
+import { PRESET_CONFIGS, DEFAULT_USER_SETTINGS } from '../../../src/js/core/constants.js';
+import { clampSettings } from '../../../src/js/models/settings.js';
+
+describe('Permalinks', () => {
+    test('every preset round trips through the hash', () => {
+        Object.entries(PRESET_CONFIGS).forEach(([preset, { name: _name, ...settings }]) => {
+            const hash = encodeStateToHash(settings, { preset, storage: 'hdd' });
+            expect(decodeStateFromHash(hash)).toEqual({ preset, storage: 'hdd', settings });
+        });
+    });
+
+    test('hashes are readable', () => {
+        const hash = encodeStateToHash({
+            cellAlgorithm: 'hilbert',
+            size: [16, 8],
+            query: [
+                [3, 10],
+                [0, 7],
+            ],
+            dimensionNames: ['x', 'a, b'],
+        });
+        expect(hash).toBe(
+            '#cellAlgorithm=hilbert&dimensionNames=x,a%2C%20b&size=16,8&query=3-10,0-7'
+        );
+        expect(decodeStateFromHash(hash).settings.dimensionNames).toEqual(['x', 'a, b']);
+    });
+
+    test('query steps above 1 follow the range', () => {
+        const query = [
+            [0, 15, 4],
+            [3, 10],
+        ];
+        const hash = encodeStateToHash({ query });
+        expect(hash).toBe('#query=0-15:4,3-10');
+        expect(decodeStateFromHash(hash).settings.query).toEqual(query);
+    });
+
+    test('switches are written as 1 or 0', () => {
+        expect(encodeStateToHash({ analytical: true })).toBe('#analytical=1');
+        expect(decodeStateFromHash('#analytical=0').settings).toEqual({ analytical: false });
+        expect(decodeStateFromHash('#size=4,4&analytical=yes').settings).toEqual({ size: [4, 4] });
+    });
+
+    test('malformed values are left out for the defaults to fill', () => {
+        const { settings, ignored } = decodeStateFromHash(
+            '#size=16,x&chunk=4,4&query=3-10,7&compressionRatio=&dtype=%E0%A4%A&coalesceGap=64'
+        );
+        expect(settings).toEqual({ chunk: [4, 4], coalesceGap: 64 });
+        expect(ignored).toEqual(['size', 'query', 'compressionRatio', 'dtype']);
+    });
+
+    test('fractional counts are rounded down by the clamp', () => {
+        const { settings } = decodeStateFromHash(
+            '#preset=user&size=10.5,8&chunk=2.5,4&shard=1.5,1&customItemSize=2.5&coalesceGap=7.9'
+        );
+        const clamped = clampSettings({ ...DEFAULT_USER_SETTINGS, ...settings });
+        expect(clamped.size).toEqual([10, 8]);
+        expect(clamped.chunk).toEqual([2, 4]);
+        expect(clamped.shard).toEqual([1, 1]);
+        expect(clamped.customItemSize).toBe(2);
+        expect(clamped.coalesceGap).toBe(7);
+    });
+
+    test('comparisons carry the second layout with a prefix', () => {
+        const hash = encodeStateToHash(
+            { size: [8, 8], chunk: [4, 4] },
+            { comparison: { chunk: [2, 8], chunkAlgorithm: 'hilbert' } }
+        );
+        expect(hash).toBe('#size=8,8&chunk=4,4&b.chunkAlgorithm=hilbert&b.chunk=2,8');
+        expect(decodeStateFromHash(hash)).toEqual({
+            settings: { size: [8, 8], chunk: [4, 4] },
+            comparison: { chunk: [2, 8], chunkAlgorithm: 'hilbert' },
+        });
+        expect(decodeStateFromHash('#size=8,8').comparison).toBeUndefined();
+    });
+
+    test('hashes without state are ignored', () => {
+        expect(decodeStateFromHash('')).toBeNull();
+        expect(decodeStateFromHash('#overview')).toBeNull();
+        expect(decodeStateFromHash('#unknown=1')).toBeNull();
+    });
+});
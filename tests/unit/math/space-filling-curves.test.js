@@ -1,4 +1,4 @@
-import { GridCoordinate } from '../../../src/js/core/coordinates.js';
+import { GridCoordinate, CellCoordinate } from '../../../src/js/core/coordinates.js';
 
 describe('Space-Filling Curves', () => {
     describe('Morton Encoding (Z-Order)', () => {
@@ -91,6 +91,18 @@ describe('Space-Filling Curves', () => {
             expect(grid.nextPowerOfTwo(9)).toBe(16);
         });
 
+        test('hilbertDecode2D inverts hilbertEncode2D', () => {
+            const grid = new GridCoordinate(16, 16, 1, 'hilbert');
+            for (let y = 0; y < 16; y++) {
+                for (let x = 0; x < 16; x++) {
+                    expect(grid.hilbertDecode2D(grid.hilbertEncode2D(x, y, 16), 16)).toEqual([
+                        x,
+                        y,
+                    ]);
+                }
+            }
+        });
+
         test('hilbertRotate transformation produces valid coordinates', () => {
             const grid = new GridCoordinate(4, 4, 1, 'hilbert');
 
@@ -182,14 +194,80 @@ describe('Space-Filling Curves', () => {
             expect(positions.size).toBe(64);
         });
 
-        test('Hilbert 3D mode falls back correctly', () => {
+        test('Hilbert 3D mode is a true 3D curve', () => {
             const grid3D = new GridCoordinate(4, 4, 4, 'hilbert');
 
-            // For 3D, it should use z * sizeX * sizeY + hilbert2D(x, y)
-            const pos000 = grid3D.linearize(0, 0, 0);
-            const pos001 = grid3D.linearize(0, 0, 1);
+            // Every step along the curve should move to a face-adjacent cell
+            const cellsByPosition = [];
+            for (let z = 0; z < 4; z++) {
+                for (let y = 0; y < 4; y++) {
+                    for (let x = 0; x < 4; x++) {
+                        cellsByPosition[grid3D.linearize(x, y, z)] = [x, y, z];
+                    }
+                }
+            }
+
+            expect(cellsByPosition.length).toBe(64);
+            for (let i = 1; i < cellsByPosition.length; i++) {
+                const distance = cellsByPosition[i].reduce(
+                    (sum, value, axis) => sum + Math.abs(value - cellsByPosition[i - 1][axis]),
+                    0
+                );
+                expect(distance).toBe(1);
+            }
+
+            // The first octant is filled before the curve leaves it, so Z has locality
+            const firstOctant = cellsByPosition.slice(0, 8);
+            firstOctant.forEach(([x, y, z]) => {
+                expect(Math.max(x, y, z)).toBeLessThan(2);
+            });
+        });
+
+        test('hilbertDecode3D inverts hilbertEncode3D', () => {
+            const grid = new GridCoordinate(8, 8, 8, 'hilbert');
+
+            for (let z = 0; z < 8; z++) {
+                for (let y = 0; y < 8; y++) {
+                    for (let x = 0; x < 8; x++) {
+                        const index = grid.hilbertEncode3D(x, y, z, 8);
+                        expect(grid.hilbertDecode3D(index, 8)).toEqual([x, y, z]);
+                    }
+                }
+            }
+        });
 
-            expect(pos001).toBe(pos000 + 16); // z=1 adds one full layer (4*4=16)
+        test('3D Hilbert chunk indices delinearize back to chunk coordinates', () => {
+            [
+                [4, 4, 4],
+                [3, 2, 4],
+            ].forEach(([chunksX, chunksY, chunksZ]) => {
+                const chunkGrid = new GridCoordinate(chunksX, chunksY, chunksZ, 'hilbert');
+                const cellCoord = new CellCoordinate(
+                    chunksX * 2,
+                    chunksY * 2,
+                    chunksZ * 2,
+                    'row-major',
+                    chunkGrid,
+                    2,
+                    2,
+                    2
+                );
+
+                for (let cz = 0; cz < chunksZ; cz++) {
+                    for (let cy = 0; cy < chunksY; cy++) {
+                        for (let cx = 0; cx < chunksX; cx++) {
+                            const chunkIndex = cellCoord.getNormalizedChunkIndex(
+                                chunkGrid.linearize(cx, cy, cz)
+                            );
+                            expect(cellCoord.delinearizeChunkIndex(chunkIndex)).toEqual({
+                                x: cx,
+                                y: cy,
+                                z: cz,
+                            });
+                        }
+                    }
+                }
+            });
         });
 
         test('Hilbert handles non-power-of-2 dimensions', () => {
@@ -0,0 +1,90 @@
+import {
+    STORAGE_PROFILES,
+    clampStorageProfile,
+    scheduleRequests,
+    scheduleRequestGroups,
+    estimateReadTime,
+    formatDuration,
+} from '../../../src/js/core/storage.js';
+
+describe('Storage cost model', () => {
+    const profile = { name: 'Test', latency: 10, throughput: 1, concurrency: 2 };
+
+    test('requests pay latency plus transfer time on each connection', () => {
+        // 1 MB/s moves 1000 bytes per ms
+        expect(scheduleRequests([], profile)).toBe(0);
+        expect(scheduleRequests([1000], profile)).toBe(11);
+        expect(scheduleRequests([1000, 1000], profile)).toBe(11);
+        expect(scheduleRequests([1000, 1000, 1000], profile)).toBe(22);
+        expect(scheduleRequests([1000, 1000, 1000], { ...profile, concurrency: 1 })).toBe(33);
+    });
+
+    test('request groups are scheduled like the requests they count', () => {
+        expect(scheduleRequestGroups([[1000, 3]], profile)).toBe(22);
+        expect(scheduleRequestGroups([[1000, 3]], profile, 2)).toBeCloseTo(16.5);
+        // A single long request can't be shared out
+        expect(
+            scheduleRequestGroups(
+                [
+                    [1000, 3],
+                    [100000, 1],
+                ],
+                profile,
+                2
+            )
+        ).toBe(110);
+        const data = { indexByteRanges: [], requestSizes: [[1000, 3]], requestedBytes: 3000 };
+        expect(estimateReadTime(data, profile).dataTime).toBe(22);
+    });
+
+    test('shard index reads come before the chunk reads', () => {
+        const data = {
+            indexByteRanges: [[0, 999]],
+            coalescedByteRanges: [
+                [1000, 1999],
+                [3000, 3999],
+            ],
+            requestedBytes: 2000,
+        };
+        const estimate = estimateReadTime(data, profile);
+        expect(estimate.indexTime).toBe(11);
+        expect(estimate.dataTime).toBe(11);
+        expect(estimate.time).toBe(22);
+        // Ideally the 2000 requested bytes take one latency over both connections
+        expect(estimate.alignment).toBeCloseTo(11 / 22);
+    });
+
+    test('alignment never exceeds 1 and is 1 without any requests', () => {
+        const data = { indexByteRanges: [], coalescedByteRanges: [[0, 999]], requestedBytes: 1000 };
+        Object.values(STORAGE_PROFILES).forEach(storage => {
+            const { alignment } = estimateReadTime(data, storage);
+            expect(alignment).toBeGreaterThan(0);
+            expect(alignment).toBeLessThanOrEqual(1);
+        });
+        const empty = { indexByteRanges: [], coalescedByteRanges: [], requestedBytes: 0 };
+        expect(estimateReadTime(empty, profile)).toEqual({
+            time: 0,
+            indexTime: 0,
+            dataTime: 0,
+            alignment: 1,
+        });
+    });
+
+    test('edited profiles are clamped to usable values', () => {
+        expect(
+            clampStorageProfile({ name: '  ', latency: -5, throughput: 0, concurrency: 2.7 })
+        ).toEqual({ name: 'Custom profile', latency: 0, throughput: 0.001, concurrency: 2 });
+        expect(clampStorageProfile({ name: 'Disk', latency: NaN, concurrency: 0 })).toEqual({
+            name: 'Disk',
+            latency: 0,
+            throughput: 1,
+            concurrency: 1,
+        });
+    });
+
+    test('durations are formatted in the largest sensible unit', () => {
+        expect(formatDuration(0.25)).toBe('250 µs');
+        expect(formatDuration(12.34)).toBe('12.3 ms');
+        expect(formatDuration(2500)).toBe('2.50 s');
+    });
+});
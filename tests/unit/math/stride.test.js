@@ -0,0 +1,80 @@
+import {
+    makeQueryRange,
+    getStep,
+    getLastSelected,
+    isSelected,
+    getFirstSelected,
+    countSelected,
+    describeAxisStride,
+    countSkippedChunks,
+} from '../../../src/js/core/stride.js';
+
+describe('Strided query ranges', () => {
+    test('a step of 1 is left out of a range', () => {
+        expect(makeQueryRange(2, 9)).toEqual([2, 9]);
+        expect(makeQueryRange(2, 9, 1)).toEqual([2, 9]);
+        expect(makeQueryRange(2, 9, 3)).toEqual([2, 9, 3]);
+        expect(getStep([2, 9])).toBe(1);
+        expect(getStep([2, 9, 3])).toBe(3);
+        expect(getStep([2, 9, 0])).toBe(1);
+    });
+
+    test('steps count from the start of the range', () => {
+        const range = [2, 9, 3];
+        const selected = [];
+        for (let index = 0; index < 12; index++) {
+            if (isSelected(range, index)) {
+                selected.push(index);
+            }
+        }
+        expect(selected).toEqual([2, 5, 8]);
+        expect(getLastSelected(range)).toBe(8);
+        expect(getFirstSelected(range, 0)).toBe(2);
+        expect(getFirstSelected(range, 6)).toBe(8);
+        expect(getFirstSelected(range, 9)).toBe(11);
+    });
+
+    test('cells are counted within half-open spans', () => {
+        const range = [2, 9, 3];
+        expect(countSelected(range, 0, 12)).toBe(3);
+        expect(countSelected(range, 3, 5)).toBe(0);
+        expect(countSelected(range, 5, 9)).toBe(2);
+        expect(countSelected([0, 9, 1], 4, 8)).toBe(4);
+    });
+
+    test('steps no longer than a chunk touch every chunk they span', () => {
+        const axis = describeAxisStride(4, [1, 14, 3]);
+        expect(axis).toMatchObject({ cells: 5, spannedChunks: 4, touchedChunks: 4 });
+        expect([0, 1, 2, 3].map(axis.touchedAt)).toEqual([0, 1, 2, 3]);
+    });
+
+    test('longer steps touch a chunk per cell and skip the rest', () => {
+        // Cells 1, 11, 21 and 31 in chunks 0, 2, 5 and 7
+        const axis = describeAxisStride(4, [1, 33, 10]);
+        expect(axis).toMatchObject({ cells: 4, spannedChunks: 8, touchedChunks: 4 });
+        expect([0, 1, 2, 3].map(axis.touchedAt)).toEqual([0, 2, 5, 7]);
+        expect(describeAxisStride(4, [5, 4, 1])).toMatchObject({ cells: 0, touchedChunks: 0 });
+    });
+
+    test('skipped chunks are counted over every axis', () => {
+        const chunkShape = [4, 4];
+        expect(
+            countSkippedChunks(
+                [
+                    [1, 33, 10],
+                    [0, 7, 1],
+                ],
+                chunkShape
+            )
+        ).toBe(8 * 2 - 4 * 2);
+        expect(
+            countSkippedChunks(
+                [
+                    [0, 15, 2],
+                    [0, 15, 4],
+                ],
+                chunkShape
+            )
+        ).toBe(0);
+    });
+});
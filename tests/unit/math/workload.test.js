@@ -0,0 +1,92 @@
+import {
+    getWorkloadQueryName,
+    clampQuery,
+    getWorkloadQueries,
+    getWeightedMeans,
+} from '../../../src/js/core/workload.js';
+
+describe('Workloads', () => {
+    test('queries without a name are named by their place', () => {
+        expect(getWorkloadQueryName({ name: 'Time series' }, 0)).toBe('Time series');
+        expect(getWorkloadQueryName({ name: '' }, 2)).toBe('Query 3');
+    });
+
+    test('queries are clamped to the array', () => {
+        expect(
+            clampQuery(
+                [
+                    [0, 99],
+                    [70, 80],
+                ],
+                [64, 64]
+            )
+        ).toEqual([
+            [0, 63],
+            [63, 63],
+        ]);
+        expect(
+            clampQuery(
+                [
+                    [0, 99, 24],
+                    [0, 0],
+                ],
+                [64, 64]
+            )
+        ).toEqual([
+            [0, 63, 24],
+            [0, 0],
+        ]);
+    });
+
+    test('workload queries that fit the array are clamped to it', () => {
+        const queries = [
+            {
+                name: 'Rows',
+                query: [
+                    [0, 99],
+                    [2, 3],
+                ],
+                weight: 2,
+            },
+            { name: 'Line', query: [[0, 1]], weight: 1 },
+            {
+                name: 'Unused',
+                query: [
+                    [0, 0],
+                    [0, 0],
+                ],
+                weight: 0,
+            },
+        ];
+        expect(getWorkloadQueries(queries, [64, 64], null)).toEqual([
+            {
+                query: [
+                    [0, 63],
+                    [2, 3],
+                ],
+                weight: 2,
+            },
+        ]);
+        const fallback = [
+            [1, 2],
+            [3, 4],
+        ];
+        expect(getWorkloadQueries([], [64, 64], fallback)).toEqual([
+            { query: fallback, weight: 1 },
+        ]);
+    });
+
+    test('means are weighted by how often each query is made', () => {
+        const items = [
+            { weight: 70, values: { bytes: 100, requests: 1 } },
+            { weight: 25, values: { bytes: 1000, requests: 4 } },
+            { weight: 5, values: { bytes: 10000, requests: 20 } },
+        ];
+        expect(getWeightedMeans(items, ['bytes', 'requests'])).toEqual({
+            bytes: (70 * 100 + 25 * 1000 + 5 * 10000) / 100,
+            requests: (70 + 25 * 4 + 5 * 20) / 100,
+        });
+        expect(getWeightedMeans([], ['bytes'])).toBeNull();
+        expect(getWeightedMeans([{ weight: 0, values: { bytes: 1 } }], ['bytes'])).toBeNull();
+    });
+});
@@ -0,0 +1,108 @@
+import {
+    PlaybackState,
+    containsPosition,
+    getReadSequence,
+    mergeIntervals,
+} from '../../../src/js/models/playback.js';
+import { SimulationModel } from '../../../src/js/models/simulation.js';
+
+describe('PlaybackState', () => {
+    const simulation = new SimulationModel();
+    // Row-major 4x4 chunks of 1 byte cells; the query touches chunks 0 and 2
+    const params = {
+        size: [8, 8, 1],
+        chunk: [4, 4, 1],
+        cellAlgorithm: 'row-major',
+        chunkAlgorithm: 'row-major',
+        dtype: 'uint8',
+        query: [
+            [0, 1],
+            [0, 5],
+            [0, 0],
+        ],
+    };
+    const data = simulation.calculateData(params);
+
+    test('storage order reveals every cell up to the cursor', () => {
+        const playback = new PlaybackState();
+        expect(playback.getFrame(params, data, simulation)).toBeNull();
+
+        playback.seek(20);
+        const frame = playback.getFrame(params, data, simulation);
+        expect(frame.stepCount).toBe(64);
+        expect(frame.revealedCells).toEqual([[0, 21]]);
+        expect(frame.currentCells).toEqual([[20, 21]]);
+        expect(frame.currentBytes).toEqual([[20, 21]]);
+    });
+
+    test('query reads are played back range by range', () => {
+        const playback = new PlaybackState();
+        playback.setMode('reads');
+        playback.seek(1);
+        const frame = playback.getFrame(params, data, simulation);
+        expect(frame.stepCount).toBe(2);
+        expect(frame.read).toEqual({ kind: 'data', bytes: [32, 48], cells: [32, 48] });
+        expect(frame.revealedCells).toEqual([
+            [0, 16],
+            [32, 48],
+        ]);
+        expect(frame.currentBytes).toEqual([[32, 48]]);
+
+        // Past the last read, the layout stays on it
+        playback.seek(9);
+        expect(playback.getFrame(params, data, simulation).step).toBe(1);
+    });
+
+    test('shard index reads come first', () => {
+        const reads = getReadSequence(
+            {
+                indexByteRanges: [[100, 115]],
+                coalescedByteRanges: [
+                    [40, 49],
+                    [0, 9],
+                ],
+            },
+            byte => Math.floor(byte / 10)
+        );
+        expect(reads.map(read => [read.kind, read.bytes, read.cells])).toEqual([
+            ['index', [100, 116], null],
+            ['data', [0, 10], [0, 1]],
+            ['data', [40, 50], [4, 5]],
+        ]);
+    });
+
+    test('playing advances at the set speed and pauses on the last step', () => {
+        const playback = new PlaybackState();
+        playback.setSpeed(10);
+        playback.play(4);
+        expect(playback.advance(50, 4)).toBe(false);
+        expect(playback.advance(60, 4)).toBe(true);
+        expect(playback.step).toBe(1);
+        playback.advance(1000, 4);
+        expect(playback.step).toBe(3);
+        expect(playback.playing).toBe(false);
+
+        // Playing again from the end starts over
+        playback.play(4);
+        expect(playback.step).toBe(0);
+        playback.stop();
+        expect(playback.active).toBe(false);
+    });
+
+    test('intervals are merged and searched', () => {
+        const intervals = mergeIntervals([
+            [10, 12],
+            [0, 4],
+            [4, 6],
+            [11, 20],
+        ]);
+        expect(intervals).toEqual([
+            [0, 6],
+            [10, 20],
+        ]);
+        expect(containsPosition(intervals, 5)).toBe(true);
+        expect(containsPosition(intervals, 6)).toBe(false);
+        expect(containsPosition(intervals, 19)).toBe(true);
+        expect(containsPosition([], 0)).toBe(false);
+    });
+});
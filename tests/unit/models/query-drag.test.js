@@ -0,0 +1,101 @@
+import {
+    QUERY_HANDLE_SIZE,
+    getQueryHandle,
+    getDraggedQuery,
+} from '../../../src/js/models/query-drag.js';
+
+// Cells 10 pixels wide, the array drawn from (20, 30)
+const LAYOUT = { cellSize: 10, offsetX: 20, offsetY: 30 };
+
+// Query x 2–5, y 3–6: pixels 40 to 80 across and 60 to 100 down
+const RANGES = [
+    [2, 5],
+    [3, 6],
+];
+
+describe('Query dragging', () => {
+    test('edges and corners are grabbed near the outline', () => {
+        const handleAt = (x, y) => getQueryHandle({ x, y }, RANGES, LAYOUT);
+        expect(handleAt(60, 60)).toBe('n');
+        expect(handleAt(60, 100 + QUERY_HANDLE_SIZE)).toBe('s');
+        expect(handleAt(40 - QUERY_HANDLE_SIZE, 80)).toBe('w');
+        expect(handleAt(82, 80)).toBe('e');
+        expect(handleAt(38, 62)).toBe('nw');
+        expect(handleAt(80, 100)).toBe('se');
+        expect(handleAt(80, 60)).toBe('ne');
+        expect(handleAt(40, 100)).toBe('sw');
+    });
+
+    test('inside the query moves it and anywhere else draws a new one', () => {
+        const handleAt = (x, y) => getQueryHandle({ x, y }, RANGES, LAYOUT);
+        expect(handleAt(60, 80)).toBe('move');
+        expect(handleAt(40 - QUERY_HANDLE_SIZE - 1, 80)).toBe('draw');
+        expect(handleAt(60, 120)).toBe('draw');
+        const empty = [
+            [5, 4],
+            [3, 6],
+        ];
+        expect(getQueryHandle({ x: 60, y: 80 }, empty, LAYOUT)).toBe('draw');
+    });
+
+    test('drawing spans the pressed cell and the pointer in either direction', () => {
+        const drag = { handle: 'draw', startX: 6, startY: 2, ranges: RANGES };
+        expect(getDraggedQuery(RANGES, drag, { cellX: 1, cellY: 9 }, [16, 16])).toEqual([
+            [1, 6],
+            [2, 9],
+        ]);
+        // A click on one cell is not a query
+        expect(getDraggedQuery(RANGES, drag, { cellX: 6, cellY: 2 }, [16, 16])).toBeNull();
+    });
+
+    test('moves stop at the edges of the array', () => {
+        const drag = { handle: 'move', startX: 3, startY: 4, ranges: RANGES };
+        expect(getDraggedQuery(RANGES, drag, { cellX: 15, cellY: 0 }, [16, 16])).toEqual([
+            [12, 15],
+            [0, 3],
+        ]);
+        expect(getDraggedQuery(RANGES, drag, { cellX: 0, cellY: 15 }, [8, 8])).toEqual([
+            [0, 3],
+            [4, 7],
+        ]);
+    });
+
+    test('resizing moves only the grabbed edges and never past the opposite ones', () => {
+        const resize = (handle, cellX, cellY) => {
+            const drag = { handle, startX: 0, startY: 0, ranges: RANGES };
+            return getDraggedQuery(RANGES, drag, { cellX, cellY }, [16, 16]);
+        };
+        expect(resize('e', 9, 0)).toEqual([
+            [2, 9],
+            [3, 6],
+        ]);
+        expect(resize('nw', 0, 1)).toEqual([
+            [0, 5],
+            [1, 6],
+        ]);
+        expect(resize('s', 9, 0)).toEqual([
+            [2, 5],
+            [3, 3],
+        ]);
+        expect(resize('n', 9, 6)).toEqual([
+            [2, 5],
+            [6, 6],
+        ]);
+        // Sliding along an edge without crossing a cell leaves the query as it is
+        expect(resize('n', 9, 3)).toBeNull();
+    });
+
+    test('steps and the axes beyond Y are kept through a drag', () => {
+        const query = [
+            [2, 14, 4],
+            [3, 6],
+            [0, 9, 3],
+        ];
+        const drag = { handle: 'move', startX: 2, startY: 3, ranges: [[2, 14], RANGES[1]] };
+        expect(getDraggedQuery(query, drag, { cellX: 3, cellY: 5 }, [16, 16, 10])).toEqual([
+            [3, 15, 4],
+            [5, 8],
+            [0, 9, 3],
+        ]);
+    });
+});
@@ -0,0 +1,31 @@
+import { SelectionState } from '../../../src/js/models/selection.js';
+
+describe('SelectionState', () => {
+    test('a hovered chunk is found again in a layout with other chunks', () => {
+        const selection = new SelectionState();
+        selection.setHoveredChunk({ x: 1, y: 0, coords: [1, 0], cellCoords: [5, 2] });
+
+        // 4x4 chunks, as it was picked
+        expect(selection.getEffectiveChunk([4, 4, 1]).coords).toEqual([1, 0]);
+        // The same cell falls in another chunk of a 2x2 layout
+        expect(selection.getEffectiveChunk([2, 2, 1])).toEqual({
+            x: 2,
+            y: 1,
+            coords: [2, 1],
+            cellCoords: [5, 2],
+        });
+    });
+
+    test('selections take precedence over hovers', () => {
+        const selection = new SelectionState();
+        const hovered = { x: 0, y: 0, coords: [0, 0] };
+        const selected = { x: 1, y: 1, coords: [1, 1] };
+        selection.setHoveredChunk(hovered);
+        expect(selection.getEffectiveChunk()).toBe(hovered);
+
+        selection.setSelectedChunk(selected);
+        expect(selection.getEffectiveChunk([2, 2])).toBe(selected);
+        selection.clearSelection();
+        expect(selection.hasSelection()).toBeFalsy();
+    });
+});
@@ -0,0 +1,40 @@
+import { SliceState } from '../../../src/js/models/slice.js';
+
+describe('SliceState', () => {
+    test('slice coordinates are clamped to the array shape', () => {
+        const slice = new SliceState();
+        slice.setIndex(2, 9);
+        slice.setIndex(3, -2);
+
+        expect(slice.getCoords([16, 16, 4, 12])).toEqual([0, 0, 3, 0]);
+        expect(slice.getCoords([16, 16, 1])).toEqual([0, 0, 0]);
+    });
+
+    test('stepping stops at the ends of an axis', () => {
+        const slice = new SliceState();
+        const shape = [8, 8, 3];
+
+        expect(slice.step(2, -1, shape)).toBe(false);
+        expect(slice.step(2, 1, shape)).toBe(true);
+        expect(slice.step(2, 1, shape)).toBe(true);
+        expect(slice.step(2, 1, shape)).toBe(false);
+        expect(slice.getCoords(shape)).toEqual([0, 0, 2]);
+    });
+
+    test('only axes beyond Y with more than one index are sliceable', () => {
+        const slice = new SliceState();
+        expect(slice.getSliceableAxes([16, 16, 1])).toEqual([]);
+        expect(slice.getSliceableAxes([16, 16, 1, 12, 2])).toEqual([3, 4]);
+    });
+
+    test('cells and chunks are matched against the current slice', () => {
+        const slice = new SliceState();
+        const shape = [8, 8, 6];
+        slice.setIndex(2, 4);
+
+        expect(slice.isCellOnSlice([3, 5, 4], shape)).toBe(true);
+        expect(slice.isCellOnSlice([3, 5, 3], shape)).toBe(false);
+        expect(slice.isChunkOnSlice([0, 1, 1], shape, [4, 4, 3])).toBe(true);
+        expect(slice.isChunkOnSlice([0, 1, 0], shape, [4, 4, 3])).toBe(false);
+    });
+});
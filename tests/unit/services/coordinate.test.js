@@ -0,0 +1,119 @@
+import { CoordinateService } from '../../../src/js/services/coordinate.js';
+
+describe('CoordinateService spatial view', () => {
+    // A 400x400 logical pixel canvas, which fits 16x16 cells of 22.5 pixels
+    const canvas = { width: 400, height: 400 };
+    const params = { size: [16, 16] };
+
+    beforeAll(() => {
+        globalThis.window = { devicePixelRatio: 1 };
+    });
+
+    afterAll(() => {
+        delete globalThis.window;
+    });
+
+    test('the whole array fits, centered, until zoomed', () => {
+        const coordinates = new CoordinateService();
+        expect(coordinates.getSpatialCellLayout(canvas, 16, 16)).toEqual({
+            cellSize: 22.5,
+            offsetX: 20,
+            offsetY: 20,
+        });
+        expect(coordinates.isSpatialViewZoomed()).toBe(false);
+    });
+
+    test('zooming keeps the cell under the pointer in place', () => {
+        const coordinates = new CoordinateService();
+        // The center of cell (4, 12)
+        const [x, y] = [20 + 4.5 * 22.5, 20 + 12.5 * 22.5];
+        coordinates.zoomSpatialView(4, x, y, canvas, 16, 16);
+
+        const layout = coordinates.getSpatialCellLayout(canvas, 16, 16);
+        expect(layout.cellSize).toBe(90);
+        expect((x - layout.offsetX) / layout.cellSize).toBeCloseTo(4.5);
+        expect((y - layout.offsetY) / layout.cellSize).toBeCloseTo(12.5);
+        const { cellX, cellY, isValid } = coordinates.getSpatialCellCoordinates(
+            x,
+            y,
+            canvas,
+            params
+        );
+        expect([cellX, cellY, isValid]).toEqual([4, 12, true]);
+    });
+
+    test('the view is kept on the array', () => {
+        const coordinates = new CoordinateService();
+        coordinates.zoomSpatialView(2, 200, 200, canvas, 16, 16);
+        coordinates.panSpatialView(10000, -10000, canvas, 16, 16);
+        expect(coordinates.spatialView).toEqual({ zoom: 2, centerX: 0.25, centerY: 0.75 });
+
+        coordinates.zoomSpatialView(1000, 200, 200, canvas, 16, 16);
+        expect(coordinates.spatialView.zoom).toBe(64);
+        coordinates.zoomSpatialView(0.001, 200, 200, canvas, 16, 16);
+        expect(coordinates.spatialView).toEqual({ zoom: 1, centerX: 0.5, centerY: 0.5 });
+    });
+});
+
+describe('CoordinateService linear view', () => {
+    // A 340 logical pixel wide canvas, with a 300 pixel bar between the margins
+    const canvas = { width: 340, height: 140 };
+    const data = { totalCells: 1000 };
+
+    beforeAll(() => {
+        globalThis.window = { devicePixelRatio: 1 };
+    });
+
+    afterAll(() => {
+        delete globalThis.window;
+    });
+
+    test('only cells in the window can be picked', () => {
+        const coordinates = new CoordinateService();
+        coordinates.setLinearView(0.5, 0.6, data.totalCells);
+
+        const { cellIndex, barFraction, isValid } = coordinates.getLinearCellCoordinates(
+            20 + 150,
+            60,
+            canvas,
+            data
+        );
+        expect(cellIndex).toBe(550);
+        expect(barFraction).toBeCloseTo(0.55);
+        expect(isValid).toBe(true);
+        // Cell 400 would be left of the bar, in the margin
+        expect(coordinates.getLinearCellCoordinates(10, 60, canvas, data).isValid).toBe(false);
+    });
+
+    test('zooming keeps the position under the pointer in place', () => {
+        const coordinates = new CoordinateService();
+        coordinates.zoomLinearView(4, 0.3, data.totalCells);
+        expect(coordinates.linearView.start).toBeCloseTo(0.225);
+        expect(coordinates.linearView.end).toBeCloseTo(0.475);
+        expect(coordinates.isLinearViewZoomed()).toBe(true);
+    });
+
+    test('the window stays on the bar and a few cells wide', () => {
+        const coordinates = new CoordinateService();
+        coordinates.setLinearView(0.95, 0.99, data.totalCells);
+        coordinates.panLinearView(-300, canvas, data.totalCells);
+        expect(coordinates.linearView.start).toBeCloseTo(0.96);
+        expect(coordinates.linearView.end).toBe(1);
+
+        coordinates.zoomLinearView(1000, 0.5, data.totalCells);
+        expect(coordinates.linearView.end - coordinates.linearView.start).toBeCloseTo(0.016);
+        coordinates.zoomLinearView(0.001, 0.5, data.totalCells);
+        expect(coordinates.linearView).toEqual({ start: 0, end: 1 });
+    });
+
+    test('the overview strip shows the whole bar', () => {
+        const coordinates = new CoordinateService();
+        coordinates.setLinearView(0.5, 0.6, data.totalCells);
+        expect(coordinates.getLinearOverviewFraction(95, 9, canvas, 1000)).toEqual({
+            fraction: 0.25,
+            isValid: true,
+        });
+        expect(coordinates.getLinearOverviewFraction(95, 60, canvas, 1000).isValid).toBe(false);
+        expect(coordinates.getLinearOverviewFraction(400, 9, canvas, 1000).fraction).toBe(1);
+    });
+});
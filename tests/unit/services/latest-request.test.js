@@ -0,0 +1,71 @@
+import { serveLatestRequest, yieldToMessages } from '../../../src/js/services/latest-request.js';
+
+// Stands in for a worker's global scope, delivering messages as they are posted to it
+class FakeScope {
+    constructor() {
+        this.posted = [];
+    }
+
+    addEventListener(type, listener) {
+        this.listener = listener;
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    send(data) {
+        this.listener({ data });
+    }
+}
+
+// Lets a request's handler run until it has nothing left to do
+const settle = async () => {
+    for (let i = 0; i < 10; i++) {
+        await yieldToMessages();
+    }
+};
+
+describe('serveLatestRequest', () => {
+    test('a newer request replaces the running one at its next check', async () => {
+        const scope = new FakeScope();
+        const steps = [];
+        serveLatestRequest(async (request, isLatest) => {
+            for (let step = 0; step < 3 && isLatest(); step++) {
+                steps.push([request.id, step]);
+                await yieldToMessages();
+            }
+        }, scope);
+
+        scope.send({ id: 1 });
+        scope.send({ id: 2 });
+        scope.send({ id: 3 });
+        await settle();
+        // Only the first and the latest start, the first stopping once it is replaced
+        expect(steps).toEqual([
+            [1, 0],
+            [3, 0],
+            [3, 1],
+            [3, 2],
+        ]);
+    });
+
+    test('errors are posted back and later requests still run', async () => {
+        const scope = new FakeScope();
+        serveLatestRequest(async request => {
+            if (request.fail) {
+                throw new Error('No layouts');
+            }
+            scope.postMessage({ id: request.id, done: true });
+        }, scope);
+
+        scope.send({ id: 1, fail: true });
+        await settle();
+        scope.send({ id: 2 });
+        await settle();
+        expect(scope.posted).toEqual([
+            { id: 1, error: 'No layouts' },
+            { id: 2, done: true },
+        ]);
+    });
+});
@@ -0,0 +1,103 @@
+import { OptimizerClient } from '../../../src/js/services/optimizer-client.js';
+import { STORAGE_PROFILES } from '../../../src/js/core/storage.js';
+
+// Stands in for the worker, holding on to searches until the test answers them
+class FakeWorker {
+    constructor() {
+        this.listeners = {};
+        this.posted = [];
+        FakeWorker.instance = this;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    respond(data) {
+        this.listeners.message({ data });
+    }
+}
+
+const REQUEST = {
+    params: {
+        size: [8, 8],
+        cellAlgorithm: 'row-major',
+        dtype: 'uint8',
+        coalesceGap: 0,
+        maxRequestSize: 0,
+    },
+    queries: [
+        {
+            query: [
+                [0, 7],
+                [2, 2],
+            ],
+            weight: 1,
+        },
+    ],
+    profile: STORAGE_PROFILES.nvme,
+};
+
+describe('OptimizerClient', () => {
+    afterEach(() => {
+        delete globalThis.Worker;
+    });
+
+    test('searches on the main thread without workers', () => {
+        const client = new OptimizerClient();
+        const done = [];
+        client.search(REQUEST, { onDone: (...result) => done.push(result) });
+        expect(done).toHaveLength(1);
+        const [[frontier, evaluated]] = done;
+        expect(evaluated).toBe(4 * 4 * 4);
+        expect(frontier.length).toBeGreaterThan(0);
+        expect(client.isBusy()).toBe(false);
+    });
+
+    test('only the latest search reports', () => {
+        globalThis.Worker = FakeWorker;
+        const client = new OptimizerClient();
+        const reports = [];
+        const handlers = name => ({
+            onProgress: fraction => reports.push([name, fraction]),
+            onDone: frontier => reports.push([name, frontier]),
+        });
+        client.search(REQUEST, handlers('first'));
+        client.search(REQUEST, handlers('second'));
+        expect(FakeWorker.instance.posted.map(({ id }) => id)).toEqual([1, 2]);
+
+        FakeWorker.instance.respond({ id: 1, progress: 0.5 });
+        FakeWorker.instance.respond({ id: 2, progress: 0.25 });
+        expect(client.isBusy()).toBe(true);
+        FakeWorker.instance.respond({ id: 2, frontier: ['layout'], evaluated: 1 });
+        FakeWorker.instance.respond({ id: 1, frontier: ['old layout'], evaluated: 1 });
+        expect(reports).toEqual([
+            ['second', 0.25],
+            ['second', ['layout']],
+        ]);
+        expect(client.isBusy()).toBe(false);
+    });
+
+    test('a failed worker leaves the latest search to the main thread', () => {
+        globalThis.Worker = FakeWorker;
+        const client = new OptimizerClient();
+        const done = [];
+        client.search(REQUEST, { onDone: frontier => done.push(frontier) });
+
+        const { warn } = console;
+        console.warn = () => {};
+        FakeWorker.instance.listeners.error({ message: 'Failed to load' });
+        console.warn = warn;
+        expect(FakeWorker.instance.terminated).toBe(true);
+        expect(done).toHaveLength(1);
+        expect(done[0].length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,81 @@
+import { SimulationClient } from '../../../src/js/services/simulation-client.js';
+
+// Stands in for the worker, holding on to requests until the test answers them
+class FakeWorker {
+    constructor() {
+        this.listeners = {};
+        this.posted = [];
+        FakeWorker.instance = this;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    respond(id, index, data) {
+        this.listeners.message({ data: { id, index, data } });
+    }
+}
+
+describe('SimulationClient', () => {
+    const model = { calculateData: params => ({ totalCells: params.size[0] }) };
+
+    afterEach(() => {
+        delete globalThis.Worker;
+    });
+
+    test('simulates on the main thread without workers', () => {
+        const client = new SimulationClient(model);
+        const results = [];
+        client.run([{ size: [4] }, { size: [8] }], (...result) => results.push(result));
+        expect(results).toEqual([
+            [0, { totalCells: 4 }, { size: [4] }, false],
+            [1, { totalCells: 8 }, { size: [8] }, true],
+        ]);
+        expect(client.isBusy()).toBe(false);
+    });
+
+    test('results arrive with their parameters until the latest run is done', () => {
+        globalThis.Worker = FakeWorker;
+        const client = new SimulationClient(model);
+        const results = [];
+        const onResult = (...result) => results.push(result);
+        client.run([{ size: [4] }], onResult);
+        client.run([{ size: [8] }], onResult);
+        expect(FakeWorker.instance.posted.map(({ id }) => id)).toEqual([1, 2]);
+        expect(client.isBusy()).toBe(true);
+
+        FakeWorker.instance.respond(1, 0, { totalCells: 4 });
+        FakeWorker.instance.respond(2, 0, { totalCells: 8 });
+        // Nothing older is reported once a newer run has
+        FakeWorker.instance.respond(1, 0, { totalCells: 4 });
+        expect(results).toEqual([
+            [0, { totalCells: 4 }, { size: [4] }, false],
+            [0, { totalCells: 8 }, { size: [8] }, true],
+        ]);
+        expect(client.isBusy()).toBe(false);
+    });
+
+    test('a failed worker leaves the latest run to the main thread', () => {
+        globalThis.Worker = FakeWorker;
+        const client = new SimulationClient(model);
+        const results = [];
+        client.run([{ size: [4] }], (...result) => results.push(result));
+        client.run([{ size: [8] }], (...result) => results.push(result));
+
+        const { warn } = console;
+        console.warn = () => {};
+        FakeWorker.instance.listeners.error({ message: 'Failed to load' });
+        console.warn = warn;
+        expect(FakeWorker.instance.terminated).toBe(true);
+        expect(results).toEqual([[0, { totalCells: 8 }, { size: [8] }, true]]);
+    });
+});